@@ -13,7 +13,7 @@ import rateLimit from 'express-rate-limit'
 import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs'
 import { join, dirname, resolve } from 'path'
 import { fileURLToPath } from 'url'
-import { decode } from '../src/index.js'
+import { decode, decodeTypedData, decodeTxBuilder, parseTxBuilderFile, decodeSafeServiceTransaction, parseSafeServiceTransaction, fetchSafeServiceTransaction, computeSafeTxHash, recoverSafeSignatures, resolveChain, parseRawTransaction, preparePolicy, resolveProfile } from '../src/index.js'
 import { explain } from '../src/explainer.js'
 import { clearAbiCache } from '../src/abiRegistry.js'
 import { getAvailableProviders, getDefaultProvider } from '../src/aiClient.js'
@@ -28,6 +28,13 @@ const PROFILES_PATH = resolve(__dirname, '..', 'profiles')
 const app = express()
 const PORT = process.env.PORT || 3001
 
+// Fork node for transaction simulation (operator-configured, never taken from requests)
+const SIMULATION_RPC_URL = process.env.SIMULATION_RPC_URL || null
+
+// Safe Transaction Service base URL (operator-configured, e.g. a local stand-in;
+// default: the public service of the requested chain)
+const SAFE_TX_SERVICE_URL = process.env.SAFE_TX_SERVICE_URL || null
+
 // ═══════════════════════════════════════════════════════════════
 // Security: Allowed RPC endpoints (SSRF protection)
 // ═══════════════════════════════════════════════════════════════
@@ -50,8 +57,25 @@ const ALLOWED_RPC_HOSTS = [
   'mainnet.optimism.io',
   'rpc.sepolia.org',
   'rpc.goerli.mudit.blog',
+  'mainnet.base.org',
+  'rpc.gnosischain.com',
+  'bsc-dataseed.binance.org',
+  'mainnet.era.zksync.io',
 ]
 
+// Default RPC endpoint per chain ID for /api/fetch-tx
+const DEFAULT_RPC_URLS = {
+  1: 'https://eth.llamarpc.com',
+  10: 'https://mainnet.optimism.io',
+  56: 'https://bsc-dataseed.binance.org',
+  100: 'https://rpc.gnosischain.com',
+  137: 'https://polygon-rpc.com',
+  324: 'https://mainnet.era.zksync.io',
+  8453: 'https://mainnet.base.org',
+  42161: 'https://arb1.arbitrum.io/rpc',
+  11155111: 'https://rpc.sepolia.org'
+}
+
 /**
  * Validate an RPC URL against the allowlist
  */
@@ -137,19 +161,34 @@ const strictLimiter = rateLimit({
 
 app.use(express.json({ limit: '1mb' }))
 
+// Upper bound for client-supplied maxNestingDepth (recursive decoding cost)
+const MAX_NESTING_DEPTH_LIMIT = 10
+
 /**
  * POST /api/decode
  *
  * Decode calldata and return structured analysis.
  *
  * Request body:
- *   - calldata: string (required) - hex calldata with or without 0x prefix
+ *   - calldata: string (required unless rawTx) - hex calldata with or without 0x prefix
+ *   - rawTx: string (optional) - serialized signed transaction (RLP) instead of calldata; its
+ *       to, value, chainId and signer are used and the envelope is returned as rawTransaction
+ *       (EIP-7702 authorizations as codeDelegation)
  *   - targetAddress: string (optional) - contract address for trust context
  *   - profile: object (optional) - trust profile JSON
+ *   - policy: object (optional) - organization policy JSON; rules that fire are returned as policy
  *   - offline: boolean (optional) - skip external lookups
  *   - aiProvider: string (optional) - AI provider (openrouter, claude, openai, gemini, ollama)
  *   - aiModel: string (optional) - model to use for explanations
  *   - operation: number (optional) - 0=CALL (default), 1=DELEGATECALL
+ *   - maxNestingDepth: number (optional) - nested batch/execTransaction levels to decode (0-10)
+ *   - safeTx: object (optional) - compute the safeTxHash: { safeAddress, chainId, nonce, safeVersion,
+ *       value, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, expectedSafeTxHash };
+ *       signatures, owners and threshold (as returned by /api/fetch-tx) recover the signers
+ *   - executor: string (optional) - address submitting the Safe transaction (gas refund analysis)
+ *   - chainId: number|string (optional) - chain ID or name (default: 1) for known addresses,
+ *       MultiSend deployments, ABIs and the safeTxHash domain
+ *   - simulate: boolean (optional) - simulate on the SIMULATION_RPC_URL fork (default: true when configured)
  *
  * Response:
  *   Full decode result object (see src/index.js for structure)
@@ -158,7 +197,35 @@ app.post('/api/decode', strictLimiter, async (req, res) => {
   const startTime = Date.now()
 
   try {
-    const { calldata, targetAddress, profile, offline, aiProvider, aiModel, operation } = req.body
+    const { calldata: calldataField, rawTx, targetAddress, profile, policy, offline, aiProvider, aiModel, operation, maxNestingDepth, safeTx, executor, simulate, chainId } = req.body
+
+    // A raw transaction carries its own calldata
+    let calldata = calldataField
+    let envelope = null
+    if (rawTx !== undefined) {
+      if (typeof rawTx !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid rawTx',
+          message: 'rawTx must be a hex string'
+        })
+      }
+      try {
+        envelope = parseRawTransaction(rawTx)
+      } catch (rawTxError) {
+        return res.status(400).json({
+          error: 'Invalid rawTx',
+          message: rawTxError.message
+        })
+      }
+      // EIP-7702 transactions are analyzed for their authorizations even without calldata
+      if (!envelope.to || (envelope.data === '0x' && envelope.type !== 4)) {
+        return res.status(400).json({
+          error: 'Invalid rawTx',
+          message: 'The raw transaction has no calldata to decode (plain transfer or contract deployment)'
+        })
+      }
+      calldata = rawTx
+    }
 
     // Validate required field
     if (!calldata || typeof calldata !== 'string') {
@@ -187,8 +254,14 @@ app.post('/api/decode', strictLimiter, async (req, res) => {
     // Normalize targetAddress to lowercase
     const normalizedTargetAddress = targetAddress ? targetAddress.toLowerCase() : undefined
 
-    // Normalize profile keys to lowercase
-    const normalizedProfile = profile ? normalizeProfileKeys(profile) : undefined
+    // Normalize profile keys to lowercase and merge the base profiles it extends
+    const preparedProfile = profile ? prepareProfile(profile) : undefined
+    if (preparedProfile?.error) {
+      return res.status(400).json({
+        error: 'Invalid profile',
+        message: preparedProfile.error
+      })
+    }
 
     // Validate and normalize operation parameter
     let validatedOperation = 0
@@ -202,12 +275,77 @@ app.post('/api/decode', strictLimiter, async (req, res) => {
       validatedOperation = operation
     }
 
+    // Validate nesting depth (bounded to keep recursive decoding cheap)
+    if (maxNestingDepth !== undefined &&
+        (!Number.isInteger(maxNestingDepth) || maxNestingDepth < 0 || maxNestingDepth > MAX_NESTING_DEPTH_LIMIT)) {
+      return res.status(400).json({
+        error: 'Invalid maxNestingDepth',
+        message: `maxNestingDepth must be an integer between 0 and ${MAX_NESTING_DEPTH_LIMIT}`
+      })
+    }
+
+    if (safeTx !== undefined && (typeof safeTx !== 'object' || safeTx === null || Array.isArray(safeTx))) {
+      return res.status(400).json({
+        error: 'Invalid safeTx',
+        message: 'safeTx must be an object'
+      })
+    }
+
+    if (chainId !== undefined) {
+      try {
+        resolveChain(chainId)
+      } catch (chainError) {
+        return res.status(400).json({
+          error: 'Invalid chainId',
+          message: chainError.message
+        })
+      }
+    }
+
+    // The envelope fixes target and chain; conflicting fields are a client error
+    if (envelope) {
+      if (targetAddress && targetAddress.toLowerCase() !== envelope.to) {
+        return res.status(400).json({
+          error: 'Invalid targetAddress',
+          message: `targetAddress does not match the raw transaction's to (${envelope.to})`
+        })
+      }
+      if (chainId !== undefined && envelope.chainId !== null && resolveChain(chainId).chainId !== envelope.chainId) {
+        return res.status(400).json({
+          error: 'Invalid chainId',
+          message: `chainId does not match the raw transaction's chainId (${envelope.chainId})`
+        })
+      }
+    }
+
+    if (executor !== undefined && (typeof executor !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(executor))) {
+      return res.status(400).json({
+        error: 'Invalid executor',
+        message: 'executor must be a 20-byte hex address'
+      })
+    }
+
+    const preparedPolicy = policy !== undefined ? preparePolicy(policy) : undefined
+    if (preparedPolicy?.error) {
+      return res.status(400).json({
+        error: 'Invalid policy',
+        message: preparedPolicy.error
+      })
+    }
+
     // Build options
     const options = {
       offline: offline ?? true, // Default to offline for faster responses
       targetAddress: normalizedTargetAddress,
-      profile: normalizedProfile,
-      operation: validatedOperation
+      profile: preparedProfile,
+      policy: preparedPolicy,
+      operation: validatedOperation,
+      maxNestingDepth,
+      safeTx,
+      executor: executor ? executor.toLowerCase() : undefined,
+      chainId,
+      rawTx: rawTx !== undefined,
+      simulate: SIMULATION_RPC_URL && simulate !== false ? { rpcUrl: SIMULATION_RPC_URL } : undefined
     }
 
     // Run decoder with normalized calldata
@@ -261,6 +399,114 @@ app.post('/api/decode', strictLimiter, async (req, res) => {
   }
 })
 
+/**
+ * POST /api/safe-tx-hash
+ *
+ * Compute the EIP-712 safeTxHash of a Safe transaction.
+ *
+ * Request body:
+ *   - safeAddress: string (required) - Safe contract address
+ *   - chainId: number|string (required from Safe 1.3.0)
+ *   - safeVersion: string (optional) - defaults to 1.3.0
+ *   - to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken,
+ *     refundReceiver, nonce - SafeTx fields (to and nonce required)
+ *   - expectedSafeTxHash: string (optional) - hash to verify against
+ *
+ * Response:
+ *   - safeTxHash, domainHash, messageHash, safeVersion, chainId, safeAddress,
+ *     safeTx (normalized fields), matches (null without expectedSafeTxHash)
+ */
+app.post('/api/safe-tx-hash', strictLimiter, (req, res) => {
+  try {
+    res.json(computeSafeTxHash(req.body || {}))
+  } catch (error) {
+    // Validation errors only describe the submitted fields
+    res.status(400).json({
+      error: 'Invalid Safe transaction',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/decode-typed-data
+ *
+ * Analyze an EIP-712 typed-data payload (off-chain signature) before signing.
+ *
+ * Request body:
+ *   - typedData: object or string (required) - eth_signTypedData_v4 payload
+ *   - safeAddress: string (optional) - signing Safe (defaults to profile.safeAddress)
+ *   - profile: object (optional) - trust profile JSON
+ *
+ * Response:
+ *   Typed-data analysis result (see src/typedData.js for structure)
+ */
+app.post('/api/decode-typed-data', strictLimiter, (req, res) => {
+  const startTime = Date.now()
+
+  try {
+    const { typedData, safeAddress, profile } = req.body
+
+    if (!typedData || (typeof typedData !== 'object' && typeof typedData !== 'string')) {
+      return res.status(400).json({
+        error: 'Missing or invalid typedData',
+        message: 'Request body must include a "typedData" object or JSON string'
+      })
+    }
+
+    if (safeAddress !== undefined && (typeof safeAddress !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(safeAddress))) {
+      return res.status(400).json({
+        error: 'Invalid safeAddress',
+        message: 'safeAddress must be a 20-byte hex address'
+      })
+    }
+
+    const preparedProfile = profile ? prepareProfile(profile) : undefined
+    if (preparedProfile?.error) {
+      return res.status(400).json({
+        error: 'Invalid profile',
+        message: preparedProfile.error
+      })
+    }
+
+    const options = {
+      safeAddress: safeAddress ? safeAddress.toLowerCase() : undefined,
+      profile: preparedProfile
+    }
+
+    let result
+    try {
+      result = decodeTypedData(typedData, options)
+    } catch (err) {
+      // Malformed payloads are client errors; the message only describes the input
+      return res.status(400).json({
+        error: 'Invalid typed data',
+        message: err.message
+      })
+    }
+
+    const serialized = serializeBigInt(result)
+    serialized._meta = {
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }
+
+    res.json(serialized)
+
+  } catch (error) {
+    console.error('Typed data decode error:', error)
+
+    res.status(500).json({
+      error: 'Decode failed',
+      message: 'An internal error occurred while analyzing the typed data',
+      _meta: {
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    })
+  }
+})
+
 /**
  * GET /api/health
  *
@@ -270,6 +516,244 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', version: '1.0.0' })
 })
 
+/**
+ * POST /api/import/tx-builder
+ *
+ * Analyze a Safe Transaction Builder JSON file. Each transaction is analyzed
+ * like a MultiSend sub-call, with its contractMethod/contractInputsValues
+ * cross-checked against its data.
+ *
+ * Request body:
+ *   - file: object or string (required) - Transaction Builder JSON
+ *   - safeAddress: string (optional) - executing Safe (defaults to the file's createdFromSafeAddress)
+ *   - chainId: number|string (optional) - must match the file's chainId when both are given
+ *   - profile: object (optional) - trust profile JSON
+ *   - policy: object (optional) - organization policy JSON
+ *
+ * Response:
+ *   Transaction Builder analysis (see decodeTxBuilder in src/index.js)
+ */
+app.post('/api/import/tx-builder', strictLimiter, async (req, res) => {
+  const startTime = Date.now()
+
+  try {
+    const { file, safeAddress, chainId, profile, policy } = req.body
+
+    if (!file || (typeof file !== 'object' && typeof file !== 'string')) {
+      return res.status(400).json({
+        error: 'Missing or invalid file',
+        message: 'Request body must include a Transaction Builder "file" object or JSON string'
+      })
+    }
+
+    if (safeAddress !== undefined && (typeof safeAddress !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(safeAddress))) {
+      return res.status(400).json({
+        error: 'Invalid safeAddress',
+        message: 'safeAddress must be a 20-byte hex address'
+      })
+    }
+
+    let batch
+    try {
+      batch = parseTxBuilderFile(file)
+    } catch (err) {
+      // Malformed files are client errors; the message only describes the input
+      return res.status(400).json({
+        error: 'Invalid Transaction Builder file',
+        message: err.message
+      })
+    }
+
+    if (chainId !== undefined) {
+      let chain
+      try {
+        chain = resolveChain(chainId)
+      } catch (chainError) {
+        return res.status(400).json({
+          error: 'Invalid chainId',
+          message: chainError.message
+        })
+      }
+      if (batch.chainId !== null && chain.chainId !== batch.chainId) {
+        return res.status(400).json({
+          error: 'Invalid chainId',
+          message: `chainId does not match the file's chainId (${batch.chainId})`
+        })
+      }
+    }
+
+    const preparedPolicy = policy !== undefined ? preparePolicy(policy) : undefined
+    if (preparedPolicy?.error) {
+      return res.status(400).json({
+        error: 'Invalid policy',
+        message: preparedPolicy.error
+      })
+    }
+
+    const preparedProfile = profile ? prepareProfile(profile) : undefined
+    if (preparedProfile?.error) {
+      return res.status(400).json({
+        error: 'Invalid profile',
+        message: preparedProfile.error
+      })
+    }
+
+    const result = await decodeTxBuilder(file, {
+      safeAddress: safeAddress ? safeAddress.toLowerCase() : undefined,
+      chainId,
+      profile: preparedProfile,
+      policy: preparedPolicy
+    })
+
+    const serialized = serializeBigInt(result)
+    serialized._meta = {
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }
+
+    res.json(serialized)
+
+  } catch (error) {
+    console.error('Transaction Builder import error:', error)
+
+    res.status(500).json({
+      error: 'Import failed',
+      message: 'An internal error occurred while analyzing the Transaction Builder file',
+      _meta: {
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    })
+  }
+})
+
+/**
+ * POST /api/import/safe-tx
+ *
+ * Analyze a pending transaction of the Safe Transaction Service. The service's
+ * dataDecoded is compared with SignGuard's decoding of the data (a disagreement
+ * is CRITICAL) and its safeTxHash is recomputed from the SafeTx fields.
+ *
+ * Request body (one of transaction or safeTxHash):
+ *   - transaction: object or string - multisig-transaction JSON as returned by the service
+ *   - safeTxHash: string - fetch the transaction from SAFE_TX_SERVICE_URL (default: the
+ *       chain's public service)
+ *   - chainId: number|string (optional) - chain of the Safe (default: 1)
+ *   - safeVersion: string (optional) - Safe version for the safeTxHash (default: 1.3.0)
+ *   - profile: object (optional) - trust profile JSON
+ *
+ * Response:
+ *   Full decode result with safeService (see decodeSafeServiceTransaction in src/index.js)
+ */
+app.post('/api/import/safe-tx', strictLimiter, async (req, res) => {
+  const startTime = Date.now()
+
+  try {
+    const { transaction, safeTxHash, chainId, safeVersion, profile } = req.body
+
+    if ((transaction === undefined) === (safeTxHash === undefined)) {
+      return res.status(400).json({
+        error: 'Missing or invalid input',
+        message: 'Request body must include either a "transaction" or a "safeTxHash" field'
+      })
+    }
+
+    if (safeTxHash !== undefined && (typeof safeTxHash !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(safeTxHash))) {
+      return res.status(400).json({
+        error: 'Invalid safeTxHash',
+        message: 'safeTxHash must be a 32-byte hex string'
+      })
+    }
+
+    if (safeVersion !== undefined && (typeof safeVersion !== 'string' || !/^v?\d+\.\d+(\.\d+)?/.test(safeVersion))) {
+      return res.status(400).json({
+        error: 'Invalid safeVersion',
+        message: 'safeVersion must be a version string such as 1.3.0'
+      })
+    }
+
+    if (chainId !== undefined) {
+      try {
+        resolveChain(chainId)
+      } catch (chainError) {
+        return res.status(400).json({
+          error: 'Invalid chainId',
+          message: chainError.message
+        })
+      }
+    }
+
+    let payload = transaction
+    let fetchedFrom = null
+    if (safeTxHash !== undefined) {
+      try {
+        const fetched = await fetchSafeServiceTransaction(safeTxHash, { serviceUrl: SAFE_TX_SERVICE_URL, chainId })
+        payload = fetched.payload
+        fetchedFrom = fetched.url
+      } catch (fetchError) {
+        return res.status(fetchError.notFound ? 404 : 502).json({
+          error: fetchError.notFound ? 'Safe transaction not found' : 'Safe Transaction Service unavailable',
+          message: fetchError.message
+        })
+      }
+    }
+
+    let parsed
+    try {
+      parsed = parseSafeServiceTransaction(payload)
+    } catch (err) {
+      // Malformed payloads are client (or service) errors; the message only describes the input
+      return res.status(fetchedFrom ? 502 : 400).json({
+        error: 'Invalid Safe Transaction Service payload',
+        message: err.message
+      })
+    }
+
+    if (parsed.data === '0x') {
+      return res.status(400).json({
+        error: 'Nothing to decode',
+        message: `The Safe transaction carries no calldata (plain transfer of ${parsed.value} wei to ${parsed.to})`
+      })
+    }
+
+    const preparedProfile = profile ? prepareProfile(profile) : undefined
+    if (preparedProfile?.error) {
+      return res.status(400).json({
+        error: 'Invalid profile',
+        message: preparedProfile.error
+      })
+    }
+
+    const result = await decodeSafeServiceTransaction(payload, {
+      offline: true,
+      chainId,
+      safeVersion,
+      profile: preparedProfile
+    })
+
+    const serialized = serializeBigInt(result)
+    serialized.safeService.fetchedFrom = fetchedFrom
+    serialized._meta = {
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }
+
+    res.json(serialized)
+
+  } catch (error) {
+    console.error('Safe transaction import error:', error)
+
+    res.status(500).json({
+      error: 'Import failed',
+      message: 'An internal error occurred while analyzing the Safe transaction',
+      _meta: {
+        duration: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    })
+  }
+})
+
 // ═══════════════════════════════════════════════════════════════
 // Transaction Fetch Endpoint
 // ═══════════════════════════════════════════════════════════════
@@ -279,9 +763,45 @@ app.get('/api/health', (req, res) => {
  */
 const SAFE_EXEC_TRANSACTION_SELECTOR = '0x6a761202'
 const SAFE_EXEC_TRANSACTION_ABI = [
-  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) returns (bool success)'
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) returns (bool success)',
+  'function nonce() view returns (uint256)',
+  'function VERSION() view returns (string)',
+  'function getOwners() view returns (address[])',
+  'function getThreshold() view returns (uint256)'
 ]
 
+/**
+ * Per-request timeout for RPC calls, so a slow provider cannot hang /api/fetch-tx
+ */
+const RPC_TIMEOUT_MS = 15000
+
+/**
+ * eth_call against an allowlisted RPC endpoint
+ */
+async function ethCall(rpcUrl, to, data, blockTag = 'latest') {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'eth_call',
+      params: [{ to, data }, blockTag],
+      id: 1
+    }),
+    signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+  })
+
+  if (!response.ok) {
+    throw new Error(`RPC request failed: ${response.status}`)
+  }
+
+  const body = await response.json()
+  if (body.error) {
+    throw new Error(body.error.message || 'RPC error')
+  }
+  return body.result
+}
+
 /**
  * POST /api/fetch-tx
  *
@@ -290,7 +810,9 @@ const SAFE_EXEC_TRANSACTION_ABI = [
  *
  * Request body:
  *   - txHash: string (required) - transaction hash
- *   - rpcUrl: string (optional) - RPC endpoint URL
+ *   - chainId: number|string (optional) - chain ID or name (default: 1); selects the
+ *     default RPC endpoint and is used when the transaction itself carries no chainId
+ *   - rpcUrl: string (optional) - RPC endpoint URL (default: the chain's public endpoint)
  *
  * Response:
  *   - txHash: original transaction hash
@@ -300,10 +822,15 @@ const SAFE_EXEC_TRANSACTION_ABI = [
  *   - operation: 0 (CALL) or 1 (DELEGATECALL)
  *   - safeAddress: the Safe address (if isSafe)
  *   - value: ETH value sent
+ *   - safeTx: SafeTx fields incl. nonce, chainId, Safe version, signatures and the Safe's
+ *     owners and threshold before execution (if isSafe)
+ *   - safeTxHash: recomputed safeTxHash (if isSafe and the nonce could be read)
+ *   - safeSignatures: recovered signers, non-owner signers and whether the threshold was met
+ *     (if the safeTxHash could be computed)
  */
 app.post('/api/fetch-tx', strictLimiter, async (req, res) => {
   try {
-    const { txHash, rpcUrl = 'https://eth.llamarpc.com' } = req.body
+    const { txHash, chainId: requestedChainId } = req.body
 
     // Validate txHash
     if (!txHash || typeof txHash !== 'string') {
@@ -320,6 +847,24 @@ app.post('/api/fetch-tx', strictLimiter, async (req, res) => {
       })
     }
 
+    let chain
+    try {
+      chain = resolveChain(requestedChainId)
+    } catch (chainError) {
+      return res.status(400).json({
+        error: 'Invalid chainId',
+        message: chainError.message
+      })
+    }
+
+    const rpcUrl = req.body.rpcUrl || DEFAULT_RPC_URLS[chain.chainId]
+    if (!rpcUrl) {
+      return res.status(400).json({
+        error: 'Missing RPC URL',
+        message: `No default RPC endpoint for chain ${chain.chainId}; include an "rpcUrl"`
+      })
+    }
+
     // SSRF protection: validate RPC URL against allowlist
     if (!isAllowedRpcUrl(rpcUrl)) {
       return res.status(400).json({
@@ -337,7 +882,8 @@ app.post('/api/fetch-tx', strictLimiter, async (req, res) => {
         method: 'eth_getTransactionByHash',
         params: [txHash],
         id: 1
-      })
+      }),
+      signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
     })
 
     if (!rpcResponse.ok) {
@@ -366,7 +912,8 @@ app.post('/api/fetch-tx', strictLimiter, async (req, res) => {
 
     let result = {
       txHash,
-      chainId: tx.chainId ? parseInt(tx.chainId, 16) : null,
+      // Pre-EIP-155 transactions carry no chainId: fall back to the requested chain
+      chainId: tx.chainId ? parseInt(tx.chainId, 16) : chain.chainId,
       from: tx.from,
       blockNumber: tx.blockNumber ? parseInt(tx.blockNumber, 16) : null
     }
@@ -389,6 +936,77 @@ app.post('/api/fetch-tx', strictLimiter, async (req, res) => {
         result.gasPrice = decoded.gasPrice.toString()
         result.gasToken = decoded.gasToken
         result.refundReceiver = decoded.refundReceiver
+
+        // The nonce is not in the calldata: read it from the block before
+        // execution, when it still had the value the owners signed
+        let nonce = null
+        let safeVersion = null
+        try {
+          const blockTag = result.blockNumber ? '0x' + (result.blockNumber - 1).toString(16) : 'latest'
+          const nonceData = await ethCall(rpcUrl, tx.to, iface.encodeFunctionData('nonce'), blockTag)
+          nonce = iface.decodeFunctionResult('nonce', nonceData)[0].toString()
+          const versionData = await ethCall(rpcUrl, tx.to, iface.encodeFunctionData('VERSION'))
+          safeVersion = iface.decodeFunctionResult('VERSION', versionData)[0]
+        } catch (lookupError) {
+          console.warn('Failed to read Safe nonce/version:', lookupError.message)
+        }
+
+        // Owners and threshold as they were when the signatures were checked
+        let owners = null
+        let threshold = null
+        try {
+          const blockTag = result.blockNumber ? '0x' + (result.blockNumber - 1).toString(16) : 'latest'
+          const ownersData = await ethCall(rpcUrl, tx.to, iface.encodeFunctionData('getOwners'), blockTag)
+          owners = iface.decodeFunctionResult('getOwners', ownersData)[0].map(owner => owner.toLowerCase())
+          const thresholdData = await ethCall(rpcUrl, tx.to, iface.encodeFunctionData('getThreshold'), blockTag)
+          threshold = Number(iface.decodeFunctionResult('getThreshold', thresholdData)[0])
+        } catch (lookupError) {
+          console.warn('Failed to read Safe owners/threshold:', lookupError.message)
+        }
+
+        result.safeTx = {
+          safeAddress: tx.to,
+          chainId: result.chainId,
+          nonce,
+          safeVersion,
+          value: result.value,
+          safeTxGas: result.safeTxGas,
+          baseGas: result.baseGas,
+          gasPrice: result.gasPrice,
+          gasToken: result.gasToken,
+          refundReceiver: result.refundReceiver,
+          executor: tx.from,
+          signatures: decoded.signatures,
+          owners,
+          threshold
+        }
+
+        if (nonce !== null) {
+          try {
+            result.safeTxHash = computeSafeTxHash({
+              ...result.safeTx,
+              safeVersion: safeVersion || undefined,
+              to: result.targetAddress,
+              data: result.calldata,
+              operation: result.operation
+            }).safeTxHash
+          } catch (hashError) {
+            console.warn('Failed to compute safeTxHash:', hashError.message)
+          }
+        }
+
+        // Who signed, against the Safe's owners at execution time
+        if (result.safeTxHash) {
+          try {
+            result.safeSignatures = recoverSafeSignatures(decoded.signatures, result.safeTxHash, {
+              owners,
+              threshold,
+              executor: tx.from
+            })
+          } catch (signatureError) {
+            console.warn('Failed to recover signatures:', signatureError.message)
+          }
+        }
       } catch (decodeError) {
         // Failed to decode as execTransaction, treat as normal tx
         console.warn('Failed to decode execTransaction:', decodeError.message)
@@ -881,6 +1499,13 @@ function validateProfileStructure(profile) {
     return { valid: false, error: 'Profile must have trustedContracts object' }
   }
 
+  if (profile.extends !== undefined) {
+    const bases = typeof profile.extends === 'string' ? [profile.extends] : profile.extends
+    if (!Array.isArray(bases) || !bases.every(base => typeof base === 'string' && base)) {
+      return { valid: false, error: 'extends must be a path or an array of paths' }
+    }
+  }
+
   const VALID_TRUST_LEVELS = ['INTERNAL', 'PROTOCOL', 'PARTNER', 'WATCHED']
 
   for (const [address, config] of Object.entries(profile.trustedContracts)) {
@@ -913,11 +1538,52 @@ function validateProfileStructure(profile) {
         }
       }
     }
+
+    for (const field of ['validFrom', 'expiresAt']) {
+      if (config[field] !== undefined && Number.isNaN(Date.parse(config[field]))) {
+        return { valid: false, error: `Contract ${address} ${field} must be an ISO 8601 date` }
+      }
+    }
+  }
+
+  for (const section of ['trustedRecipients', 'blockedAddresses']) {
+    if (profile[section] === undefined) continue
+    if (typeof profile[section] !== 'object' || profile[section] === null || Array.isArray(profile[section])) {
+      return { valid: false, error: `${section} must be an object keyed by address` }
+    }
+    for (const [address, entry] of Object.entries(profile[section])) {
+      if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+        return { valid: false, error: `Invalid address in ${section}: ${address}` }
+      }
+      if (section === 'trustedRecipients' && (!entry?.label || typeof entry.label !== 'string')) {
+        return { valid: false, error: `Recipient ${address} must have a label` }
+      }
+      for (const field of ['validFrom', 'expiresAt']) {
+        if (section === 'trustedRecipients' && entry[field] !== undefined && Number.isNaN(Date.parse(entry[field]))) {
+          return { valid: false, error: `Recipient ${address} ${field} must be an ISO 8601 date` }
+        }
+      }
+    }
   }
 
   return { valid: true }
 }
 
+/**
+ * Prepare a submitted profile for decoding
+ *
+ * A profile that `extends` base profiles is merged with them; bases resolve
+ * against, and must stay inside, the saved profiles directory.
+ *
+ * @returns {object} Profile ready for decode(), or { error }
+ */
+function prepareProfile(profile) {
+  if (!profile.extends) {
+    return normalizeProfileKeys(profile)
+  }
+  return resolveProfile(profile, { baseDir: PROFILES_PATH, root: PROFILES_PATH })
+}
+
 /**
  * Normalize profile address keys to lowercase for matching
  */
@@ -942,6 +1608,16 @@ function normalizeProfileKeys(profile) {
     }
   }
 
+  // Normalize trustedRecipients and blockedAddresses keys
+  for (const section of ['trustedRecipients', 'blockedAddresses']) {
+    if (profile[section]) {
+      normalized[section] = {}
+      for (const [addr, value] of Object.entries(profile[section])) {
+        normalized[section][addr.toLowerCase()] = value
+      }
+    }
+  }
+
   // Normalize selectorUsageHistory keys
   if (profile.selectorUsageHistory) {
     normalized.selectorUsageHistory = {}
@@ -961,6 +1637,21 @@ function normalizeProfileKeys(profile) {
     }
   }
 
+  // Normalize owners
+  if (Array.isArray(profile.owners)) {
+    normalized.owners = profile.owners.filter(owner => typeof owner === 'string').map(owner => owner.toLowerCase())
+  }
+
+  // Normalize ownerParties members
+  if (profile.ownerParties && typeof profile.ownerParties === 'object') {
+    normalized.ownerParties = {}
+    for (const [party, members] of Object.entries(profile.ownerParties)) {
+      if (Array.isArray(members)) {
+        normalized.ownerParties[party] = members.filter(member => typeof member === 'string').map(member => member.toLowerCase())
+      }
+    }
+  }
+
   return normalized
 }
 
@@ -1008,6 +1699,10 @@ app.listen(PORT, HOST, () => {
 ║                                                               ║
 ║  Endpoints:                                                   ║
 ║    POST /api/decode              - Decode calldata            ║
+║    POST /api/decode-typed-data   - Analyze EIP-712 signature  ║
+║    POST /api/safe-tx-hash        - Compute Safe tx hash       ║
+║    POST /api/import/tx-builder   - Analyze Tx Builder file    ║
+║    POST /api/import/safe-tx      - Analyze Safe service tx    ║
 ║    GET  /api/health              - Health check               ║
 ║    GET  /api/ai-providers        - List AI providers          ║
 ║                                                               ║
@@ -9,8 +9,17 @@ import "dotenv/config";
 
 import { program } from "commander";
 import { createInterface } from "readline";
-import { writeFileSync } from "fs";
-import { decode, decodeAndFormat, createEmptyProfile } from "../src/index.js";
+import { writeFileSync, readFileSync } from "fs";
+import {
+  decode,
+  decodeAndFormat,
+  decodeTypedDataAndFormat,
+  decodeTxBuilder,
+  decodeTxBuilderAndFormat,
+  buildTxBuilderFile,
+  resolveChain,
+  createEmptyProfile
+} from "../src/index.js";
 import { explain, formatExplanation } from "../src/explainer.js";
 
 program
@@ -26,7 +35,23 @@ program
   .option("--model <model>", "AI model to use for explanation (default: anthropic/claude-3-haiku)")
   .option("--target <address>", "Target contract address (for trust profile analysis)")
   .option("--profile <path>", "Path to trust profile JSON file")
+  .option("--policy <path>", "Path to an organization policy JSON file (rules that raise severity or block)")
+  .option("--max-depth <n>", "Maximum nested batch/execTransaction depth to decode (default: 3)")
   .option("--init-profile <safeAddress>", "Generate an empty trust profile template for a Safe")
+  .option("--typed-data <path>", "Analyze an EIP-712 typed-data JSON file instead of calldata (\"-\" reads stdin)")
+  .option("--safe <address>", "Safe address for typed data, --safe-tx-hash and --simulate (default: profile safeAddress)")
+  .option("--safe-tx-hash [expectedHash]", "Compute the safeTxHash (and compare it with expectedHash if given)")
+  .option("--nonce <n>", "Safe nonce for --safe-tx-hash")
+  .option("--chain-id <id>", "Chain ID or name (1, 137, polygon, ...) for known addresses, MultiSend and ABIs (default: 1)")
+  .option("--safe-version <version>", "Safe contract version for --safe-tx-hash (default: 1.3.0)")
+  .option("--signatures <hex>", "Packed owner signatures to recover for --safe-tx-hash (execTransaction calldata carries its own)")
+  .option("--threshold <n>", "Safe threshold: check whether the recovered owner signatures meet it")
+  .option("--value <wei>", "ETH value of the Safe transaction for --safe-tx-hash and --simulate (default: 0)")
+  .option("--simulate <rpcUrl>", "Simulate the call on a fork node (anvil/hardhat) and show balance changes")
+  .option("--executor <address>", "Address that will submit the Safe transaction (receives refunds to the zero address)")
+  .option("--raw-tx", "Input is a serialized signed transaction (RLP): decode its calldata with its to, value, chain and signer")
+  .option("--tx-builder <path>", "Analyze a Safe Transaction Builder JSON file instead of calldata (\"-\" reads stdin)")
+  .option("--export-tx-builder <path>", "Write the decoded transaction or MultiSend batch as a Transaction Builder JSON file")
   .action(async (calldata, options) => {
     try {
       // Handle --init-profile command
@@ -36,6 +61,64 @@ program
         return;
       }
 
+      const maxNestingDepth = parseMaxDepth(options.maxDepth);
+      const threshold = parseThreshold(options.threshold);
+
+      // Handle --typed-data: off-chain signature instead of calldata
+      if (options.typedData) {
+        const typedData = options.typedData === "-"
+          ? await readStdin()
+          : readFileSync(options.typedData, "utf8");
+
+        if (!typedData || !typedData.trim()) {
+          console.error("Error: No typed data provided");
+          process.exit(1);
+        }
+
+        const output = await decodeTypedDataAndFormat(typedData, {
+          profilePath: options.profile,
+          safeAddress: options.safe,
+          json: options.json
+        });
+
+        console.log(output);
+        return;
+      }
+
+      // Handle --tx-builder: batch file exported by the Safe Transaction Builder
+      if (options.txBuilder) {
+        const file = options.txBuilder === "-"
+          ? await readStdin()
+          : readFileSync(options.txBuilder, "utf8");
+
+        if (!file || !file.trim()) {
+          console.error("Error: No Transaction Builder file provided");
+          process.exit(1);
+        }
+
+        const txBuilderOptions = {
+          profilePath: options.profile,
+          policyPath: options.policy,
+          safeAddress: options.safe,
+          chainId: options.chainId,
+          maxNestingDepth,
+          executor: options.executor
+        };
+
+        if (options.exportTxBuilder) {
+          const result = await decodeTxBuilder(file, txBuilderOptions);
+          writeTxBuilderExport(result.batchInfo.calls, result.chainId, result.safeAddress, options.exportTxBuilder);
+        }
+
+        const output = await decodeTxBuilderAndFormat(file, {
+          ...txBuilderOptions,
+          json: options.json
+        });
+
+        console.log(output);
+        return;
+      }
+
       let input = calldata;
 
       // Handle stdin input
@@ -50,6 +133,7 @@ program
         console.error("Trust Profile Options:");
         console.error("  --target <address>       Target contract address");
         console.error("  --profile <path>         Path to trust profile JSON");
+        console.error("  --policy <path>          Path to organization policy JSON");
         console.error("  --init-profile <safe>    Generate empty profile template");
         process.exit(1);
       }
@@ -58,9 +142,58 @@ program
       const decodeOptions = {
         offline: options.offline,
         targetAddress: options.target,
-        profilePath: options.profile
+        profilePath: options.profile,
+        policyPath: options.policy,
+        maxNestingDepth,
+        executor: options.executor,
+        chainId: options.chainId,
+        rawTx: options.rawTx
       };
 
+      // --safe-tx-hash: recompute the hash the hardware wallet displays
+      if (options.safeTxHash) {
+        decodeOptions.safeTx = {
+          safeAddress: options.safe,
+          nonce: options.nonce,
+          safeVersion: options.safeVersion,
+          value: options.value,
+          signatures: options.signatures,
+          threshold,
+          expectedSafeTxHash: typeof options.safeTxHash === "string" ? options.safeTxHash : undefined
+        };
+      }
+
+      // --simulate: run the call on a fork node for real balance changes
+      if (options.simulate) {
+        decodeOptions.simulate = {
+          rpcUrl: options.simulate,
+          safeAddress: options.safe,
+          value: options.value
+        };
+      }
+
+      // --export-tx-builder: MultiSend batches are split into their calls,
+      // anything else is exported as the single call to its target
+      if (options.exportTxBuilder) {
+        const result = await decode(input.trim(), decodeOptions);
+        const batchType = result.batchInfo?.batchType;
+        let calls;
+        if (batchType === "MULTISEND" || batchType === "MULTISEND_CALL_ONLY") {
+          calls = result.batchInfo.calls;
+        } else {
+          const to = result.targetAddress || options.target;
+          if (!to) {
+            throw new Error("--export-tx-builder needs --target for a call that is not a MultiSend batch");
+          }
+          calls = [{
+            to,
+            valueWei: result.rawTransaction?.value ?? options.value ?? "0",
+            data: result.rawTransaction?.data ?? input.trim()
+          }];
+        }
+        writeTxBuilderExport(calls, result.chainId, options.safe, options.exportTxBuilder);
+      }
+
       // If --explain or --explain-only, generate AI explanation
       if (options.explain || options.explainOnly) {
         // First decode the calldata
@@ -103,6 +236,44 @@ program
     }
   });
 
+/**
+ * Parse --max-depth: a whole number of nesting levels, 0 decoding no inner calls
+ */
+function parseMaxDepth(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`--max-depth must be an integer of 0 or more, got "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse --threshold: the number of owner signatures the Safe requires, at least 1
+ */
+function parseThreshold(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`--threshold must be a positive integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Write calls to a Transaction Builder JSON file
+ */
+function writeTxBuilderExport(calls, chainId, safeAddress, path) {
+  const file = buildTxBuilderFile(calls, {
+    chainId: resolveChain(chainId).chainId,
+    safeAddress
+  });
+  writeFileSync(path, JSON.stringify(file, null, 2) + "\n");
+  console.error(`Transaction Builder file written to ${path} (${file.transactions.length} transaction(s))`);
+}
+
 /**
  * Read from stdin with timeout
  */
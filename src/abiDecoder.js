@@ -43,7 +43,8 @@ function extractSelector(calldata) {
  * @param {string} targetAddress - Contract address to lookup ABI
  * @param {object} options - Options
  * @param {object} options.profile - Trust profile (for abiPath override)
- * @param {string} options.chain - Chain name (default: "ethereum")
+ * @param {string} options.chain - Chain name (overrides chainId)
+ * @param {number|string} options.chainId - Chain ID (default: 1, Ethereum)
  * @returns {object} Decode result or null if ABI not found/decode failed
  */
 export function decodeWithAbi(calldata, targetAddress, options = {}) {
@@ -8,13 +8,11 @@
 import { readFileSync, existsSync } from "fs";
 import { join, dirname, resolve } from "path";
 import { fileURLToPath } from "url";
+import { resolveChain } from "./chains.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Default chain (hardcoded for now)
-const DEFAULT_CHAIN = "ethereum";
-
 // Cache for loaded ABIs
 const abiCache = new Map();
 
@@ -69,12 +67,13 @@ function loadAbiFromPath(filePath) {
  *
  * @param {string} address - Contract address
  * @param {object} options - Options
- * @param {string} options.chain - Chain name (default: "ethereum")
+ * @param {string} options.chain - Chain name (overrides chainId)
+ * @param {number|string} options.chainId - Chain ID (default: 1, Ethereum)
  * @param {object} options.profile - Trust profile (optional)
  * @returns {object} { abi, source, path } or { abi: null } if not found
  */
 export function getAbi(address, options = {}) {
-  const chain = options.chain || DEFAULT_CHAIN;
+  const chain = options.chain || resolveChain(options.chainId).name;
   const profile = options.profile || null;
 
   const normalizedAddress = normalizeAddress(address);
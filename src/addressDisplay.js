@@ -18,13 +18,26 @@
  * - Never infer token symbols from on-chain calls
  * - Never infer token symbols from external APIs
  * - Only display symbols from explicit trust profile registry
+ *
+ * LOOKALIKE ADDRESSES:
+ * - Address poisoning relies on signers checking only the first and last
+ *   characters of an address. Every address in a transaction is compared
+ *   with the addresses the signer knows (profile contracts, assets, owners,
+ *   the Safe, bundled known addresses and tokens); a different address that
+ *   shares their ends, or differs by a character or two, is reported.
  */
 
 import {
   getAddressLabel as _getAddressLabel,
   getTrustedAsset,
-  getTrustedContract
+  getTrustedContract,
+  getTrustedRecipient,
+  checkValidity,
+  VALIDITY_STATUS
 } from "./trustProfile.js";
+import { resolveChain } from "./chains.js";
+import { KNOWN_ADDRESSES_BY_CHAIN } from "./selectors.js";
+import { KNOWN_TOKENS_BY_CHAIN } from "./tokenList.js";
 
 // Re-export getAddressLabel for use by other modules
 export const getAddressLabel = _getAddressLabel;
@@ -97,12 +110,17 @@ export function formatTokenHuman(address, profile) {
 
 /**
  * Format a recipient/beneficiary for human summary.
+ * Recipients from trustedRecipients are named after the trusted registry.
  *
  * @param {string} address - Recipient address
  * @param {object} profile - Trust profile
  * @returns {string} Label or generic description
  */
 export function formatRecipientHuman(address, profile) {
+  const recipient = getAddressLabel(address, profile) ? null : getTrustedRecipient(address, profile);
+  if (recipient) {
+    return recipient.label;
+  }
   return formatAddressHuman(address, profile, "a recipient address");
 }
 
@@ -181,6 +199,200 @@ export function getAddressDisplayInfo(address, profile) {
   };
 }
 
+/**
+ * Where a reference address for lookalike detection comes from
+ */
+export const REFERENCE_SOURCE = {
+  TRUSTED_CONTRACT: "TRUSTED_CONTRACT",
+  TRUSTED_ASSET: "TRUSTED_ASSET",
+  TRUSTED_DELEGATECALL: "TRUSTED_DELEGATECALL",
+  TRUSTED_RECIPIENT: "TRUSTED_RECIPIENT",
+  OWNER: "OWNER",
+  SAFE: "SAFE",
+  KNOWN_ADDRESS: "KNOWN_ADDRESS",
+  KNOWN_TOKEN: "KNOWN_TOKEN"
+};
+
+/**
+ * Lookalike thresholds: matching leading and trailing hex characters (each
+ * side and combined), or the edit distance between the two addresses
+ */
+export const LOOKALIKE_MIN_AFFIX = 3;
+export const LOOKALIKE_MIN_COMBINED_AFFIX = 7;
+export const LOOKALIKE_MAX_EDIT_DISTANCE = 2;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Precompiles, predeploys, the zero address and the Safe's sentinel are
+ * mostly zeros and legitimately differ from each other by a character;
+ * they are neither checked nor used as references.
+ */
+function isLowEntropyAddress(address) {
+  return (address.slice(2).match(/0/g) || []).length > 20;
+}
+
+/**
+ * Collect the addresses a signer would recognize
+ *
+ * Trusted recipients are the payees address poisoning imitates; those
+ * outside their validFrom/expiresAt window are left out.
+ *
+ * @param {object} profile - Trust profile (optional)
+ * @param {number|string} chainId - Chain ID for the bundled tables (default: 1)
+ * @param {object} options - { now } evaluation time for trustedRecipients windows (default: current time)
+ * @returns {Array} [{ address, label, source }] with lowercase addresses, first source wins
+ */
+export function collectReferenceAddresses(profile, chainId, options = {}) {
+  const references = new Map();
+  const add = (address, label, source) => {
+    if (typeof address !== "string" || !ADDRESS_PATTERN.test(address)) return;
+    const normalized = address.toLowerCase();
+    if (!references.has(normalized)) {
+      references.set(normalized, { address: normalized, label: label || null, source });
+    }
+  };
+
+  if (profile) {
+    add(profile.safeAddress, null, REFERENCE_SOURCE.SAFE);
+    for (const owner of profile.owners || []) {
+      add(owner, null, REFERENCE_SOURCE.OWNER);
+    }
+    for (const [address, contract] of Object.entries(profile.trustedContracts || {})) {
+      add(address, contract.label, REFERENCE_SOURCE.TRUSTED_CONTRACT);
+    }
+    for (const [address, asset] of Object.entries(profile.trustedAssets || {})) {
+      add(address, asset.symbol || asset.name, REFERENCE_SOURCE.TRUSTED_ASSET);
+    }
+    for (const [address, config] of Object.entries(profile.trustedDelegateCalls || {})) {
+      add(address, config.label, REFERENCE_SOURCE.TRUSTED_DELEGATECALL);
+    }
+    for (const [address, recipient] of Object.entries(profile.trustedRecipients || {})) {
+      if (checkValidity(recipient, options.now).status === VALIDITY_STATUS.ACTIVE) {
+        add(address, recipient.label, REFERENCE_SOURCE.TRUSTED_RECIPIENT);
+      }
+    }
+  }
+
+  const chain = resolveChain(chainId).chainId;
+  for (const [address, known] of Object.entries(KNOWN_ADDRESSES_BY_CHAIN[chain] || {})) {
+    add(address, known.name, REFERENCE_SOURCE.KNOWN_ADDRESS);
+  }
+  for (const [address, token] of Object.entries(KNOWN_TOKENS_BY_CHAIN[chain] || {})) {
+    add(address, token.symbol, REFERENCE_SOURCE.KNOWN_TOKEN);
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compare two addresses character by character (case-insensitive)
+ *
+ * @param {string} a - Address
+ * @param {string} b - Address
+ * @returns {object} { prefix, suffix, distance } - matching leading and trailing
+ *   hex characters (after 0x) and the edit distance
+ */
+export function compareAddresses(a, b) {
+  const x = a.toLowerCase().slice(2);
+  const y = b.toLowerCase().slice(2);
+
+  let prefix = 0;
+  while (prefix < x.length && x[prefix] === y[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < x.length - prefix && x[x.length - 1 - suffix] === y[y.length - 1 - suffix]) suffix++;
+
+  return { prefix, suffix, distance: editDistance(x, y) };
+}
+
+/**
+ * Check whether a comparison makes two different addresses easy to confuse
+ *
+ * @param {object} comparison - compareAddresses() result
+ * @returns {boolean}
+ */
+export function isLookalike(comparison) {
+  if (comparison.distance === 0) return false;
+  const sharesEnds = comparison.prefix >= LOOKALIKE_MIN_AFFIX &&
+    comparison.suffix >= LOOKALIKE_MIN_AFFIX &&
+    comparison.prefix + comparison.suffix >= LOOKALIKE_MIN_COMBINED_AFFIX;
+  return sharesEnds || comparison.distance <= LOOKALIKE_MAX_EDIT_DISTANCE;
+}
+
+/**
+ * Find the addresses in a transaction that imitate a reference address
+ *
+ * An address that is itself a reference is never reported: two owners
+ * that happen to look alike are both known to the signer.
+ *
+ * @param {Array} entries - [{ address, location }] addresses to check, e.g. "target", "param to"
+ * @param {object} options - { profile, chainId, now, references } (references default to collectReferenceAddresses())
+ * @returns {Array} [{ address, location, lookalike: { address, label, source }, prefix, suffix, distance }]
+ */
+export function detectAddressLookalikes(entries, options = {}) {
+  const references = (options.references || collectReferenceAddresses(options.profile, options.chainId, { now: options.now }))
+    .filter(reference => !isLowEntropyAddress(reference.address));
+  const known = new Set(references.map(reference => reference.address));
+  const findings = [];
+
+  for (const entry of entries) {
+    if (typeof entry.address !== "string" || !ADDRESS_PATTERN.test(entry.address)) continue;
+    const address = entry.address.toLowerCase();
+    if (known.has(address) || isLowEntropyAddress(address)) continue;
+
+    for (const reference of references) {
+      const comparison = compareAddresses(address, reference.address);
+      if (isLookalike(comparison)) {
+        findings.push({ address, location: entry.location, lookalike: reference, ...comparison });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * List the address values of decoded parameters, including inside arrays
+ * and tuples, with their location ("param path[0]")
+ *
+ * @param {object} params - Decoded parameters
+ * @param {string} prefix - Location prefix (default: "param")
+ * @returns {Array} [{ address, location }]
+ */
+export function collectParamAddresses(params, prefix = "param") {
+  const entries = [];
+  const visit = (value, location) => {
+    if (typeof value === "string") {
+      if (ADDRESS_PATTERN.test(value)) entries.push({ address: value, location });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, `${location}[${i}]`));
+    }
+  };
+  for (const [name, value] of Object.entries(params || {})) {
+    visit(value, `${prefix} ${name}`);
+  }
+  return entries;
+}
+
 export default {
   DISPLAY_CONTEXT,
   formatAddressTechnical,
@@ -191,5 +403,11 @@ export default {
   formatModuleHuman,
   formatOwnerHuman,
   hasKnownLabel,
-  getAddressDisplayInfo
+  getAddressDisplayInfo,
+  REFERENCE_SOURCE,
+  collectReferenceAddresses,
+  compareAddresses,
+  isLookalike,
+  detectAddressLookalikes,
+  collectParamAddresses
 };
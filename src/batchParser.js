@@ -19,25 +19,64 @@
  *   - value (32 bytes): ETH value in wei
  *   - dataLength (32 bytes): length of data
  *   - data (dataLength bytes): calldata
+ *
+ * Multicall variants (standard ABI encoding, expanded into the same call shape):
+ * - 0xac9650d8 multicall(bytes[]) - each entry is a call on the target itself
+ * - 0x5ae401dc multicall(uint256,bytes[]) - same, with a deadline
+ * - 0x252dba42 aggregate((address,bytes)[]) - each entry names its own target
+ *
+ * ERC-4337 handleOps bundles and smart-account execute/executeBatch calls
+ * are parsed into the same shape by userOperation.js, Safe Transaction
+ * Builder files by txBuilder.js.
  */
 
-// Known Safe MultiSend contract addresses (canonical deployments)
-// These are the official Safe deployment addresses across chains
-const KNOWN_MULTISEND_ADDRESSES = new Set([
-  // MultiSend (allows DELEGATECALL)
-  "0x40a2accbd92bca938b02010e17a5b8929b49130d", // v1.1.1
-  "0xa238cbeb142c10ef7ad8442c6d1f9e89e07e7761", // v1.3.0
-  "0x998739bfdaadde7c933b942a68053933098f9eda", // v1.4.1
+import { AbiCoder } from "ethers";
+import { resolveChain } from "./chains.js";
 
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+// Safe MultiSend deployments. The canonical ones are deterministic and share
+// their address on every EVM chain; zkSync Era derives addresses differently
+// and has its own deployments.
+const CANONICAL_MULTISEND = {
+  // MultiSend (allows DELEGATECALL)
+  multiSend: [
+    "0x40a2accbd92bca938b02010e17a5b8929b49130d", // v1.1.1
+    "0xa238cbeb142c10ef7ad8442c6d1f9e89e07e7761", // v1.3.0
+    "0x998739bfdaadde7c933b942a68053933098f9eda", // v1.3.0 (eip155)
+    "0x38869bf66a61cf6bdb996a6ae40d5853fd43b526"  // v1.4.1
+  ],
   // MultiSendCallOnly (CALL only, no DELEGATECALL)
-  "0x40a2accbd92bca938b02010e17a5b8929b49130d", // v1.1.1 (same contract)
-  "0x9641d764fc13c8b624c04430c7356c1c7c8102e2", // v1.3.0 MultiSendCallOnly
-  "0x9641d764fc13c8b624c04430c7356c1c7c8102e2", // v1.4.1 MultiSendCallOnly
-]);
+  callOnly: [
+    "0x9641d764fc13c8b624c04430c7356c1c7c8102e2", // v1.3.0 / v1.4.1
+    "0xa1dabef33b3b82c7814b6d82a79e50f4ac44102b"  // v1.3.0 (eip155)
+  ]
+};
+
+const MULTISEND_DEPLOYMENTS_BY_CHAIN = {
+  324: {
+    multiSend: ["0x0dfcccb95225ffb03c6fbb2559b530c2b7c8a912"], // v1.3.0 (zkSync)
+    callOnly: ["0xf220d3b4dfb23c4ade8c88e526c1353abacbc38f"]   // v1.3.0 (zkSync)
+  }
+};
+
+/**
+ * MultiSend deployments on a chain (canonical ones unless the chain has its own)
+ */
+function getMultiSendDeployments(chainId) {
+  return MULTISEND_DEPLOYMENTS_BY_CHAIN[resolveChain(chainId).chainId] || CANONICAL_MULTISEND;
+}
 
 // MultiSend function selector: multiSend(bytes)
 const MULTISEND_SELECTOR = "0x8d80ff0a";
 
+// Multicall selectors and how to decode their call list
+const MULTICALL_SELECTORS = {
+  "0xac9650d8": { batchType: "MULTICALL", types: ["bytes[]"], dataIndex: 0 },
+  "0x5ae401dc": { batchType: "MULTICALL", types: ["uint256", "bytes[]"], dataIndex: 1 },
+  "0x252dba42": { batchType: "MULTICALL_AGGREGATE", types: ["(address,bytes)[]"], dataIndex: 0 }
+};
+
 // Operation types
 export const OPERATION_TYPE = {
   CALL: 0,
@@ -56,6 +95,11 @@ export const OPERATION_LABELS = {
 export const BATCH_TYPE = {
   MULTISEND: "MULTISEND",
   MULTISEND_CALL_ONLY: "MULTISEND_CALL_ONLY",
+  MULTICALL: "MULTICALL",
+  MULTICALL_AGGREGATE: "MULTICALL_AGGREGATE",
+  USER_OPERATIONS: "USER_OPERATIONS",
+  ACCOUNT_EXECUTION: "ACCOUNT_EXECUTION",
+  TX_BUILDER: "TX_BUILDER",
   NOT_BATCH: "NOT_BATCH",
   UNPARSEABLE_BATCH: "UNPARSEABLE_BATCH"
 };
@@ -88,49 +132,64 @@ export function isMultiSendCalldata(calldata) {
   return selector === MULTISEND_SELECTOR;
 }
 
+/**
+ * Check if calldata is a multicall(bytes[]), multicall(uint256,bytes[])
+ * or aggregate((address,bytes)[]) call
+ *
+ * @param {string} calldata - Raw hex calldata
+ * @returns {boolean} True if this looks like a multicall
+ */
+export function isMulticallCalldata(calldata) {
+  if (!calldata || typeof calldata !== "string") {
+    return false;
+  }
+
+  const normalized = calldata.toLowerCase().trim();
+  if (!normalized.startsWith("0x") || normalized.length < 10) {
+    return false;
+  }
+
+  return Object.hasOwn(MULTICALL_SELECTORS, normalized.slice(0, 10));
+}
+
 /**
  * Check if an address is a known MultiSend contract
  *
  * @param {string} address - Contract address
+ * @param {number|string} chainId - Chain ID (default: 1, Ethereum)
  * @returns {boolean} True if this is a known MultiSend contract
  */
-export function isKnownMultiSendAddress(address) {
+export function isKnownMultiSendAddress(address, chainId) {
   if (!address || typeof address !== "string") {
     return false;
   }
-  return KNOWN_MULTISEND_ADDRESSES.has(address.toLowerCase());
+  const deployments = getMultiSendDeployments(chainId);
+  const normalized = address.toLowerCase();
+  return deployments.multiSend.includes(normalized) || deployments.callOnly.includes(normalized);
 }
 
 /**
  * Determine the batch type based on the target address
  *
  * @param {string} targetAddress - Target contract address
+ * @param {number|string} chainId - Chain ID (default: 1, Ethereum)
  * @returns {string} MULTISEND, MULTISEND_CALL_ONLY, or NOT_BATCH
  */
-export function determineBatchType(targetAddress) {
+export function determineBatchType(targetAddress, chainId) {
   if (!targetAddress) {
     return BATCH_TYPE.NOT_BATCH;
   }
 
   const normalized = targetAddress.toLowerCase();
+  const deployments = getMultiSendDeployments(chainId);
 
   // MultiSendCallOnly addresses (CALL only, safer)
-  const callOnlyAddresses = new Set([
-    "0x9641d764fc13c8b624c04430c7356c1c7c8102e2", // v1.3.0 / v1.4.1
-  ]);
-
-  if (callOnlyAddresses.has(normalized)) {
+  if (deployments.callOnly.includes(normalized)) {
     return BATCH_TYPE.MULTISEND_CALL_ONLY;
   }
 
   // Full MultiSend addresses (allows DELEGATECALL)
-  const multiSendAddresses = new Set([
-    "0x40a2accbd92bca938b02010e17a5b8929b49130d", // v1.1.1
-    "0xa238cbeb142c10ef7ad8442c6d1f9e89e07e7761", // v1.3.0
-    "0x998739bfdaadde7c933b942a68053933098f9eda", // v1.4.1
-  ]);
-
-  if (multiSendAddresses.has(normalized)) {
+  if (deployments.multiSend.includes(normalized)) {
     return BATCH_TYPE.MULTISEND;
   }
 
@@ -146,10 +205,11 @@ export function determineBatchType(targetAddress) {
  * @param {string} calldata - Raw hex calldata of the multiSend call
  * @param {object} options - Parsing options
  * @param {string} options.targetAddress - Target contract address (for determining batch type)
+ * @param {number|string} options.chainId - Chain ID of the MultiSend deployment (default: 1)
  * @returns {object} Parsed batch result
  */
 export function parseBatchTransaction(calldata, options = {}) {
-  const { targetAddress } = options;
+  const { targetAddress, chainId } = options;
 
   // Default result for non-batch transactions
   const notBatchResult = {
@@ -171,7 +231,7 @@ export function parseBatchTransaction(calldata, options = {}) {
   // Determine batch type from target address
   let batchType = BATCH_TYPE.MULTISEND; // Default assumption
   if (targetAddress) {
-    const detectedType = determineBatchType(targetAddress);
+    const detectedType = determineBatchType(targetAddress, chainId);
     if (detectedType !== BATCH_TYPE.NOT_BATCH) {
       batchType = detectedType;
     }
@@ -329,6 +389,72 @@ function parseMultiSendPayload(calldata) {
   return calls;
 }
 
+/**
+ * Parse a multicall transaction into individual sub-calls.
+ *
+ * Sub-calls use the same shape as MultiSend entries so they go through the
+ * same analysis. multicall(bytes[]) entries run on the called contract
+ * itself, so their target is options.targetAddress (null if unknown).
+ * Multicall sub-calls never carry their own ETH value or DELEGATECALL flag.
+ *
+ * @param {string} calldata - Raw hex calldata of the multicall
+ * @param {object} options - Parsing options
+ * @param {string} options.targetAddress - Contract receiving the multicall
+ * @returns {object} Parsed batch result
+ */
+export function parseMulticallTransaction(calldata, options = {}) {
+  const { targetAddress } = options;
+
+  if (!isMulticallCalldata(calldata)) {
+    return {
+      isBatch: false,
+      batchType: BATCH_TYPE.NOT_BATCH,
+      calls: []
+    };
+  }
+
+  const normalized = calldata.toLowerCase().trim();
+  const spec = MULTICALL_SELECTORS[normalized.slice(0, 10)];
+
+  try {
+    const decoded = abiCoder.decode(spec.types, "0x" + normalized.slice(10));
+    const entries = decoded[spec.dataIndex];
+
+    const calls = entries.map((entry) => {
+      const isAggregate = spec.batchType === BATCH_TYPE.MULTICALL_AGGREGATE;
+      const to = isAggregate ? entry[0].toLowerCase() : (targetAddress ? targetAddress.toLowerCase() : null);
+      const data = isAggregate ? entry[1] : entry;
+      const dataLength = (data.length - 2) / 2;
+
+      return {
+        operation: OPERATION_TYPE.CALL,
+        operationLabel: OPERATION_LABELS[OPERATION_TYPE.CALL],
+        to,
+        value: 0n,
+        valueWei: "0",
+        data: dataLength > 0 ? data : "0x",
+        dataLength
+      };
+    });
+
+    return {
+      isBatch: true,
+      batchType: spec.batchType,
+      calls,
+      callCount: calls.length
+    };
+
+  } catch (error) {
+    return {
+      isBatch: true,
+      batchType: BATCH_TYPE.UNPARSEABLE_BATCH,
+      calls: [],
+      error: error.message,
+      rawCalldata: calldata
+    };
+  }
+}
+
 /**
  * Format a parsed batch for display
  *
@@ -350,7 +476,7 @@ export function formatBatchSummary(batchResult) {
       lines.push(`Error: ${batchResult.error}`);
     }
     lines.push("");
-    lines.push("The transaction appears to be a MultiSend batch but could not be decoded.");
+    lines.push("The transaction appears to be a batch but could not be decoded.");
     lines.push("Manual verification is required.");
     return lines;
   }
@@ -382,8 +508,10 @@ export default {
   OPERATION_LABELS,
   BATCH_TYPE,
   isMultiSendCalldata,
+  isMulticallCalldata,
   isKnownMultiSendAddress,
   determineBatchType,
   parseBatchTransaction,
+  parseMulticallTransaction,
   formatBatchSummary
 };
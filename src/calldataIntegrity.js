@@ -0,0 +1,259 @@
+/**
+ * Calldata integrity (canonical ABI encoding)
+ *
+ * ethers decodes calldata leniently: bytes after the ABI payload are
+ * ignored, bool and uintN words keep only their low bits, bytesN ignore
+ * their padding and dynamic offsets may point anywhere. Calldata built
+ * this way can smuggle a payload no decoder shows, or make two decoders
+ * (the wallet's and the contract's) read different values.
+ *
+ * The decoded parameters are re-encoded with the standard encoder and the
+ * result is compared with the input word by word. Calldata is canonical
+ * only when the two are identical; each difference is reported with the
+ * parameter it belongs to.
+ */
+
+import { AbiCoder, ParamType, getBytes, hexlify, toUtf8Bytes } from "ethers";
+import { parseSignature, extractParamData } from "./decoder.js";
+
+/**
+ * Kinds of integrity issue
+ */
+export const INTEGRITY_ISSUE = {
+  TRAILING_BYTES: "TRAILING_BYTES",             // Bytes after the ABI payload
+  DIRTY_BITS: "DIRTY_BITS",                     // Unused bits set in an address/bool/uintN/intN/bytesN word
+  NON_CANONICAL_OFFSET: "NON_CANONICAL_OFFSET", // Dynamic data not where a standard encoder puts it
+  DIRTY_PADDING: "DIRTY_PADDING",               // Non-zero padding after bytes/string data
+  NON_CANONICAL_ENCODING: "NON_CANONICAL_ENCODING"
+};
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+const WORD = 32;
+
+function isDynamic(param) {
+  if (param.baseType === "string" || param.baseType === "bytes") return true;
+  if (param.baseType === "array") return param.arrayLength === -1 || isDynamic(param.arrayChildren);
+  if (param.baseType === "tuple") return param.components.some(isDynamic);
+  return false;
+}
+
+/**
+ * Words a static parameter occupies in place
+ */
+function staticWords(param) {
+  if (param.baseType === "array") return param.arrayLength * staticWords(param.arrayChildren);
+  if (param.baseType === "tuple") return param.components.reduce((sum, component) => sum + staticWords(component), 0);
+  return 1;
+}
+
+/**
+ * Words of the canonical encoding of a value, each annotated with the
+ * parameter it encodes: { kind: "value"|"offset"|"length"|"data", path, type }
+ */
+function layout(param, value, path) {
+  if (param.baseType === "string" || param.baseType === "bytes") {
+    const length = param.baseType === "string" ? toUtf8Bytes(value).length : getBytes(value).length;
+    const words = [{ kind: "length", path, type: param.type }];
+    for (let i = 0; i < Math.ceil(length / WORD); i++) {
+      const used = Math.min(WORD, length - i * WORD);
+      words.push({ kind: "data", path, type: param.type, used });
+    }
+    return words;
+  }
+  if (param.baseType === "array") {
+    const words = layoutSequence(Array.from(value, (item, i) => [param.arrayChildren, item, `${path}[${i}]`]));
+    return param.arrayLength === -1 ? [{ kind: "length", path, type: param.type }, ...words] : words;
+  }
+  if (param.baseType === "tuple") {
+    return layoutSequence(param.components.map((component, i) => [component, value[i], `${path}.${component.name || i}`]));
+  }
+  return [{ kind: "value", path, type: param.type }];
+}
+
+/**
+ * Head/tail layout of a tuple, an array's elements or the top-level parameters
+ */
+function layoutSequence(items) {
+  const head = [];
+  const tail = [];
+  for (const [param, value, path] of items) {
+    if (isDynamic(param)) {
+      head.push({ kind: "offset", path, type: param.type });
+      tail.push(...layout(param, value, path));
+    } else {
+      head.push(...layout(param, value, path));
+    }
+  }
+  return [...head, ...tail];
+}
+
+function wordAt(bytes, index) {
+  return bytes.slice(index * WORD, (index + 1) * WORD);
+}
+
+function describeWord(word, input, canonical, index) {
+  const offset = 4 + index * WORD;
+  const base = { path: word.path, offset };
+
+  if (word.kind === "value") {
+    const problem = word.type === "bool" ? "is neither 0 nor 1" : "has non-zero bits outside its value";
+    return {
+      ...base,
+      type: INTEGRITY_ISSUE.DIRTY_BITS,
+      description: `${word.path} (${word.type}) ${problem} - decoders can read different values`
+    };
+  }
+  if (word.kind === "offset") {
+    return {
+      ...base,
+      type: INTEGRITY_ISSUE.NON_CANONICAL_OFFSET,
+      description: `${word.path} (${word.type}) offset is ${BigInt(hexlify(input))} instead of ${BigInt(hexlify(canonical))}`
+    };
+  }
+  if (word.kind === "data" && input.slice(0, word.used).every((byte, i) => byte === canonical[i])) {
+    return {
+      ...base,
+      type: INTEGRITY_ISSUE.DIRTY_PADDING,
+      description: `${word.path} (${word.type}) is followed by non-zero padding`
+    };
+  }
+  return {
+    ...base,
+    type: INTEGRITY_ISSUE.NON_CANONICAL_ENCODING,
+    description: `${word.path} (${word.type}) is not encoded the way a standard encoder would`
+  };
+}
+
+/**
+ * Check top-level address and bool words of calldata ethers refused to
+ * decode (it rejects addresses with dirty high-order bits)
+ */
+function checkHeadWords(params, names, bytes) {
+  const issues = [];
+  let index = 0;
+
+  params.forEach((param, i) => {
+    const word = wordAt(bytes, index);
+    if (word.length === WORD && !isDynamic(param)) {
+      const path = names[i] || `param${i}`;
+      const dirtyAddress = param.baseType === "address" && word.slice(0, 12).some(byte => byte !== 0);
+      const dirtyBool = param.baseType === "bool" && (word.slice(0, 31).some(byte => byte !== 0) || word[31] > 1);
+      if (dirtyAddress || dirtyBool) {
+        issues.push(describeWord({ kind: "value", path, type: param.type }, word, null, index));
+      }
+    }
+    index += isDynamic(param) ? 1 : staticWords(param);
+  });
+
+  return issues;
+}
+
+/**
+ * Check that calldata is the canonical ABI encoding of its parameters
+ *
+ * @param {string} calldata - Hex calldata (selector + parameters)
+ * @param {string} signature - Function signature it was decoded with, e.g. "transfer(address,uint256)"
+ * @param {string[]} paramNames - Parameter names for the issue paths (default: param0, param1...)
+ * @returns {object|null} { canonical, decodable, inputLength, canonicalLength, trailingData, issues }
+ *   issues: [{ type, path, offset, description }] (offset: byte position in the calldata).
+ *   null when the signature does not parse, or the calldata is odd-length hex or does not
+ *   decode for another reason.
+ */
+export function checkCalldataIntegrity(calldata, signature, paramNames = []) {
+  let params;
+  try {
+    params = parseSignature(signature).types.map(type => ParamType.from(type));
+  } catch {
+    return null;
+  }
+
+  const paramData = extractParamData(calldata);
+  if (paramData.length % 2 !== 0) {
+    return null;
+  }
+  const input = getBytes(paramData);
+  const names = params.map((param, i) => paramNames[i] || param.name || `param${i}`);
+
+  // ethers defers some decode errors until a value is read, so re-encoding is inside the try
+  let decoded;
+  let canonical;
+  try {
+    decoded = abiCoder.decode(params, input);
+    canonical = getBytes(abiCoder.encode(params, decoded));
+  } catch {
+    const issues = checkHeadWords(params, names, input);
+    return issues.length > 0
+      ? { canonical: false, decodable: false, inputLength: input.length, canonicalLength: null, trailingData: null, issues }
+      : null;
+  }
+
+  const words = layoutSequence(params.map((param, i) => [param, decoded[i], names[i]]));
+  const issues = [];
+  const seen = new Set();
+
+  for (let index = 0; index < words.length; index++) {
+    const inputWord = wordAt(input, index);
+    const canonicalWord = wordAt(canonical, index);
+    if (inputWord.length < WORD) break;
+    if (inputWord.every((byte, i) => byte === canonicalWord[i])) continue;
+
+    const issue = describeWord(words[index], inputWord, canonicalWord, index);
+    const key = `${issue.type}:${issue.path}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      issues.push(issue);
+    }
+  }
+
+  // Data read through a moved offset differs wherever it lands; the offset is the finding
+  const hasOffsetIssue = issues.some(issue => issue.type === INTEGRITY_ISSUE.NON_CANONICAL_OFFSET);
+  const reported = hasOffsetIssue
+    ? issues.filter(issue => issue.type !== INTEGRITY_ISSUE.DIRTY_PADDING && issue.type !== INTEGRITY_ISSUE.NON_CANONICAL_ENCODING)
+    : issues;
+
+  let trailingData = null;
+  if (input.length > canonical.length) {
+    trailingData = hexlify(input.slice(canonical.length));
+    reported.push({
+      type: INTEGRITY_ISSUE.TRAILING_BYTES,
+      path: null,
+      offset: 4 + canonical.length,
+      description: `${input.length - canonical.length} byte(s) after the encoded parameters are ignored by the decoder but still sent to the contract`
+    });
+  } else if (input.length < canonical.length) {
+    reported.push({
+      type: INTEGRITY_ISSUE.NON_CANONICAL_OFFSET,
+      path: null,
+      offset: 4 + input.length,
+      description: `Calldata is ${canonical.length - input.length} byte(s) shorter than its canonical encoding: dynamic parameters share data`
+    });
+  }
+
+  return {
+    canonical: reported.length === 0,
+    decodable: true,
+    inputLength: input.length,
+    canonicalLength: canonical.length,
+    trailingData,
+    issues: reported
+  };
+}
+
+/**
+ * Warnings for a non-canonical check result
+ *
+ * @param {object} integrity - checkCalldataIntegrity() result
+ * @returns {string[]} One warning per issue (empty when canonical)
+ */
+export function integrityWarnings(integrity) {
+  if (!integrity || integrity.canonical) {
+    return [];
+  }
+  return integrity.issues.map(issue => `NON-CANONICAL CALLDATA: ${issue.description}`);
+}
+
+export default {
+  INTEGRITY_ISSUE,
+  checkCalldataIntegrity,
+  integrityWarnings
+};
@@ -0,0 +1,72 @@
+/**
+ * Supported chains
+ *
+ * Calldata means the same thing on every EVM chain, but the addresses around
+ * it do not: routers, MultiSend deployments and registry ABIs differ per
+ * chain. Everything chain-specific is keyed by the numeric chain ID resolved
+ * here; the name doubles as the ABI registry directory (abis/<name>/).
+ */
+
+export const DEFAULT_CHAIN_ID = 1;
+
+/**
+ * Chains with known-address tables and an ABI registry directory
+ */
+export const CHAINS = {
+  1: { name: "ethereum", label: "Ethereum" },
+  10: { name: "optimism", label: "Optimism" },
+  56: { name: "bsc", label: "BNB Smart Chain" },
+  100: { name: "gnosis", label: "Gnosis Chain" },
+  137: { name: "polygon", label: "Polygon" },
+  324: { name: "zksync", label: "zkSync Era" },
+  8453: { name: "base", label: "Base" },
+  42161: { name: "arbitrum", label: "Arbitrum One" },
+  11155111: { name: "sepolia", label: "Sepolia" }
+};
+
+/**
+ * Resolve a chain ID or chain name to its chain entry
+ *
+ * Unlisted chain IDs are accepted (the ABI registry falls back to
+ * abis/<chainId>/ and no known addresses are labelled) so that a new chain
+ * degrades to "unknown" rather than failing.
+ *
+ * @param {number|string|bigint} chain - Chain ID (1, "1", "0x1") or name ("polygon"); default: Ethereum
+ * @returns {object} { chainId, name, label, supported }
+ * @throws {Error} If the value is neither a positive integer nor a known name
+ */
+export function resolveChain(chain) {
+  if (chain === undefined || chain === null || chain === "") {
+    return { chainId: DEFAULT_CHAIN_ID, ...CHAINS[DEFAULT_CHAIN_ID], supported: true };
+  }
+
+  if (typeof chain === "string" && !/^(0x[0-9a-fA-F]+|\d+)$/.test(chain)) {
+    const entry = Object.entries(CHAINS).find(([, info]) => info.name === chain.toLowerCase());
+    if (!entry) {
+      throw new Error(`Unknown chain: ${chain}`);
+    }
+    return { chainId: Number(entry[0]), ...entry[1], supported: true };
+  }
+
+  let chainId;
+  try {
+    chainId = Number(BigInt(chain));
+  } catch {
+    throw new Error(`Invalid chainId: ${chain}`);
+  }
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid chainId: ${chain}`);
+  }
+
+  const info = CHAINS[chainId];
+  if (!info) {
+    return { chainId, name: String(chainId), label: `Chain ${chainId}`, supported: false };
+  }
+  return { chainId, ...info, supported: true };
+}
+
+export default {
+  DEFAULT_CHAIN_ID,
+  CHAINS,
+  resolveChain
+};
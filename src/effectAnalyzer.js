@@ -7,9 +7,13 @@
  * - If address is NOT in trusted registry, use generic descriptions
  * - Full addresses are shown ONLY in technical sections (handled by formatter)
  * - Never infer token symbols from calldata or external sources
+ * - Amounts show token decimals/symbols only from trustedAssets or the bundled token list
  */
 
+import { formatUnits } from "ethers";
 import { isMaxApproval, isZero } from "./decoder.js";
+import { getTrustedAsset, getTrustedRecipient, isAddressTrusted, isCodeDelegationAllowed } from "./trustProfile.js";
+import { resolveToken, describeTokenAmount } from "./tokenList.js";
 import {
   formatAddressHuman,
   formatTokenHuman,
@@ -135,6 +139,18 @@ export const EFFECT_TYPES = {
     baseSeverity: "CRITICAL",
     permanence: "IMMEDIATE",
     description: "Executes external code with full caller permissions"
+  },
+
+  // ═══════════════════════════════════════════════════════════════════
+  // EIP-7702 Code Delegation Effect Type
+  // SECURITY: A type-4 authorization makes every call to the EOA run the
+  // delegate's code - a standing DELEGATECALL that outlives the transaction.
+  // ═══════════════════════════════════════════════════════════════════
+
+  CODE_DELEGATION: {
+    baseSeverity: "CRITICAL",
+    permanence: "PERMANENT_UNTIL_CHANGED",
+    description: "Replaces an account's code with a delegate contract (EIP-7702)"
   }
 };
 
@@ -146,6 +162,8 @@ export const EFFECT_TYPES = {
  * @param {object} paramAnalysis - Analyzed parameters
  * @param {object} options - Additional options
  * @param {object} options.profile - Trust profile for address labels
+ * @param {string} options.targetAddress - Called contract (the token of ERC-20 calls)
+ * @param {number|string} options.chainId - Chain ID (selects the bundled token list)
  */
 export function analyzeEffects(selectorInfo, decodedParams, paramAnalysis, options = {}) {
   const { profile } = options;
@@ -177,7 +195,7 @@ export function analyzeEffects(selectorInfo, decodedParams, paramAnalysis, optio
     permanence: baseEffect.permanence,
     scope: paramAnalysis?.scope || "UNKNOWN",
     beneficiary: paramAnalysis?.beneficiary || null,
-    consequences: generateConsequences(effectType, selectorInfo, paramAnalysis, profile),
+    consequences: generateConsequences(effectType, selectorInfo, paramAnalysis, profile, options),
     warnings: generateWarnings(effectType, paramAnalysis),
     mitigations: generateMitigations(effectType, paramAnalysis)
   };
@@ -191,9 +209,176 @@ export function analyzeEffects(selectorInfo, decodedParams, paramAnalysis, optio
     effect.warnings = [];
   }
 
+  // Safe gas refunds are paid out of the Safe's own balance
+  if (effectType === "SAFE_EXECUTION" && decodedParams) {
+    return applyGasRefund(effect, decodedParams, options);
+  }
+
   return effect;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// Safe Gas Refund Analysis
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Gas assumed when safeTxGas is 0 and the refund is bounded only by the
+// gas the executor spends (Ethereum mainnet block gas limit)
+const REFUND_GAS_CAP = 30000000n;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Analyze the gas refund a Safe transaction pays from the Safe's balance.
+ *
+ * execTransaction pays (gasUsed + baseGas) * gasPrice in gasToken (ETH when
+ * gasToken is zero) to refundReceiver, or to the executor (tx.origin) when
+ * refundReceiver is zero. A high gasPrice with an untrusted refundReceiver
+ * drains the Safe without any visible transfer in the inner call.
+ *
+ * @param {object} fields - { safeTxGas, baseGas, gasPrice, gasToken, refundReceiver }
+ * @param {object} options - Options
+ * @param {object} options.profile - Trust profile (trustedAssets name the gasToken)
+ * @param {string} options.executor - Address submitting the transaction, if known
+ * @param {string} options.safeAddress - The Safe paying the refund, if known
+ * @returns {object|null} Refund analysis, or null when gasPrice is 0 (no refund)
+ */
+export function analyzeGasRefund(fields, options = {}) {
+  const { profile } = options;
+  const gasPrice = toUint(fields?.gasPrice);
+  if (!gasPrice) {
+    return null;
+  }
+
+  const safeTxGas = toUint(fields.safeTxGas);
+  const baseGas = toUint(fields.baseGas);
+  const gasToken = (fields.gasToken || ZERO_ADDRESS).toLowerCase();
+  const refundReceiver = (fields.refundReceiver || ZERO_ADDRESS).toLowerCase();
+
+  // With safeTxGas = 0 the Safe refunds whatever gas the execution uses
+  const bounded = safeTxGas > 0n;
+  const worstCaseGas = (bounded ? safeTxGas : REFUND_GAS_CAP) + baseGas;
+  const worstCasePayment = worstCaseGas * gasPrice;
+
+  const isEthRefund = gasToken === ZERO_ADDRESS;
+  const asset = isEthRefund ? null : getTrustedAsset(gasToken, profile);
+  const gasTokenTrusted = isEthRefund || !!asset;
+  const gasTokenLabel = isEthRefund ? "ETH" : (asset?.symbol || "an untrusted token");
+
+  const receiverKind = classifyRefundReceiver(refundReceiver, options);
+
+  const consequences = [];
+  const warnings = [];
+  const mitigations = [];
+  let severity = "MEDIUM";
+
+  const payout = formatRefundAmount(worstCasePayment, isEthRefund ? 18 : asset?.decimals);
+  consequences.push(
+    `Pays a gas refund of up to ${payout} ${gasTokenLabel} from the Safe to ${describeRefundReceiver(refundReceiver, receiverKind, profile)}`
+  );
+  if (!bounded) {
+    warnings.push(`safeTxGas is 0 - the refund is limited only by the gas spent (estimated at ${REFUND_GAS_CAP} gas)`);
+  }
+
+  if (!gasTokenTrusted) {
+    warnings.push(`The refund is paid in ${gasToken}, which is not in your trustedAssets - its value cannot be assessed`);
+    severity = "HIGH";
+  }
+
+  if (receiverKind === "UNTRUSTED") {
+    warnings.push("The gas refund goes to an address that is neither the executor nor trusted - a known Safe drain pattern");
+    mitigations.push("Set gasPrice to 0 or refundReceiver to the zero address unless you rely on a trusted relayer");
+    severity = "CRITICAL";
+  }
+
+  return {
+    gasPrice: gasPrice.toString(),
+    safeTxGas: safeTxGas.toString(),
+    baseGas: baseGas.toString(),
+    gasToken,
+    gasTokenLabel,
+    gasTokenTrusted,
+    isEthRefund,
+    refundReceiver,
+    receiverKind,
+    bounded,
+    worstCaseGas: worstCaseGas.toString(),
+    worstCasePayment: worstCasePayment.toString(),
+    severity,
+    consequences,
+    warnings,
+    mitigations
+  };
+}
+
+/**
+ * Fold a gas refund analysis into a Safe execution effect
+ *
+ * @param {object} effect - Effect of the Safe transaction
+ * @param {object} fields - SafeTx gas fields (see analyzeGasRefund)
+ * @param {object} options - Options for analyzeGasRefund
+ * @returns {object} Effect with gasRefund attached and severity raised if needed
+ */
+export function applyGasRefund(effect, fields, options = {}) {
+  const gasRefund = analyzeGasRefund(fields, options);
+  if (!gasRefund) {
+    return effect;
+  }
+
+  return {
+    ...effect,
+    severity: higherSeverity(effect.severity, gasRefund.severity),
+    gasRefund,
+    consequences: [...(effect.consequences || []), ...gasRefund.consequences],
+    warnings: [...(effect.warnings || []), ...gasRefund.warnings],
+    mitigations: [...(effect.mitigations || []), ...gasRefund.mitigations]
+  };
+}
+
+/**
+ * Classify who receives the refund: EXECUTOR, SAFE, TRUSTED or UNTRUSTED
+ */
+function classifyRefundReceiver(receiver, options) {
+  // Zero refundReceiver means tx.origin - whoever executes the transaction
+  if (receiver === ZERO_ADDRESS) return "EXECUTOR";
+  if (options.executor && receiver === options.executor.toLowerCase()) return "EXECUTOR";
+  if (options.safeAddress && receiver === options.safeAddress.toLowerCase()) return "SAFE";
+  if (isAddressTrusted(receiver, options.profile) || getTrustedRecipient(receiver, options.profile)) return "TRUSTED";
+  return "UNTRUSTED";
+}
+
+function describeRefundReceiver(receiver, kind, profile) {
+  switch (kind) {
+    case "EXECUTOR":
+      return "the executor";
+    case "SAFE":
+      return "the Safe itself";
+    default:
+      return formatAddressHuman(receiver, profile, receiver);
+  }
+}
+
+function formatRefundAmount(amount, decimals) {
+  if (decimals === undefined || decimals === null) {
+    return amount.toString();
+  }
+  // formatUnits always keeps one decimal ("1.0"); drop it for whole amounts
+  return formatUnits(amount, decimals).replace(/\.0$/, "");
+}
+
+function toUint(value) {
+  if (value === undefined || value === null || value === "") return 0n;
+  try {
+    return BigInt(value);
+  } catch {
+    return 0n;
+  }
+}
+
+function higherSeverity(a, b) {
+  const levels = ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"];
+  return levels.indexOf(b) > levels.indexOf(a) ? b : a;
+}
+
 /**
  * Create an effect for unknown/unverified signatures
  */
@@ -231,10 +416,11 @@ function createUnknownEffect(selectorInfo) {
  * @param {string} targetAddress - Target contract address
  * @param {string} selector - Function selector
  * @param {object} selectorInfo - Selector information (may be misleading!)
+ * @param {object} storageAnalysis - Optional Safe storage analysis from a trace or simulation
  * @returns {object} Effect with CRITICAL severity
  */
-export function createDelegatecallEffect(targetAddress, selector, selectorInfo) {
-  return {
+export function createDelegatecallEffect(targetAddress, selector, selectorInfo, storageAnalysis = null) {
+  const effect = {
     effectType: "DELEGATECALL_EXECUTION",
     verified: false, // Even if we have a signature, we can't trust it in DELEGATECALL context
     severity: "CRITICAL",
@@ -262,6 +448,158 @@ export function createDelegatecallEffect(targetAddress, selector, selectorInfo)
       "Contact your security team before proceeding"
     ]
   };
+
+  return storageAnalysis ? applyStorageEvidence(effect, storageAnalysis) : effect;
+}
+
+/**
+ * Replace the generic "can modify ANY state" DELEGATECALL consequence with
+ * the Safe storage changes a trace or simulation actually observed.
+ *
+ * Evidence only describes the simulated state: severity is left unchanged.
+ *
+ * @param {object} effect - DELEGATECALL effect (createDelegatecallEffect or the index.js override)
+ * @param {object} storageAnalysis - Result of analyzeSafeStorageWrites
+ * @returns {object} Effect with storageEvidence attached
+ */
+export function applyStorageEvidence(effect, storageAnalysis) {
+  const evidence = storageAnalysis.findings.length > 0
+    ? storageAnalysis.findings.map(finding => `Observed in simulation: ${finding}`)
+    : ["Observed in simulation: no Safe owner, module, threshold, guard, fallback handler or singleton slot is written"];
+
+  const genericConsequence = "The code can modify ANY state: owners, balances, approvals, modules";
+  const consequences = (effect.consequences || []).filter(c => c !== genericConsequence);
+
+  const updated = {
+    ...effect,
+    storageEvidence: storageAnalysis,
+    consequences: [...consequences, ...evidence]
+  };
+
+  if (effect.delegatecallWarnings) {
+    updated.delegatecallWarnings = [
+      ...effect.delegatecallWarnings.filter(w => !w.includes("can modify ANY state")),
+      ...evidence
+    ];
+  }
+  if (storageAnalysis.controlChanged) {
+    updated.warnings = [
+      ...(effect.warnings || []),
+      "The simulated DELEGATECALL changes who controls the Safe - see the observed storage changes"
+    ];
+  }
+
+  return updated;
+}
+
+/**
+ * Analyze the authorization list of an EIP-7702 (type-4) transaction.
+ *
+ * Each tuple (chainId, address, nonce) signed by an EOA sets that EOA's code
+ * to "delegate to address". Delegates are checked against trustedDelegateCalls:
+ * an unknown delegate is CRITICAL, like an untrusted DELEGATECALL. A chainId of
+ * 0 makes the authorization valid on every chain, where the same address may
+ * hold different code - also CRITICAL, whatever the delegate. Delegating to the
+ * zero address clears a previous delegation.
+ *
+ * @param {Array} authorizationList - [{ chainId, address, nonce, authority }]
+ * @param {object} options - Options
+ * @param {object} options.profile - Trust profile (trustedDelegateCalls)
+ * @param {number} options.chainId - Chain ID of the transaction
+ * @param {Date|number|string} options.now - Evaluation time for trustedDelegateCalls windows
+ * @returns {object} CODE_DELEGATION effect with an `authorizations` array
+ */
+export function analyzeCodeDelegation(authorizationList, options = {}) {
+  const { profile, chainId, now } = options;
+
+  const authorizations = (authorizationList || []).map(auth => {
+    const delegate = auth.address.toLowerCase();
+    const revocation = delegate === ZERO_ADDRESS;
+    return {
+      ...auth,
+      address: delegate,
+      revocation,
+      chainAgnostic: auth.chainId === 0,
+      wrongChain: auth.chainId !== 0 && chainId !== undefined && chainId !== null && auth.chainId !== chainId,
+      trusted: revocation || isCodeDelegationAllowed(delegate, profile, { now }).allowed,
+      label: revocation ? null : formatAddressHuman(delegate, profile, null)
+    };
+  });
+
+  const consequences = [];
+  const warnings = [];
+  const mitigations = [];
+  let severity = authorizations.length > 0 && authorizations.every(auth => auth.revocation) ? "LOW" : "HIGH";
+
+  for (const auth of authorizations) {
+    const account = auth.authority || "an account whose signature cannot be recovered";
+    if (auth.revocation) {
+      consequences.push(`Clears the code delegation of ${account}`);
+    } else {
+      consequences.push(
+        `Every call to ${account} will run the code of ${auth.label || auth.address} with that account's full permissions`
+      );
+    }
+
+    if (!auth.trusted) {
+      warnings.push(`CRITICAL: delegate ${auth.address} is NOT in your trustedDelegateCalls whitelist`);
+      severity = "CRITICAL";
+    }
+    if (auth.chainAgnostic && !auth.revocation) {
+      warnings.push(
+        `CRITICAL: the authorization for ${auth.address} has chainId 0 - it is valid on EVERY chain, where this address may hold different code`
+      );
+      severity = "CRITICAL";
+    }
+    if (auth.wrongChain) {
+      warnings.push(`The authorization for ${auth.address} is for chain ${auth.chainId} and is skipped on this chain`);
+    }
+    if (!auth.authority) {
+      warnings.push(`The authorization for ${auth.address} has an invalid signature and will be skipped`);
+    }
+  }
+
+  if (severity === "CRITICAL") {
+    warnings.push("The delegation persists after this transaction until the account signs a new one");
+    mitigations.push(
+      "STOP - Do not sign unless you have verified the delegate contract",
+      "Add the delegate to trustedDelegateCalls ONLY if you trust it completely",
+      "Sign authorizations for a specific chainId, never 0"
+    );
+  }
+
+  const untrusted = authorizations.find(auth => !auth.trusted);
+
+  return {
+    effectType: "CODE_DELEGATION",
+    verified: true,
+    severity,
+    permanence: EFFECT_TYPES.CODE_DELEGATION.permanence,
+    scope: "FULL_CONTROL",
+    beneficiary: untrusted ? untrusted.address : null,
+    isCodeDelegation: true,
+    authorizations,
+    consequences,
+    warnings,
+    mitigations
+  };
+}
+
+/**
+ * Fold an EIP-7702 code delegation into the effect of the call it travels with
+ *
+ * @param {object} effect - Effect of the transaction's calldata
+ * @param {object} delegation - Result of analyzeCodeDelegation
+ * @returns {object} Effect with severity raised and the delegation's findings appended
+ */
+export function applyCodeDelegation(effect, delegation) {
+  return {
+    ...effect,
+    severity: higherSeverity(effect.severity, delegation.severity),
+    consequences: [...(effect.consequences || []), ...delegation.consequences],
+    warnings: [...(effect.warnings || []), ...delegation.warnings],
+    mitigations: [...(effect.mitigations || []), ...delegation.mitigations]
+  };
 }
 
 /**
@@ -598,16 +936,19 @@ function determineAbiScope(functionName, decodedParams) {
   return "UNKNOWN";
 }
 
+// Common parameter names for beneficiaries
+const BENEFICIARY_KEYS = ['to', 'recipient', 'onBehalfOf', 'receiver', 'beneficiary'];
+
+// Parameters that receive an allowance rather than funds
+const SPENDER_KEYS = ['spender', 'operator'];
+
 /**
  * Extract beneficiary from decoded parameters
  */
 function extractBeneficiary(decodedParams) {
   if (!decodedParams) return null;
 
-  // Common parameter names for beneficiaries
-  const beneficiaryKeys = ['to', 'recipient', 'onBehalfOf', 'receiver', 'beneficiary'];
-
-  for (const key of beneficiaryKeys) {
+  for (const key of BENEFICIARY_KEYS) {
     if (decodedParams[key] && typeof decodedParams[key] === 'string' && decodedParams[key].startsWith('0x')) {
       return decodedParams[key];
     }
@@ -616,6 +957,42 @@ function extractBeneficiary(decodedParams) {
   return null;
 }
 
+/**
+ * Extract the counterparties of a call: who receives its funds, allowance
+ * or control.
+ *
+ * Combines the beneficiary/recipient of the selector's parameter analysis
+ * with recipient- and spender-named parameters (as decoded from a local
+ * ABI). Each address is listed once, under the parameter holding it.
+ *
+ * @param {object} decodedParams - Decoded parameters
+ * @param {object} paramAnalysis - Analyzed parameters
+ * @returns {Array} [{ address, role }] with lowercase addresses
+ */
+export function extractCounterparties(decodedParams, paramAnalysis) {
+  const params = decodedParams || {};
+  const candidates = [
+    paramAnalysis?.beneficiary,
+    paramAnalysis?.recipient,
+    extractBeneficiary(decodedParams),
+    ...SPENDER_KEYS.map(key => params[key])
+  ];
+
+  const counterparties = [];
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string" || !/^0x[a-fA-F0-9]{40}$/.test(candidate)) continue;
+    const address = candidate.toLowerCase();
+    if (counterparties.some(c => c.address === address)) continue;
+
+    const role = Object.keys(params).find(name =>
+      typeof params[name] === "string" && params[name].toLowerCase() === address
+    );
+    counterparties.push({ address, role: role || "beneficiary" });
+  }
+
+  return counterparties;
+}
+
 /**
  * Generate consequences for ABI-verified selectors
  */
@@ -773,13 +1150,27 @@ function elevate(severity) {
  * @param {object} selectorInfo - Selector information
  * @param {object} paramAnalysis - Analyzed parameters
  * @param {object} profile - Trust profile for address labels (optional)
+ * @param {object} options - analyzeEffects() options: targetAddress (the token of
+ *   ERC-20 calls) and chainId resolve token decimals and symbols
  */
-function generateConsequences(effectType, selectorInfo, paramAnalysis, profile) {
+function generateConsequences(effectType, selectorInfo, paramAnalysis, profile, options = {}) {
   const consequences = [];
 
+  // Amounts of a known token read "1,000.00 USDC (raw: 1000000000)", others "1000000000 tokens"
+  const tokenOptions = { profile, chainId: options.chainId };
+  const amountOf = (amount, tokenAddress, unit = "tokens") => {
+    const token = typeof amount === "bigint" ? resolveToken(tokenAddress, tokenOptions) : null;
+    if (token) return describeTokenAmount(amount, token).display;
+    return unit ? `${formatAmount(amount)} ${unit}` : formatAmount(amount);
+  };
+  const swapPath = Array.isArray(paramAnalysis?.swapPath) ? paramAnalysis.swapPath : [];
+  const swapIn = swapPath[0];
+  const swapOut = swapPath[swapPath.length - 1];
+
   // Helper to format beneficiary/spender with trust-aware labels
   const humanSpender = (addr) => formatSpenderHuman(addr, profile);
   const humanRecipient = (addr) => formatRecipientHuman(addr, profile);
+  const knownRecipient = (addr) => hasKnownLabel(addr, profile) || getTrustedRecipient(addr, profile) !== null;
   const humanToken = (addr) => formatTokenHuman(addr, profile);
 
   switch (effectType) {
@@ -802,11 +1193,11 @@ function generateConsequences(effectType, selectorInfo, paramAnalysis, profile)
         const spenderLabel = humanSpender(paramAnalysis.beneficiary);
         if (hasKnownLabel(paramAnalysis.beneficiary, profile)) {
           consequences.push(
-            `${spenderLabel} can transfer up to ${formatAmount(amount)} tokens from your wallet`
+            `${spenderLabel} can transfer up to ${amountOf(amount, options.targetAddress)} from your wallet`
           );
         } else {
           consequences.push(
-            `A spender address can transfer up to ${formatAmount(amount)} tokens from your wallet`
+            `A spender address can transfer up to ${amountOf(amount, options.targetAddress)} from your wallet`
           );
         }
         consequences.push("Each transfer will reduce this allowance until it reaches zero");
@@ -816,7 +1207,7 @@ function generateConsequences(effectType, selectorInfo, paramAnalysis, profile)
     case "ASSET_TRANSFER":
       if (paramAnalysis?.scope === "SINGLE_TOKEN") {
         const recipientLabel = humanRecipient(paramAnalysis.beneficiary);
-        if (hasKnownLabel(paramAnalysis.beneficiary, profile)) {
+        if (knownRecipient(paramAnalysis.beneficiary)) {
           consequences.push(
             `NFT #${paramAnalysis.tokenId} will be transferred to ${recipientLabel}`
           );
@@ -829,23 +1220,23 @@ function generateConsequences(effectType, selectorInfo, paramAnalysis, profile)
       } else if (paramAnalysis?.scope === "SWAP") {
         if (paramAnalysis.inputAmount) {
           consequences.push(
-            `You will swap ${formatAmount(paramAnalysis.inputAmount)} tokens`
+            `You will swap ${amountOf(paramAnalysis.inputAmount, swapIn)}`
           );
         } else if (paramAnalysis.exactOutput) {
           consequences.push(
-            `You will receive exactly ${formatAmount(paramAnalysis.exactOutput)} tokens`
+            `You will receive exactly ${amountOf(paramAnalysis.exactOutput, swapOut)}`
           );
         } else {
           consequences.push("You will swap ETH for tokens");
         }
         if (paramAnalysis.minOutput) {
           consequences.push(
-            `Minimum output: ${formatAmount(paramAnalysis.minOutput)} (transaction reverts if not met)`
+            `Minimum output: ${amountOf(paramAnalysis.minOutput, swapOut, null)} (transaction reverts if not met)`
           );
         }
         if (paramAnalysis.recipient) {
           const recipientLabel = humanRecipient(paramAnalysis.recipient);
-          if (hasKnownLabel(paramAnalysis.recipient, profile)) {
+          if (knownRecipient(paramAnalysis.recipient)) {
             consequences.push(
               `Output tokens will be sent to: ${recipientLabel}`
             );
@@ -870,16 +1261,16 @@ function generateConsequences(effectType, selectorInfo, paramAnalysis, profile)
         consequences.push("Your ETH will be converted to WETH (1:1)");
         consequences.push("WETH is an ERC20 token that can be used in DeFi protocols");
       } else if (paramAnalysis?.scope === "UNWRAP") {
-        consequences.push(`${formatAmount(paramAnalysis.amount)} WETH will be converted back to ETH`);
+        consequences.push(`${amountOf(paramAnalysis.amount, options.targetAddress, "WETH")} will be converted back to ETH`);
       } else {
         const recipientLabel = humanRecipient(paramAnalysis?.beneficiary);
-        if (hasKnownLabel(paramAnalysis?.beneficiary, profile)) {
+        if (knownRecipient(paramAnalysis?.beneficiary)) {
           consequences.push(
-            `${formatAmount(paramAnalysis?.amount)} tokens will be transferred to ${recipientLabel}`
+            `${amountOf(paramAnalysis?.amount, options.targetAddress)} will be transferred to ${recipientLabel}`
           );
         } else {
           consequences.push(
-            `${formatAmount(paramAnalysis?.amount)} tokens will be transferred to a recipient address`
+            `${amountOf(paramAnalysis?.amount, options.targetAddress)} will be transferred to a recipient address`
           );
         }
         consequences.push("This transfer is IMMEDIATE and IRREVERSIBLE once confirmed");
@@ -1211,8 +1602,8 @@ function generateSafeThresholdChangeConsequences(paramAnalysis, profile) {
     `After this change, ${paramAnalysis?.newThreshold} owner signature(s) will be required to execute transactions`
   );
 
-  // Note: We can't know the current threshold without additional context,
-  // so we describe what different threshold values mean
+  // The current threshold is not in the calldata; with the owners and
+  // threshold in the profile, decode() adds the before/after M-of-N
   if (paramAnalysis?.newThreshold === BigInt(1) || paramAnalysis?.newThreshold === 1) {
     consequences.push(
       "⚠️ A threshold of 1 means ANY single owner can execute transactions alone"
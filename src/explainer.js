@@ -106,7 +106,7 @@ function enrichWithKnownAddresses(analysis) {
   const enriched = { ...analysis };
 
   if (analysis.effect?.beneficiary) {
-    const known = lookupAddress(analysis.effect.beneficiary);
+    const known = lookupAddress(analysis.effect.beneficiary, analysis.chainId);
     if (known) {
       enriched.knownBeneficiary = known;
     }
@@ -164,7 +164,7 @@ function buildFallbackExplanation(analysis) {
 
   // Beneficiary
   if (effect.beneficiary) {
-    const known = lookupAddress(effect.beneficiary);
+    const known = lookupAddress(effect.beneficiary, analysis.chainId);
     parts.push("");
     parts.push("## Who Benefits or Gains Control");
     if (known) {
@@ -224,7 +224,7 @@ function buildTrustProfileFallback(analysis, effect, trustContext) {
 
   // Beneficiary
   if (effect.beneficiary) {
-    const known = lookupAddress(effect.beneficiary);
+    const known = lookupAddress(effect.beneficiary, analysis.chainId);
     parts.push("");
     parts.push("## Who Benefits or Gains Control");
     if (known) {
@@ -287,7 +287,7 @@ function buildAbiVerifiedFallback(analysis, effect, trustContext) {
 
   // Beneficiary
   if (effect.beneficiary) {
-    const known = lookupAddress(effect.beneficiary);
+    const known = lookupAddress(effect.beneficiary, analysis.chainId);
     parts.push("");
     parts.push("## Who Benefits or Gains Control");
     if (known) {
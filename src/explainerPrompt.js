@@ -94,7 +94,7 @@ export function buildExplainerPrompt(analysis, options = {}) {
   }
 
   // Build the safe context object (no raw calldata, no hex)
-  const safeContext = buildSafeContext(effect, signature, params);
+  const safeContext = buildSafeContext(effect, signature, params, analysis.tokenAmounts);
 
   // Build the system prompt with strict boundaries
   const systemPrompt = buildSystemPrompt();
@@ -302,7 +302,7 @@ function buildAbiVerifiedPrompt(analysis, effect, trustContext) {
     beneficiary: formatBeneficiaryForAI(effect.beneficiary),
 
     // Parameter descriptions
-    parameterDescriptions: formatParametersForAI(analysis.params, effect)
+    parameterDescriptions: formatParametersForAI(analysis.params, effect, analysis.tokenAmounts)
   };
 
   // Build system prompt for ABI-verified transactions
@@ -510,7 +510,7 @@ function buildTrustProfilePrompt(analysis, effect, trustContext) {
     beneficiary: formatBeneficiaryForAI(effect.beneficiary),
 
     // Parameter descriptions if available
-    parameterDescriptions: formatParametersForAI(analysis.params, effect)
+    parameterDescriptions: formatParametersForAI(analysis.params, effect, analysis.tokenAmounts)
   };
 
   // Build system prompt with trust profile awareness
@@ -673,7 +673,7 @@ function buildTrustProfileUserPrompt(context) {
  * Build a safe context object that contains NO raw data
  * Only pre-analyzed, human-readable information
  */
-function buildSafeContext(effect, signature, params) {
+function buildSafeContext(effect, signature, params, tokenAmounts) {
   const context = {
     // What type of action this is (pre-determined, not for AI to decide)
     actionType: mapEffectTypeToAction(effect.effectType),
@@ -697,7 +697,7 @@ function buildSafeContext(effect, signature, params) {
     functionDescription: extractFunctionDescription(signature),
 
     // Safe parameter descriptions (no raw hex, amounts formatted)
-    parameterDescriptions: formatParametersForAI(params, effect)
+    parameterDescriptions: formatParametersForAI(params, effect, tokenAmounts)
   };
 
   return context;
@@ -815,14 +815,17 @@ function extractFunctionDescription(signature) {
 /**
  * Format parameters in a safe way for AI consumption
  * No raw hex values, amounts formatted appropriately
+ * (in token units when tokenAmounts names the token)
  */
-function formatParametersForAI(params, effect) {
+function formatParametersForAI(params, effect, tokenAmounts = {}) {
   if (!params) return [];
 
   const descriptions = [];
 
   for (const [name, value] of Object.entries(params)) {
-    const desc = formatSingleParameter(name, value, effect);
+    const desc = tokenAmounts?.[name]
+      ? { name, description: tokenAmounts[name].display }
+      : formatSingleParameter(name, value, effect);
     if (desc) {
       descriptions.push(desc);
     }
@@ -5,9 +5,13 @@
 import { lookupAddress } from "./selectors.js";
 import { formatValue } from "./decoder.js";
 import { getSeverityInfo } from "./effectAnalyzer.js";
-import { CONTRACT_CLASSIFICATION, SELECTOR_CLASSIFICATION } from "./trustClassifier.js";
+import { CONTRACT_CLASSIFICATION, SELECTOR_CLASSIFICATION, RECIPIENT_CLASSIFICATION } from "./trustClassifier.js";
 import { getAddressLabel, hasKnownLabel } from "./addressDisplay.js";
+import { getTrustedRecipient, VALIDITY_STATUS } from "./trustProfile.js";
 import { BATCH_TYPE, formatBatchSummary } from "./batchParser.js";
+import { formatQuorum } from "./ownerState.js";
+import { integrityWarnings } from "./calldataIntegrity.js";
+import { describeFiredRule, POLICY_ACTION } from "./policyEngine.js";
 
 const BOX_WIDTH = 68;
 
@@ -24,45 +28,728 @@ function extractFunctionNameForJSON(signature) {
  * Create the main human-readable output
  */
 export function formatHumanReadable(result) {
+  if (result.isTypedData) {
+    return formatTypedDataOutput(result).join("\n");
+  }
+  if (result.isTxBuilder) {
+    return formatTxBuilderOutput(result).join("\n");
+  }
+
   const lines = [];
 
+  // The signed envelope comes first: it is what the signer actually authorizes
+  lines.push(...formatRawTransactionOutput(result));
+  lines.push(...formatCodeDelegationOutput(result));
+
+  // EIP-7702 transaction without calldata: the delegation is the whole effect
+  if (result.codeDelegation && !result.selector) {
+    return lines.join("\n");
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // BATCH TRANSACTION DETECTION (Phase 12)
   // If this is a batch transaction, show batch info first
   // ═══════════════════════════════════════════════════════════════════
 
-  if (result.isBatch && result.batchInfo) {
-    lines.push(...formatBatchOutput(result));
+  if (result.isBatch && result.batchInfo) {
+    lines.push(...formatBatchOutput(result));
+    lines.push("");
+    lines.push(separator());
+    lines.push("");
+    // Continue with regular output for the MultiSend call itself
+  }
+
+  // If trust profile blocked interpretation, show special output
+  if (result.trustBlocked) {
+    lines.push(...formatTrustBlockedOutput(result));
+    lines.push(...formatParameterConstraintsOutput(result.trustContext?.parameterConstraints));
+    lines.push(...formatCalldataIntegrityOutput(result.calldataIntegrity));
+    lines.push(...formatAddressLookalikesOutput(result.addressLookalikes));
+    lines.push(...formatCounterpartiesOutput(result));
+    lines.push(...formatPolicyOutput(result.policy));
+    lines.push(...formatOwnerChangesOutput(result.ownerChanges));
+    lines.push(...formatInnerTransactionOutput(result));
+    lines.push(...formatSafeTxHashOutput(result));
+    lines.push(...formatSafeSignaturesOutput(result));
+    lines.push(...formatSimulationOutput(result));
+    return lines.join("\n");
+  }
+
+  // Add trust context header if available
+  if (result.trustContext && result.trustContext.profileLoaded) {
+    lines.push(...formatTrustContextHeader(result));
+    lines.push("");
+  }
+
+  // Check if this is ABI-verified, trust-profile-verified, or unverified
+  if (result.verified) {
+    lines.push(...formatVerifiedOutput(result));
+  } else if (result.effect?.trustProfileVerified || result.source === "TRUST_PROFILE") {
+    // Trust-profile-verified but not ABI-verified - use formatVerifiedOutput
+    // which will delegate to formatTrustProfileOutput for TRUST_PROFILE_SEMANTIC effects
+    lines.push(...formatVerifiedOutput(result));
+  } else {
+    lines.push(...formatUnverifiedOutput(result));
+  }
+
+  lines.push(...formatRouterCommandsOutput(result));
+  lines.push(...formatParameterConstraintsOutput(result.trustContext?.parameterConstraints));
+  lines.push(...formatCalldataIntegrityOutput(result.calldataIntegrity));
+  lines.push(...formatAddressLookalikesOutput(result.addressLookalikes));
+  lines.push(...formatCounterpartiesOutput(result));
+  lines.push(...formatPolicyOutput(result.policy));
+  lines.push(...formatOwnerChangesOutput(result.ownerChanges));
+  lines.push(...formatInnerTransactionOutput(result));
+  lines.push(...formatSafeTxHashOutput(result));
+  lines.push(...formatSafeSignaturesOutput(result));
+  lines.push(...formatSimulationOutput(result));
+
+  return lines.join("\n");
+}
+
+/**
+ * Format the decoded commands of a Universal Router execute() call
+ */
+function formatRouterCommandsOutput(result) {
+  const router = result.routerCommands;
+  if (!router) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine(`UNIVERSAL ROUTER: ${router.commands.length} commands`));
+  lines.push(boxBottom());
+  lines.push("");
+
+  if (router.error) {
+    lines.push(`Error: ${router.error}`);
+    lines.push("The router commands could not be decoded. Manual verification is required.");
+    return lines;
+  }
+
+  const total = router.commands.length;
+  for (const command of router.commands) {
+    const severity = command.effect.severity;
+    const revertTag = command.allowRevert ? " [ALLOW_REVERT]" : "";
+    lines.push(`[${command.index + 1}/${total}] ${getSeverityIndicator(severity)} ${command.name}${revertTag} → ${severity}`);
+    for (const consequence of command.effect.consequences) {
+      lines.push(`  ${wrapText(consequence, BOX_WIDTH - 4, "    ")}`);
+    }
+    for (const warning of command.effect.warnings) {
+      lines.push(`  ⚠ ${wrapText(warning, BOX_WIDTH - 6, "    ")}`);
+    }
+    lines.push("");
+  }
+
+  if (router.flagged > 0) {
+    lines.push(`⚠ ${router.flagged} command(s) flagged - review Permit2 approvals and recipients above`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format the inner call of a Safe execTransaction.
+ * The nested result is rendered with the same formatter, indented one level.
+ */
+function formatInnerTransactionOutput(result) {
+  const inner = result.innerTransaction;
+  if (!inner) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine(`INNER TRANSACTION (executed by the Safe, level ${inner.depth})`));
+  lines.push(boxBottom());
+  lines.push("");
+  lines.push(`  Target: ${inner.to || "unknown address"}`);
+  lines.push(`  Operation: ${inner.operation === 1 ? "DELEGATECALL" : "CALL"}`);
+  if (inner.value && inner.value !== "0") {
+    lines.push(`  Value: ${inner.value} wei`);
+  }
+  if (result.headerSeverity) {
+    lines.push(`  Overall Severity: ${result.headerSeverity} ${getSeverityIndicator(result.headerSeverity)}`);
+  }
+  lines.push("");
+
+  if (inner.isEthTransfer) {
+    lines.push("  Action: ETH transfer (no calldata)");
+    if (inner.isDelegatecall) {
+      lines.push("  ⚠ DELEGATECALL with empty calldata - executes the target's fallback in the Safe's context");
+    }
+    for (const warning of inner.counterpartyWarnings || []) {
+      lines.push(wrapText(`  ⚠ ${warning}`, 66, "    "));
+    }
+    return lines;
+  }
+
+  if (inner.error) {
+    lines.push(`  Error: ${inner.error}`);
+    lines.push("  The inner call could not be decoded. Manual verification is required.");
+    return lines;
+  }
+
+  const innerLines = formatHumanReadable({ ...inner, profile: result.profile }).split("\n");
+  for (const line of innerLines) {
+    lines.push(line ? `  ${line}` : line);
+  }
+
+  return lines;
+}
+
+/**
+ * Format the recomputed safeTxHash for comparison with the hardware wallet
+ */
+function formatSafeTxHashOutput(result) {
+  const hash = result.safeTxHash;
+  if (!hash) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("SAFE TRANSACTION HASH"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  if (hash.error) {
+    lines.push(`  Error: ${hash.error}`);
+    lines.push("  The safeTxHash could not be computed.");
+    return lines;
+  }
+
+  lines.push(`  safeTxHash:   ${hash.safeTxHash}`);
+  lines.push(`  Domain hash:  ${hash.domainHash}`);
+  lines.push(`  Message hash: ${hash.messageHash}`);
+  lines.push(`  Safe: ${hash.safeAddress} (version ${hash.safeVersion}${hash.chainId !== null ? `, chain ${hash.chainId}` : ""})`);
+  lines.push(`  Nonce: ${hash.safeTx.nonce}`);
+
+  if (hash.matches === true) {
+    lines.push("  ✓ Matches the expected safeTxHash");
+  } else if (hash.matches === false) {
+    lines.push(`  ✗ DOES NOT MATCH the expected safeTxHash ${hash.expectedSafeTxHash}`);
+    lines.push("    Do not sign - the wallet is asking for a different transaction.");
+  } else {
+    lines.push("  Compare this hash with the one shown on your hardware wallet before signing.");
+  }
+
+  return lines;
+}
+
+/**
+ * Format the trust profile's parameter constraints a call violates
+ */
+function formatParameterConstraintsOutput(constraints) {
+  if (!constraints || constraints.satisfied) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("PARAMETER CONSTRAINTS VIOLATED"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  for (const violation of constraints.violations) {
+    lines.push(`  ✗ ${wrapText(violation.description, 62, "    ")}`);
+  }
+  lines.push("");
+  lines.push("  Your trust profile allows this function only with other parameters.");
+
+  return lines;
+}
+
+/**
+ * Format the differences between the calldata and the canonical encoding
+ * of its decoded parameters
+ */
+function formatCalldataIntegrityOutput(integrity) {
+  if (!integrity || integrity.canonical) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("NON-CANONICAL CALLDATA"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  for (const issue of integrity.issues) {
+    lines.push(`  ✗ [byte ${issue.offset}] ${wrapText(issue.description, 56, "      ")}`);
+  }
+  if (integrity.trailingData) {
+    lines.push(`  Trailing data: ${formatValue(integrity.trailingData)}`);
+  }
+  lines.push("");
+  lines.push("  A standard encoder would not produce this calldata for these parameters.");
+  lines.push("  The contract may read it differently than shown above.");
+
+  return lines;
+}
+
+/**
+ * Format addresses that imitate known ones, each above the address it
+ * imitates with the differing characters marked
+ */
+function formatAddressLookalikesOutput(lookalikes) {
+  if (!lookalikes || lookalikes.length === 0) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("POSSIBLE ADDRESS POISONING"));
+  lines.push(boxBottom());
+
+  for (const finding of lookalikes) {
+    const reference = finding.lookalike;
+    const markers = [...finding.address].map((char, i) => (char === reference.address[i] ? " " : "^")).join("");
+    lines.push("");
+    lines.push(`  ✗ ${finding.location}`);
+    lines.push(`    In transaction: ${finding.address}`);
+    lines.push(`    Known address:  ${reference.address}  ${finding.description}`);
+    lines.push(`                    ${markers.trimEnd()}`);
+  }
+  lines.push("");
+  lines.push("  Same first and last characters do not make the same address.");
+  lines.push("  Compare the full address before signing.");
+
+  return lines;
+}
+
+/**
+ * Format denylisted addresses and recipients outside the trust profile's
+ * trustedRecipients allowlist
+ */
+function formatCounterpartiesOutput(result) {
+  const blocked = result.blockedAddresses || [];
+  const hasAllowlist = Object.keys(result.profile?.trustedRecipients || {}).length > 0;
+  const unlisted = hasAllowlist
+    ? (result.counterparties || []).filter(c => c.classification === RECIPIENT_CLASSIFICATION.UNLISTED)
+    : [];
+  if (blocked.length === 0 && unlisted.length === 0) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine(blocked.length > 0 ? "BLOCKED ADDRESS" : "RECIPIENT NOT IN ALLOWLIST"));
+  lines.push(boxBottom());
+
+  for (const entry of blocked) {
+    lines.push("");
+    lines.push(`  ✗ ${entry.location}: ${entry.address}`);
+    lines.push(`    On your denylist${entry.label ? ` as ${entry.label}` : ""}`);
+    if (entry.reason) {
+      lines.push(`    ${wrapText(entry.reason, 60, "    ")}`);
+    }
+  }
+  for (const counterparty of unlisted) {
+    lines.push("");
+    lines.push(`  ⚠ ${counterparty.role}: ${counterparty.address}`);
+    lines.push("    Not in your trust profile's trustedRecipients");
+  }
+  if (blocked.length > 0) {
+    lines.push("");
+    lines.push("  Your trust profile does not allow transacting with this address.");
+  }
+
+  return lines;
+}
+
+/**
+ * Format the organization policy rules that fired, with the conditions
+ * that made each one match
+ */
+function formatPolicyOutput(policy) {
+  if (!policy) {
+    return [];
+  }
+  if (policy.fired.length === 0) {
+    return ["", `Policy: ${policy.rules} rule(s) evaluated, none matched`];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine(policy.blocked ? "BLOCKED BY POLICY" : `POLICY: ${policy.fired.length} rule(s) matched`));
+  lines.push(boxBottom());
+
+  for (const rule of policy.fired) {
+    const marker = rule.action === POLICY_ACTION.WARN ? "⚠" : "✗";
+    lines.push("");
+    lines.push(`  ${marker} ${rule.id} → ${rule.action} (${rule.location})`);
+    if (rule.description) {
+      lines.push(`    ${wrapText(rule.description, 56, "    ")}`);
+    }
+    for (const reason of rule.reasons) {
+      lines.push(`    • ${wrapText(reason, 54, "      ")}`);
+    }
+  }
+  if (policy.blocked) {
+    lines.push("");
+    lines.push("  Your organization's policy does not allow signing this transaction.");
+  }
+
+  return lines;
+}
+
+/**
+ * Format the Safe's owners and threshold before and after its owner changes
+ */
+function formatOwnerChangesOutput(ownerChanges) {
+  if (!ownerChanges) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("OWNER SET"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  const source = ownerChanges.source === "PROFILE" ? "trust profile" : "Safe";
+  lines.push(`  Before: ${formatQuorum(ownerChanges.before)} (owners from the ${source})`);
+  for (const step of ownerChanges.steps) {
+    const call = step.callIndex !== null ? `[${step.callIndex + 1}] ` : "";
+    lines.push(`  ${call}${wrapText(step.summary, 60, "      ")}`);
+  }
+
+  if (!ownerChanges.after) {
+    lines.push(`  ✗ Reverts: ${wrapText(ownerChanges.reverts, 56, "     ")}`);
+  } else {
+    const status = ownerChanges.flagged ? "✗" : (ownerChanges.weakened ? "⚠" : "✓");
+    lines.push(`  After:  ${formatQuorum(ownerChanges.after)} ${status}`);
+    for (const owner of ownerChanges.after.owners) {
+      lines.push(`    ${owner}${ownerChanges.before.owners.includes(owner) ? "" : "  (new)"}`);
+    }
+  }
+  for (const warning of ownerChanges.warnings) {
+    lines.push(`  ⚠️  ${wrapText(warning, 60, "     ")}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format the recovered signers of a Safe transaction
+ */
+function formatSafeSignaturesOutput(result) {
+  const recovery = result.safeSignatures;
+  if (!recovery) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("SIGNATURES"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  if (recovery.error) {
+    lines.push(`  Error: ${recovery.error}`);
+    lines.push("  The signatures could not be parsed.");
+    return lines;
+  }
+
+  for (const signature of recovery.signatures) {
+    const status = signature.valid === false
+      ? "✗ invalid"
+      : signature.isOwner === false
+        ? "✗ NOT AN OWNER"
+        : signature.valid === null
+          ? "? checked on-chain"
+          : signature.isOwner ? "✓ owner" : "✓ recovered";
+    lines.push(`  [${signature.index + 1}] ${signature.type.padEnd(13)} ${signature.signer || "(unrecoverable)"}  ${status}`);
+  }
+  lines.push("");
+
+  const source = recovery.ownersSource === "PROFILE" ? "trust profile" : "Safe";
+  if (recovery.owners) {
+    lines.push(`  Owner signatures: ${recovery.ownerSignatures} (owners from the ${source})`);
+  } else {
+    lines.push("  Owners unknown: add \"owners\" to the trust profile to check the signers");
+  }
+  if (recovery.thresholdMet !== null) {
+    lines.push(`  Threshold: ${recovery.threshold} - ${recovery.thresholdMet ? "✓ met" : "✗ NOT met"}`);
+  }
+  for (const warning of recovery.warnings) {
+    lines.push(`  ⚠️  ${wrapText(warning, 60, "     ")}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format the envelope of a raw signed transaction
+ */
+function formatRawTransactionOutput(result) {
+  const tx = result.rawTransaction;
+  if (!tx) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push(boxTop());
+  lines.push(boxLine(`RAW TRANSACTION (${tx.typeName}, type ${tx.type})`));
+  lines.push(boxBottom());
+  lines.push("");
+  lines.push(`  From:     ${tx.from || "(unsigned)"}`);
+  lines.push(`  To:       ${tx.to}`);
+  lines.push(`  Value:    ${tx.value} wei`);
+  lines.push(`  Chain ID: ${tx.chainId ?? "none (pre-EIP-155)"}`);
+  lines.push(`  Nonce:    ${tx.nonce}`);
+  if (tx.gasPrice !== null) {
+    lines.push(`  Gas:      ${tx.gasLimit} @ ${tx.gasPrice} wei`);
+  } else {
+    lines.push(`  Gas:      ${tx.gasLimit} @ max ${tx.maxFeePerGas} wei (priority ${tx.maxPriorityFeePerGas})`);
+  }
+  if (tx.blobVersionedHashes) {
+    lines.push(`  Blobs:    ${tx.blobVersionedHashes.length} (max ${tx.maxFeePerBlobGas} wei per blob gas)`);
+  }
+  if (tx.authorizationList) {
+    lines.push(`  Authorizations: ${tx.authorizationList.length} (EIP-7702)`);
+  }
+  if (tx.accessList?.length > 0) {
+    lines.push(`  Access list: ${tx.accessList.length} address(es)`);
+  }
+  if (tx.hash) {
+    lines.push(`  Tx hash:  ${tx.hash}`);
+  }
+  for (const warning of tx.warnings) {
+    lines.push(`  ⚠️  ${wrapText(warning, 60, "     ")}`);
+  }
+  lines.push("");
+
+  return lines;
+}
+
+/**
+ * Format the EIP-7702 authorization list of a type-4 transaction
+ */
+function formatCodeDelegationOutput(result) {
+  const delegation = result.codeDelegation;
+  if (!delegation) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push(boxTop());
+  lines.push(boxLine("CODE DELEGATION (EIP-7702)"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  for (const auth of delegation.authorizations) {
+    const flags = [
+      auth.revocation ? "revocation" : (auth.trusted ? "trusted" : "NOT TRUSTED"),
+      auth.chainAgnostic ? "ALL CHAINS" : `chain ${auth.chainId}`,
+      `nonce ${auth.nonce}`
+    ];
+    lines.push(`  ${auth.authority || "(invalid signature)"}`);
+    lines.push(`    → ${auth.revocation ? "no code (delegation cleared)" : (auth.label ? `${auth.label} (${auth.address})` : auth.address)}`);
+    lines.push(`    ${flags.join(", ")}`);
+  }
+  lines.push("");
+
+  for (const consequence of delegation.consequences) {
+    lines.push(`  • ${wrapText(consequence, 62, "    ")}`);
+  }
+  for (const warning of delegation.warnings) {
+    lines.push(`  ⚠️  ${wrapText(warning, 60, "     ")}`);
+  }
+  lines.push("");
+  lines.push(`SEVERITY: ${delegation.severity}`);
+  for (const mitigation of delegation.mitigations) {
+    lines.push(`  • ${wrapText(mitigation, 62, "    ")}`);
+  }
+  lines.push("");
+
+  return lines;
+}
+
+/**
+ * Format the fork simulation (balance deltas, approvals, storage writes)
+ */
+function formatSimulationOutput(result) {
+  const sim = result.simulation;
+  if (!sim) {
+    return [];
+  }
+
+  const lines = [];
+  lines.push("");
+  lines.push(boxTop());
+  lines.push(boxLine("SIMULATION (fork node - informational)"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  if (sim.error) {
+    lines.push(`  Error: ${sim.error}`);
+    lines.push("  The transaction could not be simulated.");
+    return lines;
+  }
+
+  lines.push(`  ${sim.operation === 1 ? "DELEGATECALL" : "CALL"} ${sim.to} on block ${sim.blockTag}`);
+  lines.push(`  Result: ${sim.success ? "✓ succeeds" : "✗ reverts"}${sim.gasUsed ? ` (gas used: ${sim.gasUsed})` : ""}`);
+  lines.push("");
+
+  for (const line of sim.summary) {
+    lines.push(`  • ${wrapText(line, 62, "    ")}`);
+  }
+
+  if (sim.safeStorage?.findings.length > 0) {
+    lines.push("");
+    lines.push(`  Safe state changes${sim.safeStorage.controlChanged ? " (⚠️ control of the Safe changes)" : ""}:`);
+    for (const finding of sim.safeStorage.findings) {
+      lines.push(`    • ${wrapText(finding, 60, "      ")}`);
+    }
+  } else if (sim.storageWrites.length > 0) {
+    lines.push("");
+    lines.push("  Storage writes to the Safe:");
+    for (const write of sim.storageWrites) {
+      lines.push(`    ${write.slot}: ${write.before} → ${write.after}`);
+    }
+  }
+
+  for (const warning of sim.warnings) {
+    lines.push(`  ⚠️  ${wrapText(warning, 60, "     ")}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format the analysis of an EIP-712 typed-data signature
+ */
+function formatTypedDataOutput(result) {
+  const lines = [];
+  const effect = result.effect;
+  const severityInfo = getSeverityInfo(effect.severity);
+  const tc = result.trustContext;
+
+  lines.push(boxTop());
+  lines.push(boxLine(`TYPED DATA SIGNATURE: ${result.protocol || "Unrecognized"} ${result.primaryType}`));
+  lines.push(boxBottom());
+  lines.push("");
+
+  if (result.headerSeverity) {
+    lines.push(`Overall Severity: ${result.headerSeverity} ${getSeverityIndicator(result.headerSeverity)}`);
     lines.push("");
-    lines.push(separator());
+  }
+
+  if (tc?.profileLoaded) {
+    const role = tc.counterpartyRole === "spender" ? "SPENDER" : "VERIFYING CONTRACT";
+    lines.push(`${role}:`);
+    lines.push(`  Address: ${tc.counterpartyAddress || "none"}`);
+    lines.push(`  Classification: ${tc.contractClassification}${tc.label ? ` (${tc.label})` : ""}`);
+    for (const warning of tc.warnings) {
+      lines.push(`  • ${warning}`);
+    }
     lines.push("");
-    // Continue with regular output for the MultiSend call itself
   }
 
-  // If trust profile blocked interpretation, show special output
-  if (result.trustBlocked) {
-    lines.push(...formatTrustBlockedOutput(result));
-    return lines.join("\n");
+  if (effect.consequences.length > 0) {
+    lines.push("CONSEQUENCES IF YOU SIGN:");
+    for (const consequence of effect.consequences) {
+      lines.push(`  • ${wrapText(consequence, 62, "    ")}`);
+    }
+    lines.push("");
   }
 
-  // Add trust context header if available
-  if (result.trustContext && result.trustContext.profileLoaded) {
-    lines.push(...formatTrustContextHeader(result));
+  if (effect.warnings.length > 0) {
+    lines.push("⚠️  WARNINGS:");
+    for (const warning of effect.warnings) {
+      lines.push(`  • ${wrapText(warning, 62, "    ")}`);
+    }
     lines.push("");
   }
 
-  // Check if this is ABI-verified, trust-profile-verified, or unverified
-  if (result.verified) {
-    lines.push(...formatVerifiedOutput(result));
-  } else if (result.effect?.trustProfileVerified || result.source === "TRUST_PROFILE") {
-    // Trust-profile-verified but not ABI-verified - use formatVerifiedOutput
-    // which will delegate to formatTrustProfileOutput for TRUST_PROFILE_SEMANTIC effects
-    lines.push(...formatVerifiedOutput(result));
-  } else {
-    lines.push(...formatUnverifiedOutput(result));
+  lines.push(`SEVERITY: ${effect.severity}`);
+  lines.push(`  Reason: ${severityInfo.description}`);
+  lines.push("");
+
+  if (effect.mitigations.length > 0) {
+    lines.push("RECOMMENDATIONS:");
+    for (const mitigation of effect.mitigations) {
+      lines.push(`  • ${wrapText(mitigation, 62, "    ")}`);
+    }
+    lines.push("");
   }
 
-  return lines.join("\n");
+  lines.push(separator());
+  lines.push("Technical Details (for reference):");
+  lines.push(`  Primary type: ${result.primaryType}`);
+  if (result.domain?.name) {
+    lines.push(`  Domain: ${result.domain.name}${result.domain.version ? ` (version ${result.domain.version})` : ""}`);
+  }
+  if (result.domain?.chainId !== undefined) {
+    lines.push(`  Chain ID: ${result.domain.chainId}`);
+  }
+  if (result.domain?.verifyingContract) {
+    lines.push(`  Verifying contract: ${result.domain.verifyingContract}`);
+  }
+  if (result.typedDataHash) {
+    lines.push(`  EIP-712 hash: ${result.typedDataHash}`);
+  }
+  if (Object.keys(result.params).length > 0) {
+    lines.push("  Parameters:");
+    for (const [name, value] of Object.entries(result.params)) {
+      lines.push(`    ${name}: ${value}`);
+    }
+  }
+  lines.push(separator());
+
+  return lines;
+}
+
+/**
+ * Format a Safe Transaction Builder file: file details, then its
+ * transactions as a batch
+ */
+function formatTxBuilderOutput(result) {
+  const lines = [];
+  const { meta, checksum } = result.txBuilder;
+
+  lines.push(boxTop());
+  lines.push(boxLine("SAFE TRANSACTION BUILDER FILE"));
+  lines.push(boxBottom());
+  lines.push("");
+
+  if (meta.name) {
+    lines.push(`Name: ${meta.name}`);
+  }
+  if (meta.description) {
+    lines.push(`Description: ${wrapText(meta.description, 60, "             ")}`);
+  }
+  lines.push(`Safe: ${result.safeAddress || "not specified"}`);
+  lines.push(`Chain ID: ${result.chainId}`);
+  lines.push(`Checksum: ${!checksum.present ? "none" : checksum.valid ? "valid" : "DOES NOT MATCH"}`);
+  if (result.headerSeverity) {
+    lines.push(`Header Severity: ${result.headerSeverity}`);
+  }
+  lines.push("");
+
+  if (result.warnings.length > 0) {
+    for (const warning of result.warnings) {
+      lines.push(`⚠️  ${wrapText(warning, 60, "     ")}`);
+    }
+    lines.push("");
+  }
+
+  lines.push(...formatBatchOutput(result));
+  lines.push(...formatPolicyOutput(result.policy));
+  return lines;
 }
 
 /**
@@ -119,13 +806,23 @@ function formatBatchOutput(result) {
       lines.push(`Error: ${batchInfo.error}`);
     }
     lines.push("");
-    lines.push("The transaction appears to be a MultiSend batch but could not be decoded.");
+    lines.push("The transaction appears to be a batch but could not be decoded.");
     lines.push("Manual verification is required.");
     return lines;
   }
 
   lines.push(`Type: ${batchInfo.batchType}`);
 
+  // ERC-4337 bundle: who executes the ops and who collects the gas fees
+  if (batchInfo.entryPoint) {
+    const entryPoint = batchInfo.entryPoint;
+    lines.push(`EntryPoint: ${entryPoint.address || "not provided"} (${entryPoint.version}${entryPoint.known ? "" : ", not canonical"})`);
+    lines.push(`Beneficiary: ${batchInfo.beneficiary} (receives the gas fees)`);
+  }
+  for (const warning of batchInfo.warnings || []) {
+    lines.push(`⚠️  ${wrapText(warning, 60, "     ")}`);
+  }
+
   // Show overall severity if analyzed
   if (hasAnalysis && batchInfo.batchSummary) {
     const summary = batchInfo.batchSummary;
@@ -136,6 +833,63 @@ function formatBatchOutput(result) {
   // Sub-transaction list with analysis
   lines.push("SUB-TRANSACTIONS:");
   lines.push("");
+  lines.push(...formatBatchCalls(batchInfo));
+
+  // Batch summary section
+  lines.push("─".repeat(68));
+  lines.push("");
+
+  if (hasAnalysis && batchInfo.batchSummary) {
+    const summary = batchInfo.batchSummary;
+    const counts = summary.counts;
+
+    lines.push("BATCH SUMMARY:");
+    lines.push(`  ✓ OK:      ${counts.OK || 0}`);
+    lines.push(`  ⚠ WARN:    ${counts.WARN || 0}`);
+    lines.push(`  ✗ DANGER:  ${counts.DANGER || 0}`);
+    lines.push(`  ? UNKNOWN: ${counts.UNKNOWN || 0}`);
+    lines.push("");
+
+    // Warning if any dangerous or unknown
+    if (counts.DANGER > 0 || counts.UNKNOWN > 0) {
+      lines.push("╔══════════════════════════════════════════════════════════════════╗");
+      if (counts.DANGER > 0) {
+        lines.push("║  ⚠ This batch contains CRITICAL severity operations              ║");
+      }
+      if (counts.UNKNOWN > 0) {
+        lines.push("║  ⚠ This batch contains UNKNOWN operations - review carefully     ║");
+      }
+      lines.push("╚══════════════════════════════════════════════════════════════════╝");
+      lines.push("");
+    }
+  }
+
+  if (batchInfo.addressLookalikes) {
+    lines.push(...formatAddressLookalikesOutput(batchInfo.addressLookalikes).slice(1));
+    lines.push("");
+  }
+
+  if (batchInfo.ownerChanges) {
+    lines.push(...formatOwnerChangesOutput(batchInfo.ownerChanges).slice(1));
+    lines.push("");
+  }
+
+  lines.push("NOTE: Sub-transactions are shown in execution order.");
+  if (batchInfo.batchType === BATCH_TYPE.USER_OPERATIONS) {
+    lines.push("Each UserOperation executes on its own - a reverting op does not undo the others.");
+  } else {
+    lines.push("All operations execute atomically - all succeed or all fail.");
+  }
+
+  return lines;
+}
+
+/**
+ * Format the sub-transactions of a batch, recursing into nested batches
+ * and execTransaction calls. Nested levels are indented under their parent.
+ */
+function formatBatchCalls(batchInfo, indent = "") {
+  const lines = [];
 
   for (let i = 0; i < batchInfo.calls.length; i++) {
     const call = batchInfo.calls[i];
@@ -145,100 +899,129 @@ function formatBatchOutput(result) {
     // Header line with severity indicator
     if (analysis) {
       const indicator = getSeverityIndicator(analysis.severity);
-      lines.push(`${num} ${indicator} ${call.operationLabel} → ${analysis.severity}`);
+      lines.push(`${indent}${num} ${indicator} ${call.operationLabel} → ${analysis.severity}`);
     } else {
-      lines.push(`${num} ${call.operationLabel}`);
+      lines.push(`${indent}${num} ${call.operationLabel}`);
     }
 
     // Target address with trust context if available
     if (analysis?.trustContext?.label) {
-      lines.push(`  Target: ${analysis.trustContext.label}`);
-      lines.push(`    (${call.to})`);
+      lines.push(`${indent}  Target: ${analysis.trustContext.label}`);
+      lines.push(`${indent}    (${call.to})`);
     } else {
-      lines.push(`  Target: ${call.to}`);
+      lines.push(`${indent}  Target: ${call.to || "called contract (address not provided)"}`);
     }
 
     // ETH value
     if (call.value > 0n) {
-      lines.push(`  Value: ${call.valueWei} wei`);
+      lines.push(`${indent}  Value: ${call.valueWei} wei`);
+    }
+
+    // Method and inputs the Transaction Builder displayed for this entry
+    if (call.txBuilder?.signature) {
+      lines.push(`${indent}  Declared: ${call.txBuilder.signature} (inputs ${call.txBuilder.inputsCheck.status})`);
+      for (const mismatch of call.txBuilder.inputsCheck.mismatches) {
+        lines.push(`${indent}    ${mismatch.name}: declared ${mismatch.declared}, data has ${mismatch.actual}`);
+      }
+    }
+
+    // ERC-4337 UserOperation fields
+    if (call.userOp) {
+      lines.push(`${indent}  UserOp nonce: ${call.userOp.nonce}`);
+      if (call.userOp.factory) {
+        lines.push(`${indent}  Factory: ${call.userOp.factory} (deploys the account)`);
+      }
+      if (call.userOp.paymaster) {
+        lines.push(`${indent}  Paymaster: ${call.userOp.paymaster.address}`);
+      }
     }
 
     // Analysis details
     if (analysis) {
       if (analysis.isEthTransfer) {
-        lines.push(`  Action: ETH transfer`);
+        lines.push(`${indent}  Action: ETH transfer`);
       } else if (analysis.error) {
-        lines.push(`  Error: ${analysis.error}`);
+        lines.push(`${indent}  Error: ${analysis.error}`);
       } else {
         // Function info
         if (analysis.signature) {
           const verifiedTag = analysis.verified ? "[VERIFIED]" :
                               analysis.trustProfileVerified ? "[TRUST_PROFILE]" : "[UNVERIFIED]";
-          lines.push(`  Function: ${analysis.functionName || analysis.signature} ${verifiedTag}`);
+          lines.push(`${indent}  Function: ${analysis.functionName || analysis.signature} ${verifiedTag}`);
         } else if (analysis.selector) {
-          lines.push(`  Selector: ${analysis.selector} [UNKNOWN]`);
+          lines.push(`${indent}  Selector: ${analysis.selector} [UNKNOWN]`);
         }
 
         // Summary of what it does
         if (analysis.summary) {
-          lines.push(`  Effect: ${analysis.summary}`);
+          lines.push(`${indent}  Effect: ${analysis.summary}`);
         }
 
         // Special flags
         if (analysis.isDelegatecall) {
-          lines.push(`  ⚠ DELEGATECALL: External code runs in Safe's context`);
+          lines.push(`${indent}  ⚠ DELEGATECALL: External code runs in Safe's context`);
         }
         if (analysis.trustBlocked) {
-          lines.push(`  ⚠ UNKNOWN CONTRACT: Not in trust profile`);
+          lines.push(`${indent}  ⚠ UNKNOWN CONTRACT: Not in trust profile`);
         }
+        if (analysis.nestingLimitReached) {
+          lines.push(`${indent}  ⚠ NESTED CALLS HIDDEN: Depth limit reached, review manually`);
+        }
+      }
+      for (const warning of [
+        ...(analysis.counterpartyWarnings || []),
+        ...(analysis.userOpWarnings || []),
+        ...(analysis.txBuilderWarnings || []),
+        ...(analysis.trustContext?.parameterConstraints?.violations || [])
+          .map(violation => `PARAMETER CONSTRAINT VIOLATED: ${violation.description}`),
+        ...integrityWarnings(analysis.calldataIntegrity),
+        ...(analysis.policy || []).map(describeFiredRule)
+      ]) {
+        lines.push(`${indent}  ⚠ ${warning}`);
       }
     } else {
       // Fallback to raw calldata info
       if (call.dataLength > 0) {
         if (call.data.length >= 10) {
-          lines.push(`  Selector: ${call.data.slice(0, 10)}`);
+          lines.push(`${indent}  Selector: ${call.data.slice(0, 10)}`);
         }
-        lines.push(`  Calldata: ${call.dataLength} bytes`);
+        lines.push(`${indent}  Calldata: ${call.dataLength} bytes`);
       } else {
-        lines.push(`  Calldata: (empty - ETH transfer only)`);
+        lines.push(`${indent}  Calldata: (empty - ETH transfer only)`);
       }
     }
 
     lines.push("");
-  }
-
-  // Batch summary section
-  lines.push("─".repeat(68));
-  lines.push("");
-
-  if (hasAnalysis && batchInfo.batchSummary) {
-    const summary = batchInfo.batchSummary;
-    const counts = summary.counts;
-
-    lines.push("BATCH SUMMARY:");
-    lines.push(`  ✓ OK:      ${counts.OK || 0}`);
-    lines.push(`  ⚠ WARN:    ${counts.WARN || 0}`);
-    lines.push(`  ✗ DANGER:  ${counts.DANGER || 0}`);
-    lines.push(`  ? UNKNOWN: ${counts.UNKNOWN || 0}`);
-    lines.push("");
 
-    // Warning if any dangerous or unknown
-    if (counts.DANGER > 0 || counts.UNKNOWN > 0) {
-      lines.push("╔══════════════════════════════════════════════════════════════════╗");
-      if (counts.DANGER > 0) {
-        lines.push("║  ⚠ This batch contains CRITICAL severity operations              ║");
+    // Nested batch (MultiSend or multicall inside this sub-call)
+    const nested = analysis?.batchInfo;
+    if (nested) {
+      if (nested.batchType === BATCH_TYPE.UNPARSEABLE_BATCH) {
+        lines.push(`${indent}    Nested batch: UNPARSEABLE${nested.error ? ` (${nested.error})` : ""}`);
+        lines.push("");
+      } else {
+        lines.push(`${indent}    Nested ${nested.batchType}: ${nested.callCount} sub-transactions`);
+        lines.push("");
+        lines.push(...formatBatchCalls(nested, indent + "    "));
       }
-      if (counts.UNKNOWN > 0) {
-        lines.push("║  ⚠ This batch contains UNKNOWN operations - review carefully     ║");
+    }
+
+    // Inner call of a nested execTransaction
+    const inner = analysis?.innerTransaction;
+    if (inner) {
+      const innerName = inner.functionName || (inner.isEthTransfer ? "ETH transfer" : inner.selector || "unknown");
+      const innerOp = inner.operation === 1 ? "DELEGATECALL" : "CALL";
+      lines.push(`${indent}    Inner ${innerOp}: ${innerName} → ${inner.to || "unknown address"}`);
+      if (inner.error) {
+        lines.push(`${indent}    Error: ${inner.error}`);
       }
-      lines.push("╚══════════════════════════════════════════════════════════════════╝");
       lines.push("");
+      if (inner.isBatch && inner.batchInfo?.calls) {
+        lines.push(...formatBatchCalls(inner.batchInfo, indent + "    "));
+      }
     }
   }
 
-  lines.push("NOTE: Sub-transactions are shown in execution order.");
-  lines.push("All operations execute atomically - all succeed or all fail.");
-
   return lines;
 }
 
@@ -309,6 +1092,7 @@ function formatTrustProfileOutput(result) {
   if (trustContext.trustLevel) {
     lines.push(`  Trust Level: ${trustContext.trustLevel}`);
   }
+  lines.push(...formatGrantedBy(trustContext.grantedBy));
   lines.push("");
 
   // Function identification
@@ -337,7 +1121,7 @@ function formatTrustProfileOutput(result) {
   if (result.params && Object.keys(result.params).length > 0) {
     lines.push("DECODED PARAMETERS:");
     for (const [name, value] of Object.entries(result.params)) {
-      const formatted = formatValue(value);
+      const formatted = formatParamValue(result, name, value);
       if (formatted.length > 50) {
         lines.push(`    ${name}:`);
         lines.push(`      ${formatted}`);
@@ -505,7 +1289,7 @@ function formatSafeOutput(result) {
     lines.push(`  Operation: ${paramAnalysis.operation}`);
   }
   if (paramAnalysis.targetAddress) {
-    const targetInfo = lookupAddress(paramAnalysis.targetAddress);
+    const targetInfo = lookupAddress(paramAnalysis.targetAddress, result.chainId);
     lines.push(`  Target: ${paramAnalysis.targetAddress}`);
     if (targetInfo) {
       lines.push(`    (Known: ${targetInfo.name})`);
@@ -783,12 +1567,17 @@ function formatStandardOutput(result) {
   if (effect.beneficiary) {
     const profile = result.profile;
     const trustLabel = getAddressLabel(effect.beneficiary, profile);
+    const recipient = getTrustedRecipient(effect.beneficiary, profile);
 
     if (trustLabel) {
       // Address is in trusted registry - show label only in summary
       lines.push("WHO BENEFITS:");
       lines.push(`  ${trustLabel.label} (${trustLabel.type === "ASSET" ? "Trusted Asset" : "Trusted Contract"})`);
       lines.push("");
+    } else if (recipient) {
+      lines.push("WHO BENEFITS:");
+      lines.push(`  ${recipient.label} (Trusted Recipient)`);
+      lines.push("");
     }
     // If not in trusted registry, don't show beneficiary in summary
     // Full address is available in Technical Details section
@@ -826,7 +1615,7 @@ function formatStandardOutput(result) {
   if (result.params && Object.keys(result.params).length > 0) {
     lines.push("  Parameters:");
     for (const [name, value] of Object.entries(result.params)) {
-      const formatted = formatValue(value);
+      const formatted = formatParamValue(result, name, value);
       if (formatted.length > 50) {
         lines.push(`    ${name}:`);
         lines.push(`      ${formatted}`);
@@ -841,6 +1630,13 @@ function formatStandardOutput(result) {
   return lines;
 }
 
+/**
+ * Format a decoded parameter: amounts of known tokens in token units with the raw value
+ */
+function formatParamValue(result, name, value) {
+  return result.tokenAmounts?.[name]?.display || formatValue(value);
+}
+
 /**
  * Format address for display (truncate if needed)
  */
@@ -920,6 +1716,29 @@ function formatUnverifiedOutput(result) {
  * Format as JSON
  */
 export function formatJSON(result) {
+  return JSON.stringify(buildJSONOutput(result), null, 2);
+}
+
+/**
+ * Build the JSON output object for a decode result
+ */
+function buildJSONOutput(result) {
+  if (result.isTypedData) {
+    return buildTypedDataJSON(result);
+  }
+  if (result.isTxBuilder) {
+    return {
+      isTxBuilder: true,
+      txBuilder: result.txBuilder,
+      chainId: result.chainId,
+      safeAddress: result.safeAddress,
+      headerSeverity: result.headerSeverity || null,
+      warnings: result.warnings,
+      batchInfo: buildBatchInfoJSON(result.batchInfo),
+      policy: result.policy || null
+    };
+  }
+
   const effect = result.effect;
   const paramAnalysis = result.paramAnalysis || {};
 
@@ -940,6 +1759,7 @@ export function formatJSON(result) {
     selector: result.selector,
     signature: result.signature || null,
     source: source,
+    chainId: result.chainId ?? null,
     effect: effect ? {
       type: effect.effectType,
       severity: effect.severity,
@@ -953,9 +1773,14 @@ export function formatJSON(result) {
       trustWarnings: effect.trustWarnings || null,
       trustOverride: effect.trustOverride || false,
       trustProfileVerified: effect.trustProfileVerified || false,
-      source: effect.source || null
+      source: effect.source || null,
+      gasRefund: effect.gasRefund || null
     } : null,
     parameters: result.params ? serializeParams(result.params) : null,
+    tokenAmounts: result.tokenAmounts || null,
+    calldataIntegrity: result.calldataIntegrity || null,
+    counterparties: result.counterparties || null,
+    blockedAddresses: result.blockedAddresses || null,
     raw: {
       calldata: result.calldata,
       selector: result.selector
@@ -974,14 +1799,17 @@ export function formatJSON(result) {
         classification: tc.contractClassification,
         trustLevel: tc.trustLevel,
         label: tc.label,
-        notes: tc.notes
+        notes: tc.notes,
+        validity: tc.validity || null,
+        grantedBy: tc.grantedBy || null
       },
       selector: {
         classification: tc.selectorClassification,
         label: tc.selectorLabel,
         usageStats: tc.usageStats,
         labelMatchedSignature: result.signature && tc.selectorLabel ?
-          extractFunctionNameForJSON(result.signature)?.toLowerCase() === tc.selectorLabel.toLowerCase() : false
+          extractFunctionNameForJSON(result.signature)?.toLowerCase() === tc.selectorLabel.toLowerCase() : false,
+        parameterConstraints: tc.parameterConstraints || null
       },
       warnings: tc.warnings
     };
@@ -990,38 +1818,7 @@ export function formatJSON(result) {
   // Add batch info if this is a batch transaction
   if (result.isBatch && result.batchInfo) {
     output.isBatch = true;
-    output.batchInfo = {
-      batchType: result.batchInfo.batchType,
-      callCount: result.batchInfo.callCount,
-      calls: result.batchInfo.calls.map(call => ({
-        operation: call.operation,
-        operationLabel: call.operationLabel,
-        to: call.to,
-        value: call.valueWei,
-        data: call.data,
-        dataLength: call.dataLength,
-        // Include analysis if available
-        analysis: call.analysis ? {
-          selector: call.analysis.selector,
-          signature: call.analysis.signature,
-          functionName: call.analysis.functionName,
-          verified: call.analysis.verified,
-          trustProfileVerified: call.analysis.trustProfileVerified,
-          trustBlocked: call.analysis.trustBlocked,
-          effectType: call.analysis.effectType,
-          severity: call.analysis.severity,
-          category: call.analysis.category,
-          summary: call.analysis.summary,
-          isDelegatecall: call.analysis.isDelegatecall,
-          isEthTransfer: call.analysis.isEthTransfer,
-          error: call.analysis.error || null,
-          trustContext: call.analysis.trustContext || null
-        } : null
-      })),
-      error: result.batchInfo.error || null,
-      // Include batch summary if analyzed
-      batchSummary: result.batchInfo.batchSummary || null
-    };
+    output.batchInfo = buildBatchInfoJSON(result.batchInfo);
   }
 
   // Add Safe-specific fields if this is a Safe operation
@@ -1052,7 +1849,215 @@ export function formatJSON(result) {
     };
   }
 
-  return JSON.stringify(output, null, 2);
+  // Add decoded Universal Router commands
+  if (result.routerCommands) {
+    output.routerCommands = buildRouterCommandsJSON(result.routerCommands);
+  }
+
+  // Add the decoded inner call of a Safe execTransaction
+  if (result.innerTransaction) {
+    output.headerSeverity = result.headerSeverity || null;
+    output.innerTransaction = buildInnerTransactionJSON(result.innerTransaction);
+  }
+
+  // Add the recomputed Safe transaction hash
+  if (result.safeTxHash) {
+    output.headerSeverity = result.headerSeverity || null;
+    output.safeTxHash = result.safeTxHash;
+  }
+
+  // Add addresses imitating known ones (address poisoning)
+  if (result.addressLookalikes) {
+    output.headerSeverity = result.headerSeverity || null;
+    output.addressLookalikes = result.addressLookalikes;
+  }
+
+  // Add the organization policy rules that fired (batch calls and inner transaction included)
+  if (result.policy) {
+    output.headerSeverity = result.headerSeverity || null;
+    output.policy = result.policy;
+  }
+
+  // Add the owners and threshold after an owner-management call
+  if (result.ownerChanges) {
+    output.headerSeverity = result.headerSeverity || null;
+    output.ownerChanges = result.ownerChanges;
+  }
+
+  // Add the recovered signers of the Safe transaction
+  if (result.safeSignatures) {
+    output.safeSignatures = result.safeSignatures;
+  }
+
+  // Add the fork simulation
+  if (result.simulation) {
+    output.simulation = result.simulation;
+  }
+
+  // Add the envelope of a raw signed transaction
+  if (result.rawTransaction) {
+    output.rawTransaction = result.rawTransaction;
+  }
+
+  // Add the EIP-7702 code delegation
+  if (result.codeDelegation) {
+    output.headerSeverity = result.headerSeverity || null;
+    output.codeDelegation = result.codeDelegation;
+  }
+
+  return output;
+}
+
+/**
+ * Build the JSON for an EIP-712 typed-data analysis
+ */
+function buildTypedDataJSON(result) {
+  const effect = result.effect;
+  const tc = result.trustContext;
+
+  return {
+    isTypedData: true,
+    typedDataType: result.typedDataType,
+    protocol: result.protocol,
+    primaryType: result.primaryType,
+    verified: result.verified,
+    domain: result.domain,
+    typedDataHash: result.typedDataHash,
+    headerSeverity: result.headerSeverity || null,
+    flags: result.flags,
+    effect: {
+      type: effect.effectType,
+      severity: effect.severity,
+      permanence: effect.permanence,
+      scope: effect.scope,
+      beneficiary: effect.beneficiary,
+      consequences: effect.consequences,
+      warnings: effect.warnings,
+      mitigations: effect.mitigations
+    },
+    parameters: result.params,
+    counterparties: result.counterparties || null,
+    blockedAddresses: result.blockedAddresses || null,
+    trustProfile: {
+      profileLoaded: tc.profileLoaded,
+      counterparty: {
+        role: tc.counterpartyRole || null,
+        address: tc.counterpartyAddress || null,
+        classification: tc.contractClassification,
+        trustLevel: tc.trustLevel,
+        label: tc.label
+      },
+      warnings: tc.warnings
+    },
+    message: result.message
+  };
+}
+
+/**
+ * Build the JSON for a batch, recursing into nested batches
+ */
+function buildBatchInfoJSON(batchInfo) {
+  return {
+    batchType: batchInfo.batchType,
+    callCount: batchInfo.callCount,
+    depth: batchInfo.depth || null,
+    nestingLimitReached: batchInfo.nestingLimitReached || false,
+    calls: batchInfo.calls.map(call => ({
+      operation: call.operation,
+      operationLabel: call.operationLabel,
+      to: call.to,
+      value: call.valueWei,
+      data: call.data,
+      dataLength: call.dataLength,
+      userOp: call.userOp || null,
+      txBuilder: call.txBuilder || null,
+      // Include analysis if available
+      analysis: call.analysis ? {
+        selector: call.analysis.selector,
+        signature: call.analysis.signature,
+        functionName: call.analysis.functionName,
+        verified: call.analysis.verified,
+        trustProfileVerified: call.analysis.trustProfileVerified,
+        trustBlocked: call.analysis.trustBlocked,
+        effectType: call.analysis.effectType,
+        severity: call.analysis.severity,
+        category: call.analysis.category,
+        summary: call.analysis.summary,
+        isDelegatecall: call.analysis.isDelegatecall,
+        isEthTransfer: call.analysis.isEthTransfer,
+        noCall: call.analysis.noCall || false,
+        userOpWarnings: call.analysis.userOpWarnings || [],
+        txBuilderWarnings: call.analysis.txBuilderWarnings || [],
+        tokenAmounts: call.analysis.tokenAmounts || null,
+        calldataIntegrity: call.analysis.calldataIntegrity || null,
+        policy: call.analysis.policy || null,
+        counterparties: call.analysis.counterparties || null,
+        blockedAddresses: call.analysis.blockedAddresses || null,
+        counterpartyWarnings: call.analysis.counterpartyWarnings || [],
+        error: call.analysis.error || null,
+        trustContext: call.analysis.trustContext || null,
+        nestingLimitReached: call.analysis.nestingLimitReached || false,
+        nestedHeaderSeverity: call.analysis.nestedHeaderSeverity || null,
+        routerCommands: call.analysis.routerCommands
+          ? buildRouterCommandsJSON(call.analysis.routerCommands)
+          : null,
+        batchInfo: call.analysis.batchInfo ? buildBatchInfoJSON(call.analysis.batchInfo) : null,
+        innerTransaction: call.analysis.innerTransaction
+          ? buildInnerTransactionJSON(call.analysis.innerTransaction)
+          : null
+      } : null
+    })),
+    error: batchInfo.error || null,
+    entryPoint: batchInfo.entryPoint || null,
+    beneficiary: batchInfo.beneficiary || null,
+    warnings: batchInfo.warnings || [],
+    // Include batch summary if analyzed
+    batchSummary: batchInfo.batchSummary || null,
+    ownerChanges: batchInfo.ownerChanges || null,
+    addressLookalikes: batchInfo.addressLookalikes || null,
+    headerSeverity: batchInfo.headerSeverity || null
+  };
+}
+
+/**
+ * Build the JSON for decoded Universal Router commands
+ */
+function buildRouterCommandsJSON(router) {
+  return {
+    severity: router.severity,
+    headerSeverity: router.headerSeverity || null,
+    flagged: router.flagged,
+    error: router.error || null,
+    commands: router.commands.map(command => ({
+      index: command.index,
+      command: command.command,
+      name: command.name,
+      allowRevert: command.allowRevert,
+      params: command.params ? serializeParams(command.params) : null,
+      flags: command.flags,
+      effect: command.effect
+    }))
+  };
+}
+
+/**
+ * Build the JSON for the inner call of a Safe execTransaction
+ */
+function buildInnerTransactionJSON(inner) {
+  return {
+    depth: inner.depth,
+    to: inner.to,
+    operation: inner.operation,
+    value: inner.value,
+    isEthTransfer: inner.isEthTransfer || false,
+    // Decoded calls carry theirs in `decoded`; an ETH transfer's target is its recipient
+    counterparties: inner.isEthTransfer ? inner.counterparties || null : null,
+    blockedAddresses: inner.isEthTransfer ? inner.blockedAddresses || null : null,
+    nestingLimitReached: inner.nestingLimitReached || false,
+    error: inner.error || null,
+    headerSeverity: inner.headerSeverity || null,
+    decoded: inner.selector ? buildJSONOutput(inner) : null
+  };
 }
 
 /**
@@ -1061,17 +2066,24 @@ export function formatJSON(result) {
 function serializeParams(params) {
   const serialized = {};
   for (const [key, value] of Object.entries(params)) {
-    if (typeof value === "bigint") {
-      serialized[key] = value.toString();
-    } else if (Array.isArray(value)) {
-      serialized[key] = value.map(v => typeof v === "bigint" ? v.toString() : v);
-    } else {
-      serialized[key] = value;
-    }
+    serialized[key] = serializeValue(value);
   }
   return serialized;
 }
 
+/**
+ * Serialize a decoded value, recursing into arrays and tuples
+ */
+function serializeValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, serializeValue);
+  }
+  return value;
+}
+
 /**
  * Box drawing helpers
  */
@@ -1122,6 +2134,23 @@ function wrapText(text, maxWidth, indent = "") {
 // Trust Profile Formatting
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * Which layer of a layered (extends) profile granted the trust
+ */
+function formatGrantedBy(grantedBy) {
+  if (!grantedBy) {
+    return [];
+  }
+  const lines = [`  Granted by: ${grantedBy.trustLevel}`];
+  if (grantedBy.selector && grantedBy.selector !== grantedBy.trustLevel) {
+    lines.push(`  Function allowed by: ${grantedBy.selector}`);
+  }
+  if (grantedBy.layers.length > 1) {
+    lines.push(`  Defined in: ${grantedBy.layers.join(" → ")}`);
+  }
+  return lines;
+}
+
 /**
  * Format trust context header for trusted contracts
  */
@@ -1147,6 +2176,7 @@ function formatTrustContextHeader(result) {
       lines.push(`    (${levelInfo.description})`);
     }
   }
+  lines.push(...formatGrantedBy(tc.grantedBy));
 
   // Selector classification
   lines.push("");
@@ -1216,7 +2246,16 @@ function formatTrustBlockedOutput(result) {
   // Target contract info
   lines.push("TARGET CONTRACT:");
   lines.push(`  Address: ${result.targetAddress || "(not provided)"}`);
-  lines.push("  Status: NOT IN TRUST PROFILE");
+  if (tc?.validity) {
+    const lapse = tc.validity.status === VALIDITY_STATUS.EXPIRED
+      ? `TRUST EXPIRED ${tc.validity.expiresAt}`
+      : `NOT TRUSTED UNTIL ${tc.validity.validFrom}`;
+    lines.push(`  Status: IN TRUST PROFILE (${tc.label}) - ${lapse}`);
+  } else if (tc?.parameterConstraints && !tc.parameterConstraints.satisfied) {
+    lines.push(`  Status: IN TRUST PROFILE (${tc.label}) - PARAMETERS NOT ALLOWED`);
+  } else {
+    lines.push("  Status: NOT IN TRUST PROFILE");
+  }
   lines.push("");
 
   // Critical explanation
@@ -5,17 +5,101 @@
 import { extractSelector, decodeParams } from "./decoder.js";
 import { lookupSelector as lookupVerifiedSelector } from "./selectors.js";
 import { lookupSelector as lookup4byte, parseUnverifiedSignature } from "./fourByte.js";
-import { analyzeEffects } from "./effectAnalyzer.js";
+import {
+  analyzeEffects,
+  applyGasRefund,
+  applyStorageEvidence,
+  analyzeCodeDelegation,
+  applyCodeDelegation,
+  extractCounterparties
+} from "./effectAnalyzer.js";
 import { formatHumanReadable, formatJSON, formatError } from "./formatter.js";
-import { loadProfile, createEmptyProfile, getSelectorLabel } from "./trustProfile.js";
+import { loadProfile, createEmptyProfile, getSelectorLabel, getParameterConstraints } from "./trustProfile.js";
 import {
   getTrustContext,
   canInterpretSelector,
   computeHeaderSeverity,
-  computeBatchHeaderSeverity
+  computeBatchHeaderSeverity,
+  combineHeaderSeverities,
+  classifyAddressLookalikes,
+  classifyCounterparties,
+  classifyRecipient,
+  RECIPIENT_CLASSIFICATION
 } from "./trustClassifier.js";
-import { parseBatchTransaction, isMultiSendCalldata, BATCH_TYPE } from "./batchParser.js";
+import { collectParamAddresses } from "./addressDisplay.js";
+import {
+  parseBatchTransaction,
+  parseMulticallTransaction,
+  isMultiSendCalldata,
+  isMulticallCalldata,
+  BATCH_TYPE
+} from "./batchParser.js";
 import { decodeWithAbi } from "./abiDecoder.js";
+import { decodeTypedData } from "./typedData.js";
+import { computeSafeTxHash } from "./safeTxHash.js";
+import { recoverSafeSignatures } from "./safeSignatures.js";
+import { simulateTransaction } from "./simulation.js";
+import { resolveChain } from "./chains.js";
+import { parseRawTransaction } from "./rawTransaction.js";
+import { parseTxBuilderFile, INPUTS_CHECK } from "./txBuilder.js";
+import { parseSafeServiceTransaction, compareDataDecoded, DATA_DECODED_CHECK } from "./safeTxService.js";
+import { analyzeSafeStorageWrites } from "./safeStorage.js";
+import { analyzeOwnerChanges, isOwnerManagementCalldata, formatQuorum } from "./ownerState.js";
+import { findTokenAmounts } from "./tokenList.js";
+import { checkCalldataIntegrity, integrityWarnings } from "./calldataIntegrity.js";
+import {
+  loadPolicy,
+  preparePolicy,
+  buildPolicyFacts,
+  evaluatePolicy,
+  applyPolicySeverity,
+  isCriticalAction,
+  describeFiredRule,
+  POLICY_ACTION
+} from "./policyEngine.js";
+import {
+  isHandleOpsCalldata,
+  isAccountExecutionCalldata,
+  parseHandleOps,
+  parseAccountExecution,
+  inspectUserOperation
+} from "./userOperation.js";
+import {
+  isUniversalRouterSelector,
+  decodeRouterCommands,
+  applyRouterCommandsToEffect
+} from "./universalRouter.js";
+
+/**
+ * Safe execTransaction selector - its inner `data` is decoded recursively
+ */
+const SAFE_EXEC_TRANSACTION_SELECTOR = "0x6a761202";
+
+/**
+ * Default maximum nesting depth for recursive decoding.
+ * Each execTransaction inner call and each batch layer (MultiSend or
+ * multicall) counts as one level. Beyond the limit a call is reported
+ * but not decoded. Override with options.maxNestingDepth.
+ */
+export const DEFAULT_MAX_NESTING_DEPTH = 3;
+
+/**
+ * Resolve the maximum nesting depth from decode options
+ */
+function getMaxNestingDepth(options) {
+  const depth = Number(options.maxNestingDepth);
+  return Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_MAX_NESTING_DEPTH;
+}
+
+/**
+ * Whether calls at this nesting depth are reported without being decoded.
+ * The top-level call is depth 0; the sub-calls of a batch and the inner call
+ * of an execTransaction sit one level below the call carrying them, so a
+ * limit of 0 decodes no inner calls.
+ */
+function exceedsMaxNestingDepth(depth, options) {
+  return depth > getMaxNestingDepth(options);
+}
 
 /**
  * Extract function name from a full signature.
@@ -89,14 +173,21 @@ function functionNameMatchesLabel(functionName, label) {
  * @returns {object} Analysis result for this sub-transaction
  */
 async function analyzeSubCall(call, options) {
+  // Load trust profile if provided
+  let profile = options.profile || null;
+  if (!profile && options.profilePath) {
+    profile = loadProfile(options.profilePath);
+  }
+
   // Skip analysis for empty calldata (pure ETH transfers)
   if (!call.data || call.data === "0x" || call.dataLength === 0) {
-    return {
+    return applyCallCounterparties({
       isEthTransfer: true,
       severity: "MEDIUM", // ETH transfers have medium risk
       summary: "ETH transfer",
       category: "OK"
-    };
+    }, call.to ? [{ address: call.to.toLowerCase(), role: "recipient" }] : [],
+    [{ address: call.to, location: "recipient" }], profile, options);
   }
 
   // Validate calldata has at least a selector
@@ -124,18 +215,12 @@ async function analyzeSubCall(call, options) {
     // Try verified database first
     let selectorInfo = lookupVerifiedSelector(selector);
 
-    // Load trust profile if provided
-    let profile = options.profile || null;
-    if (!profile && options.profilePath) {
-      profile = loadProfile(options.profilePath);
-    }
-
     // Generate trust context for sub-transaction target
     let trustContext = null;
     let trustBlocked = false;
 
     if (profile && call.to) {
-      trustContext = getTrustContext(call.to, selector, profile);
+      trustContext = getTrustContext(call.to, selector, profile, { now: options.now });
 
       // Check if trust profile blocks interpretation
       if (trustContext.profileLoaded && !canInterpretSelector(trustContext)) {
@@ -166,7 +251,7 @@ async function analyzeSubCall(call, options) {
     let abiVerified = false;
 
     if (call.to) {
-      const abiResult = decodeWithAbi(call.data, call.to, { profile });
+      const abiResult = decodeWithAbi(call.data, call.to, { profile, chainId: options.chainId });
       if (abiResult) {
         params = abiResult.params;
         abiVerified = true;
@@ -200,8 +285,33 @@ async function analyzeSubCall(call, options) {
       }
     }
 
+    // Parameter constraints need the decoded parameters
+    if (trustContext?.profileLoaded && getParameterConstraints(call.to, selector, profile)) {
+      trustContext = getTrustContext(call.to, selector, profile, { params: params || null, now: options.now });
+      trustBlocked = !canInterpretSelector(trustContext);
+    }
+
     // Analyze effects
-    const effect = analyzeEffects(selectorInfo, params, paramAnalysis, { profile, trustContext });
+    // For execTransaction the called contract is the Safe paying any gas refund
+    let effect = analyzeEffects(selectorInfo, params, paramAnalysis, {
+      profile,
+      trustContext,
+      executor: options.executor,
+      safeAddress: call.to,
+      targetAddress: call.to,
+      chainId: options.chainId
+    });
+
+    // Universal Router: decode the commands of execute()
+    let routerCommands = null;
+    if (isUniversalRouterSelector(selector) && params?.commands !== undefined) {
+      routerCommands = decodeRouterCommands(params.commands, params.inputs, {
+        routerAddress: call.to,
+        safeAddress: options.safeAddress,
+        profile
+      });
+      effect = applyRouterCommandsToEffect(effect, routerCommands);
+    }
 
     // Apply trust override if blocked
     let severity = effect.severity;
@@ -214,7 +324,12 @@ async function analyzeSubCall(call, options) {
       severity = "CRITICAL";
     }
 
-    return {
+    // Calldata must be the canonical encoding of what was decoded from it
+    const integrity = selectorInfo?.signature
+      ? checkCalldataIntegrity(call.data, selectorInfo.signature, Object.keys(params || {}))
+      : null;
+
+    let analysis = {
       selector,
       signature: selectorInfo?.signature || null,
       verified: selectorInfo?.verified || false,
@@ -231,9 +346,60 @@ async function analyzeSubCall(call, options) {
       trustContext: trustContext ? {
         contractClassification: trustContext.contractClassification,
         label: trustContext.label,
-        trustLevel: trustContext.trustLevel
+        trustLevel: trustContext.trustLevel,
+        ...(trustContext.parameterConstraints && { parameterConstraints: trustContext.parameterConstraints })
       } : null
     };
+
+    // Amount parameters of known tokens, in token units
+    const tokenAmounts = trustBlocked ? {} : findTokenAmounts(params, {
+      functionName: analysis.functionName,
+      targetAddress: call.to,
+      chainId: options.chainId,
+      profile
+    });
+    if (Object.keys(tokenAmounts).length > 0) {
+      analysis.tokenAmounts = tokenAmounts;
+    }
+
+    if (integrity) {
+      analysis.calldataIntegrity = integrity;
+    }
+
+    // Recipients against the profile's allowlist, denylisted addresses anywhere
+    analysis = applyCallCounterparties(
+      analysis,
+      selector === SAFE_EXEC_TRANSACTION_SELECTOR ? [] : extractCounterparties(params, paramAnalysis),
+      [{ address: call.to, location: "target" }, ...collectParamAddresses(params)],
+      profile,
+      options
+    );
+
+    // Organization policy rules can only raise the call's severity
+    if (options.policy) {
+      const fired = evaluatePolicy(options.policy, buildPolicyFacts({
+        effect,
+        paramAnalysis,
+        tokenAmounts,
+        targetAddress: call.to,
+        selector,
+        functionName: analysis.functionName,
+        operation: call.operation,
+        trustContext
+      }), profile, { now: options.now });
+      if (fired.length > 0) {
+        analysis.policy = fired;
+        analysis.severity = applyPolicySeverity(analysis.severity, fired);
+        analysis.category = classifySeverity(analysis.severity);
+      }
+    }
+
+    if (routerCommands) {
+      analysis.routerCommands = routerCommands;
+      analysis.nestedHeaderSeverity = routerCommands.headerSeverity;
+    }
+
+    return await expandNestedCall(call, analysis, options, profile);
   } catch (error) {
     return {
       error: error.message,
@@ -244,6 +410,138 @@ async function analyzeSubCall(call, options) {
   }
 }
 
+/**
+ * Classify a batch call's counterparties and addresses against the
+ * profile's trustedRecipients and blockedAddresses (see applyCounterparties)
+ */
+function applyCallCounterparties(analysis, counterparties, entries, profile, options) {
+  const classified = classifyCounterparties(counterparties, entries, profile, { now: options.now });
+  if (!classified) {
+    return analysis;
+  }
+
+  const severity = classified.blocked.length > 0
+    ? "CRITICAL"
+    : maxSeverity([analysis.severity, classified.severity || "LOW"]);
+
+  return {
+    ...analysis,
+    counterparties: classified.counterparties,
+    blockedAddresses: classified.blocked,
+    counterpartyWarnings: classified.warnings,
+    severity,
+    category: classifySeverity(severity)
+  };
+}
+
+/**
+ * Check if calldata wraps a list of calls that can be parsed as a batch
+ */
+function isBatchCalldata(calldata) {
+  return isMultiSendCalldata(calldata) ||
+    isMulticallCalldata(calldata) ||
+    isHandleOpsCalldata(calldata) ||
+    isAccountExecutionCalldata(calldata);
+}
+
+/**
+ * Parse batch calldata sent to a target into its calls
+ */
+function parseNestedBatch(calldata, targetAddress, chainId) {
+  if (isMultiSendCalldata(calldata)) {
+    return parseBatchTransaction(calldata, { targetAddress, chainId });
+  }
+  if (isMulticallCalldata(calldata)) {
+    return parseMulticallTransaction(calldata, { targetAddress });
+  }
+  if (isHandleOpsCalldata(calldata)) {
+    return parseHandleOps(calldata, { targetAddress });
+  }
+  return parseAccountExecution(calldata, { targetAddress });
+}
+
+/**
+ * Expand a sub-call that itself wraps more calls.
+ *
+ * A sub-call may be another MultiSend or multicall, a handleOps bundle or
+ * smart-account execute/executeBatch, or an execTransaction on another Safe. Its calls are analyzed recursively and attached to the
+ * sub-call's analysis (analysis.batchInfo or analysis.innerTransaction), so
+ * the batch becomes a tree. The sub-call's severity is raised to the worst
+ * severity found below it; analysis.nestedHeaderSeverity carries the
+ * trust-first header of the nested layer up to computeBatchHeaderSeverity.
+ *
+ * @param {object} call - Sub-transaction from batch
+ * @param {object} analysis - Analysis of the sub-call itself
+ * @param {object} options - Decode options (nestingDepth is the sub-call's depth)
+ * @param {object} profile - Loaded trust profile (or null)
+ * @returns {object} The analysis, with nested results attached
+ */
+async function expandNestedCall(call, analysis, options, profile) {
+  const isNestedBatch = isBatchCalldata(call.data);
+  const isNestedSafeTx = analysis.selector === SAFE_EXEC_TRANSACTION_SELECTOR && analysis.params;
+
+  if (!isNestedBatch && !isNestedSafeTx) {
+    return analysis;
+  }
+
+  const hasProfile = profile && !profile.error;
+
+  // The nested calls sit one level below this sub-call
+  if (exceedsMaxNestingDepth((options.nestingDepth || 0) + 1, options)) {
+    return {
+      ...analysis,
+      nestingLimitReached: true,
+      severity: "UNKNOWN",
+      category: classifySeverity("UNKNOWN"),
+      summary: `Nested calls not decoded: depth limit ${getMaxNestingDepth(options)} reached`,
+      nestedHeaderSeverity: hasProfile ? "UNKNOWN" : null
+    };
+  }
+
+  let nestedSeverity;
+  let nestedHeaderSeverity;
+
+  if (isNestedBatch) {
+    let nested = parseNestedBatch(call.data, call.to, options.chainId);
+
+    if (nested.batchType !== BATCH_TYPE.UNPARSEABLE_BATCH) {
+      nested = await analyzeSubTransactions(nested, options);
+      nestedSeverity = nested.batchSummary.overallSeverity;
+      nestedHeaderSeverity = nested.headerSeverity;
+    } else {
+      nestedSeverity = "UNKNOWN";
+      nestedHeaderSeverity = hasProfile ? "UNKNOWN" : null;
+    }
+
+    analysis.batchInfo = nested;
+  } else {
+    // Sub-call analysis stays offline, like analyzeSubCall itself
+    const inner = await decodeInnerTransaction(analysis.params, { ...options, offline: true }, profile);
+    analysis.innerTransaction = inner;
+
+    if (inner.error) {
+      nestedSeverity = "UNKNOWN";
+    } else if (inner.isEthTransfer) {
+      nestedSeverity = inner.isDelegatecall ? "CRITICAL" : "MEDIUM";
+    } else {
+      nestedSeverity = maxSeverity([
+        inner.effect?.severity || "UNKNOWN",
+        inner.batchInfo?.batchSummary?.overallSeverity || "LOW"
+      ]);
+    }
+    nestedHeaderSeverity = inner.headerSeverity;
+  }
+
+  const severity = maxSeverity([analysis.severity, nestedSeverity]);
+
+  return {
+    ...analysis,
+    severity,
+    category: classifySeverity(severity),
+    nestedHeaderSeverity: nestedHeaderSeverity || null
+  };
+}
+
 /**
  * Analyze all sub-transactions in a batch
  *
@@ -262,9 +560,29 @@ async function analyzeSubTransactions(batchInfo, options) {
   }
   const hasProfile = profile && !profile.error;
 
+  // Sub-calls sit one level below the call that carries the batch
+  const depth = (options.nestingDepth || 0) + 1;
+  batchInfo.depth = depth;
+
+  if (exceedsMaxNestingDepth(depth, options)) {
+    batchInfo.nestingLimitReached = true;
+    batchInfo.headerSeverity = hasProfile ? "UNKNOWN" : null;
+    batchInfo.warnings = [
+      ...(batchInfo.warnings || []),
+      `Sub-calls not decoded: depth limit ${getMaxNestingDepth(options)} reached - review them manually`
+    ];
+    return batchInfo;
+  }
+
   // Analyze each sub-transaction
   for (const call of batchInfo.calls) {
-    const analysis = await analyzeSubCall(call, options);
+    let analysis = await analyzeSubCall(call, { ...options, nestingDepth: depth });
+    if (call.userOp) {
+      analysis = applyUserOperationInspection(analysis, call.userOp, hasProfile ? profile : null);
+    }
+    if (call.txBuilder) {
+      analysis = applyTxBuilderInputsCheck(analysis, call.txBuilder, hasProfile);
+    }
     call.analysis = analysis;
 
     severities.push(analysis.severity);
@@ -282,28 +600,853 @@ async function analyzeSubTransactions(batchInfo, options) {
   // Compute trust-first header severity for the batch
   batchInfo.headerSeverity = computeBatchHeaderSeverity(batchInfo.calls, hasProfile);
 
+  // Owner-management calls the Safe makes to itself, applied in order
+  const safeAddress = (options.safeAddress || profile?.safeAddress || "").toLowerCase();
+  const ownerState = getOwnerState(options, hasProfile ? profile : null);
+  if (safeAddress && ownerState) {
+    const ownerCalls = batchInfo.calls
+      .map((call, callIndex) => ({ ...call, callIndex }))
+      .filter(call => call.operation === 0 && call.to?.toLowerCase() === safeAddress &&
+        isOwnerManagementCalldata(call.data));
+    const ownerChanges = analyzeOwnerChanges(ownerCalls, ownerState, profile);
+    if (ownerChanges) {
+      batchInfo.ownerChanges = { ...ownerChanges, source: ownerState.source };
+      if (ownerChanges.flagged) {
+        batchInfo.headerSeverity = "CRITICAL";
+      }
+    }
+  }
+
+  // Call targets and parameters imitating addresses the signer knows
+  const lookalikes = classifyAddressLookalikes(
+    batchInfo.calls.flatMap((call, i) => [
+      { address: call.to, location: `call ${i + 1} target` },
+      ...collectParamAddresses(call.analysis.params, `call ${i + 1} param`)
+    ]),
+    hasProfile ? profile : null,
+    { chainId: options.chainId, now: options.now }
+  );
+  if (lookalikes) {
+    batchInfo.addressLookalikes = lookalikes.findings;
+    batchInfo.warnings = [...(batchInfo.warnings || []), ...lookalikes.warnings];
+    batchInfo.headerSeverity = "CRITICAL";
+  }
+
+  // A call matching a BLOCK or CRITICAL policy rule decides the header
+  if (batchInfo.calls.some(call => call.analysis.policy?.some(rule => isCriticalAction(rule.action)))) {
+    batchInfo.headerSeverity = "CRITICAL";
+  }
+
+  // So does a denylisted target, recipient or parameter in any call
+  if (batchInfo.calls.some(call => call.analysis.blockedAddresses?.length > 0)) {
+    batchInfo.headerSeverity = "CRITICAL";
+  }
+
   return batchInfo;
 }
 
+/**
+ * Fold the factory and paymaster of an ERC-4337 UserOperation into the
+ * analysis of its callData. An untrusted factory or paymaster makes the
+ * header CRITICAL when a trust profile is loaded.
+ */
+function applyUserOperationInspection(analysis, userOp, profile) {
+  const inspection = inspectUserOperation(userOp, { profile });
+
+  // An op without callData moves no ETH: the EntryPoint calls the account with value 0
+  const noCall = Boolean(analysis.isEthTransfer);
+  const severity = maxSeverity([noCall ? "LOW" : analysis.severity, inspection.severity]);
+
+  return {
+    ...analysis,
+    isEthTransfer: false,
+    noCall,
+    severity,
+    category: classifySeverity(severity),
+    summary: noCall ? (userOp.factory ? "Deploys the account, no call" : "No call") : analysis.summary,
+    userOpWarnings: inspection.warnings,
+    nestedHeaderSeverity: profile && inspection.untrusted.length > 0
+      ? "CRITICAL"
+      : analysis.nestedHeaderSeverity || null
+  };
+}
+
+/**
+ * A Transaction Builder entry whose readable inputs disagree with its data
+ * shows reviewers something other than what executes: CRITICAL.
+ */
+function applyTxBuilderInputsCheck(analysis, txBuilder, hasProfile) {
+  const { status, message } = txBuilder.inputsCheck;
+  if (status !== INPUTS_CHECK.MISMATCH && status !== INPUTS_CHECK.INVALID_INPUTS) {
+    return analysis;
+  }
+
+  return {
+    ...analysis,
+    severity: "CRITICAL",
+    category: classifySeverity("CRITICAL"),
+    txBuilderWarnings: [`Declared ${txBuilder.method || "method"} inputs do not match the data that executes: ${message}`],
+    nestedHeaderSeverity: hasProfile ? "CRITICAL" : analysis.nestedHeaderSeverity || null
+  };
+}
+
+/**
+ * Check if an address is the Safe the trust profile was written for
+ */
+function isProfileSafe(address, profile) {
+  if (!address || !profile?.safeAddress) return false;
+  return address.toLowerCase() === profile.safeAddress.toLowerCase();
+}
+
+/**
+ * Header severity of an inner call with no calldata, which sends ETH to its
+ * target: CRITICAL for a DELEGATECALL or a denylisted recipient, LOW for a
+ * trusted recipient, UNKNOWN for anyone else; null without a profile
+ */
+function computeEthTransferHeaderSeverity(to, operation, profile, options) {
+  if (operation === 1) {
+    return "CRITICAL";
+  }
+  if (!profile || profile.error) {
+    return null;
+  }
+  const { classification } = to
+    ? classifyRecipient(to, profile, { now: options.now })
+    : { classification: RECIPIENT_CLASSIFICATION.UNLISTED };
+  if (classification === RECIPIENT_CLASSIFICATION.BLOCKED) {
+    return "CRITICAL";
+  }
+  return classification === RECIPIENT_CLASSIFICATION.UNLISTED ? "UNKNOWN" : "LOW";
+}
+
+/**
+ * Decode the inner call of a Safe execTransaction.
+ *
+ * The inner `data` is run through the full decode pipeline against the
+ * inner `to` address, so ABI registry lookups, trust profile context and
+ * MultiSend batch detection all apply to what the Safe will actually execute.
+ *
+ * @param {object} params - Decoded execTransaction parameters
+ * @param {object} options - Decode options of the outer call
+ * @param {object} profile - Loaded trust profile (or null)
+ * @returns {object} Nested decode result
+ */
+async function decodeInnerTransaction(params, options, profile) {
+  const depth = (options.nestingDepth || 0) + 1;
+  const to = params.to ? String(params.to).toLowerCase() : null;
+  const operation = Number(params.operation ?? 0);
+  const value = params.value !== undefined ? BigInt(params.value) : 0n;
+  const data = params.data && params.data !== "0x" ? String(params.data) : "0x";
+
+  const base = {
+    depth,
+    to,
+    operation,
+    value: value.toString()
+  };
+
+  if (exceedsMaxNestingDepth(depth, options)) {
+    return {
+      ...base,
+      nestingLimitReached: true,
+      headerSeverity: "UNKNOWN",
+      error: `Nesting depth exceeds ${getMaxNestingDepth(options)} - inner call not decoded`
+    };
+  }
+
+  // Pure ETH transfer (no calldata to decode): the target is the recipient
+  if (data === "0x") {
+    const recipient = to
+      ? classifyCounterparties([{ address: to, role: "recipient" }], [{ address: to, location: "recipient" }], profile, { now: options.now })
+      : null;
+    return {
+      ...base,
+      isEthTransfer: true,
+      isDelegatecall: operation === 1,
+      headerSeverity: computeEthTransferHeaderSeverity(to, operation, profile, options),
+      ...(recipient && {
+        counterparties: recipient.counterparties,
+        blockedAddresses: recipient.blocked,
+        counterpartyWarnings: recipient.warnings
+      })
+    };
+  }
+
+  try {
+    const inner = await decode(data, {
+      ...options,
+      profile,
+      // The outer target is the Safe executing the inner call
+      safeAddress: options.targetAddress || options.safeAddress,
+      targetAddress: to,
+      operation,
+      nestingDepth: depth
+    });
+
+    // The profile is already attached to the outer result
+    delete inner.profile;
+
+    return { ...base, ...inner };
+  } catch (error) {
+    return {
+      ...base,
+      calldata: data,
+      error: error.message,
+      headerSeverity: "UNKNOWN"
+    };
+  }
+}
+
+/**
+ * Compute the safeTxHash of the transaction being decoded.
+ *
+ * execTransaction calldata carries every SafeTx field except the nonce. Any
+ * other calldata is treated as the `data` of a Safe transaction to
+ * `targetAddress`, with value and gas fields taken from options.safeTx.
+ *
+ * @param {object} result - Decode result (selector and params)
+ * @param {string} calldata - Normalized calldata
+ * @param {object} options - Decode options (safeTx, targetAddress, safeAddress, operation)
+ * @param {object} profile - Loaded trust profile (or null)
+ * @returns {object} computeSafeTxHash() result, or { error }
+ */
+function buildSafeTxHash(result, calldata, options, profile) {
+  // The decode chain is the default for the domain's chainId
+  const safeTx = {
+    ...options.safeTx,
+    chainId: options.safeTx.chainId ?? (options.chainId !== undefined ? result.chainId : undefined)
+  };
+  const target = options.targetAddress ? options.targetAddress.toLowerCase() : null;
+  const explicitSafe = safeTx.safeAddress ? safeTx.safeAddress.toLowerCase() : null;
+
+  // execTransaction sent to the Safe itself: every field but the nonce is in the calldata
+  const isExecOnSafe = result.selector === SAFE_EXEC_TRANSACTION_SELECTOR &&
+    result.params && !result.decodeError &&
+    (!explicitSafe || !target || explicitSafe === target);
+
+  try {
+    if (isExecOnSafe) {
+      const params = result.params;
+      return computeSafeTxHash({
+        ...safeTx,
+        safeAddress: explicitSafe || target,
+        to: params.to,
+        value: params.value,
+        data: params.data,
+        operation: params.operation,
+        safeTxGas: params.safeTxGas,
+        baseGas: params.baseGas,
+        gasPrice: params.gasPrice,
+        gasToken: params.gasToken,
+        refundReceiver: params.refundReceiver
+      });
+    }
+
+    return computeSafeTxHash({
+      ...safeTx,
+      safeAddress: explicitSafe || options.safeAddress || profile?.safeAddress,
+      to: target,
+      data: calldata.startsWith("0x") ? calldata : `0x${calldata}`,
+      operation: options.operation ?? 0
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Recover the signers of the Safe transaction being decoded
+ *
+ * Owners come from the trust profile, else from options.safeTx.owners (the
+ * Safe's on-chain owners); the threshold from options.safeTx.threshold, else
+ * the trust profile.
+ */
+function buildSafeSignatures(signatures, safeTxHash, options, profile) {
+  const owners = profile?.owners || options.safeTx.owners;
+  const threshold = options.safeTx.threshold ?? profile?.threshold;
+  try {
+    return {
+      ...recoverSafeSignatures(signatures, safeTxHash, {
+        owners,
+        threshold: threshold !== undefined ? Number(threshold) : undefined,
+        executor: options.executor
+      }),
+      ownersSource: profile?.owners ? "PROFILE" : (Array.isArray(owners) ? "SAFE" : null)
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Owners and threshold of the Safe before the transaction
+ *
+ * The trust profile's owners and threshold, else the Safe's on-chain state
+ * passed as options.safeTx.owners/threshold. Null when either is unknown.
+ */
+function getOwnerState(options, profile) {
+  if (Array.isArray(profile?.owners) && Number.isInteger(profile.threshold)) {
+    return { owners: profile.owners, threshold: profile.threshold, source: "PROFILE" };
+  }
+  const safeTx = options.safeTx || {};
+  if (Array.isArray(safeTx.owners) && safeTx.threshold !== undefined) {
+    return { owners: safeTx.owners, threshold: Number(safeTx.threshold), source: "SAFE" };
+  }
+  return null;
+}
+
+/**
+ * Model the owners and threshold after a single owner-management call.
+ *
+ * Only calls to the Safe itself change its owners; without a known Safe
+ * address the calldata is assumed to be for the Safe. The resulting M-of-N
+ * is added to the effect's consequences.
+ */
+function applyOwnerState(result, calldata, options, profile) {
+  const ownerState = getOwnerState(options, profile);
+  if (!ownerState || !isOwnerManagementCalldata(calldata) || (options.operation ?? 0) !== 0) {
+    return;
+  }
+  const safeAddress = options.safeAddress || profile?.safeAddress;
+  if (options.targetAddress && safeAddress && options.targetAddress.toLowerCase() !== safeAddress.toLowerCase()) {
+    return;
+  }
+
+  const ownerChanges = analyzeOwnerChanges([{ data: calldata }], ownerState, profile);
+  result.ownerChanges = { ...ownerChanges, source: ownerState.source };
+
+  const consequence = ownerChanges.after
+    ? `After this transaction the Safe is ${formatQuorum(ownerChanges.after)} (currently ${formatQuorum(ownerChanges.before)})`
+    : `This transaction reverts: ${ownerChanges.reverts}`;
+  result.effect = {
+    ...result.effect,
+    consequences: [...(result.effect.consequences || []), consequence],
+    warnings: [...(result.effect.warnings || []), ...ownerChanges.warnings]
+  };
+
+  if (ownerChanges.flagged) {
+    result.effect.severity = "CRITICAL";
+    result.headerSeverity = "CRITICAL";
+  }
+}
+
+/**
+ * Re-encode the decoded parameters and compare them with the calldata.
+ *
+ * Trailing bytes, dirty bits and moved offsets become warnings on the
+ * effect. They do not change its severity: appended bytes also carry
+ * legitimate data such as referral codes.
+ */
+function applyCalldataIntegrity(result, calldata, paramNames) {
+  if (!result.signature) {
+    return;
+  }
+  const names = result.params ? Object.keys(result.params) : (paramNames || []);
+  const integrity = checkCalldataIntegrity(calldata, result.signature, names);
+  if (!integrity) {
+    return;
+  }
+
+  result.calldataIntegrity = integrity;
+  if (!integrity.canonical) {
+    result.effect = {
+      ...result.effect,
+      warnings: [...(result.effect.warnings || []), ...integrityWarnings(integrity)]
+    };
+  }
+}
+
+/**
+ * Flag the target and parameters of a call that imitate addresses the
+ * signer knows (address poisoning). Any finding makes the effect and the
+ * header CRITICAL.
+ */
+function applyAddressLookalikes(result, options, profile) {
+  const lookalikes = classifyAddressLookalikes([
+    { address: options.targetAddress, location: "target" },
+    ...collectParamAddresses(result.params)
+  ], profile, { chainId: result.chainId, now: options.now });
+  if (!lookalikes) {
+    return;
+  }
+
+  result.addressLookalikes = lookalikes.findings;
+  result.effect = {
+    ...result.effect,
+    severity: "CRITICAL",
+    warnings: [...(result.effect.warnings || []), ...lookalikes.warnings]
+  };
+  result.headerSeverity = "CRITICAL";
+}
+
+/**
+ * Classify who receives the call's funds, allowance or control against the
+ * profile's trustedRecipients, and flag denylisted addresses anywhere in
+ * the call. A denylisted address makes the effect and the header CRITICAL;
+ * a recipient outside a non-empty allowlist raises the effect to HIGH.
+ */
+function applyCounterparties(result, options, profile) {
+  // execTransaction's `to` is the inner call's target, classified when it is decoded
+  const counterparties = result.selector === SAFE_EXEC_TRANSACTION_SELECTOR
+    ? []
+    : extractCounterparties(result.params, result.paramAnalysis);
+  const classified = classifyCounterparties(counterparties, [
+    { address: options.targetAddress, location: "target" },
+    ...collectParamAddresses(result.params)
+  ], profile, { now: options.now });
+  if (!classified) {
+    return;
+  }
+
+  result.counterparties = classified.counterparties;
+  result.blockedAddresses = classified.blocked;
+  if (classified.warnings.length === 0) {
+    return;
+  }
+
+  result.effect = {
+    ...result.effect,
+    severity: classified.blocked.length > 0
+      ? "CRITICAL"
+      : maxSeverity([result.effect.severity, classified.severity]),
+    warnings: [...(result.effect.warnings || []), ...classified.warnings]
+  };
+  if (classified.blocked.length > 0) {
+    result.headerSeverity = "CRITICAL";
+  }
+}
+
+/**
+ * Load options.policyPath or validate options.policy once, so nested
+ * decodes receive the prepared policy. An invalid policy is an error:
+ * decoding without the organization's rules would understate severity.
+ */
+function resolvePolicyOption(options) {
+  if (!options.policyPath && !options.policy) {
+    return options;
+  }
+  const policy = options.policy ? preparePolicy(options.policy) : loadPolicy(options.policyPath);
+  if (policy.error) {
+    throw new Error(policy.error);
+  }
+  return { ...options, policy, policyPath: undefined };
+}
+
+/**
+ * Fired rules of the calls of a batch, nested batches and inner Safe
+ * transactions included, each with where it fired ("call 2 > call 1")
+ */
+function collectBatchPolicyRules(batchInfo, prefix = "") {
+  return (batchInfo?.calls || []).flatMap((call, i) => {
+    const location = `${prefix}call ${i + 1}`;
+    const analysis = call.analysis || {};
+    return [
+      ...(analysis.policy || []).map(rule => ({ ...rule, location })),
+      ...collectBatchPolicyRules(analysis.batchInfo, `${location} > `),
+      ...nestPolicyRules(analysis.innerTransaction?.policy?.fired, `${location} > inner transaction`)
+    ];
+  });
+}
+
+function nestPolicyRules(fired, location) {
+  return (fired || []).map(rule => ({
+    ...rule,
+    location: rule.location === "transaction" ? location : `${location} > ${rule.location}`
+  }));
+}
+
+function summarizePolicy(policy, fired) {
+  return {
+    rules: policy.rules.length,
+    blocked: fired.some(rule => rule.action === POLICY_ACTION.BLOCK),
+    fired
+  };
+}
+
+/**
+ * Evaluate the organization policy against the call and gather the rules
+ * that fired on batch calls and the inner transaction into result.policy.
+ * Rules only raise severity; BLOCK and CRITICAL make the header CRITICAL.
+ */
+function applyPolicy(result, options, profile) {
+  const fired = evaluatePolicy(options.policy, buildPolicyFacts({
+    effect: result.effect,
+    paramAnalysis: result.paramAnalysis,
+    tokenAmounts: result.tokenAmounts,
+    targetAddress: options.targetAddress,
+    selector: result.selector,
+    functionName: result.functionName,
+    operation: options.operation ?? 0,
+    trustContext: result.trustContext
+  }), profile, { now: options.now });
+
+  if (fired.length > 0) {
+    result.effect = {
+      ...result.effect,
+      severity: applyPolicySeverity(result.effect.severity, fired),
+      warnings: [...(result.effect.warnings || []), ...fired.map(describeFiredRule)]
+    };
+  }
+
+  const all = [
+    ...fired.map(rule => ({ ...rule, location: "transaction" })),
+    ...collectBatchPolicyRules(result.batchInfo),
+    ...nestPolicyRules(result.innerTransaction?.policy?.fired, "inner transaction")
+  ];
+  result.policy = summarizePolicy(options.policy, all);
+  if (all.some(rule => isCriticalAction(rule.action))) {
+    result.headerSeverity = "CRITICAL";
+  }
+}
+
+/**
+ * Run the call the Safe will make on a fork node
+ *
+ * execTransaction sent to the Safe is unwrapped into its inner call; any
+ * other calldata is simulated as a call from the Safe to targetAddress.
+ */
+async function runSimulation(result, calldata, options, profile) {
+  const simulate = options.simulate;
+  const target = options.targetAddress ? options.targetAddress.toLowerCase() : null;
+
+  if (result.selector === SAFE_EXEC_TRANSACTION_SELECTOR && result.params && !result.decodeError) {
+    const params = result.params;
+    return simulateTransaction({
+      from: Number(params.operation) === 1 ? (options.executor || target) : target,
+      to: params.to,
+      data: params.data,
+      value: params.value,
+      operation: Number(params.operation)
+    }, { ...simulate, safeAddress: target, profile });
+  }
+
+  const safeAddress = simulate.safeAddress || options.safeTx?.safeAddress || options.safeAddress || profile?.safeAddress;
+  const operation = options.operation ?? 0;
+  return simulateTransaction({
+    from: operation === 1 ? (options.executor || safeAddress) : safeAddress,
+    to: target,
+    data: calldata.startsWith("0x") ? calldata : `0x${calldata}`,
+    value: simulate.value ?? options.safeTx?.value ?? 0,
+    operation
+  }, { ...simulate, safeAddress, profile });
+}
+
+/**
+ * Address-valued top-level params (candidate keys for Safe storage mappings)
+ */
+function addressParams(params) {
+  return Object.values(params || {}).filter(value =>
+    typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)
+  );
+}
+
+/**
+ * Decode the calldata of a serialized transaction
+ *
+ * The envelope supplies the target, chain, value and sender; a conflicting
+ * targetAddress or chainId option is an error rather than silently ignored.
+ * The authorization list of an EIP-7702 transaction is analyzed as a code
+ * delegation and folded into the call's effect (or is the whole effect when
+ * the transaction carries no calldata).
+ */
+async function decodeRawTransaction(rawTx, options) {
+  const envelope = parseRawTransaction(rawTx);
+  const isCodeDelegation = envelope.type === 4;
+
+  if (!envelope.to) {
+    throw new Error("Raw transaction is a contract deployment: there is no call to decode");
+  }
+  if (envelope.data === "0x" && !isCodeDelegation) {
+    throw new Error(`Raw transaction carries no calldata: plain transfer of ${envelope.value} wei to ${envelope.to}`);
+  }
+  if (options.targetAddress && options.targetAddress.toLowerCase() !== envelope.to) {
+    throw new Error(`targetAddress ${options.targetAddress} does not match the raw transaction's to ${envelope.to}`);
+  }
+  if (options.chainId !== undefined && options.chainId !== null && envelope.chainId !== null &&
+      resolveChain(options.chainId).chainId !== envelope.chainId) {
+    throw new Error(`chainId ${options.chainId} does not match the raw transaction's chainId ${envelope.chainId}`);
+  }
+
+  let profile = options.profile || null;
+  if (!profile && options.profilePath) {
+    profile = loadProfile(options.profilePath);
+  }
+
+  const delegation = isCodeDelegation
+    ? analyzeCodeDelegation(envelope.authorizationList, { profile, chainId: envelope.chainId, now: options.now })
+    : null;
+
+  let result;
+  if (envelope.data === "0x") {
+    // Nothing to decode: the authorizations are the whole effect
+    result = {
+      selector: null,
+      signature: null,
+      verified: false,
+      params: null,
+      calldata: "0x",
+      chainId: resolveChain(envelope.chainId).chainId,
+      effect: delegation,
+      headerSeverity: delegation.severity === "CRITICAL" ? "CRITICAL" : (profile ? "LOW" : null)
+    };
+    if (profile) {
+      result.profile = profile;
+    }
+  } else {
+    result = await decode(envelope.data, {
+      ...options,
+      profile: profile || undefined,
+      rawTx: false,
+      operation: 0,
+      targetAddress: envelope.to,
+      chainId: envelope.chainId ?? options.chainId,
+      // The sender submits any Safe transaction inside and is who the simulation spends from
+      executor: options.executor || envelope.from || undefined,
+      simulate: options.simulate
+        ? { ...options.simulate, safeAddress: options.simulate.safeAddress || envelope.from, value: envelope.value }
+        : undefined
+    });
+
+    if (delegation) {
+      result.effect = applyCodeDelegation(result.effect, delegation);
+      if (delegation.severity === "CRITICAL") {
+        result.headerSeverity = "CRITICAL";
+      }
+    }
+  }
+
+  result.targetAddress = envelope.to;
+  result.rawTransaction = envelope;
+  if (delegation) {
+    result.codeDelegation = delegation;
+  }
+  return result;
+}
+
+/**
+ * Analyze a Safe Transaction Builder file
+ *
+ * Every transaction is analyzed like a MultiSend sub-call, with its declared
+ * contractMethod/contractInputsValues cross-checked against its data
+ * (call.txBuilder.inputsCheck). The file's chainId is used unless
+ * options.chainId is given; the two must agree.
+ *
+ * @param {object|string} file - Transaction Builder JSON (object or string)
+ * @param {object} options - Decoding options (see decode): profile, profilePath,
+ *   policy, policyPath, chainId, maxNestingDepth, executor
+ * @param {string} options.safeAddress - Safe executing the batch (default: the
+ *   file's createdFromSafeAddress, then profile safeAddress)
+ * @returns {object} { isTxBuilder, txBuilder, chainId, safeAddress, isBatch,
+ *   batchInfo, headerSeverity, warnings, policy }
+ */
+export async function decodeTxBuilder(file, options = {}) {
+  options = resolvePolicyOption(options);
+  const batch = parseTxBuilderFile(file);
+
+  const chain = resolveChain(options.chainId ?? batch.chainId ?? undefined);
+  if (batch.chainId !== null && chain.chainId !== batch.chainId) {
+    throw new Error(`Chain mismatch: the file is for chain ${batch.chainId}, decoding for chain ${chain.chainId}`);
+  }
+
+  let profile = options.profile || null;
+  if (!profile && options.profilePath) {
+    profile = loadProfile(options.profilePath);
+  }
+
+  const safeAddress = (options.safeAddress || batch.meta.safeAddress || profile?.safeAddress || "").toLowerCase() || null;
+
+  const warnings = [];
+  if (batch.meta.safeAddress && profile?.safeAddress && !isProfileSafe(batch.meta.safeAddress, profile)) {
+    warnings.push(`The file was created for Safe ${batch.meta.safeAddress}, not the trust profile's Safe ${profile.safeAddress.toLowerCase()}`);
+  }
+  if (batch.checksum.valid === false) {
+    warnings.push("meta.checksum does not match the file contents: it was modified after export");
+  }
+
+  // Sub-call analysis is offline, as for any batch
+  const batchInfo = await analyzeSubTransactions(batch, {
+    ...options,
+    profile,
+    chainId: chain.chainId,
+    safeAddress,
+    offline: true
+  });
+
+  const mismatchCount = batchInfo.calls.filter(call =>
+    call.txBuilder.inputsCheck.status === INPUTS_CHECK.MISMATCH ||
+    call.txBuilder.inputsCheck.status === INPUTS_CHECK.INVALID_INPUTS
+  ).length;
+  if (mismatchCount > 0) {
+    warnings.push(`${mismatchCount} transaction(s) execute data that differs from their displayed method and inputs`);
+  }
+
+  const result = {
+    isTxBuilder: true,
+    txBuilder: {
+      version: batch.version,
+      createdAt: batch.createdAt,
+      meta: batch.meta,
+      checksum: batch.checksum,
+      mismatchCount
+    },
+    chainId: chain.chainId,
+    safeAddress,
+    isBatch: true,
+    batchInfo,
+    headerSeverity: batchInfo.headerSeverity,
+    warnings
+  };
+
+  if (options.policy) {
+    result.policy = summarizePolicy(options.policy, collectBatchPolicyRules(batchInfo));
+  }
+
+  // Include profile in result for trust-aware address display in formatter
+  if (profile) {
+    result.profile = profile;
+  }
+
+  return result;
+}
+
+/**
+ * Decode a pending transaction from the Safe Transaction Service
+ *
+ * The SafeTx fields go through decode() as the inner call of the Safe, with
+ * the service's safeTxHash as the expected hash. The service's own reading
+ * of the call (dataDecoded) is then compared with SignGuard's decoding: a
+ * disagreement means signer UIs show something other than what the data
+ * does, and is CRITICAL.
+ *
+ * @param {object|string} payload - Service multisig-transaction JSON (object or string)
+ * @param {object} options - Decoding options (see decode): profile, profilePath,
+ *   offline, maxNestingDepth, executor, simulate
+ * @param {number|string} options.chainId - Chain of the Safe (default: 1); part of the
+ *   safeTxHash domain, so it must be right for the hash check
+ * @param {string} options.safeVersion - Safe version for the safeTxHash (default: 1.3.0)
+ * @returns {object} decode() result with safeService:
+ *   { safe, safeTxHash, nonce, proposer, submissionDate, isExecuted, transactionHash,
+ *     confirmationsRequired, confirmations, dataDecoded, dataDecodedCheck }
+ */
+export async function decodeSafeServiceTransaction(payload, options = {}) {
+  const tx = parseSafeServiceTransaction(payload);
+
+  if (tx.data === "0x") {
+    throw new Error(`Safe transaction carries no calldata: plain transfer of ${tx.value} wei to ${tx.to}`);
+  }
+
+  const chain = resolveChain(options.chainId);
+  const result = await decode(tx.data, {
+    ...options,
+    chainId: chain.chainId,
+    targetAddress: tx.to,
+    operation: tx.operation,
+    safeAddress: tx.safe,
+    safeTx: {
+      safeAddress: tx.safe,
+      chainId: chain.chainId,
+      safeVersion: options.safeVersion,
+      nonce: tx.nonce,
+      value: tx.value,
+      safeTxGas: tx.safeTxGas,
+      baseGas: tx.baseGas,
+      gasPrice: tx.gasPrice,
+      gasToken: tx.gasToken,
+      refundReceiver: tx.refundReceiver,
+      expectedSafeTxHash: tx.safeTxHash
+    }
+  });
+
+  // MultiSend is parsed as a batch, not through the selector database
+  let decodedCall = result.decodeError ? {} : { functionName: result.functionName, params: result.params };
+  if (!decodedCall.functionName && isMultiSendCalldata(tx.data)) {
+    try {
+      decodedCall = decodeParams(tx.data, "multiSend(bytes)", ["transactions"]);
+    } catch {
+      // Unparseable batch: nothing to compare against
+    }
+  }
+
+  const dataDecodedCheck = compareDataDecoded(tx.dataDecoded, {
+    ...decodedCall,
+    batchCalls: result.batchInfo?.calls
+  });
+
+  if (dataDecodedCheck.status === DATA_DECODED_CHECK.MISMATCH) {
+    result.effect = {
+      ...result.effect,
+      severity: "CRITICAL",
+      warnings: [
+        ...(result.effect.warnings || []),
+        `${dataDecodedCheck.message} - signer UIs showing the service's decoding misrepresent this transaction`
+      ]
+    };
+    result.headerSeverity = "CRITICAL";
+  }
+
+  result.safeService = {
+    safe: tx.safe,
+    safeTxHash: tx.safeTxHash,
+    nonce: tx.nonce,
+    proposer: tx.proposer,
+    submissionDate: tx.submissionDate,
+    isExecuted: tx.isExecuted,
+    transactionHash: tx.transactionHash,
+    confirmationsRequired: tx.confirmationsRequired,
+    confirmations: tx.confirmations,
+    dataDecoded: tx.dataDecoded,
+    dataDecodedCheck
+  };
+
+  return result;
+}
+
 /**
  * Decode calldata and return structured result
  *
- * @param {string} calldata - Raw hex calldata
+ * @param {string} calldata - Raw hex calldata (a serialized transaction with options.rawTx)
  * @param {object} options - Decoding options
+ * @param {boolean} options.rawTx - Input is an RLP-encoded transaction (legacy, EIP-2930, EIP-1559,
+ *   EIP-4844, EIP-7702): its to, value, chainId and signer are used and the envelope is attached as
+ *   rawTransaction; EIP-7702 authorizations are analyzed as codeDelegation
  * @param {boolean} options.offline - If true, don't query external services
  * @param {string} options.targetAddress - Target contract address (for trust profile)
  * @param {string} options.profilePath - Path to trust profile JSON file
  * @param {object} options.profile - Pre-loaded trust profile object
+ * @param {string} options.policyPath - Path to an organization policy JSON file
+ * @param {object} options.policy - Policy object (rules that fired are reported as result.policy)
  * @param {number} options.operation - Operation type: 0=CALL (default), 1=DELEGATECALL
+ * @param {number|string} options.chainId - Chain ID or name (default: 1, Ethereum) - selects known
+ *   addresses, MultiSend deployments and the ABI registry directory
+ * @param {number} options.maxNestingDepth - Maximum execTransaction/batch nesting depth to decode
+ * @param {object} options.safeTx - Compute the safeTxHash: { safeAddress, chainId, nonce, safeVersion,
+ *   value, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, expectedSafeTxHash }; signatures
+ *   (packed, for calldata other than execTransaction), owners and threshold recover the signers
+ *   as safeSignatures
+ * @param {string} options.executor - Address that will submit the Safe transaction (gas refund analysis)
+ * @param {Date|number|string} options.now - Time trust profile validFrom/expiresAt windows are
+ *   evaluated at (default: current time)
+ * @param {object} options.simulate - Simulate on a fork node (runs even when offline):
+ *   { rpcUrl, safeAddress, value, blockTag, timeoutMs }
+ * @param {number} options.nestingDepth - Internal: current nesting level
  * @returns {object} Decoded result with effect analysis
  */
 export async function decode(calldata, options = {}) {
+  options = resolvePolicyOption(options);
+
+  if (options.rawTx) {
+    return decodeRawTransaction(calldata, options);
+  }
+
   // Validate operation parameter
   const operation = options.operation ?? 0;
   if (operation !== 0 && operation !== 1) {
     throw new Error("Invalid operation: must be 0 (CALL) or 1 (DELEGATECALL)");
   }
 
+  // Validate chain (throws on malformed IDs; unlisted chains decode without known addresses)
+  const chain = resolveChain(options.chainId);
+
   // Validate input
   if (!calldata || typeof calldata !== "string") {
     throw new Error("Calldata must be a non-empty string");
@@ -324,19 +1467,28 @@ export async function decode(calldata, options = {}) {
 
   // ═══════════════════════════════════════════════════════════════════
   // BATCH TRANSACTION DETECTION (Phase 12)
-  // Detect MultiSend batch transactions and analyze sub-transactions
+  // Detect MultiSend, multicall and ERC-4337 handleOps batches and analyze sub-transactions
   // ═══════════════════════════════════════════════════════════════════
 
   let batchInfo = null;
   if (isMultiSendCalldata(normalizedCalldata)) {
     batchInfo = parseBatchTransaction(normalizedCalldata, {
+      targetAddress: options.targetAddress,
+      chainId: chain.chainId
+    });
+  } else if (isMulticallCalldata(normalizedCalldata)) {
+    batchInfo = parseMulticallTransaction(normalizedCalldata, {
+      targetAddress: options.targetAddress
+    });
+  } else if (isHandleOpsCalldata(normalizedCalldata)) {
+    batchInfo = parseHandleOps(normalizedCalldata, {
       targetAddress: options.targetAddress
     });
+  }
 
-    // Phase 12 Step 2: Analyze each sub-transaction
-    if (batchInfo && batchInfo.isBatch && batchInfo.batchType !== BATCH_TYPE.UNPARSEABLE_BATCH) {
-      batchInfo = await analyzeSubTransactions(batchInfo, options);
-    }
+  // Phase 12 Step 2: Analyze each sub-transaction
+  if (batchInfo && batchInfo.isBatch && batchInfo.batchType !== BATCH_TYPE.UNPARSEABLE_BATCH) {
+    batchInfo = await analyzeSubTransactions(batchInfo, options);
   }
 
   // Try verified database first
@@ -364,7 +1516,8 @@ export async function decode(calldata, options = {}) {
     selector,
     verified: selectorInfo?.verified || false,
     source,
-    targetAddress: options.targetAddress || null
+    targetAddress: options.targetAddress || null,
+    chainId: chain.chainId
   };
 
   // Add batch info if this is a batch transaction
@@ -425,7 +1578,7 @@ export async function decode(calldata, options = {}) {
   // This provides named parameters (asset, amount, to) instead of param0/param1.
   // ═══════════════════════════════════════════════════════════════════
   if (options.targetAddress) {
-    const abiResult = decodeWithAbi(normalizedCalldata, options.targetAddress, { profile });
+    const abiResult = decodeWithAbi(normalizedCalldata, options.targetAddress, { profile, chainId: options.chainId });
 
     if (abiResult) {
       // ABI decode succeeded - use named parameters
@@ -456,7 +1609,7 @@ export async function decode(calldata, options = {}) {
       options.targetAddress,
       result.selector,
       profile,
-      { operation }
+      { operation, now: options.now }
     );
 
     // ═══════════════════════════════════════════════════════════════════
@@ -545,6 +1698,15 @@ export async function decode(calldata, options = {}) {
       }
     }
 
+    // Parameter constraints need the final decoded parameters (null if they could not be decoded)
+    if (result.trustContext.profileLoaded && getParameterConstraints(options.targetAddress, result.selector, profile)) {
+      result.trustContext = getTrustContext(options.targetAddress, result.selector, profile, {
+        operation,
+        params: result.params || null,
+        now: options.now
+      });
+    }
+
     // CRITICAL: If trust context says we can't interpret, override the analysis
     if (result.trustContext.profileLoaded && !canInterpretSelector(result.trustContext)) {
       // For unknown/untrusted contracts, we refuse to provide confident analysis
@@ -556,9 +1718,38 @@ export async function decode(calldata, options = {}) {
   // Pass the profile and trustContext for human-readable consequence generation
   result.effect = analyzeEffects(selectorInfo, result.params, result.paramAnalysis, {
     profile,
-    trustContext: result.trustContext
+    trustContext: result.trustContext,
+    // For execTransaction the target is the Safe paying any gas refund
+    executor: options.executor,
+    safeAddress: options.targetAddress,
+    // For ERC-20 calls the target is the token whose units amounts are in
+    targetAddress: options.targetAddress,
+    chainId: chain.chainId
   });
 
+  // Amount parameters of known tokens, in token units (not for contracts the profile blocks)
+  if (!result.trustBlocked) {
+    const tokenAmounts = findTokenAmounts(result.params, {
+      functionName: result.functionName,
+      targetAddress: options.targetAddress,
+      chainId: chain.chainId,
+      profile
+    });
+    if (Object.keys(tokenAmounts).length > 0) {
+      result.tokenAmounts = tokenAmounts;
+    }
+  }
+
+  // Universal Router: one effect per command instead of an opaque batch
+  if (isUniversalRouterSelector(result.selector) && result.params?.commands !== undefined) {
+    result.routerCommands = decodeRouterCommands(result.params.commands, result.params.inputs, {
+      routerAddress: options.targetAddress,
+      safeAddress: options.safeAddress,
+      profile
+    });
+    result.effect = applyRouterCommandsToEffect(result.effect, result.routerCommands);
+  }
+
   // Apply trust overrides after effect analysis
   if (result.trustBlocked) {
     result.effect = {
@@ -628,6 +1819,125 @@ export async function decode(calldata, options = {}) {
     }
   }
 
+  // Router commands sending assets or allowances outside the Safe
+  if (result.routerCommands?.headerSeverity) {
+    result.headerSeverity = combineHeaderSeverities([
+      result.headerSeverity,
+      result.routerCommands.headerSeverity
+    ]);
+  }
+
+  // Owners and threshold after an owner-management call (batches: batchInfo.ownerChanges)
+  if (!result.isBatch) {
+    applyOwnerState(result, normalizedCalldata, { ...options, operation }, profile);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // SAFE execTransaction INNER CALL
+  // The outer call only says "a Safe transaction". Decode the inner
+  // to/data/operation so the header reflects what the Safe will execute.
+  // ═══════════════════════════════════════════════════════════════════
+  if (result.selector === SAFE_EXEC_TRANSACTION_SELECTOR && result.params && !result.decodeError) {
+    result.innerTransaction = await decodeInnerTransaction(result.params, options, profile);
+
+    // The outer call to the profile's own Safe carries no trust signal of its own
+    const outerHeader = isProfileSafe(options.targetAddress, profile)
+      ? null
+      : (result.headerSeverity || null);
+    result.outerHeaderSeverity = result.headerSeverity || null;
+    result.headerSeverity = combineHeaderSeverities([
+      outerHeader,
+      result.innerTransaction.headerSeverity
+    ]);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // SAFE TRANSACTION HASH
+  // Only for the top-level call - nested calls are part of its data.
+  // A hash that differs from the one the wallet shows means the signer
+  // would approve something other than what was decoded.
+  // ═══════════════════════════════════════════════════════════════════
+  if (options.safeTx && !options.nestingDepth) {
+    result.safeTxHash = buildSafeTxHash(result, normalizedCalldata, options, profile);
+
+    // Inner calldata: the gas refund fields arrive with safeTx, not in the calldata
+    if (result.selector !== SAFE_EXEC_TRANSACTION_SELECTOR) {
+      result.effect = applyGasRefund(result.effect, options.safeTx, {
+        profile,
+        executor: options.executor,
+        safeAddress: options.safeTx.safeAddress || options.safeAddress || profile?.safeAddress
+      });
+    }
+
+    // Owners' signatures over the hash: in execTransaction calldata, or supplied with safeTx
+    const signatures = result.selector === SAFE_EXEC_TRANSACTION_SELECTOR && result.params && !result.decodeError
+      ? result.params.signatures
+      : options.safeTx.signatures;
+    if (signatures && signatures !== "0x" && !result.safeTxHash.error) {
+      result.safeSignatures = buildSafeSignatures(signatures, result.safeTxHash.safeTxHash, options, profile);
+    }
+
+    if (result.safeTxHash.matches === false) {
+      result.effect = {
+        ...result.effect,
+        severity: "CRITICAL",
+        warnings: [
+          ...(result.effect.warnings || []),
+          `safeTxHash mismatch: computed ${result.safeTxHash.safeTxHash}, expected ${result.safeTxHash.expectedSafeTxHash}`
+        ]
+      };
+      result.headerSeverity = "CRITICAL";
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // FORK SIMULATION (opt-in, top-level call only)
+  // Informational: the fork node is an external source, so the result
+  // is attached alongside the effect and never changes its severity.
+  // ═══════════════════════════════════════════════════════════════════
+  if (options.simulate?.rpcUrl && !options.nestingDepth) {
+    result.simulation = await runSimulation(result, normalizedCalldata, options, profile);
+
+    // Map writes to the Safe's owner/module/guard/singleton slots; under
+    // DELEGATECALL they replace the generic "can modify ANY state" warning
+    if (result.simulation.traceAvailable && result.simulation.success) {
+      const safeStorage = analyzeSafeStorageWrites(result.simulation.storageWrites, {
+        candidates: [
+          ...addressParams(result.params),
+          ...addressParams(result.innerTransaction?.params),
+          options.executor
+        ]
+      });
+      result.simulation.safeStorage = safeStorage;
+
+      if (result.simulation.operation === 1) {
+        result.effect = applyStorageEvidence(result.effect, safeStorage);
+        if (result.innerTransaction?.effect) {
+          result.innerTransaction.effect = applyStorageEvidence(result.innerTransaction.effect, safeStorage);
+        }
+      }
+    }
+  }
+
+  // Calldata that is not the canonical encoding of its parameters
+  applyCalldataIntegrity(result, normalizedCalldata, selectorInfo?.paramNames);
+
+  // Addresses imitating ones the signer knows (batch calls: batchInfo.addressLookalikes)
+  applyAddressLookalikes(result, options, profile);
+
+  // Recipients against trustedRecipients, denylisted addresses (batch calls: per call)
+  applyCounterparties(result, options, profile);
+
+  // Organization policy rules (after every built-in check, so they see the final effect)
+  if (options.policy) {
+    applyPolicy(result, { ...options, operation }, profile);
+  }
+
+  // A gas refund to an untrusted receiver drains the Safe whatever the call does
+  if (result.effect?.gasRefund?.receiverKind === "UNTRUSTED") {
+    result.headerSeverity = "CRITICAL";
+  }
+
   // Include profile in result for trust-aware address display in formatter
   if (profile) {
     result.profile = profile;
@@ -667,6 +1977,50 @@ export async function decodeAndFormat(calldata, options = {}) {
   }
 }
 
+/**
+ * Analyze EIP-712 typed data and format output
+ *
+ * @param {object|string} typedData - eth_signTypedData_v4 payload
+ * @param {object} options - Options (see decodeTypedData)
+ * @param {boolean} options.json - Output JSON instead of human-readable
+ * @returns {string} Formatted output
+ */
+export async function decodeTypedDataAndFormat(typedData, options = {}) {
+  try {
+    const result = decodeTypedData(typedData, options);
+
+    if (options.json) {
+      return formatJSON(result);
+    }
+
+    return formatHumanReadable(result);
+  } catch (error) {
+    return formatError(error, options.json);
+  }
+}
+
+/**
+ * Analyze a Safe Transaction Builder file and format output
+ *
+ * @param {object|string} file - Transaction Builder JSON (object or string)
+ * @param {object} options - Options (see decodeTxBuilder)
+ * @param {boolean} options.json - Output JSON instead of human-readable
+ * @returns {string} Formatted output
+ */
+export async function decodeTxBuilderAndFormat(file, options = {}) {
+  try {
+    const result = await decodeTxBuilder(file, options);
+
+    if (options.json) {
+      return formatJSON(result);
+    }
+
+    return formatHumanReadable(result);
+  } catch (error) {
+    return formatError(error, options.json);
+  }
+}
+
 // Export components for direct use
 export {
   extractSelector,
@@ -675,9 +2029,42 @@ export {
   lookup4byte,
   analyzeEffects,
   formatHumanReadable,
-  formatJSON
+  formatJSON,
+  decodeTypedData
 };
 
+export { TYPED_DATA_TYPE } from "./typedData.js";
+export { computeSafeTxHash, DEFAULT_SAFE_VERSION } from "./safeTxHash.js";
+export { splitSafeSignatures, recoverSafeSignatures, SIGNATURE_TYPE } from "./safeSignatures.js";
+export { analyzeOwnerChanges, applyOwnerChanges, assessQuorum, parseOwnerChange } from "./ownerState.js";
+export { resolveToken, formatTokenAmount, findTokenAmounts, KNOWN_TOKENS_BY_CHAIN } from "./tokenList.js";
+export { checkCalldataIntegrity, INTEGRITY_ISSUE } from "./calldataIntegrity.js";
+export { loadPolicy, preparePolicy, evaluatePolicy, POLICY_ACTION, RECIPIENT_CLASS } from "./policyEngine.js";
+export { resolveProfile } from "./trustProfile.js";
+export { simulateTransaction } from "./simulation.js";
+export { analyzeSafeStorageWrites, SAFE_SLOT } from "./safeStorage.js";
+export { resolveChain, CHAINS, DEFAULT_CHAIN_ID } from "./chains.js";
+export { parseRawTransaction, RAW_TX_TYPE } from "./rawTransaction.js";
+export {
+  parseTxBuilderFile,
+  buildTxBuilderFile,
+  calculateTxBuilderChecksum,
+  INPUTS_CHECK
+} from "./txBuilder.js";
+export {
+  parseSafeServiceTransaction,
+  fetchSafeServiceTransaction,
+  compareDataDecoded,
+  SAFE_TX_SERVICE_URLS,
+  DATA_DECODED_CHECK
+} from "./safeTxService.js";
+export {
+  parseHandleOps,
+  parseAccountExecution,
+  inspectUserOperation,
+  ENTRY_POINTS
+} from "./userOperation.js";
+
 // Export AI explainer components
 export { buildExplainerPrompt, validatePromptSafety } from "./explainerPrompt.js";
 export { generateExplanation, hasApiKey } from "./aiClient.js";
@@ -690,6 +2077,7 @@ export {
   canInterpretSelector,
   computeHeaderSeverity,
   computeBatchHeaderSeverity,
+  combineHeaderSeverities,
   classifyDelegatecall,
   CONTRACT_CLASSIFICATION,
   SELECTOR_CLASSIFICATION,
@@ -0,0 +1,247 @@
+/**
+ * Safe owner-set and threshold state
+ *
+ * addOwnerWithThreshold, removeOwner, swapOwner and changeThreshold only say
+ * what changes, not what the Safe looks like afterwards. Given the current
+ * owners and threshold (from the trust profile or the Safe), this module
+ * replays a sequence of owner-management calls with the Safe's OwnerManager
+ * rules and reports the resulting M-of-N, including calls that would revert.
+ *
+ * The quorum is then checked against the profile: a threshold below
+ * `minThreshold`, or one that a single party (an `ownerParties` group, or a
+ * lone owner) can reach, is flagged.
+ */
+
+import { AbiCoder, dataSlice } from "ethers";
+
+const SENTINEL_OWNERS = "0x0000000000000000000000000000000000000001";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * OwnerManager calls by selector
+ */
+export const OWNER_MANAGEMENT_SELECTORS = {
+  "0x0d582f13": { name: "addOwnerWithThreshold", types: ["address", "uint256"], fields: ["owner", "threshold"] },
+  "0xf8dc5dd9": { name: "removeOwner", types: ["address", "address", "uint256"], fields: ["prevOwner", "owner", "threshold"] },
+  "0xe318b52b": { name: "swapOwner", types: ["address", "address", "address"], fields: ["prevOwner", "oldOwner", "newOwner"] },
+  "0x694e80c3": { name: "changeThreshold", types: ["uint256"], fields: ["threshold"] }
+};
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Check whether calldata is an OwnerManager call
+ *
+ * @param {string} calldata - Hex calldata
+ * @returns {boolean}
+ */
+export function isOwnerManagementCalldata(calldata) {
+  return typeof calldata === "string" &&
+    Object.hasOwn(OWNER_MANAGEMENT_SELECTORS, calldata.slice(0, 10).toLowerCase());
+}
+
+/**
+ * Decode an OwnerManager call
+ *
+ * @param {string} calldata - Hex calldata
+ * @returns {object|null} { action, owner, prevOwner, oldOwner, newOwner, threshold } (fields
+ *   of the action only; addresses lowercase, threshold a number), or null if not decodable
+ */
+export function parseOwnerChange(calldata) {
+  if (!isOwnerManagementCalldata(calldata)) {
+    return null;
+  }
+
+  const spec = OWNER_MANAGEMENT_SELECTORS[calldata.slice(0, 10).toLowerCase()];
+  let values;
+  try {
+    values = abiCoder.decode(spec.types, dataSlice(calldata, 4));
+  } catch {
+    return null;
+  }
+
+  const change = { action: spec.name };
+  spec.fields.forEach((field, i) => {
+    change[field] = typeof values[i] === "bigint" ? Number(values[i]) : values[i].toLowerCase();
+  });
+  return change;
+}
+
+/**
+ * Replay owner changes on an owner set
+ *
+ * Owners are kept in the Safe's linked-list order (getOwners()): a new owner
+ * is inserted first. Any call the Safe would reject reverts the whole
+ * sequence, which executes atomically.
+ *
+ * @param {object} state - { owners: string[], threshold: number } before the transaction
+ * @param {Array} changes - parseOwnerChange() results, in execution order (callIndex optional)
+ * @returns {object} { before, after, steps, reverts, warnings }
+ *   after is null when the sequence reverts; steps: [{ callIndex, action, summary }]
+ */
+export function applyOwnerChanges(state, changes) {
+  const before = { owners: state.owners.map(owner => owner.toLowerCase()), threshold: state.threshold };
+  const owners = [...before.owners];
+  let threshold = before.threshold;
+  const steps = [];
+  const warnings = [];
+
+  const revert = (change, reason) => ({
+    before,
+    after: null,
+    steps,
+    reverts: `${change.action}${change.callIndex !== undefined ? ` (call ${change.callIndex + 1})` : ""}: ${reason}`,
+    warnings
+  });
+
+  const checkPrevOwner = (change, owner) => {
+    if (change.prevOwner !== SENTINEL_OWNERS && !owners.includes(change.prevOwner)) {
+      return "prevOwner is not an owner";
+    }
+    const expected = owners.indexOf(owner) === 0 ? SENTINEL_OWNERS : owners[owners.indexOf(owner) - 1];
+    if (change.prevOwner !== expected) {
+      // The profile's order may differ from the Safe's linked list
+      warnings.push(`${change.action}: prevOwner ${change.prevOwner} does not precede ${owner} in the known owner order; the call reverts if that is the Safe's order`);
+    }
+    return null;
+  };
+
+  const invalidNewOwner = (owner) => {
+    if (owner === ZERO_ADDRESS || owner === SENTINEL_OWNERS) return "invalid owner address";
+    if (owners.includes(owner)) return `${owner} is already an owner`;
+    return null;
+  };
+
+  for (const change of changes) {
+    let summary;
+
+    if (change.action === "addOwnerWithThreshold") {
+      const invalid = invalidNewOwner(change.owner);
+      if (invalid) return revert(change, invalid);
+      owners.unshift(change.owner);
+      summary = `Adds owner ${change.owner}`;
+    } else if (change.action === "removeOwner") {
+      if (!owners.includes(change.owner)) return revert(change, `${change.owner} is not an owner`);
+      const prevError = checkPrevOwner(change, change.owner);
+      if (prevError) return revert(change, prevError);
+      if (owners.length - 1 < change.threshold) return revert(change, "threshold exceeds the remaining owner count");
+      owners.splice(owners.indexOf(change.owner), 1);
+      summary = `Removes owner ${change.owner}`;
+    } else if (change.action === "swapOwner") {
+      const invalid = invalidNewOwner(change.newOwner);
+      if (invalid) return revert(change, invalid);
+      if (!owners.includes(change.oldOwner)) return revert(change, `${change.oldOwner} is not an owner`);
+      const prevError = checkPrevOwner(change, change.oldOwner);
+      if (prevError) return revert(change, prevError);
+      owners[owners.indexOf(change.oldOwner)] = change.newOwner;
+      summary = `Replaces owner ${change.oldOwner} with ${change.newOwner}`;
+    } else {
+      summary = null;
+    }
+
+    // addOwnerWithThreshold, removeOwner and changeThreshold all end in changeThreshold
+    if (change.threshold !== undefined) {
+      if (change.threshold < 1) return revert(change, "threshold must be at least 1");
+      if (change.threshold > owners.length) return revert(change, `threshold ${change.threshold} exceeds the ${owners.length} owner(s)`);
+      if (change.threshold !== threshold) {
+        summary = summary ? `${summary}, threshold ${threshold} → ${change.threshold}` : `Threshold ${threshold} → ${change.threshold}`;
+      }
+      threshold = change.threshold;
+    }
+
+    steps.push({ callIndex: change.callIndex ?? null, action: change.action, summary: summary || `Threshold stays ${threshold}` });
+  }
+
+  return { before, after: { owners, threshold }, steps, reverts: null, warnings };
+}
+
+/**
+ * Check a resulting owner set against the profile's quorum requirements
+ *
+ * @param {object} state - { owners, threshold } after the transaction
+ * @param {object} profile - Trust profile (minThreshold, ownerParties)
+ * @returns {object} { belowMinimum, singlePartyControl: [{ party, owners }], warnings }
+ */
+export function assessQuorum(state, profile) {
+  const warnings = [];
+  const minThreshold = Number.isInteger(profile?.minThreshold) ? profile.minThreshold : null;
+  const belowMinimum = minThreshold !== null && state.threshold < minThreshold;
+  if (belowMinimum) {
+    warnings.push(`Threshold ${state.threshold} is below the profile minimum of ${minThreshold}`);
+  }
+
+  // Parties reaching the threshold on their own; unlisted owners are their own party
+  const parties = Object.entries(profile?.ownerParties || {})
+    .map(([party, members]) => ({ party, owners: state.owners.filter(owner => members.includes(owner)) }))
+    .filter(party => party.owners.length > 0);
+  const grouped = new Set(parties.flatMap(party => party.owners));
+  for (const owner of state.owners.filter(owner => !grouped.has(owner))) {
+    parties.push({ party: owner, owners: [owner] });
+  }
+
+  const singlePartyControl = parties.filter(party => party.owners.length >= state.threshold);
+  if (state.threshold === 1) {
+    warnings.push("Threshold 1: any single owner can execute transactions alone");
+  } else {
+    for (const party of singlePartyControl) {
+      warnings.push(`${party.party} controls ${party.owners.length} owner(s) and can reach the threshold of ${state.threshold} alone`);
+    }
+  }
+
+  return { belowMinimum, singlePartyControl, warnings };
+}
+
+/**
+ * Model the owner set after a transaction's owner-management calls
+ *
+ * @param {Array} calls - [{ data, callIndex }] OwnerManager calls to the Safe, in order
+ * @param {object} state - { owners, threshold } before the transaction
+ * @param {object} profile - Trust profile (minThreshold, ownerParties)
+ * @returns {object|null} applyOwnerChanges() result plus { belowMinimum, singlePartyControl,
+ *   weakened, flagged }, warnings merged; null when there is no owner-management call
+ */
+export function analyzeOwnerChanges(calls, state, profile) {
+  const changes = calls
+    .map(call => {
+      const change = parseOwnerChange(call.data);
+      return change ? { ...change, callIndex: call.callIndex } : null;
+    })
+    .filter(Boolean);
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const result = applyOwnerChanges(state, changes);
+  if (!result.after) {
+    return { ...result, belowMinimum: false, singlePartyControl: [], weakened: false, flagged: false };
+  }
+
+  const quorum = assessQuorum(result.after, profile);
+  const weakened = result.after.threshold < result.before.threshold;
+
+  return {
+    ...result,
+    belowMinimum: quorum.belowMinimum,
+    singlePartyControl: quorum.singlePartyControl,
+    weakened,
+    flagged: quorum.belowMinimum || quorum.singlePartyControl.length > 0,
+    warnings: [...result.warnings, ...quorum.warnings]
+  };
+}
+
+/**
+ * Describe a state as M-of-N
+ */
+export function formatQuorum(state) {
+  return `${state.threshold}-of-${state.owners.length}`;
+}
+
+export default {
+  OWNER_MANAGEMENT_SELECTORS,
+  isOwnerManagementCalldata,
+  parseOwnerChange,
+  applyOwnerChanges,
+  assessQuorum,
+  analyzeOwnerChanges,
+  formatQuorum
+};
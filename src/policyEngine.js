@@ -0,0 +1,425 @@
+/**
+ * Organization Policy Rule Engine
+ *
+ * Severity otherwise comes from built-in rules. A policy file, loaded next
+ * to the trust profile, lets an organization add its own: each rule lists
+ * conditions on the decoded call and an action to take when all of them
+ * hold, for example:
+ *
+ *   { "id": "large-usdc-transfer",
+ *     "match": { "effectType": "ASSET_TRANSFER", "asset": "0xA0b8...",
+ *                "amountAbove": "10000", "recipient": "NOT_OWNER" },
+ *     "action": "CRITICAL" }
+ *
+ * SECURITY RULES:
+ * - Rules only add findings: an action never lowers a severity
+ * - An amount whose decimals are unknown cannot be shown to be below a
+ *   threshold, so amountAbove holds for it
+ * - Unknown condition names are a load error, not silently ignored
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { classifyRecipient, RECIPIENT_CLASSIFICATION } from "./trustClassifier.js";
+import { formatTokenAmount } from "./tokenList.js";
+
+/**
+ * Rule actions
+ */
+export const POLICY_ACTION = {
+  BLOCK: "BLOCK",       // Do not sign: severity CRITICAL and the result is marked blocked
+  CRITICAL: "CRITICAL",
+  HIGH: "HIGH",
+  MEDIUM: "MEDIUM",
+  LOW: "LOW",
+  WARN: "WARN"          // Report the rule without changing severity
+};
+
+/**
+ * Recipient classes for the `recipient` condition
+ */
+export const RECIPIENT_CLASS = {
+  OWNER: "OWNER",
+  NOT_OWNER: "NOT_OWNER",
+  SAFE: "SAFE",
+  TRUSTED: "TRUSTED",
+  UNTRUSTED: "UNTRUSTED"
+};
+
+const SEVERITY_LEVELS = ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"];
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * Conditions a rule can match on, with the validation of their value
+ */
+const CONDITIONS = {
+  effectType: "strings",
+  scope: "strings",
+  selector: "strings",
+  functionName: "strings",
+  contractClassification: "strings",
+  operation: "operation",
+  target: "addresses",
+  asset: "addresses",
+  amountAbove: "amount",
+  recipient: "recipient"
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Load a policy file
+ *
+ * @param {string} policyPath - Path to the policy JSON file
+ * @returns {object} Normalized policy, or { error } when missing or invalid
+ */
+export function loadPolicy(policyPath) {
+  try {
+    if (!existsSync(policyPath)) {
+      return { error: `Policy file not found: ${policyPath}` };
+    }
+
+    const policy = preparePolicy(JSON.parse(readFileSync(policyPath, "utf-8")));
+    return policy.error ? policy : { ...policy, source: policyPath };
+  } catch (error) {
+    return { error: `Failed to load policy: ${error.message}` };
+  }
+}
+
+/**
+ * Validate and normalize a policy object (e.g. one sent to the API)
+ *
+ * @param {object} policy - Policy object
+ * @returns {object} Normalized policy, or { error } when invalid
+ */
+export function preparePolicy(policy) {
+  const validation = validatePolicy(policy);
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+  return normalizePolicy(policy);
+}
+
+/**
+ * Validate policy structure
+ *
+ * @param {object} policy - Policy object
+ * @returns {object} { valid, error? }
+ */
+export function validatePolicy(policy) {
+  if (!policy || typeof policy !== "object") {
+    return { valid: false, error: "Policy must be an object" };
+  }
+  if (!policy.version) {
+    return { valid: false, error: "Policy must have a version field" };
+  }
+  if (!Array.isArray(policy.rules)) {
+    return { valid: false, error: "Policy must have a rules array" };
+  }
+
+  const ids = new Set();
+  for (const rule of policy.rules) {
+    if (!rule || typeof rule.id !== "string" || !rule.id) {
+      return { valid: false, error: "Every policy rule must have an id" };
+    }
+    if (ids.has(rule.id)) {
+      return { valid: false, error: `Duplicate policy rule id: ${rule.id}` };
+    }
+    ids.add(rule.id);
+
+    if (!Object.hasOwn(POLICY_ACTION, rule.action)) {
+      return { valid: false, error: `Rule ${rule.id}: action must be one of ${Object.keys(POLICY_ACTION).join(", ")}` };
+    }
+    if (!rule.match || typeof rule.match !== "object" || Object.keys(rule.match).length === 0) {
+      return { valid: false, error: `Rule ${rule.id}: match must be an object with at least one condition` };
+    }
+
+    for (const [name, value] of Object.entries(rule.match)) {
+      const error = validateCondition(name, value);
+      if (error) {
+        return { valid: false, error: `Rule ${rule.id}: ${error}` };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+function validateCondition(name, value) {
+  const kind = CONDITIONS[name];
+  if (!kind) {
+    return `unknown condition "${name}"`;
+  }
+
+  const values = toList(value);
+  if (values.length === 0) {
+    return `${name} must not be empty`;
+  }
+
+  switch (kind) {
+    case "strings":
+      return values.every(v => typeof v === "string" && v) ? null : `${name} must be a string or an array of strings`;
+    case "operation":
+      return values.every(v => v === "CALL" || v === "DELEGATECALL") ? null : `${name} must be CALL or DELEGATECALL`;
+    case "addresses":
+      return values.every(v => typeof v === "string" && ADDRESS_PATTERN.test(v)) ? null : `${name} must be an address or an array of addresses`;
+    case "amount":
+      return /^\d+(\.\d+)?$/.test(String(value)) ? null : `${name} must be a non-negative decimal amount in token units`;
+    case "recipient":
+      return values.every(v => Object.hasOwn(RECIPIENT_CLASS, v) || (typeof v === "string" && ADDRESS_PATTERN.test(v)))
+        ? null
+        : `${name} must be one of ${Object.keys(RECIPIENT_CLASS).join(", ")} or an address`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalize addresses and selectors to lowercase
+ */
+function normalizePolicy(policy) {
+  return {
+    ...policy,
+    rules: policy.rules.map(rule => {
+      const match = { ...rule.match };
+      for (const name of ["target", "asset", "selector"]) {
+        if (match[name] !== undefined) {
+          match[name] = toList(match[name]).map(v => v.toLowerCase());
+        }
+      }
+      if (match.recipient !== undefined) {
+        match.recipient = toList(match.recipient).map(v => (ADDRESS_PATTERN.test(v) ? v.toLowerCase() : v));
+      }
+      return { ...rule, match };
+    })
+  };
+}
+
+/**
+ * Collect the facts rules are matched against from a decoded call
+ *
+ * @param {object} call - Decoded call
+ * @param {object} call.effect - Effect analysis
+ * @param {object} call.paramAnalysis - Selector parameter analysis (optional)
+ * @param {object} call.tokenAmounts - findTokenAmounts() result (optional)
+ * @param {string} call.targetAddress - Called contract
+ * @param {string} call.selector - Function selector
+ * @param {string} call.functionName - Function name
+ * @param {number} call.operation - 0 (CALL) or 1 (DELEGATECALL)
+ * @param {object} call.trustContext - Trust context (optional)
+ * @returns {object} Facts for evaluatePolicy()
+ */
+export function buildPolicyFacts(call) {
+  const { effect, paramAnalysis, tokenAmounts } = call;
+
+  // Amounts in known tokens, else the raw amount of the call in unknown units
+  const amounts = Object.values(tokenAmounts || {}).map(amount => ({
+    raw: BigInt(amount.raw),
+    token: { address: amount.token, symbol: amount.symbol, decimals: amount.decimals }
+  }));
+  if (amounts.length === 0 && typeof paramAnalysis?.amount === "bigint") {
+    amounts.push({ raw: paramAnalysis.amount, token: null });
+  }
+
+  const recipient = effect?.beneficiary || paramAnalysis?.beneficiary || null;
+
+  return {
+    effectType: effect?.effectType || null,
+    scope: effect?.scope || null,
+    severity: effect?.severity || null,
+    selector: call.selector ? call.selector.toLowerCase() : null,
+    functionName: call.functionName || null,
+    contractClassification: call.trustContext?.contractClassification || null,
+    operation: call.operation === 1 ? "DELEGATECALL" : "CALL",
+    target: call.targetAddress ? call.targetAddress.toLowerCase() : null,
+    recipient: typeof recipient === "string" ? recipient.toLowerCase() : null,
+    amounts
+  };
+}
+
+/**
+ * Convert a decimal amount in token units to base units
+ */
+function toBaseUnits(amount, decimals) {
+  const [whole, fraction = ""] = String(amount).split(".");
+  return BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, "0"));
+}
+
+/**
+ * Recipient classes that hold for an address. TRUSTED follows the
+ * counterparty classification, so watched, expired and denylisted
+ * addresses are UNTRUSTED.
+ */
+function getRecipientClasses(recipient, profile, options) {
+  const owners = (profile?.owners || []).map(owner => owner.toLowerCase());
+  const safe = profile?.safeAddress?.toLowerCase();
+  const { classification } = classifyRecipient(recipient, profile, options);
+  const trusted = classification !== RECIPIENT_CLASSIFICATION.UNLISTED &&
+    classification !== RECIPIENT_CLASSIFICATION.BLOCKED;
+  return {
+    [RECIPIENT_CLASS.OWNER]: owners.includes(recipient),
+    [RECIPIENT_CLASS.NOT_OWNER]: !owners.includes(recipient),
+    [RECIPIENT_CLASS.SAFE]: recipient === safe,
+    [RECIPIENT_CLASS.TRUSTED]: trusted,
+    [RECIPIENT_CLASS.UNTRUSTED]: !trusted
+  };
+}
+
+const RECIPIENT_REASONS = {
+  [RECIPIENT_CLASS.OWNER]: "is a Safe owner",
+  [RECIPIENT_CLASS.NOT_OWNER]: "is not a Safe owner",
+  [RECIPIENT_CLASS.SAFE]: "is the Safe",
+  [RECIPIENT_CLASS.TRUSTED]: "is in the trust profile",
+  [RECIPIENT_CLASS.UNTRUSTED]: "is not in the trust profile"
+};
+
+/**
+ * Check one condition
+ *
+ * @returns {string|null} Why the condition holds, or null when it does not
+ */
+function checkCondition(name, expected, facts, profile, matchedAssets, options) {
+  switch (name) {
+    case "effectType":
+    case "scope":
+    case "functionName":
+    case "contractClassification":
+    case "operation":
+    case "selector":
+    case "target": {
+      const actual = facts[name];
+      return actual !== null && toList(expected).includes(actual) ? `${name} is ${actual}` : null;
+    }
+
+    case "asset": {
+      const assets = toList(expected);
+      const involved = [facts.target, ...facts.amounts.map(amount => amount.token?.address?.toLowerCase())]
+        .filter(address => address && assets.includes(address));
+      if (involved.length === 0) return null;
+      involved.forEach(address => matchedAssets.add(address));
+      return `asset ${[...new Set(involved)].join(", ")} is involved`;
+    }
+
+    case "amountAbove": {
+      // With an asset condition only that asset's amounts count; the raw
+      // amount of the call (token: null) belongs to the called contract
+      const amounts = matchedAssets.size === 0
+        ? facts.amounts
+        : facts.amounts.filter(amount => matchedAssets.has(amount.token?.address?.toLowerCase() ?? facts.target));
+
+      for (const amount of amounts) {
+        if (!amount.token || !Number.isInteger(amount.token.decimals)) {
+          return `amount ${amount.raw} has unknown decimals and cannot be shown to be at most ${expected}`;
+        }
+        if (amount.raw > toBaseUnits(expected, amount.token.decimals)) {
+          return `amount ${formatTokenAmount(amount.raw, amount.token)} is above ${expected}`;
+        }
+      }
+      return null;
+    }
+
+    case "recipient": {
+      if (!facts.recipient) return null;
+      const classes = getRecipientClasses(facts.recipient, profile, options);
+      for (const value of toList(expected)) {
+        if (ADDRESS_PATTERN.test(value) ? facts.recipient === value : classes[value]) {
+          return `recipient ${facts.recipient} ${ADDRESS_PATTERN.test(value) ? "is listed" : RECIPIENT_REASONS[value]}`;
+        }
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluate policy rules against a decoded call
+ *
+ * The asset condition is checked first so that amountAbove only looks at
+ * amounts of the matched assets.
+ *
+ * @param {object} policy - Loaded policy
+ * @param {object} facts - buildPolicyFacts() result
+ * @param {object} profile - Trust profile (owners, Safe and trusted addresses for `recipient`)
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
+ * @returns {Array} Fired rules: [{ id, description, action, reasons }]
+ */
+export function evaluatePolicy(policy, facts, profile, options = {}) {
+  const fired = [];
+
+  for (const rule of policy?.rules || []) {
+    const matchedAssets = new Set();
+    const names = Object.keys(rule.match).sort((a, b) => (a === "asset" ? -1 : b === "asset" ? 1 : 0));
+    const reasons = [];
+
+    for (const name of names) {
+      const reason = checkCondition(name, rule.match[name], facts, profile, matchedAssets, options);
+      if (!reason) break;
+      reasons.push(reason);
+    }
+
+    if (reasons.length === names.length) {
+      fired.push({ id: rule.id, description: rule.description || null, action: rule.action, reasons });
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Severity after the actions of fired rules
+ *
+ * BLOCK and CRITICAL are a verdict and replace any severity, including
+ * UNKNOWN; other levels raise the severity to at least their level.
+ *
+ * @param {string} severity - Current severity
+ * @param {Array} fired - evaluatePolicy() result
+ * @returns {string} Resulting severity
+ */
+export function applyPolicySeverity(severity, fired) {
+  let result = severity;
+  for (const rule of fired) {
+    if (isCriticalAction(rule.action)) {
+      return "CRITICAL";
+    }
+    if (rule.action !== POLICY_ACTION.WARN && SEVERITY_LEVELS.indexOf(rule.action) > SEVERITY_LEVELS.indexOf(result)) {
+      result = rule.action;
+    }
+  }
+  return result;
+}
+
+/**
+ * Whether an action makes the header CRITICAL
+ *
+ * @param {string} action - Rule action
+ * @returns {boolean}
+ */
+export function isCriticalAction(action) {
+  return action === POLICY_ACTION.BLOCK || action === POLICY_ACTION.CRITICAL;
+}
+
+/**
+ * Describe a fired rule in one line: its description, else the conditions
+ * that matched
+ *
+ * @param {object} rule - Fired rule
+ * @returns {string}
+ */
+export function describeFiredRule(rule) {
+  return `Policy rule "${rule.id}" (${rule.action}): ${rule.description || rule.reasons.join("; ")}`;
+}
+
+export default {
+  POLICY_ACTION,
+  RECIPIENT_CLASS,
+  loadPolicy,
+  preparePolicy,
+  validatePolicy,
+  buildPolicyFacts,
+  evaluatePolicy,
+  applyPolicySeverity,
+  isCriticalAction,
+  describeFiredRule
+};
@@ -0,0 +1,125 @@
+/**
+ * Raw signed-transaction (RLP) parsing
+ *
+ * Signer tools often hand over a fully serialized transaction instead of
+ * separate calldata, target and value. This module parses the envelope
+ * (legacy, EIP-2930, EIP-1559, EIP-4844 and EIP-7702) and recovers the signer, so the
+ * calldata inside can go through the regular decode pipeline with the
+ * target, value and chain the transaction will actually use.
+ *
+ * Unsigned serializations are accepted too; they simply have no signer.
+ */
+
+import { Transaction, verifyAuthorization } from "ethers";
+
+/**
+ * Transaction envelope types (EIP-2718)
+ */
+export const RAW_TX_TYPE = {
+  0: "legacy",
+  1: "eip-2930",
+  2: "eip-1559",
+  3: "eip-4844",
+  4: "eip-7702"
+};
+
+/**
+ * Parse a serialized transaction into its envelope
+ *
+ * @param {string} rawTx - RLP-encoded transaction (0x-prefixed hex)
+ * @returns {object} Envelope:
+ *   { type, typeName, chainId, nonce, to, value, data, from, signed, hash,
+ *     gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas, maxFeePerBlobGas,
+ *     blobVersionedHashes, accessList, authorizationList, signature, warnings }
+ *   authorizationList (EIP-7702): [{ chainId, address, nonce, authority }], authority
+ *   being the recovered account that delegates its code (null if unrecoverable)
+ *   chainId is null for pre-EIP-155 legacy transactions (valid on every chain)
+ * @throws {Error} If the input is not a supported serialized transaction
+ */
+export function parseRawTransaction(rawTx) {
+  if (!rawTx || typeof rawTx !== "string") {
+    throw new Error("Invalid raw transaction: must be a hex string");
+  }
+
+  const normalized = rawTx.trim().startsWith("0x") ? rawTx.trim() : `0x${rawTx.trim()}`;
+  if (!/^0x([0-9a-fA-F]{2})+$/.test(normalized)) {
+    throw new Error("Invalid raw transaction: must be an even-length hex string");
+  }
+
+  let tx;
+  try {
+    tx = Transaction.from(normalized);
+  } catch (error) {
+    throw new Error(`Invalid raw transaction: ${error.shortMessage || error.message}`);
+  }
+
+  if (!Object.hasOwn(RAW_TX_TYPE, tx.type)) {
+    throw new Error(`Invalid raw transaction: unsupported transaction type ${tx.type}`);
+  }
+
+  const signed = tx.signature !== null;
+  const chainId = tx.chainId === 0n ? null : Number(tx.chainId);
+
+  const warnings = [];
+  if (chainId === null) {
+    warnings.push("No chain ID (pre-EIP-155): once signed, this transaction can be replayed on every EVM chain where the nonce matches");
+  }
+
+  return {
+    type: tx.type,
+    typeName: RAW_TX_TYPE[tx.type],
+    chainId,
+    nonce: tx.nonce,
+    to: tx.to ? tx.to.toLowerCase() : null,
+    value: tx.value.toString(),
+    data: tx.data,
+    from: signed ? tx.from.toLowerCase() : null,
+    signed,
+    hash: signed ? tx.hash : null,
+    gasLimit: tx.gasLimit.toString(),
+    gasPrice: tx.type < 2 ? toStringOrNull(tx.gasPrice) : null,
+    maxFeePerGas: tx.type >= 2 ? toStringOrNull(tx.maxFeePerGas) : null,
+    maxPriorityFeePerGas: tx.type >= 2 ? toStringOrNull(tx.maxPriorityFeePerGas) : null,
+    maxFeePerBlobGas: tx.type === 3 ? toStringOrNull(tx.maxFeePerBlobGas) : null,
+    blobVersionedHashes: tx.type === 3 ? [...(tx.blobVersionedHashes || [])] : null,
+    accessList: tx.type >= 1
+      ? (tx.accessList || []).map(entry => ({ address: entry.address.toLowerCase(), storageKeys: [...entry.storageKeys] }))
+      : null,
+    authorizationList: tx.type === 4 ? (tx.authorizationList || []).map(parseAuthorization) : null,
+    signature: signed
+      ? { r: tx.signature.r, s: tx.signature.s, yParity: tx.signature.yParity, v: tx.signature.v }
+      : null,
+    warnings
+  };
+}
+
+/**
+ * Decode an EIP-7702 authorization tuple and recover the delegating account
+ */
+function parseAuthorization(auth) {
+  let authority = null;
+  try {
+    authority = verifyAuthorization(
+      { address: auth.address, nonce: auth.nonce, chainId: auth.chainId },
+      auth.signature
+    ).toLowerCase();
+  } catch {
+    // A malformed signature makes the tuple invalid on-chain; keep it visible
+  }
+
+  return {
+    chainId: Number(auth.chainId),
+    address: auth.address.toLowerCase(),
+    nonce: auth.nonce.toString(),
+    authority
+  };
+}
+
+function toStringOrNull(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
+
+export default {
+  RAW_TX_TYPE,
+  parseRawTransaction
+};
@@ -0,0 +1,216 @@
+/**
+ * Safe signature recovery
+ *
+ * execTransaction carries the owners' signatures as one packed bytes value:
+ * a 65-byte static part per signature (r, s, v), sorted by signer address,
+ * followed by the dynamic data of any contract signatures. The `v` byte
+ * selects how the Safe checks each part:
+ *
+ * - v = 0:  contract signature (EIP-1271), r = signer contract, s = offset of its data
+ * - v = 1:  approved hash, r = owner who called approveHash() or executes the transaction
+ * - v > 30: eth_sign, ECDSA over the "\x19Ethereum Signed Message" prefixed hash (v - 4)
+ * - else:   plain ECDSA over the safeTxHash
+ *
+ * ECDSA and eth_sign signers are recovered offline; approved hashes and
+ * contract signatures name their signer but can only be verified on-chain.
+ */
+
+import { Signature, recoverAddress, hashMessage, getBytes, hexlify, dataSlice, getAddress, toBigInt } from "ethers";
+
+/**
+ * Signature types by the Safe's `v` encoding
+ */
+export const SIGNATURE_TYPE = {
+  ECDSA: "ECDSA",
+  ETH_SIGN: "ETH_SIGN",
+  APPROVED_HASH: "APPROVED_HASH",
+  CONTRACT: "CONTRACT"
+};
+
+const STATIC_PART_LENGTH = 65;
+
+/**
+ * Split packed Safe signatures into their static parts
+ *
+ * Without a threshold, parts are read until the data runs out or reaches
+ * the first contract-signature payload.
+ *
+ * @param {string} signatures - Packed signatures (hex)
+ * @param {object} options
+ * @param {number} options.threshold - Number of signatures the Safe will check (optional)
+ * @returns {Array} [{ index, type, v, r, s, signer, contractSignature, error }]
+ *   signer is null for ECDSA/eth_sign parts (see recoverSafeSignatures)
+ * @throws {Error} If signatures is not a hex string
+ */
+export function splitSafeSignatures(signatures, options = {}) {
+  if (typeof signatures !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(signatures)) {
+    throw new Error("Invalid signatures: must be an even-length hex string");
+  }
+
+  const bytes = getBytes(signatures);
+  const parts = [];
+  let staticEnd = bytes.length;
+  const maxParts = Number.isInteger(options.threshold) ? options.threshold : Infinity;
+
+  for (let index = 0; (index + 1) * STATIC_PART_LENGTH <= staticEnd && index < maxParts; index++) {
+    const offset = index * STATIC_PART_LENGTH;
+    const r = hexlify(bytes.slice(offset, offset + 32));
+    const s = hexlify(bytes.slice(offset + 32, offset + 64));
+    const v = bytes[offset + 64];
+    const part = { index, type: signatureType(v), v, r, s, signer: null, contractSignature: null, error: null };
+
+    if (part.type === SIGNATURE_TYPE.CONTRACT || part.type === SIGNATURE_TYPE.APPROVED_HASH) {
+      part.signer = getAddress(dataSlice(r, 12)).toLowerCase();
+    }
+
+    if (part.type === SIGNATURE_TYPE.CONTRACT) {
+      // s is the offset of the signer contract's data: length word + bytes
+      const dataOffset = toBigInt(s);
+      if (dataOffset + 32n > BigInt(bytes.length)) {
+        part.error = "Contract signature data offset points outside the signatures";
+      } else {
+        const start = Number(dataOffset);
+        const length = toBigInt(bytes.slice(start, start + 32));
+        if (BigInt(start) + 32n + length > BigInt(bytes.length)) {
+          part.error = "Contract signature data is longer than the signatures";
+        } else {
+          part.contractSignature = hexlify(bytes.slice(start + 32, start + 32 + Number(length)));
+          // The dynamic data follows the static parts
+          staticEnd = Math.min(staticEnd, start);
+        }
+      }
+    }
+
+    parts.push(part);
+  }
+
+  return parts;
+}
+
+/**
+ * Recover the signers of a Safe transaction and check them against its owners
+ *
+ * @param {string} signatures - Packed execTransaction signatures (hex)
+ * @param {string} safeTxHash - Hash the owners signed
+ * @param {object} options
+ * @param {string[]} options.owners - Current owners (optional; without them isOwner is null)
+ * @param {number} options.threshold - Required signatures (optional; without it thresholdMet is null)
+ * @param {string} options.executor - Transaction sender, which counts as an approved-hash signer
+ * @returns {object} { safeTxHash, signatures, signers, owners, threshold, ownerSignatures,
+ *   nonOwnerSigners, unverifiedSignatures, ordered, thresholdMet, warnings }
+ *   signatures: [{ index, type, v, signer, valid, isOwner, contractSignature, error }],
+ *   valid being null when it can only be checked on-chain
+ */
+export function recoverSafeSignatures(signatures, safeTxHash, options = {}) {
+  if (typeof safeTxHash !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(safeTxHash)) {
+    throw new Error("Invalid safeTxHash: must be a 32-byte hex string");
+  }
+
+  const owners = Array.isArray(options.owners) ? options.owners.map(owner => owner.toLowerCase()) : null;
+  const threshold = Number.isInteger(options.threshold) && options.threshold > 0 ? options.threshold : null;
+  const executor = options.executor ? options.executor.toLowerCase() : null;
+
+  const parts = splitSafeSignatures(signatures).map(part => {
+    const recovered = recoverPart(part, safeTxHash, executor);
+    return {
+      index: part.index,
+      type: part.type,
+      v: part.v,
+      signer: recovered.signer,
+      valid: recovered.valid,
+      isOwner: owners && recovered.signer ? owners.includes(recovered.signer) : null,
+      contractSignature: part.contractSignature,
+      error: recovered.error
+    };
+  });
+
+  const warnings = [];
+  const signers = parts.map(part => part.signer).filter(Boolean);
+
+  for (const part of parts) {
+    const label = `Signature ${part.index + 1}`;
+    if (part.error) {
+      warnings.push(`${label} is invalid: ${part.error}`);
+    } else if (part.isOwner === false) {
+      warnings.push(`${label} is from ${part.signer}, which is not an owner of the Safe`);
+    }
+    if (part.valid === null && part.type === SIGNATURE_TYPE.APPROVED_HASH) {
+      warnings.push(`${label} (approved hash) only counts if ${part.signer} called approveHash() on-chain or submits the transaction`);
+    } else if (part.valid === null && part.type === SIGNATURE_TYPE.CONTRACT) {
+      warnings.push(`${label} is an EIP-1271 signature of contract ${part.signer}: it is only checked on-chain`);
+    }
+  }
+
+  // The Safe requires strictly ascending signers (no duplicates), or reverts with GS026
+  const ordered = signers.every((signer, i) => i === 0 || BigInt(signer) > BigInt(signers[i - 1]));
+  if (!ordered) {
+    warnings.push("Signatures are not sorted by signer address (or repeat a signer): the Safe rejects them");
+  }
+
+  const ownerSigners = new Set(
+    parts.filter(part => part.isOwner && part.valid !== false).map(part => part.signer)
+  );
+  const nonOwnerSigners = [...new Set(parts.filter(part => part.isOwner === false).map(part => part.signer))];
+  const unverifiedSignatures = parts.filter(part => part.valid === null).length;
+
+  // The Safe checks exactly the first `threshold` parts
+  let thresholdMet = null;
+  if (threshold !== null && owners) {
+    const checked = parts.slice(0, threshold);
+    thresholdMet = checked.length === threshold && ordered &&
+      checked.every(part => part.isOwner && part.valid !== false);
+    if (!thresholdMet) {
+      warnings.push(`Threshold not met: ${ownerSigners.size} valid owner signature(s), ${threshold} required`);
+    }
+  }
+
+  return {
+    safeTxHash: safeTxHash.toLowerCase(),
+    signatures: parts,
+    signers,
+    owners,
+    threshold,
+    ownerSignatures: ownerSigners.size,
+    nonOwnerSigners,
+    unverifiedSignatures,
+    ordered,
+    thresholdMet,
+    warnings
+  };
+}
+
+function signatureType(v) {
+  if (v === 0) return SIGNATURE_TYPE.CONTRACT;
+  if (v === 1) return SIGNATURE_TYPE.APPROVED_HASH;
+  if (v > 30) return SIGNATURE_TYPE.ETH_SIGN;
+  return SIGNATURE_TYPE.ECDSA;
+}
+
+/**
+ * Recover or read the signer of one static part
+ */
+function recoverPart(part, safeTxHash, executor) {
+  if (part.type === SIGNATURE_TYPE.CONTRACT) {
+    return { signer: part.signer, valid: part.error ? false : null, error: part.error };
+  }
+
+  if (part.type === SIGNATURE_TYPE.APPROVED_HASH) {
+    // Verifiable offline only when the owner is the one submitting the transaction
+    return { signer: part.signer, valid: part.signer === executor ? true : null, error: null };
+  }
+
+  const isEthSign = part.type === SIGNATURE_TYPE.ETH_SIGN;
+  const digest = isEthSign ? hashMessage(getBytes(safeTxHash)) : safeTxHash;
+  try {
+    const signature = Signature.from({ r: part.r, s: part.s, v: isEthSign ? part.v - 4 : part.v });
+    return { signer: recoverAddress(digest, signature).toLowerCase(), valid: true, error: null };
+  } catch (error) {
+    return { signer: null, valid: false, error: `cannot recover signer (${error.shortMessage || error.message})` };
+  }
+}
+
+export default {
+  SIGNATURE_TYPE,
+  splitSafeSignatures,
+  recoverSafeSignatures
+};
@@ -0,0 +1,225 @@
+/**
+ * Safe storage-layout analysis
+ *
+ * A DELEGATECALL runs foreign code against the Safe's storage. Instead of
+ * only warning that "owners, modules or guards may change", this module maps
+ * the storage writes seen in a trace or simulation to the Safe's known slots
+ * and reports what concretely changed.
+ *
+ * Safe storage layout (SafeStorage.sol, stable since 1.0.0):
+ * - slot 0: singleton (the implementation the proxy delegates to)
+ * - slot 1: modules linked list  mapping(address => address)
+ * - slot 2: owners linked list   mapping(address => address)
+ * - slot 3: ownerCount
+ * - slot 4: threshold
+ * - slot 5: nonce
+ * - slot 7: signedMessages       mapping(bytes32 => uint256)
+ * - slot 8: approvedHashes       mapping(address => mapping(bytes32 => uint256))
+ * - keccak256("guard_manager.guard.address"): transaction guard
+ * - keccak256("module_manager.module_guard.address"): module guard (1.5.0+)
+ * - keccak256("fallback_manager.handler.address"): fallback handler
+ *
+ * Mapping slots are keccak256(key . slot). Keys are recovered by hashing
+ * candidate addresses: the sentinel, every address-shaped value written and
+ * any extra candidates the caller knows about.
+ */
+
+import { AbiCoder, keccak256 } from "ethers";
+
+/**
+ * Kinds of Safe storage slots
+ */
+export const SAFE_SLOT = {
+  SINGLETON: "SINGLETON",
+  MODULES: "MODULES",
+  OWNERS: "OWNERS",
+  OWNER_COUNT: "OWNER_COUNT",
+  THRESHOLD: "THRESHOLD",
+  NONCE: "NONCE",
+  SIGNED_MESSAGES: "SIGNED_MESSAGES",
+  APPROVED_HASHES: "APPROVED_HASHES",
+  GUARD: "GUARD",
+  MODULE_GUARD: "MODULE_GUARD",
+  FALLBACK_HANDLER: "FALLBACK_HANDLER",
+  UNKNOWN: "UNKNOWN"
+};
+
+const SENTINEL = "0x0000000000000000000000000000000000000001";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const FIXED_SLOTS = new Map([
+  [0n, SAFE_SLOT.SINGLETON],
+  [3n, SAFE_SLOT.OWNER_COUNT],
+  [4n, SAFE_SLOT.THRESHOLD],
+  [5n, SAFE_SLOT.NONCE],
+  [BigInt("0x4a204f620c8c5ccdca3fd54d003badd85ba500436a431f0cbda4f558c93c34c8"), SAFE_SLOT.GUARD],
+  [BigInt("0xb104e0b93118902c651344349b610029d694cfdec91c589c91ebafbcd0289947"), SAFE_SLOT.MODULE_GUARD],
+  [BigInt("0x6c9a6c4a39284e37ed1cf53d337577d14212a4870fb976a4366c693b939918d5"), SAFE_SLOT.FALLBACK_HANDLER]
+]);
+
+const MODULES_SLOT = 1n;
+const OWNERS_SLOT = 2n;
+
+// Slots whose change hands control of the Safe to someone else
+const CONTROL_SLOTS = new Set([
+  SAFE_SLOT.SINGLETON,
+  SAFE_SLOT.MODULES,
+  SAFE_SLOT.OWNERS,
+  SAFE_SLOT.THRESHOLD,
+  SAFE_SLOT.GUARD,
+  SAFE_SLOT.MODULE_GUARD,
+  SAFE_SLOT.FALLBACK_HANDLER
+]);
+
+/**
+ * Map storage writes on a Safe to its known slots
+ *
+ * @param {Array} storageWrites - [{ slot, before, after }] (hex strings)
+ * @param {object} options - Options
+ * @param {string[]} options.candidates - Extra addresses that may key the owners/modules mappings
+ * @returns {object} { changes, findings, controlChanged }
+ *   changes: [{ slot, kind, key?, before, after, description }]
+ *   findings: human-readable lines, one per meaningful change
+ *   controlChanged: true if owners, modules, threshold, guards, fallback handler or singleton changed
+ */
+export function analyzeSafeStorageWrites(storageWrites, options = {}) {
+  const writes = (storageWrites || []).map(write => ({
+    slot: toWord(write.slot),
+    before: toWord(write.before),
+    after: toWord(write.after)
+  })).filter(write => write.before !== write.after);
+
+  const mappingSlots = buildMappingIndex(writes, options.candidates || []);
+  const changes = writes.map(write => classifyWrite(write, mappingSlots));
+
+  const findings = [];
+  for (const change of changes) {
+    if (change.description) {
+      findings.push(change.description);
+    }
+  }
+
+  return {
+    changes: changes.map(change => ({
+      ...change,
+      slot: toHex(change.slot),
+      before: toHex(change.before),
+      after: toHex(change.after)
+    })),
+    findings,
+    controlChanged: changes.some(change => CONTROL_SLOTS.has(change.kind) && change.description)
+  };
+}
+
+/**
+ * Precompute keccak256(key . slot) for the owners and modules mappings over
+ * every candidate key
+ */
+function buildMappingIndex(writes, extraCandidates) {
+  const candidates = new Set([SENTINEL]);
+  for (const address of extraCandidates) {
+    if (typeof address === "string" && /^0x[0-9a-fA-F]{40}$/.test(address)) {
+      candidates.add(address.toLowerCase());
+    }
+  }
+  for (const write of writes) {
+    for (const value of [write.before, write.after]) {
+      if (value !== 0n && value < (1n << 160n)) {
+        candidates.add(toAddress(value));
+      }
+    }
+  }
+
+  const abiCoder = AbiCoder.defaultAbiCoder();
+  const index = new Map();
+  for (const key of candidates) {
+    for (const [mappingSlot, kind] of [[OWNERS_SLOT, SAFE_SLOT.OWNERS], [MODULES_SLOT, SAFE_SLOT.MODULES]]) {
+      const slot = BigInt(keccak256(abiCoder.encode(["address", "uint256"], [key, mappingSlot])));
+      index.set(slot, { kind, key });
+    }
+  }
+  return index;
+}
+
+function classifyWrite(write, mappingSlots) {
+  const fixed = FIXED_SLOTS.get(write.slot);
+  if (fixed) {
+    return { ...write, kind: fixed, description: describeFixedWrite(fixed, write) };
+  }
+
+  const mapped = mappingSlots.get(write.slot);
+  if (mapped) {
+    return { ...write, kind: mapped.kind, key: mapped.key, description: describeListWrite(mapped, write) };
+  }
+
+  return {
+    ...write,
+    kind: SAFE_SLOT.UNKNOWN,
+    description: `Unrecognized Safe storage slot ${toHex(write.slot)} changes from ${toHex(write.before)} to ${toHex(write.after)}`
+  };
+}
+
+function describeFixedWrite(kind, { before, after }) {
+  switch (kind) {
+    case SAFE_SLOT.SINGLETON:
+      return `Singleton overwritten: the Safe now delegates to ${toAddress(after)} instead of ${toAddress(before)}`;
+    case SAFE_SLOT.THRESHOLD:
+      return `Threshold changes from ${before} to ${after}`;
+    case SAFE_SLOT.OWNER_COUNT:
+      return `Owner count changes from ${before} to ${after}`;
+    case SAFE_SLOT.NONCE:
+      // Every executed Safe transaction bumps the nonce - not a finding
+      return null;
+    case SAFE_SLOT.GUARD:
+      return after === 0n
+        ? `Transaction guard ${toAddress(before)} removed`
+        : `Transaction guard set to ${toAddress(after)}`;
+    case SAFE_SLOT.MODULE_GUARD:
+      return after === 0n
+        ? `Module guard ${toAddress(before)} removed`
+        : `Module guard set to ${toAddress(after)}`;
+    case SAFE_SLOT.FALLBACK_HANDLER:
+      return `Fallback handler changes from ${toAddress(before)} to ${toAddress(after)}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a write to the owners/modules linked list.
+ * Inserting X writes list[X] (0 -> next); removing X clears list[X].
+ * Writes to the sentinel or a neighbour only repoint the list.
+ */
+function describeListWrite({ kind, key }, { before, after }) {
+  const noun = kind === SAFE_SLOT.OWNERS ? "owner" : "module";
+  if (key === SENTINEL) {
+    return null;
+  }
+  if (before === 0n && after !== 0n) {
+    return kind === SAFE_SLOT.OWNERS ? `New owner inserted: ${key}` : `New module enabled: ${key}`;
+  }
+  if (before !== 0n && after === 0n) {
+    return kind === SAFE_SLOT.OWNERS ? `Owner removed: ${key}` : `Module disabled: ${key}`;
+  }
+  // Neighbour repointed - the inserted/removed entry is reported on its own slot
+  return `The ${noun} list entry after ${key} changes from ${toAddress(before)} to ${toAddress(after)}`;
+}
+
+function toWord(value) {
+  if (value === undefined || value === null || value === "" || value === "0x") return 0n;
+  return BigInt(value);
+}
+
+function toHex(value) {
+  return "0x" + value.toString(16).padStart(64, "0");
+}
+
+function toAddress(value) {
+  if (value === 0n) return ZERO_ADDRESS;
+  return "0x" + (value & ((1n << 160n) - 1n)).toString(16).padStart(40, "0");
+}
+
+export default {
+  SAFE_SLOT,
+  analyzeSafeStorageWrites
+};
@@ -0,0 +1,200 @@
+/**
+ * Safe transaction hash (EIP-712 SafeTx) computation
+ *
+ * Signers compare the safeTxHash shown on their hardware wallet with the one
+ * the UI displays. This module recomputes it offline from the transaction
+ * fields, the chain ID and the Safe version, so a tampered UI cannot show one
+ * transaction while asking for a signature over another.
+ *
+ * Version differences:
+ * - Safe < 1.0.0 names the `baseGas` field `dataGas` in the SafeTx type
+ * - Safe < 1.3.0 has no chainId in the domain separator
+ */
+
+import { TypedDataEncoder, isAddress } from "ethers";
+
+export const DEFAULT_SAFE_VERSION = "1.3.0";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Build the SafeTx EIP-712 types for a Safe version
+ *
+ * @param {string} safeVersion - Safe contract version, e.g. "1.3.0"
+ * @returns {object} Types object for TypedDataEncoder
+ */
+export function getSafeTxTypes(safeVersion = DEFAULT_SAFE_VERSION) {
+  const gasField = compareVersions(safeVersion, "1.0.0") < 0 ? "dataGas" : "baseGas";
+
+  return {
+    SafeTx: [
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "data", type: "bytes" },
+      { name: "operation", type: "uint8" },
+      { name: "safeTxGas", type: "uint256" },
+      { name: gasField, type: "uint256" },
+      { name: "gasPrice", type: "uint256" },
+      { name: "gasToken", type: "address" },
+      { name: "refundReceiver", type: "address" },
+      { name: "nonce", type: "uint256" }
+    ]
+  };
+}
+
+/**
+ * Build the EIP-712 domain of a Safe
+ *
+ * @param {string} safeAddress - Safe contract address
+ * @param {number|string|bigint} chainId - Chain ID (ignored before Safe 1.3.0)
+ * @param {string} safeVersion - Safe contract version
+ * @returns {object} Domain object for TypedDataEncoder
+ */
+export function getSafeDomain(safeAddress, chainId, safeVersion = DEFAULT_SAFE_VERSION) {
+  if (compareVersions(safeVersion, "1.3.0") < 0) {
+    return { verifyingContract: safeAddress };
+  }
+  return { chainId, verifyingContract: safeAddress };
+}
+
+/**
+ * Compute the safeTxHash, domain hash and message hash of a Safe transaction
+ *
+ * @param {object} fields - Transaction fields
+ * @param {string} fields.safeAddress - Safe contract address (required)
+ * @param {number|string} fields.chainId - Chain ID (required from Safe 1.3.0)
+ * @param {string} fields.safeVersion - Safe version (default: 1.3.0)
+ * @param {string} fields.to - Target address (required)
+ * @param {string|bigint} fields.value - Wei value (default: 0)
+ * @param {string} fields.data - Calldata (default: 0x)
+ * @param {number} fields.operation - 0=CALL, 1=DELEGATECALL (default: 0)
+ * @param {string|bigint} fields.safeTxGas - Default: 0
+ * @param {string|bigint} fields.baseGas - Default: 0
+ * @param {string|bigint} fields.gasPrice - Default: 0
+ * @param {string} fields.gasToken - Default: zero address
+ * @param {string} fields.refundReceiver - Default: zero address
+ * @param {string|bigint} fields.nonce - Safe nonce (required)
+ * @param {string} fields.expectedSafeTxHash - Optional hash to verify against
+ * @returns {object} { safeTxHash, domainHash, messageHash, safeVersion, chainId, safeAddress, safeTx, matches }
+ */
+export function computeSafeTxHash(fields = {}) {
+  const safeVersion = fields.safeVersion || DEFAULT_SAFE_VERSION;
+  const safeAddress = requireAddress(fields.safeAddress, "safeAddress");
+  const usesChainId = compareVersions(safeVersion, "1.3.0") >= 0;
+
+  if (usesChainId && (fields.chainId === undefined || fields.chainId === null || fields.chainId === "")) {
+    throw new Error(`Invalid Safe transaction: chainId is required for Safe ${safeVersion}`);
+  }
+  const chainId = usesChainId ? toUint(fields.chainId, "chainId") : null;
+
+  if (fields.nonce === undefined || fields.nonce === null || fields.nonce === "") {
+    throw new Error("Invalid Safe transaction: nonce is required");
+  }
+
+  const operation = Number(fields.operation ?? 0);
+  if (operation !== 0 && operation !== 1) {
+    throw new Error("Invalid Safe transaction: operation must be 0 (CALL) or 1 (DELEGATECALL)");
+  }
+
+  const data = fields.data === undefined || fields.data === null || fields.data === "" ? "0x" : String(fields.data);
+  if (!/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+    throw new Error("Invalid Safe transaction: data must be an even-length hex string");
+  }
+
+  const safeTx = {
+    to: requireAddress(fields.to, "to"),
+    value: toUint(fields.value ?? 0, "value"),
+    data,
+    operation,
+    safeTxGas: toUint(fields.safeTxGas ?? 0, "safeTxGas"),
+    baseGas: toUint(fields.baseGas ?? fields.dataGas ?? 0, "baseGas"),
+    gasPrice: toUint(fields.gasPrice ?? 0, "gasPrice"),
+    gasToken: requireAddress(fields.gasToken || ZERO_ADDRESS, "gasToken"),
+    refundReceiver: requireAddress(fields.refundReceiver || ZERO_ADDRESS, "refundReceiver"),
+    nonce: toUint(fields.nonce, "nonce")
+  };
+
+  const types = getSafeTxTypes(safeVersion);
+  const domain = getSafeDomain(safeAddress, chainId, safeVersion);
+  const message = { ...safeTx };
+  if (types.SafeTx[5].name === "dataGas") {
+    message.dataGas = message.baseGas;
+    delete message.baseGas;
+  }
+
+  const safeTxHash = TypedDataEncoder.hash(domain, types, message);
+
+  const result = {
+    safeTxHash,
+    domainHash: TypedDataEncoder.hashDomain(domain),
+    messageHash: TypedDataEncoder.from(types).hash(message),
+    safeVersion,
+    chainId: chainId !== null ? chainId.toString() : null,
+    safeAddress,
+    safeTx: {
+      ...safeTx,
+      value: safeTx.value.toString(),
+      safeTxGas: safeTx.safeTxGas.toString(),
+      baseGas: safeTx.baseGas.toString(),
+      gasPrice: safeTx.gasPrice.toString(),
+      nonce: safeTx.nonce.toString()
+    },
+    matches: null
+  };
+
+  if (fields.expectedSafeTxHash) {
+    result.expectedSafeTxHash = String(fields.expectedSafeTxHash).toLowerCase();
+    result.matches = result.expectedSafeTxHash === safeTxHash.toLowerCase();
+  }
+
+  return result;
+}
+
+/**
+ * Compare two dotted versions ("1.3.0", "1.4.1+L2")
+ *
+ * @returns {number} -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const parse = (version) => {
+    const match = String(version).match(/^v?(\d+)\.(\d+)(?:\.(\d+))?/);
+    if (!match) {
+      throw new Error(`Invalid Safe version: ${version}`);
+    }
+    return [Number(match[1]), Number(match[2]), Number(match[3] || 0)];
+  };
+
+  const left = parse(a);
+  const right = parse(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function requireAddress(value, field) {
+  if (typeof value !== "string" || !isAddress(value)) {
+    throw new Error(`Invalid Safe transaction: ${field} must be an address`);
+  }
+  return value.toLowerCase();
+}
+
+function toUint(value, field) {
+  let parsed;
+  try {
+    parsed = BigInt(value);
+  } catch {
+    throw new Error(`Invalid Safe transaction: ${field} must be an unsigned integer`);
+  }
+  if (parsed < 0n) {
+    throw new Error(`Invalid Safe transaction: ${field} must be an unsigned integer`);
+  }
+  return parsed;
+}
+
+export default {
+  DEFAULT_SAFE_VERSION,
+  getSafeTxTypes,
+  getSafeDomain,
+  computeSafeTxHash
+};
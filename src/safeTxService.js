@@ -0,0 +1,316 @@
+/**
+ * Safe Transaction Service import
+ *
+ * Pending Safe transactions live in the Safe Transaction Service, which
+ * stores the SafeTx fields together with its own reading of the call
+ * (`dataDecoded`) and the owners' confirmations. Signer UIs display that
+ * reading, so it is only trustworthy if it agrees with what the calldata
+ * actually does. This module parses the service's multisig-transaction JSON
+ * (pasted or fetched) and compares its dataDecoded with SignGuard's decoding.
+ *
+ * The service base URL is configurable so a local stand-in (any server
+ * answering GET /api/v1/multisig-transactions/<safeTxHash>/) can replace it.
+ */
+
+import { isAddress } from "ethers";
+import { resolveChain } from "./chains.js";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Public Safe Transaction Service deployments by chain ID
+ */
+export const SAFE_TX_SERVICE_URLS = {
+  1: "https://safe-transaction-mainnet.safe.global",
+  10: "https://safe-transaction-optimism.safe.global",
+  56: "https://safe-transaction-bsc.safe.global",
+  100: "https://safe-transaction-gnosis-chain.safe.global",
+  137: "https://safe-transaction-polygon.safe.global",
+  324: "https://safe-transaction-zksync.safe.global",
+  8453: "https://safe-transaction-base.safe.global",
+  42161: "https://safe-transaction-arbitrum.safe.global",
+  11155111: "https://safe-transaction-sepolia.safe.global"
+};
+
+/**
+ * Outcome of comparing the service's dataDecoded with SignGuard's decoding
+ */
+export const DATA_DECODED_CHECK = {
+  MATCH: "MATCH",
+  MISMATCH: "MISMATCH",
+  NOT_PROVIDED: "NOT_PROVIDED",
+  NOT_DECODED: "NOT_DECODED"
+};
+
+/**
+ * Parse a Safe Transaction Service multisig transaction
+ *
+ * @param {object|string} payload - Service JSON (object or string), as returned by
+ *   GET /api/v1/multisig-transactions/<safeTxHash>/
+ * @returns {object} { safe, to, value, data, operation, safeTxGas, baseGas, gasPrice,
+ *   gasToken, refundReceiver, nonce, safeTxHash, proposer, submissionDate, isExecuted,
+ *   transactionHash, confirmationsRequired, confirmations, dataDecoded }
+ *   confirmations: [{ owner, signature, signatureType, submissionDate }]
+ * @throws {Error} If the payload is not a multisig transaction
+ */
+export function parseSafeServiceTransaction(payload) {
+  let tx = payload;
+  if (typeof payload === "string") {
+    try {
+      tx = JSON.parse(payload);
+    } catch (error) {
+      throw new Error(`Invalid Safe Transaction Service payload: not valid JSON (${error.message})`);
+    }
+  }
+
+  if (!tx || typeof tx !== "object" || Array.isArray(tx)) {
+    throw new Error("Invalid Safe Transaction Service payload: must be a JSON object");
+  }
+
+  const data = tx.data === undefined || tx.data === null || tx.data === "" ? "0x" : tx.data;
+  if (typeof data !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+    throw new Error("Invalid Safe Transaction Service payload: data must be an even-length hex string");
+  }
+
+  const operation = Number(tx.operation ?? 0);
+  if (operation !== 0 && operation !== 1) {
+    throw new Error("Invalid Safe Transaction Service payload: operation must be 0 (CALL) or 1 (DELEGATECALL)");
+  }
+
+  if (typeof tx.safeTxHash !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(tx.safeTxHash)) {
+    throw new Error("Invalid Safe Transaction Service payload: safeTxHash must be a 32-byte hex string");
+  }
+
+  if (tx.confirmations !== undefined && tx.confirmations !== null && !Array.isArray(tx.confirmations)) {
+    throw new Error("Invalid Safe Transaction Service payload: confirmations must be an array");
+  }
+
+  if (tx.dataDecoded !== undefined && tx.dataDecoded !== null &&
+      (typeof tx.dataDecoded !== "object" || typeof tx.dataDecoded.method !== "string")) {
+    throw new Error("Invalid Safe Transaction Service payload: dataDecoded must be an object with a method");
+  }
+
+  return {
+    safe: requireAddress(tx.safe, "safe"),
+    to: requireAddress(tx.to, "to"),
+    value: requireUint(tx.value ?? "0", "value"),
+    data: data.toLowerCase(),
+    operation,
+    safeTxGas: requireUint(tx.safeTxGas ?? "0", "safeTxGas"),
+    baseGas: requireUint(tx.baseGas ?? "0", "baseGas"),
+    gasPrice: requireUint(tx.gasPrice ?? "0", "gasPrice"),
+    gasToken: requireAddress(tx.gasToken || ZERO_ADDRESS, "gasToken"),
+    refundReceiver: requireAddress(tx.refundReceiver || ZERO_ADDRESS, "refundReceiver"),
+    nonce: requireUint(tx.nonce, "nonce"),
+    safeTxHash: tx.safeTxHash.toLowerCase(),
+    proposer: tx.proposer && isAddress(tx.proposer) ? tx.proposer.toLowerCase() : null,
+    submissionDate: tx.submissionDate || null,
+    isExecuted: tx.isExecuted === true,
+    transactionHash: tx.transactionHash || null,
+    confirmationsRequired: Number.isInteger(tx.confirmationsRequired) ? tx.confirmationsRequired : null,
+    confirmations: (tx.confirmations || []).map((confirmation, index) => ({
+      owner: requireAddress(confirmation?.owner, `confirmations[${index}].owner`),
+      signature: typeof confirmation.signature === "string" ? confirmation.signature.toLowerCase() : null,
+      signatureType: confirmation.signatureType || null,
+      submissionDate: confirmation.submissionDate || null
+    })),
+    dataDecoded: tx.dataDecoded || null
+  };
+}
+
+/**
+ * Fetch a multisig transaction from a Safe Transaction Service
+ *
+ * @param {string} safeTxHash - Hash of the pending transaction
+ * @param {object} options
+ * @param {string} options.serviceUrl - Service base URL (default: the public service of the chain)
+ * @param {number|string} options.chainId - Chain ID or name selecting the default service (default: 1)
+ * @param {number} options.timeoutMs - Request timeout (default: 15000)
+ * @returns {object} { payload, url } - raw service JSON and the URL it came from
+ * @throws {Error} If the request fails or the transaction does not exist
+ */
+export async function fetchSafeServiceTransaction(safeTxHash, options = {}) {
+  if (typeof safeTxHash !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(safeTxHash)) {
+    throw new Error("Invalid safeTxHash: must be a 32-byte hex string");
+  }
+
+  const chain = resolveChain(options.chainId);
+  const serviceUrl = options.serviceUrl || SAFE_TX_SERVICE_URLS[chain.chainId];
+  if (!serviceUrl) {
+    throw new Error(`No Safe Transaction Service known for chain ${chain.chainId}: set a service URL`);
+  }
+
+  const url = `${serviceUrl.replace(/\/+$/, "")}/api/v1/multisig-transactions/${safeTxHash.toLowerCase()}/`;
+  const response = await fetch(url, {
+    headers: { Accept: "application/json" },
+    signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_TIMEOUT_MS)
+  });
+
+  if (response.status === 404) {
+    const error = new Error(`Safe transaction ${safeTxHash} not found on the Safe Transaction Service`);
+    error.notFound = true;
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`Safe Transaction Service request failed: ${response.status}`);
+  }
+
+  return { payload: await response.json(), url };
+}
+
+/**
+ * Compare the service's dataDecoded with SignGuard's decoding of the same data
+ *
+ * Parameters are compared by position (names differ between ABIs); values
+ * are compared as normalized strings (decimal integers, lowercase hex).
+ * For MultiSend, each entry of `valueDecoded` is compared with the parsed
+ * sub-call (to, value, operation, data) and its own dataDecoded with the
+ * sub-call's analysis.
+ *
+ * @param {object|null} dataDecoded - Service dataDecoded ({ method, parameters })
+ * @param {object} decoded - SignGuard decoding: { functionName, params, batchCalls }
+ *   batchCalls being batchInfo.calls (with .analysis) for batches
+ * @returns {object} { status, message, mismatches: [{ field, service, signguard }] }
+ */
+export function compareDataDecoded(dataDecoded, decoded) {
+  if (!dataDecoded) {
+    return {
+      status: DATA_DECODED_CHECK.NOT_PROVIDED,
+      message: "The service did not decode this call",
+      mismatches: []
+    };
+  }
+
+  if (!decoded?.functionName || !decoded.params) {
+    return {
+      status: DATA_DECODED_CHECK.NOT_DECODED,
+      message: `SignGuard could not decode this call: the service's "${dataDecoded.method}" is unconfirmed`,
+      mismatches: []
+    };
+  }
+
+  const mismatches = [];
+  collectMismatches(dataDecoded, decoded, "", mismatches);
+
+  if (mismatches.length === 0) {
+    return {
+      status: DATA_DECODED_CHECK.MATCH,
+      message: "The service's dataDecoded matches the calldata",
+      mismatches
+    };
+  }
+
+  return {
+    status: DATA_DECODED_CHECK.MISMATCH,
+    message: `The service's dataDecoded disagrees with the calldata: ${mismatches.map(m => m.field).join(", ")}`,
+    mismatches
+  };
+}
+
+function collectMismatches(dataDecoded, decoded, prefix, mismatches) {
+  if (dataDecoded.method !== decoded.functionName) {
+    mismatches.push({ field: `${prefix}method`, service: dataDecoded.method, signguard: decoded.functionName });
+    return;
+  }
+
+  const parameters = Array.isArray(dataDecoded.parameters) ? dataDecoded.parameters : [];
+  const values = Object.values(decoded.params);
+  if (parameters.length !== values.length) {
+    mismatches.push({
+      field: `${prefix}${dataDecoded.method}.parameters`,
+      service: `${parameters.length} parameter(s)`,
+      signguard: `${values.length} parameter(s)`
+    });
+    return;
+  }
+
+  parameters.forEach((parameter, index) => {
+    const field = `${prefix}${parameter?.name || `param${index}`}`;
+    const service = normalizeValue(parameter?.value);
+    const signguard = normalizeValue(values[index]);
+    if (JSON.stringify(service) !== JSON.stringify(signguard)) {
+      mismatches.push({ field, service: displayValue(service), signguard: displayValue(signguard) });
+    }
+
+    if (Array.isArray(parameter?.valueDecoded) && decoded.batchCalls) {
+      collectBatchMismatches(parameter.valueDecoded, decoded.batchCalls, field, mismatches);
+    }
+  });
+}
+
+function collectBatchMismatches(entries, calls, field, mismatches) {
+  if (entries.length !== calls.length) {
+    mismatches.push({ field: `${field}.length`, service: String(entries.length), signguard: String(calls.length) });
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    const call = calls[index];
+    const prefix = `${field}[${index}].`;
+    const pairs = [
+      ["to", normalizeValue(entry?.to), normalizeValue(call.to)],
+      ["value", normalizeValue(entry?.value ?? "0"), normalizeValue(call.valueWei ?? call.value)],
+      ["operation", normalizeValue(entry?.operation ?? 0), normalizeValue(call.operation)],
+      ["data", normalizeValue(entry?.data || "0x"), normalizeValue(call.data || "0x")]
+    ];
+    for (const [name, service, signguard] of pairs) {
+      if (service !== signguard) {
+        mismatches.push({ field: `${prefix}${name}`, service, signguard });
+      }
+    }
+
+    // A sub-call SignGuard cannot decode is already UNKNOWN; there is nothing to compare
+    if (entry?.dataDecoded && call.analysis?.functionName && call.analysis.params) {
+      collectMismatches(entry.dataDecoded, call.analysis, prefix, mismatches);
+    }
+  });
+}
+
+/**
+ * Normalize a decoded value for comparison: integers as decimal strings,
+ * hex lowercase, tuples and arrays element-wise
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, normalizeValue);
+  }
+  if (typeof value === "bigint" || typeof value === "number" || typeof value === "boolean") {
+    return value.toString();
+  }
+
+  const text = String(value);
+  if (/^0x[0-9a-fA-F]*$/.test(text) || /^(true|false)$/i.test(text)) {
+    return text.toLowerCase();
+  }
+  return text;
+}
+
+function displayValue(value) {
+  return typeof value === "string" || value === null ? String(value) : JSON.stringify(value);
+}
+
+function requireAddress(value, field) {
+  if (typeof value !== "string" || !isAddress(value)) {
+    throw new Error(`Invalid Safe Transaction Service payload: ${field} must be an address`);
+  }
+  return value.toLowerCase();
+}
+
+function requireUint(value, field) {
+  if ((typeof value !== "string" && typeof value !== "number") || !/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid Safe Transaction Service payload: ${field} must be an unsigned integer`);
+  }
+  return BigInt(value).toString();
+}
+
+export default {
+  SAFE_TX_SERVICE_URLS,
+  DATA_DECODED_CHECK,
+  parseSafeServiceTransaction,
+  fetchSafeServiceTransaction,
+  compareDataDecoded
+};
@@ -3,6 +3,8 @@
  * Each entry is manually verified and includes consequence information.
  */
 
+import { resolveChain } from "./chains.js";
+
 export const VERIFIED_SELECTORS = {
   // ERC20 Functions
   "0x095ea7b3": {
@@ -203,6 +205,116 @@ export const VERIFIED_SELECTORS = {
     })
   },
 
+  // ═══════════════════════════════════════════════════════════════════
+  // ERC-4337 Account Abstraction
+  // ═══════════════════════════════════════════════════════════════════
+
+  // EntryPoint v0.7+: PackedUserOperation[]
+  "0x765e827f": {
+    signature: "handleOps((address,uint256,bytes,bytes,bytes32,uint256,bytes32,bytes,bytes)[],address)",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes a bundle of ERC-4337 UserOperations through the EntryPoint",
+    paramNames: ["ops", "beneficiary"],
+    analyzeParams: (params) => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: params.ops ? params.ops.length : 0,
+      beneficiary: params.beneficiary
+    })
+  },
+  // EntryPoint v0.6: UserOperation[]
+  "0x1fad948c": {
+    signature: "handleOps((address,uint256,bytes,bytes,uint256,uint256,uint256,uint256,uint256,bytes,bytes)[],address)",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes a bundle of ERC-4337 UserOperations through the EntryPoint",
+    paramNames: ["ops", "beneficiary"],
+    analyzeParams: (params) => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: params.ops ? params.ops.length : 0,
+      beneficiary: params.beneficiary
+    })
+  },
+  // Smart account execution (SimpleAccount, Kernel, Light Account, Coinbase Smart Wallet)
+  "0xb61d27f6": {
+    signature: "execute(address,uint256,bytes)",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes a call from a smart account",
+    paramNames: ["dest", "value", "func"],
+    analyzeParams: () => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: 1
+    })
+  },
+  "0x18dfb3c7": {
+    signature: "executeBatch(address[],bytes[])",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes multiple calls from a smart account",
+    paramNames: ["dest", "func"],
+    analyzeParams: (params) => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: params.dest ? params.dest.length : 0
+    })
+  },
+  "0x47e1da2a": {
+    signature: "executeBatch(address[],uint256[],bytes[])",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes multiple calls with ETH values from a smart account",
+    paramNames: ["dest", "value", "func"],
+    analyzeParams: (params) => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: params.dest ? params.dest.length : 0
+    })
+  },
+  "0x34fcd5be": {
+    signature: "executeBatch((address,uint256,bytes)[])",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes multiple calls from a smart account",
+    paramNames: ["calls"],
+    analyzeParams: (params) => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: params.calls ? params.calls.length : 0
+    })
+  },
+  // ERC-7579 modular accounts: the mode word selects single, batch or DELEGATECALL execution
+  "0xe9ae5c53": {
+    signature: "execute(bytes32,bytes)",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes calls from an ERC-7579 modular account",
+    paramNames: ["mode", "executionCalldata"],
+    analyzeParams: () => ({
+      scope: "MULTIPLE_CALLS"
+    })
+  },
+  // Safe4337Module: the Safe executes the call through its module, CALL or DELEGATECALL
+  "0x7bb37428": {
+    signature: "executeUserOp(address,uint256,bytes,uint8)",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes a UserOperation call from a Safe through the Safe4337Module",
+    paramNames: ["to", "value", "data", "operation"],
+    analyzeParams: () => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: 1
+    })
+  },
+  "0x541d63c8": {
+    signature: "executeUserOpWithErrorString(address,uint256,bytes,uint8)",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes a UserOperation call from a Safe through the Safe4337Module",
+    paramNames: ["to", "value", "data", "operation"],
+    analyzeParams: () => ({
+      scope: "MULTIPLE_CALLS",
+      callCount: 1
+    })
+  },
+
   // ═══════════════════════════════════════════════════════════════════
   // Safe/Gnosis Multisig Functions
   // ═══════════════════════════════════════════════════════════════════
@@ -604,6 +716,17 @@ export const VERIFIED_SELECTORS = {
       deadline: params.deadline
     })
   },
+  "0x24856bc3": {
+    signature: "execute(bytes,bytes[])",
+    verified: true,
+    effectType: "BATCH_OPERATION",
+    description: "Executes multiple commands via Uniswap Universal Router (no deadline)",
+    paramNames: ["commands", "inputs"],
+    analyzeParams: (params) => ({
+      scope: "UNIVERSAL_ROUTER",
+      commandCount: params.commands ? (params.commands.length - 2) / 2 : 0
+    })
+  },
 
   // WETH Functions
   "0xd0e30db0": {
@@ -632,28 +755,25 @@ export const VERIFIED_SELECTORS = {
 };
 
 /**
- * Known contract addresses (for display purposes only, not for risk assessment)
+ * Contracts deployed at the same address on every supported EVM chain
+ * (CREATE2 / deterministic deployments). zkSync Era is excluded: its
+ * different address derivation gives these contracts other addresses there.
  */
-export const KNOWN_ADDRESSES = {
-  // DEX Routers
-  "0x7a250d5630b4cf539739df2c5dacb4c659f2488d": {
-    name: "Uniswap V2 Router",
+const CROSS_CHAIN_ADDRESSES = {
+  "0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad": {
+    name: "Uniswap Universal Router",
     verified: true
   },
-  "0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45": {
-    name: "Uniswap Universal Router",
+  "0x000000000022d473030f116ddee9f6b43ac78ba3": {
+    name: "Uniswap Permit2",
     verified: true
   },
   "0x1111111254eeb25477b68fb85ed929f73a960582": {
     name: "1inch v5 Router",
     verified: true
   },
-  "0xdef1c0ded9bec7f1a1670819833240f027b25eff": {
-    name: "0x Exchange Proxy",
-    verified: true
-  },
 
-  // Safe/Gnosis Infrastructure (Ethereum Mainnet)
+  // Safe/Gnosis Infrastructure (canonical deployments)
   "0xd9db270c1b5e3bd161e8c8503c55ceabee709552": {
     name: "Safe Singleton 1.3.0",
     verified: true,
@@ -664,6 +784,11 @@ export const KNOWN_ADDRESSES = {
     verified: true,
     isSafeContract: true
   },
+  "0x3e5c63644e683549055b9be8653de26e0b4cd36e": {
+    name: "Safe Singleton L2 1.3.0",
+    verified: true,
+    isSafeContract: true
+  },
   "0xa6b71e26c5e0845f74c812102ca7114b6a896ab2": {
     name: "Safe Proxy Factory 1.3.0",
     verified: true,
@@ -679,6 +804,25 @@ export const KNOWN_ADDRESSES = {
     verified: true,
     isSafeContract: true
   },
+  "0x29fcb43b46531bca003ddc8fcb67ffe91900c762": {
+    name: "Safe Singleton L2 1.4.1",
+    verified: true,
+    isSafeContract: true
+  },
+
+  // ERC-4337 EntryPoints (canonical deployments)
+  "0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789": {
+    name: "ERC-4337 EntryPoint v0.6",
+    verified: true
+  },
+  "0x0000000071727de22e5e9d8baf0edac6f37da032": {
+    name: "ERC-4337 EntryPoint v0.7",
+    verified: true
+  },
+  "0x4337084d9e255ff0702461cf8895ce9e3b5ff108": {
+    name: "ERC-4337 EntryPoint v0.8",
+    verified: true
+  },
 
   // Common Safe Modules
   "0x9641d764fc13c8b624c04430c7356c1c7c8102e2": {
@@ -693,6 +837,92 @@ export const KNOWN_ADDRESSES = {
   }
 };
 
+const UNISWAP_SWAP_ROUTER_02 = {
+  "0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45": {
+    name: "Uniswap SwapRouter02",
+    verified: true
+  }
+};
+
+const ZEROX_EXCHANGE_PROXY = {
+  "0xdef1c0ded9bec7f1a1670819833240f027b25eff": {
+    name: "0x Exchange Proxy",
+    verified: true
+  }
+};
+
+/**
+ * Known contract addresses (for display purposes only, not for risk assessment)
+ *
+ * This is the Ethereum mainnet table; see KNOWN_ADDRESSES_BY_CHAIN for others.
+ */
+export const KNOWN_ADDRESSES = {
+  // DEX Routers
+  "0x7a250d5630b4cf539739df2c5dacb4c659f2488d": {
+    name: "Uniswap V2 Router",
+    verified: true
+  },
+  ...UNISWAP_SWAP_ROUTER_02,
+  ...ZEROX_EXCHANGE_PROXY,
+  ...CROSS_CHAIN_ADDRESSES
+};
+
+/**
+ * Known contract addresses per chain ID (display only)
+ */
+export const KNOWN_ADDRESSES_BY_CHAIN = {
+  1: KNOWN_ADDRESSES,
+  10: {
+    ...UNISWAP_SWAP_ROUTER_02,
+    ...CROSS_CHAIN_ADDRESSES
+  },
+  56: {
+    "0x10ed43c718714eb63d5aa57b78b54704e256024e": {
+      name: "PancakeSwap V2 Router",
+      verified: true
+    },
+    ...ZEROX_EXCHANGE_PROXY,
+    ...CROSS_CHAIN_ADDRESSES
+  },
+  100: {
+    ...CROSS_CHAIN_ADDRESSES
+  },
+  137: {
+    "0xa5e0829caced8ffdd4de3c43696c57f7d7a678ff": {
+      name: "QuickSwap Router",
+      verified: true
+    },
+    ...UNISWAP_SWAP_ROUTER_02,
+    ...ZEROX_EXCHANGE_PROXY,
+    ...CROSS_CHAIN_ADDRESSES
+  },
+  324: {},
+  8453: {
+    "0x2626664c2603336e57b271c5c0b26f421741e481": {
+      name: "Uniswap SwapRouter02",
+      verified: true
+    },
+    "0xcf77a3ba9a5ca399b7c97c74d54e5b1beb874e43": {
+      name: "Aerodrome Router",
+      verified: true
+    },
+    ...ZEROX_EXCHANGE_PROXY,
+    ...CROSS_CHAIN_ADDRESSES
+  },
+  42161: {
+    "0x1b02da8cb0d097eb8d57a175b88c7d8b47997506": {
+      name: "SushiSwap Router",
+      verified: true
+    },
+    ...UNISWAP_SWAP_ROUTER_02,
+    ...ZEROX_EXCHANGE_PROXY,
+    ...CROSS_CHAIN_ADDRESSES
+  },
+  11155111: {
+    ...CROSS_CHAIN_ADDRESSES
+  }
+};
+
 /**
  * Look up a selector in the verified database
  */
@@ -703,8 +933,12 @@ export function lookupSelector(selector) {
 
 /**
  * Look up a known address
+ *
+ * @param {string} address - Contract address
+ * @param {number|string} chainId - Chain ID (default: 1, Ethereum)
  */
-export function lookupAddress(address) {
+export function lookupAddress(address, chainId) {
   const normalized = address.toLowerCase();
-  return KNOWN_ADDRESSES[normalized] || null;
+  const table = KNOWN_ADDRESSES_BY_CHAIN[resolveChain(chainId).chainId] || {};
+  return table[normalized] || null;
 }
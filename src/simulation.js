@@ -0,0 +1,455 @@
+/**
+ * Simulation-backed balance diff against a local fork node
+ *
+ * Parameter analysis tells reviewers what a call is allowed to do; a
+ * simulation shows what it actually does on current state. This module runs
+ * the call against a JSON-RPC fork (anvil, hardhat, or any node exposing
+ * debug_traceCall) and turns the trace into balance deltas, approval changes
+ * and storage writes for the Safe.
+ *
+ * RPC usage:
+ * - debug_traceCall with callTracer (withLog) for the call tree and event logs
+ * - debug_traceCall with prestateTracer (diffMode) for storage writes
+ * - eth_call as a fallback when the node has no debug namespace
+ * - DELEGATECALL is simulated by overriding the Safe's code with the target's
+ *   code, so the target runs against the Safe's storage and balances
+ *
+ * SECURITY PRINCIPLES:
+ * - Simulation is optional and never changes the verified effect or severity:
+ *   the fork node is an external source, like 4byte.directory
+ * - Token symbols come only from the trust profile's trustedAssets; a token's
+ *   own symbol() could impersonate a known asset
+ * - RPC failures are reported in the simulation block, never thrown
+ */
+
+import { formatUnits } from "ethers";
+import { isMaxApproval } from "./decoder.js";
+import { getTrustedAsset } from "./trustProfile.js";
+
+// Event topics
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const APPROVAL_TOPIC = "0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925";
+const APPROVAL_FOR_ALL_TOPIC = "0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31";
+const TRANSFER_SINGLE_TOPIC = "0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62";
+const TRANSFER_BATCH_TOPIC = "0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Simulate a Safe call on a fork node
+ *
+ * @param {object} call - The call as the Safe would make it
+ * @param {string} call.from - Caller (the Safe for CALL, the executor for DELEGATECALL)
+ * @param {string} call.to - Target contract
+ * @param {string} call.data - Calldata
+ * @param {string|bigint} call.value - Wei value (default: 0)
+ * @param {number} call.operation - 0=CALL (default), 1=DELEGATECALL
+ * @param {object} options - Options
+ * @param {string} options.rpcUrl - Fork JSON-RPC URL (required)
+ * @param {string} options.safeAddress - The Safe whose balances are diffed
+ * @param {object} options.profile - Trust profile (trustedAssets name tokens)
+ * @param {string} options.blockTag - Block to simulate on (default: latest)
+ * @param {number} options.timeoutMs - Per-request timeout (default: 15000)
+ * @returns {Promise<object>} Simulation block (see buildSimulation)
+ */
+export async function simulateTransaction(call, options = {}) {
+  const blockTag = options.blockTag || "latest";
+  const safeAddress = (options.safeAddress || call.from || "").toLowerCase();
+  const operation = call.operation ?? 0;
+
+  const base = {
+    from: call.from ? call.from.toLowerCase() : null,
+    to: call.to ? call.to.toLowerCase() : null,
+    value: toBigInt(call.value).toString(),
+    operation,
+    safeAddress: safeAddress || null,
+    blockTag
+  };
+
+  if (!options.rpcUrl) {
+    return { ...base, error: "No simulation RPC URL configured" };
+  }
+  if (!base.to || !safeAddress) {
+    return { ...base, error: "Simulation needs the target and the Safe address" };
+  }
+
+  const rpc = (method, params) => rpcRequest(options.rpcUrl, method, params, options.timeoutMs);
+
+  try {
+    // DELEGATECALL runs the target's code in the Safe's context: call the
+    // Safe with the target's code swapped in
+    let txCall = {
+      from: base.from || safeAddress,
+      to: base.to,
+      data: call.data || "0x",
+      value: toHex(toBigInt(call.value))
+    };
+    let stateOverrides;
+    if (operation === 1) {
+      const code = await rpc("eth_getCode", [base.to, blockTag]);
+      stateOverrides = { [safeAddress]: { code } };
+      txCall = { ...txCall, to: safeAddress };
+    }
+
+    let trace = null;
+    let traceError = null;
+    try {
+      trace = await rpc("debug_traceCall", [txCall, blockTag, {
+        tracer: "callTracer",
+        tracerConfig: { withLog: true },
+        ...(stateOverrides && { stateOverrides })
+      }]);
+    } catch (error) {
+      // Only a node answering with an error lacks debug_traceCall; transport failures abort
+      if (!error.rpcError) throw error;
+      traceError = error;
+    }
+
+    if (!trace) {
+      // No debug namespace: eth_call still tells whether the call succeeds
+      const fallback = { ...base, traceAvailable: false, ...emptyDiff() };
+      fallback.warnings.push(`debug_traceCall unavailable (${traceError.message}) - only success/revert is known`);
+      try {
+        await rpc("eth_call", stateOverrides ? [txCall, blockTag, stateOverrides] : [txCall, blockTag]);
+        fallback.success = true;
+        fallback.revertReason = null;
+      } catch (error) {
+        if (!error.rpcError) throw error;
+        fallback.success = false;
+        fallback.revertReason = error.message;
+      }
+      fallback.summary = fallback.success ? ["Call succeeds (no balance data available)"] : ["Call reverts"];
+      return fallback;
+    }
+
+    let prestate = null;
+    try {
+      prestate = await rpc("debug_traceCall", [txCall, blockTag, {
+        tracer: "prestateTracer",
+        tracerConfig: { diffMode: true },
+        ...(stateOverrides && { stateOverrides })
+      }]);
+    } catch {
+      // Storage writes are optional - balances and approvals come from the call trace
+    }
+
+    return {
+      ...base,
+      traceAvailable: true,
+      ...buildSimulation(trace, prestate, { safeAddress, profile: options.profile })
+    };
+  } catch (error) {
+    return { ...base, error: `Simulation failed: ${error.message}` };
+  }
+}
+
+/**
+ * Turn a callTracer trace and a prestateTracer diff into the simulation block
+ *
+ * @param {object} trace - callTracer result (with logs)
+ * @param {object|null} prestate - prestateTracer diffMode result
+ * @param {object} options - { safeAddress, profile }
+ * @returns {object} { success, revertReason, gasUsed, transfers, balanceChanges, approvals, storageWrites, summary, warnings }
+ */
+export function buildSimulation(trace, prestate, options = {}) {
+  const safeAddress = options.safeAddress.toLowerCase();
+  const result = emptyDiff();
+
+  result.success = !trace.error;
+  result.revertReason = trace.error ? (trace.revertReason || trace.error) : null;
+  result.gasUsed = trace.gasUsed ? toBigInt(trace.gasUsed).toString() : null;
+
+  if (!result.success) {
+    result.summary.push(`Call reverts: ${result.revertReason}`);
+    return result;
+  }
+
+  const logs = [];
+  collectFrames(trace, logs, result.transfers);
+  for (const log of logs) {
+    parseLog(log, result.transfers, result.approvals);
+  }
+
+  result.balanceChanges = computeBalanceChanges(result.transfers, safeAddress, options.profile);
+  result.approvals = result.approvals
+    .filter(approval => approval.owner === safeAddress)
+    .map(approval => ({ ...approval, symbol: assetSymbol(approval.token, approval.standard, options.profile) }));
+  result.storageWrites = extractStorageWrites(prestate, safeAddress);
+  result.transfers = result.transfers.map(transfer => ({
+    ...transfer,
+    amount: transfer.amount.toString(),
+    ...(transfer.tokenId !== undefined && { tokenId: transfer.tokenId.toString() })
+  }));
+
+  result.summary = buildSummary(result);
+  if (result.storageWrites.length > 0) {
+    result.warnings.push(`The call writes ${result.storageWrites.length} storage slot(s) of the Safe - owners, modules or guards may change`);
+  }
+
+  return result;
+}
+
+function emptyDiff() {
+  return {
+    success: null,
+    revertReason: null,
+    gasUsed: null,
+    transfers: [],
+    balanceChanges: [],
+    approvals: [],
+    storageWrites: [],
+    summary: [],
+    warnings: []
+  };
+}
+
+/**
+ * Walk the call tree collecting logs and native ETH movements.
+ * Frames that reverted are skipped along with everything below them.
+ */
+function collectFrames(frame, logs, transfers) {
+  if (frame.error) return;
+
+  const value = toBigInt(frame.value);
+  const type = (frame.type || "CALL").toUpperCase();
+  if (value > 0n && type !== "DELEGATECALL" && type !== "STATICCALL") {
+    transfers.push({
+      token: null,
+      standard: "ETH",
+      from: (frame.from || "").toLowerCase(),
+      to: (frame.to || "").toLowerCase(),
+      amount: value
+    });
+  }
+
+  for (const log of frame.logs || []) {
+    logs.push(log);
+  }
+  for (const child of frame.calls || []) {
+    collectFrames(child, logs, transfers);
+  }
+}
+
+/**
+ * Decode a Transfer / Approval / ApprovalForAll / TransferSingle / TransferBatch log
+ */
+function parseLog(log, transfers, approvals) {
+  const topics = (log.topics || []).map(topic => topic.toLowerCase());
+  const token = (log.address || "").toLowerCase();
+  const words = splitWords(log.data);
+
+  switch (topics[0]) {
+    case TRANSFER_TOPIC:
+      if (topics.length === 4) {
+        transfers.push({ token, standard: "ERC721", from: topicAddress(topics[1]), to: topicAddress(topics[2]), tokenId: BigInt(topics[3]), amount: 1n });
+      } else if (topics.length === 3 && words.length >= 1) {
+        transfers.push({ token, standard: "ERC20", from: topicAddress(topics[1]), to: topicAddress(topics[2]), amount: words[0] });
+      }
+      break;
+    case APPROVAL_TOPIC:
+      if (topics.length === 4) {
+        approvals.push({ token, standard: "ERC721", owner: topicAddress(topics[1]), spender: topicAddress(topics[2]), tokenId: BigInt(topics[3]).toString() });
+      } else if (topics.length === 3 && words.length >= 1) {
+        approvals.push({
+          token,
+          standard: "ERC20",
+          owner: topicAddress(topics[1]),
+          spender: topicAddress(topics[2]),
+          amount: words[0].toString(),
+          isUnlimited: isMaxApproval(words[0])
+        });
+      }
+      break;
+    case APPROVAL_FOR_ALL_TOPIC:
+      if (topics.length === 3 && words.length >= 1) {
+        approvals.push({ token, standard: "ERC721/ERC1155", owner: topicAddress(topics[1]), spender: topicAddress(topics[2]), approved: words[0] !== 0n });
+      }
+      break;
+    case TRANSFER_SINGLE_TOPIC:
+      if (topics.length === 4 && words.length >= 2) {
+        transfers.push({ token, standard: "ERC1155", from: topicAddress(topics[2]), to: topicAddress(topics[3]), tokenId: words[0], amount: words[1] });
+      }
+      break;
+    case TRANSFER_BATCH_TOPIC:
+      if (topics.length === 4) {
+        const { ids, values } = decodeBatchArrays(words);
+        ids.forEach((id, i) => {
+          transfers.push({ token, standard: "ERC1155", from: topicAddress(topics[2]), to: topicAddress(topics[3]), tokenId: id, amount: values[i] ?? 0n });
+        });
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Net the transfers into per-asset deltas for the Safe
+ */
+function computeBalanceChanges(transfers, safeAddress, profile) {
+  const deltas = new Map();
+
+  for (const transfer of transfers) {
+    const sign = (transfer.to === safeAddress ? 1n : 0n) - (transfer.from === safeAddress ? 1n : 0n);
+    if (sign === 0n) continue;
+
+    const key = `${transfer.standard}:${transfer.token}:${transfer.tokenId ?? ""}`;
+    const entry = deltas.get(key) || {
+      token: transfer.token,
+      standard: transfer.standard,
+      tokenId: transfer.tokenId !== undefined ? transfer.tokenId.toString() : undefined,
+      delta: 0n
+    };
+    entry.delta += sign * transfer.amount;
+    deltas.set(key, entry);
+  }
+
+  return [...deltas.values()]
+    .filter(entry => entry.delta !== 0n)
+    .map(entry => {
+      const asset = entry.standard === "ERC20" ? getTrustedAsset(entry.token, profile) : null;
+      const decimals = entry.standard === "ETH" ? 18 : asset?.decimals;
+      const magnitude = entry.delta < 0n ? -entry.delta : entry.delta;
+      const change = {
+        token: entry.token,
+        standard: entry.standard,
+        symbol: assetSymbol(entry.token, entry.standard, profile),
+        delta: entry.delta.toString(),
+        direction: entry.delta < 0n ? "OUT" : "IN",
+        formatted: decimals !== undefined && decimals !== null
+          ? formatUnits(magnitude, decimals).replace(/\.0$/, "")
+          : magnitude.toString()
+      };
+      if (entry.tokenId !== undefined) {
+        change.tokenId = entry.tokenId;
+      }
+      return change;
+    });
+}
+
+/**
+ * Storage slots of the Safe whose value the call changes
+ *
+ * In diff mode a slot the call sets to zero is in `pre` but left out of
+ * `post`, so both sides are walked and a missing `post` value means zero.
+ */
+function extractStorageWrites(prestate, safeAddress) {
+  if (!prestate?.post) return [];
+
+  const pre = lowercaseKeys(prestate.pre)[safeAddress]?.storage || {};
+  const post = lowercaseKeys(prestate.post)[safeAddress]?.storage || {};
+
+  return [...new Set([...Object.keys(pre), ...Object.keys(post)])]
+    .map(slot => ({
+      slot,
+      before: pre[slot] ?? "0x0",
+      after: post[slot] ?? "0x0"
+    }))
+    .filter(write => BigInt(write.before) !== BigInt(write.after));
+}
+
+function buildSummary(result) {
+  const summary = result.balanceChanges.map(change => {
+    const verb = change.direction === "OUT" ? "loses" : "gains";
+    const id = change.tokenId !== undefined ? ` #${change.tokenId}` : "";
+    const amount = change.standard === "ERC721" ? "" : `${change.formatted} `;
+    return `Safe ${verb} ${amount}${change.symbol}${id}`;
+  });
+
+  for (const approval of result.approvals) {
+    if (approval.standard === "ERC20") {
+      summary.push(`Safe approves ${approval.spender} for ${approval.isUnlimited ? "UNLIMITED" : approval.amount} ${approval.symbol}`);
+    } else if (approval.standard === "ERC721") {
+      summary.push(`Safe approves ${approval.spender} for ${approval.symbol} #${approval.tokenId}`);
+    } else {
+      summary.push(`Safe ${approval.approved ? "grants" : "revokes"} ${approval.spender} operator rights over all ${approval.symbol}`);
+    }
+  }
+
+  if (summary.length === 0) {
+    summary.push("No balance or approval changes for the Safe");
+  }
+  return summary;
+}
+
+function assetSymbol(token, standard, profile) {
+  if (standard === "ETH") return "ETH";
+  return getTrustedAsset(token, profile)?.symbol || `tokens of ${token}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// JSON-RPC and ABI helpers
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function rpcRequest(rpcUrl, method, params, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const response = await fetch(rpcUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`RPC request failed: ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    const error = new Error(body.error.message || "RPC error");
+    error.rpcError = true;
+    throw error;
+  }
+  return body.result;
+}
+
+function splitWords(data) {
+  const hex = (data || "0x").replace(/^0x/, "");
+  const words = [];
+  for (let i = 0; i + 64 <= hex.length; i += 64) {
+    words.push(BigInt("0x" + hex.slice(i, i + 64)));
+  }
+  return words;
+}
+
+/**
+ * Decode TransferBatch data: (uint256[] ids, uint256[] values)
+ */
+function decodeBatchArrays(words) {
+  const readArray = (offsetWord) => {
+    const start = Number(offsetWord / 32n);
+    const length = Number(words[start] ?? 0n);
+    return words.slice(start + 1, start + 1 + length);
+  };
+  if (words.length < 2) return { ids: [], values: [] };
+  return { ids: readArray(words[0]), values: readArray(words[1]) };
+}
+
+function topicAddress(topic) {
+  return "0x" + topic.slice(-40);
+}
+
+function lowercaseKeys(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object || {})) {
+    result[key.toLowerCase()] = value;
+  }
+  return result;
+}
+
+function toBigInt(value) {
+  if (value === undefined || value === null || value === "") return 0n;
+  try {
+    return BigInt(value);
+  } catch {
+    return 0n;
+  }
+}
+
+function toHex(value) {
+  return "0x" + value.toString(16);
+}
+
+export default {
+  simulateTransaction,
+  buildSimulation
+};
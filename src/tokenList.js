@@ -0,0 +1,287 @@
+/**
+ * Token list and amount humanization
+ *
+ * A raw uint256 amount hides its scale: 1000000000 is 1,000 USDC but a
+ * billionth of a WETH. Amounts tied to a known token are shown with the
+ * token's decimals and symbol, next to the raw value that is signed.
+ *
+ * Tokens are known from the trust profile's trustedAssets (symbol, decimals)
+ * or from the bundled list below: canonical deployments on the supported
+ * chains, keyed by chain ID and address. Like the known-address tables, the
+ * list ships with SignGuard. Symbols and decimals are never read from the
+ * token contract, the calldata or an external API, where a look-alike token
+ * can claim any symbol.
+ */
+
+import { formatUnits } from "ethers";
+import { resolveChain } from "./chains.js";
+import { isMaxApproval } from "./decoder.js";
+import { getTrustedAsset } from "./trustProfile.js";
+
+/**
+ * Token source: the trust profile or the bundled list
+ */
+export const TOKEN_SOURCE = {
+  PROFILE: "PROFILE",
+  TOKEN_LIST: "TOKEN_LIST",
+  NATIVE: "NATIVE"
+};
+
+/**
+ * Major tokens per chain ID (lowercase addresses)
+ */
+export const KNOWN_TOKENS_BY_CHAIN = {
+  1: {
+    "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48": { symbol: "USDC", name: "USD Coin", decimals: 6 },
+    "0xdac17f958d2ee523a2206206994597c13d831ec7": { symbol: "USDT", name: "Tether USD", decimals: 6 },
+    "0x6b175474e89094c44da98b954eedeac495271d0f": { symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+    "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2": { symbol: "WETH", name: "Wrapped Ether", decimals: 18 },
+    "0x2260fac5e5542a773aa44fbcfedf7c193bc2c599": { symbol: "WBTC", name: "Wrapped BTC", decimals: 8 },
+    "0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0": { symbol: "wstETH", name: "Wrapped liquid staked Ether 2.0", decimals: 18 },
+    "0xae7ab96520de3a18e5e111b5eaab095312d7fe84": { symbol: "stETH", name: "Liquid staked Ether 2.0", decimals: 18 },
+    "0x514910771af9ca656af840dff83e8264ecf986ca": { symbol: "LINK", name: "ChainLink Token", decimals: 18 },
+    "0x1f9840a85d5af5bf1d1762f925bdaddc4201f984": { symbol: "UNI", name: "Uniswap", decimals: 18 },
+    "0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9": { symbol: "AAVE", name: "Aave Token", decimals: 18 }
+  },
+  10: {
+    "0x0b2c639c533813f4aa9d7837caf62653d097ff85": { symbol: "USDC", name: "USD Coin", decimals: 6 },
+    "0x94b008aa00579c1307b0ef2c499ad98a8ce58e58": { symbol: "USDT", name: "Tether USD", decimals: 6 },
+    "0xda10009cbd5d07dd0cecc66161fc93d7c9000da1": { symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+    "0x4200000000000000000000000000000000000006": { symbol: "WETH", name: "Wrapped Ether", decimals: 18 },
+    "0x4200000000000000000000000000000000000042": { symbol: "OP", name: "Optimism", decimals: 18 }
+  },
+  56: {
+    "0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d": { symbol: "USDC", name: "Binance-Peg USD Coin", decimals: 18 },
+    "0x55d398326f99059ff775485246999027b3197955": { symbol: "USDT", name: "Binance-Peg Tether USD", decimals: 18 },
+    "0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c": { symbol: "WBNB", name: "Wrapped BNB", decimals: 18 }
+  },
+  100: {
+    "0xddafbb505ad214d7b80b1f830fccc89b60fb7a83": { symbol: "USDC", name: "USD Coin on xDai", decimals: 6 },
+    "0xe91d153e0b41518a2ce8dd3d7944fa863463a97d": { symbol: "WXDAI", name: "Wrapped XDAI", decimals: 18 },
+    "0x6a023ccd1ff6f2045c3309768ead9e68f978f6e1": { symbol: "WETH", name: "Wrapped Ether on xDai", decimals: 18 }
+  },
+  137: {
+    "0x3c499c542cef5e3811e1192ce70d8cc03d5c3359": { symbol: "USDC", name: "USD Coin", decimals: 6 },
+    "0x2791bca1f2de4661ed88a30c99a7a9449aa84174": { symbol: "USDC.e", name: "USD Coin (PoS)", decimals: 6 },
+    "0xc2132d05d31c914a87c6611c10748aeb04b58e8f": { symbol: "USDT", name: "Tether USD (PoS)", decimals: 6 },
+    "0x8f3cf7ad23cd3cadbd9735aff958023239c6a063": { symbol: "DAI", name: "Dai Stablecoin (PoS)", decimals: 18 },
+    "0x7ceb23fd6bc0add59e62ac25578270cff1b9f619": { symbol: "WETH", name: "Wrapped Ether", decimals: 18 },
+    "0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270": { symbol: "WMATIC", name: "Wrapped Matic", decimals: 18 }
+  },
+  324: {
+    "0x3355df6d4c9c3035724fd0e3914de96a5a83aaf4": { symbol: "USDC.e", name: "Bridged USDC", decimals: 6 },
+    "0x5aea5775959fbc2557cc8789bc1bf90a239d9a91": { symbol: "WETH", name: "Wrapped Ether", decimals: 18 }
+  },
+  8453: {
+    "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913": { symbol: "USDC", name: "USD Coin", decimals: 6 },
+    "0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca": { symbol: "USDbC", name: "USD Base Coin", decimals: 6 },
+    "0x50c5725949a6f0c72e6c4a641f24049a917db0cb": { symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+    "0x4200000000000000000000000000000000000006": { symbol: "WETH", name: "Wrapped Ether", decimals: 18 }
+  },
+  42161: {
+    "0xaf88d065e77c8cc2239327c5edb3a432268e5831": { symbol: "USDC", name: "USD Coin", decimals: 6 },
+    "0xff970a61a04b1ca14834a43f5de4533ebddb5cc8": { symbol: "USDC.e", name: "Bridged USDC", decimals: 6 },
+    "0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9": { symbol: "USDT", name: "Tether USD", decimals: 6 },
+    "0xda10009cbd5d07dd0cecc66161fc93d7c9000da1": { symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+    "0x82af49447d8a07e3bd95bd0d56f35241523fbab1": { symbol: "WETH", name: "Wrapped Ether", decimals: 18 },
+    "0x2f2a2543b76a4166549f7aab2e75bef0aefc5b0f": { symbol: "WBTC", name: "Wrapped BTC", decimals: 8 },
+    "0x912ce59144191c1204e64559fe8253a0e49e6548": { symbol: "ARB", name: "Arbitrum", decimals: 18 }
+  },
+  11155111: {}
+};
+
+/**
+ * Native currency symbol per chain ID (18 decimals everywhere)
+ */
+const NATIVE_SYMBOLS = {
+  56: "BNB",
+  100: "xDAI",
+  137: "POL"
+};
+
+/**
+ * Look up a token in the bundled list
+ *
+ * @param {string} address - Token address
+ * @param {number|string} chainId - Chain ID (default: 1, Ethereum)
+ * @returns {object|null} { symbol, name, decimals } or null
+ */
+export function lookupKnownToken(address, chainId) {
+  if (!address) return null;
+  const table = KNOWN_TOKENS_BY_CHAIN[resolveChain(chainId).chainId] || {};
+  return table[address.toLowerCase()] || null;
+}
+
+/**
+ * Resolve the symbol and decimals of a token
+ *
+ * The profile's trustedAssets entry wins; missing fields are taken from the
+ * bundled list. A token without both a symbol and decimals is not resolved.
+ *
+ * @param {string} address - Token address
+ * @param {object} options
+ * @param {object} options.profile - Trust profile (optional)
+ * @param {number|string} options.chainId - Chain ID (default: 1, Ethereum)
+ * @returns {object|null} { address, symbol, decimals, source } or null
+ */
+export function resolveToken(address, options = {}) {
+  if (typeof address !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return null;
+  }
+
+  const asset = getTrustedAsset(address, options.profile);
+  const listed = lookupKnownToken(address, options.chainId);
+  const symbol = asset?.symbol || listed?.symbol;
+  const decimals = Number.isInteger(asset?.decimals) ? asset.decimals : listed?.decimals;
+  if (!symbol || !Number.isInteger(decimals)) {
+    return null;
+  }
+
+  return {
+    address: address.toLowerCase(),
+    symbol,
+    decimals,
+    source: asset ? TOKEN_SOURCE.PROFILE : TOKEN_SOURCE.TOKEN_LIST
+  };
+}
+
+/**
+ * The chain's native currency as a token
+ */
+export function nativeToken(chainId) {
+  const resolved = resolveChain(chainId).chainId;
+  return { address: null, symbol: NATIVE_SYMBOLS[resolved] || "ETH", decimals: 18, source: TOKEN_SOURCE.NATIVE };
+}
+
+/**
+ * Format a raw amount in token units: "1,000.00 USDC"
+ *
+ * At least two decimals are shown and none are dropped, so the scaled value
+ * is exact.
+ *
+ * @param {bigint} amount - Raw amount
+ * @param {object} token - resolveToken() result
+ * @returns {string}
+ */
+export function formatTokenAmount(amount, token) {
+  if (isMaxApproval(amount)) {
+    return `UNLIMITED ${token.symbol}`;
+  }
+
+  const [whole, fraction = ""] = formatUnits(amount, token.decimals).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return `${grouped}.${fraction.replace(/0+$/, "").padEnd(2, "0")} ${token.symbol}`;
+}
+
+/**
+ * Describe a raw amount of a token
+ *
+ * @param {bigint} amount - Raw amount
+ * @param {object} token - resolveToken() or nativeToken() result
+ * @returns {object} { raw, formatted, display, token, symbol, decimals, source }
+ *   display: "1,000.00 USDC (raw: 1000000000)"
+ */
+export function describeTokenAmount(amount, token) {
+  const formatted = formatTokenAmount(amount, token);
+  return {
+    raw: amount.toString(),
+    formatted,
+    display: `${formatted} (raw: ${amount.toString()})`,
+    token: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    source: token.source
+  };
+}
+
+// Amount parameters in the called token's own units (ERC-20 and wrapped native calls)
+const TARGET_TOKEN_FUNCTIONS = new Set([
+  "transfer", "transferFrom", "approve", "permit", "increaseAllowance", "decreaseAllowance",
+  "withdraw", "burn", "burnFrom"
+]);
+const TARGET_AMOUNT_PARAMS = new Set(["amount", "value", "wad", "addedValue", "subtractedValue"]);
+
+// Amount parameters whose token is named by another parameter (Uniswap V2 router style)
+const TOKEN_PARAM_FOR_AMOUNT = {
+  amountIn: (params) => first(params.path),
+  amountInMax: (params) => first(params.path),
+  amountOut: (params) => last(params.path),
+  amountOutMin: (params) => last(params.path),
+  amountADesired: (params) => params.tokenA,
+  amountAMin: (params) => params.tokenA,
+  amountBDesired: (params) => params.tokenB,
+  amountBMin: (params) => params.tokenB,
+  amountTokenDesired: (params) => params.token,
+  amountTokenMin: (params) => params.token
+};
+const NATIVE_AMOUNT_PARAMS = new Set(["amountETHMin", "amountETHDesired", "amountETH"]);
+
+// Address parameters that name the token of a sibling `amount` (Aave-style pools)
+const ASSET_PARAMS = ["asset", "token", "underlying", "reserve"];
+
+/**
+ * Find the amount parameters of a call that are tied to a known token
+ *
+ * @param {object} params - Decoded parameters
+ * @param {object} options
+ * @param {string} options.functionName - Function name
+ * @param {string} options.targetAddress - Called contract (the token for ERC-20 calls)
+ * @param {number|string} options.chainId - Chain ID
+ * @param {object} options.profile - Trust profile
+ * @returns {object} describeTokenAmount() results by parameter name (empty if none)
+ */
+export function findTokenAmounts(params, options = {}) {
+  const amounts = {};
+  if (!params || typeof params !== "object") {
+    return amounts;
+  }
+
+  // ABI parameter names often carry a leading underscore (_value, _amount)
+  const byName = {};
+  for (const [name, value] of Object.entries(params)) {
+    byName[name.replace(/^_+/, "")] = value;
+  }
+  const tokenOptions = { profile: options.profile, chainId: options.chainId };
+  const assetParam = ASSET_PARAMS.find(name => typeof byName[name] === "string");
+
+  for (const [name, value] of Object.entries(params)) {
+    if (typeof value !== "bigint") continue;
+    const key = name.replace(/^_+/, "");
+
+    let token = null;
+    if (TOKEN_PARAM_FOR_AMOUNT[key]) {
+      token = resolveToken(TOKEN_PARAM_FOR_AMOUNT[key](byName), tokenOptions);
+    } else if (NATIVE_AMOUNT_PARAMS.has(key)) {
+      token = nativeToken(options.chainId);
+    } else if (key === "amount" && assetParam) {
+      token = resolveToken(byName[assetParam], tokenOptions);
+    } else if (TARGET_AMOUNT_PARAMS.has(key) && TARGET_TOKEN_FUNCTIONS.has(options.functionName)) {
+      token = resolveToken(options.targetAddress, tokenOptions);
+    }
+
+    if (token) {
+      amounts[name] = describeTokenAmount(value, token);
+    }
+  }
+
+  return amounts;
+}
+
+function first(list) {
+  return Array.isArray(list) && list.length > 0 ? list[0] : null;
+}
+
+function last(list) {
+  return Array.isArray(list) && list.length > 0 ? list[list.length - 1] : null;
+}
+
+export default {
+  TOKEN_SOURCE,
+  KNOWN_TOKENS_BY_CHAIN,
+  lookupKnownToken,
+  resolveToken,
+  nativeToken,
+  formatTokenAmount,
+  describeTokenAmount,
+  findTokenAmounts
+};
@@ -13,11 +13,18 @@
 import {
   TRUST_LEVELS,
   getTrustedContract,
+  getTrustProvenance,
   isSelectorAllowed,
   getSelectorUsage,
   getSelectorLabel,
-  isDelegatecallAllowed
+  isDelegatecallAllowed,
+  getTrustedRecipient,
+  getBlockedAddress,
+  getTrustedAsset,
+  checkValidity,
+  VALIDITY_STATUS
 } from "./trustProfile.js";
+import { REFERENCE_SOURCE, detectAddressLookalikes } from "./addressDisplay.js";
 
 /**
  * Contract classification results
@@ -50,6 +57,21 @@ export const DELEGATECALL_CLASSIFICATION = {
   NOT_TRUSTED: "NOT_TRUSTED" // Not whitelisted - CRITICAL risk
 };
 
+/**
+ * Recipient classification results
+ *
+ * Who receives a call's funds, allowance or control, checked against the
+ * profile's blockedAddresses denylist first and trustedRecipients last.
+ */
+export const RECIPIENT_CLASSIFICATION = {
+  BLOCKED: "BLOCKED",                     // In blockedAddresses - CRITICAL everywhere
+  SAFE: "SAFE",                           // The Safe itself
+  OWNER: "OWNER",                         // One of the Safe's owners
+  TRUSTED_RECIPIENT: "TRUSTED_RECIPIENT", // In trustedRecipients
+  TRUSTED_CONTRACT: "TRUSTED_CONTRACT",   // A trusted contract or asset
+  UNLISTED: "UNLISTED"                    // In none of the profile's lists
+};
+
 /**
  * Generate complete trust context for a transaction
  *
@@ -58,6 +80,10 @@ export const DELEGATECALL_CLASSIFICATION = {
  * @param {object} profile - Trust profile
  * @param {object} options - Additional options
  * @param {number} options.operation - Operation type (0=CALL, 1=DELEGATECALL)
+ * @param {object|null} options.params - Decoded parameters, checked against the profile's
+ *   parameterConstraints (null: could not be decoded; omitted: not checked)
+ * @param {Date|number|string} options.now - Evaluation time for validFrom/expiresAt
+ *   windows (default: current time)
  * @returns {object} Trust context with classifications and warnings
  */
 export function getTrustContext(targetAddress, selector, profile, options = {}) {
@@ -95,10 +121,10 @@ export function getTrustContext(targetAddress, selector, profile, options = {})
   const normalizedSelector = selector?.toLowerCase();
 
   // Classify the contract
-  const contractResult = classifyContract(normalizedAddress, profile);
+  const contractResult = classifyContract(normalizedAddress, profile, { now: options.now });
 
   // Classify the selector (only meaningful if contract is trusted)
-  const selectorResult = classifySelector(normalizedAddress, normalizedSelector, profile);
+  const selectorResult = classifySelector(normalizedAddress, normalizedSelector, profile, options.params, { now: options.now });
 
   // Generate contextual warnings
   const warnings = generateTrustWarnings(contractResult, selectorResult, profile);
@@ -126,9 +152,29 @@ export function getTrustContext(targetAddress, selector, profile, options = {})
     }
   };
 
+  if (selectorResult.parameterConstraints) {
+    context.parameterConstraints = selectorResult.parameterConstraints;
+  }
+
+  // Layered profiles: which layer granted the trust level and allowed the selector
+  const provenance = getTrustProvenance(normalizedAddress, profile);
+  if (provenance) {
+    context.grantedBy = {
+      trustLevel: provenance.trustLevel || null,
+      selector: provenance.selectors?.[normalizedSelector] || provenance.selectors?.["*"] || null,
+      layers: provenance.layers
+    };
+  }
+
+  // Lapsed trust window: the contract's first, then the selector's
+  const validity = contractResult.validity || selectorResult.validity;
+  if (validity) {
+    context.validity = validity;
+  }
+
   // Add DELEGATECALL classification if operation is DELEGATECALL
   if (operation === 1) {
-    context.delegatecallContext = classifyDelegatecall(normalizedAddress, normalizedSelector, profile);
+    context.delegatecallContext = classifyDelegatecall(normalizedAddress, normalizedSelector, profile, { now: options.now });
   }
 
   return context;
@@ -143,21 +189,37 @@ export function getTrustContext(targetAddress, selector, profile, options = {})
  * @param {string} address - Target contract address
  * @param {string} selector - Function selector
  * @param {object} profile - Trust profile
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt
  * @returns {object} Classification result with warnings
  */
-export function classifyDelegatecall(address, selector, profile) {
-  const result = isDelegatecallAllowed(address, selector, profile);
+export function classifyDelegatecall(address, selector, profile, options = {}) {
+  const result = isDelegatecallAllowed(address, selector, profile, options);
 
   if (result.allowed) {
+    const provenance = getTrustProvenance(address, profile, "trustedDelegateCalls");
     return {
       classification: DELEGATECALL_CLASSIFICATION.TRUSTED,
       reason: result.reason,
+      ...(provenance && { grantedBy: provenance.selectors?.[selector.toLowerCase()] || null }),
       warnings: [
         "DELEGATECALL executes code in your wallet's context - this is trusted in your profile"
       ]
     };
   }
 
+  if (result.validity) {
+    return {
+      classification: DELEGATECALL_CLASSIFICATION.NOT_TRUSTED,
+      reason: result.reason,
+      validity: result.validity,
+      warnings: [
+        "DELEGATECALL executes external code with YOUR wallet's full permissions",
+        `Trust in this trustedDelegateCalls entry ${lapsedTrust(result.validity)} - it does not whitelist this DELEGATECALL`,
+        "The target code can modify ANY state: owners, balances, approvals"
+      ]
+    };
+  }
+
   return {
     classification: DELEGATECALL_CLASSIFICATION.NOT_TRUSTED,
     reason: result.reason,
@@ -173,11 +235,15 @@ export function classifyDelegatecall(address, selector, profile) {
 /**
  * Classify a contract address against the trust profile
  *
+ * An entry outside its validFrom/expiresAt window is classified WATCHED:
+ * still recognized, no longer trusted for execution.
+ *
  * @param {string} address - Contract address
  * @param {object} profile - Trust profile
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
  * @returns {object} Classification result
  */
-export function classifyContract(address, profile) {
+export function classifyContract(address, profile, options = {}) {
   if (!address || !profile) {
     return {
       classification: CONTRACT_CLASSIFICATION.UNKNOWN,
@@ -203,6 +269,16 @@ export function classifyContract(address, profile) {
     };
   }
 
+  const validity = checkValidity(contract, options.now);
+  if (validity.status !== VALIDITY_STATUS.ACTIVE) {
+    return {
+      classification: CONTRACT_CLASSIFICATION.WATCHED,
+      reason: `Contract ${validity.description}`,
+      label: contract.label,
+      validity
+    };
+  }
+
   return {
     classification: CONTRACT_CLASSIFICATION.TRUSTED,
     reason: `Contract trusted at ${contract.trustLevel} level`,
@@ -217,9 +293,11 @@ export function classifyContract(address, profile) {
  * @param {string} address - Contract address
  * @param {string} selector - Function selector
  * @param {object} profile - Trust profile
+ * @param {object|null} params - Decoded parameters for parameterConstraints (optional)
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
  * @returns {object} Classification result
  */
-export function classifySelector(address, selector, profile) {
+export function classifySelector(address, selector, profile, params, options = {}) {
   if (!address || !selector || !profile) {
     return {
       classification: SELECTOR_CLASSIFICATION.NO_CONTEXT,
@@ -228,7 +306,7 @@ export function classifySelector(address, selector, profile) {
   }
 
   // First check if the contract is trusted at all
-  const contractClass = classifyContract(address, profile);
+  const contractClass = classifyContract(address, profile, options);
 
   if (contractClass.classification === CONTRACT_CLASSIFICATION.UNKNOWN) {
     return {
@@ -245,12 +323,15 @@ export function classifySelector(address, selector, profile) {
   }
 
   // Check if selector is allowed
-  const allowedResult = isSelectorAllowed(address, selector, profile);
+  const allowedResult = isSelectorAllowed(address, selector, profile, params, options);
+  const constraints = allowedResult.parameterConstraints ? { parameterConstraints: allowedResult.parameterConstraints } : {};
 
   if (!allowedResult.allowed) {
     return {
       classification: SELECTOR_CLASSIFICATION.NOT_ALLOWED,
-      reason: allowedResult.description
+      reason: allowedResult.description,
+      ...constraints,
+      ...(allowedResult.validity && { validity: allowedResult.validity })
     };
   }
 
@@ -260,7 +341,8 @@ export function classifySelector(address, selector, profile) {
   if (!usage) {
     return {
       classification: SELECTOR_CLASSIFICATION.NEVER_USED,
-      reason: "First time using this selector with this contract"
+      reason: "First time using this selector with this contract",
+      ...constraints
     };
   }
 
@@ -270,7 +352,8 @@ export function classifySelector(address, selector, profile) {
       classification: SELECTOR_CLASSIFICATION.UNUSUAL,
       reason: `Rarely used (${usage.count} previous uses)`,
       usageCount: usage.count,
-      lastUsed: usage.lastUsed
+      lastUsed: usage.lastUsed,
+      ...constraints
     };
   }
 
@@ -278,7 +361,8 @@ export function classifySelector(address, selector, profile) {
     classification: SELECTOR_CLASSIFICATION.EXPECTED,
     reason: `Commonly used (${usage.count} previous uses)`,
     usageCount: usage.count,
-    lastUsed: usage.lastUsed
+    lastUsed: usage.lastUsed,
+    ...constraints
   };
 }
 
@@ -302,7 +386,10 @@ function generateTrustWarnings(contractResult, selectorResult, profile) {
   }
 
   // WATCHED contract warnings
-  if (contractResult.classification === CONTRACT_CLASSIFICATION.WATCHED) {
+  if (contractResult.classification === CONTRACT_CLASSIFICATION.WATCHED && contractResult.validity) {
+    warnings.push(`Trust in this contract ${lapsedTrust(contractResult.validity)} - treated as WATCHED`);
+    warnings.push("Renew or remove the entry in your trust profile before approving transactions to it");
+  } else if (contractResult.classification === CONTRACT_CLASSIFICATION.WATCHED) {
     warnings.push("Target contract is WATCHED but not fully trusted");
     warnings.push("Exercise caution - this contract has not been approved for transactions");
   }
@@ -310,6 +397,17 @@ function generateTrustWarnings(contractResult, selectorResult, profile) {
   // Selector-specific warnings for trusted contracts
   switch (selectorResult.classification) {
     case SELECTOR_CLASSIFICATION.NOT_ALLOWED:
+      if (selectorResult.parameterConstraints) {
+        warnings.push("This call's parameters are NOT allowed by your trust profile's constraints");
+        for (const violation of selectorResult.parameterConstraints.violations) {
+          warnings.push(`PARAMETER CONSTRAINT VIOLATED: ${violation.description}`);
+        }
+        break;
+      }
+      if (selectorResult.validity) {
+        warnings.push(`Trust in this function ${lapsedTrust(selectorResult.validity)} - it is no longer allowed`);
+        break;
+      }
       warnings.push("This function is NOT in the allowed list for this contract");
       warnings.push("The contract is trusted, but this specific function has not been approved");
       break;
@@ -334,6 +432,15 @@ function generateTrustWarnings(contractResult, selectorResult, profile) {
   return warnings;
 }
 
+/**
+ * Say when a lapsed validity window starts or ended
+ */
+function lapsedTrust(validity) {
+  return validity.status === VALIDITY_STATUS.EXPIRED
+    ? `expired on ${validity.expiresAt}`
+    : `does not start until ${validity.validFrom}`;
+}
+
 /**
  * Determine if full selector interpretation is allowed
  *
@@ -514,6 +621,8 @@ export function computeHeaderSeverity(trustContext) {
  * 1. If no trust profile -> null
  * 2. If ANY subcall has DELEGATECALL -> CRITICAL
  * 3. If ANY subcall is trust-blocked (unknown contract OR NOT_ALLOWED selector) -> CRITICAL
+ *    A nested batch or execTransaction below a subcall counts through
+ *    analysis.nestedHeaderSeverity; one cut off by the depth limit is never LOW
  * 4. If ALL subcalls are trusted/expected -> LOW
  * 5. Otherwise -> UNKNOWN
  *
@@ -561,8 +670,15 @@ export function computeBatchHeaderSeverity(calls, hasProfile) {
         return HEADER_SEVERITY.CRITICAL;
       }
 
+      // Nested batch or execTransaction below this subcall
+      if (analysis.nestedHeaderSeverity === HEADER_SEVERITY.CRITICAL) {
+        return HEADER_SEVERITY.CRITICAL;
+      }
+
       // Track if all are trusted
-      if (contractClass !== CONTRACT_CLASSIFICATION.TRUSTED) {
+      if (contractClass !== CONTRACT_CLASSIFICATION.TRUSTED ||
+          analysis.nestingLimitReached ||
+          analysis.nestedHeaderSeverity === HEADER_SEVERITY.UNKNOWN) {
         allTrusted = false;
       }
     } else {
@@ -580,10 +696,197 @@ export function computeBatchHeaderSeverity(calls, hasProfile) {
   return HEADER_SEVERITY.UNKNOWN;
 }
 
+/**
+ * Combine several header severities into one.
+ *
+ * Used when a transaction wraps other calls (e.g. Safe execTransaction):
+ * the header must reflect the least trusted part.
+ *
+ * Rules:
+ * 1. Null entries (no trust assessment) are ignored
+ * 2. ANY CRITICAL -> CRITICAL
+ * 3. ANY UNKNOWN -> UNKNOWN
+ * 4. ALL LOW -> LOW
+ *
+ * @param {Array<string|null>} severities - Header severities to combine
+ * @returns {string|null} Combined header severity, or null if none are set
+ */
+export function combineHeaderSeverities(severities) {
+  const present = (severities || []).filter(Boolean);
+
+  if (present.length === 0) {
+    return null;
+  }
+
+  if (present.includes(HEADER_SEVERITY.CRITICAL)) {
+    return HEADER_SEVERITY.CRITICAL;
+  }
+
+  if (present.every(s => s === HEADER_SEVERITY.LOW)) {
+    return HEADER_SEVERITY.LOW;
+  }
+
+  return HEADER_SEVERITY.UNKNOWN;
+}
+
+const REFERENCE_SOURCE_LABELS = {
+  [REFERENCE_SOURCE.TRUSTED_CONTRACT]: "trusted contract",
+  [REFERENCE_SOURCE.TRUSTED_ASSET]: "trusted asset",
+  [REFERENCE_SOURCE.TRUSTED_DELEGATECALL]: "trusted DELEGATECALL target",
+  [REFERENCE_SOURCE.TRUSTED_RECIPIENT]: "trusted recipient",
+  [REFERENCE_SOURCE.OWNER]: "Safe owner",
+  [REFERENCE_SOURCE.SAFE]: "Safe",
+  [REFERENCE_SOURCE.KNOWN_ADDRESS]: "known contract",
+  [REFERENCE_SOURCE.KNOWN_TOKEN]: "known token"
+};
+
+/**
+ * Classify the addresses of a transaction for address poisoning
+ *
+ * An address that imitates one the signer recognizes is never an honest
+ * mistake worth signing through: the header is CRITICAL whatever the
+ * trust classification of the call. Works with or without a profile
+ * (bundled known addresses and tokens are always references).
+ *
+ * @param {Array} entries - [{ address, location }] addresses in the transaction
+ * @param {object} profile - Trust profile (optional)
+ * @param {object} options - { chainId, now } (now: evaluation time for trustedRecipients windows)
+ * @returns {object|null} { findings, warnings, severity } or null when nothing looks alike;
+ *   findings are detectAddressLookalikes() results with a `description` of the known address
+ */
+export function classifyAddressLookalikes(entries, profile, options = {}) {
+  const findings = detectAddressLookalikes(entries, { profile, chainId: options.chainId, now: options.now });
+  if (findings.length === 0) {
+    return null;
+  }
+
+  // "USDC (trusted asset)", "Safe owner"
+  const described = findings.map(finding => {
+    const reference = finding.lookalike;
+    const source = REFERENCE_SOURCE_LABELS[reference.source];
+    return { ...finding, description: reference.label ? `${reference.label} (${source})` : source };
+  });
+  const warnings = described.map(finding =>
+    `POSSIBLE ADDRESS POISONING: ${finding.location} ${finding.address} looks like ` +
+    `${finding.description} ${finding.lookalike.address} but is a different address`
+  );
+
+  return { findings: described, warnings, severity: HEADER_SEVERITY.CRITICAL };
+}
+
+/**
+ * Classify a recipient address against the trust profile
+ *
+ * A trustedContracts entry counts only while classifyContract() finds it
+ * TRUSTED, and a trustedRecipients entry only inside its validity window:
+ * WATCHED contracts and entries outside their window are UNLISTED.
+ *
+ * @param {string} address - Recipient, spender or other counterparty
+ * @param {object} profile - Trust profile
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
+ * @returns {object} { classification, label } - label is null for UNLISTED
+ */
+export function classifyRecipient(address, profile, options = {}) {
+  const normalized = address.toLowerCase();
+
+  const blocked = getBlockedAddress(normalized, profile);
+  if (blocked) {
+    return { classification: RECIPIENT_CLASSIFICATION.BLOCKED, label: blocked.label || null };
+  }
+  if (profile?.safeAddress && normalized === profile.safeAddress.toLowerCase()) {
+    return { classification: RECIPIENT_CLASSIFICATION.SAFE, label: "Safe" };
+  }
+  if ((profile?.owners || []).some(owner => owner.toLowerCase() === normalized)) {
+    return { classification: RECIPIENT_CLASSIFICATION.OWNER, label: "Safe owner" };
+  }
+  const recipient = getTrustedRecipient(normalized, profile);
+  if (recipient && checkValidity(recipient, options.now).status === VALIDITY_STATUS.ACTIVE) {
+    return { classification: RECIPIENT_CLASSIFICATION.TRUSTED_RECIPIENT, label: recipient.label };
+  }
+  const contract = classifyContract(normalized, profile, options);
+  if (contract.classification === CONTRACT_CLASSIFICATION.TRUSTED) {
+    return { classification: RECIPIENT_CLASSIFICATION.TRUSTED_CONTRACT, label: contract.label };
+  }
+  const asset = getTrustedAsset(normalized, profile);
+  if (asset) {
+    return { classification: RECIPIENT_CLASSIFICATION.TRUSTED_CONTRACT, label: asset.symbol || asset.name };
+  }
+
+  return { classification: RECIPIENT_CLASSIFICATION.UNLISTED, label: null };
+}
+
+/**
+ * Classify the counterparties of a call and find denylisted addresses
+ *
+ * A denylisted address anywhere in the call - target, recipient or any
+ * other parameter - makes it CRITICAL. When the profile lists
+ * trustedRecipients, a counterparty in none of its lists raises the call
+ * to HIGH: the allowlist says who may receive funds.
+ *
+ * @param {Array} counterparties - [{ address, role }] from extractCounterparties()
+ * @param {Array} entries - [{ address, location }] every address in the call
+ * @param {object} profile - Trust profile
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
+ * @returns {object|null} { counterparties, blocked, warnings, severity } or null when
+ *   there is no profile or nothing to classify; severity is CRITICAL, HIGH or null
+ */
+export function classifyCounterparties(counterparties, entries, profile, options = {}) {
+  if (!profile || profile.error) {
+    return null;
+  }
+
+  const classified = counterparties.map(counterparty => ({
+    ...counterparty,
+    ...classifyRecipient(counterparty.address, profile, options)
+  }));
+
+  const blocked = [];
+  for (const { address, location } of entries) {
+    const entry = getBlockedAddress(address, profile);
+    if (entry && !blocked.some(b => b.address === address.toLowerCase())) {
+      blocked.push({
+        address: address.toLowerCase(),
+        location,
+        label: entry.label || null,
+        reason: entry.reason || null
+      });
+    }
+  }
+
+  if (classified.length === 0 && blocked.length === 0) {
+    return null;
+  }
+
+  const hasAllowlist = Object.keys(profile.trustedRecipients || {}).length > 0;
+  const unlisted = hasAllowlist
+    ? classified.filter(c => c.classification === RECIPIENT_CLASSIFICATION.UNLISTED)
+    : [];
+
+  const warnings = [
+    ...blocked.map(b =>
+      `BLOCKED ADDRESS: ${b.location} ${b.address} is on your trust profile's denylist` +
+      `${b.label ? ` (${b.label})` : ""}${b.reason ? `: ${b.reason}` : ""}`
+    ),
+    ...unlisted.map(c =>
+      `UNLISTED RECIPIENT: ${c.role} ${c.address} is not in your trust profile's trustedRecipients`
+    )
+  ];
+
+  let severity = null;
+  if (blocked.length > 0) {
+    severity = "CRITICAL";
+  } else if (unlisted.length > 0) {
+    severity = "HIGH";
+  }
+
+  return { counterparties: classified, blocked, warnings, severity };
+}
+
 export default {
   CONTRACT_CLASSIFICATION,
   SELECTOR_CLASSIFICATION,
   DELEGATECALL_CLASSIFICATION,
+  RECIPIENT_CLASSIFICATION,
   HEADER_SEVERITY,
   getTrustContext,
   classifyContract,
@@ -592,5 +895,9 @@ export default {
   canInterpretSelector,
   adjustSeverityForTrust,
   computeHeaderSeverity,
-  computeBatchHeaderSeverity
+  computeBatchHeaderSeverity,
+  combineHeaderSeverities,
+  classifyAddressLookalikes,
+  classifyRecipient,
+  classifyCounterparties
 };
@@ -9,7 +9,7 @@
  */
 
 import { readFileSync, existsSync } from "fs";
-import { dirname, resolve } from "path";
+import { dirname, resolve, relative, basename, sep } from "path";
 
 /**
  * Trust levels for contracts
@@ -37,9 +37,26 @@ export const TRUST_LEVELS = {
   }
 };
 
+/**
+ * Status of an entry's validFrom/expiresAt window at evaluation time
+ */
+export const VALIDITY_STATUS = {
+  ACTIVE: "ACTIVE",               // Inside the window (or no window)
+  NOT_YET_VALID: "NOT_YET_VALID", // Before validFrom
+  EXPIRED: "EXPIRED"              // At or after expiresAt
+};
+
+/**
+ * Maximum depth of an `extends` chain (a profile extending a base that
+ * extends another base is depth 2)
+ */
+const MAX_EXTENDS_DEPTH = 8;
+
 /**
  * Load a trust profile from a JSON file
  *
+ * Base profiles named in `extends` are loaded and merged first (see resolveProfile).
+ *
  * @param {string} profilePath - Path to the profile JSON file
  * @returns {object|null} Parsed and validated profile, or null if invalid
  */
@@ -52,23 +69,217 @@ export function loadProfile(profilePath) {
     const content = readFileSync(profilePath, "utf-8");
     const profile = JSON.parse(content);
 
-    // Validate profile structure
+    return resolveProfile(profile, { path: profilePath });
+  } catch (error) {
+    return { error: `Failed to load profile: ${error.message}` };
+  }
+}
+
+/**
+ * Validate a profile and merge the base profiles it `extends`
+ *
+ * `extends` names one or more base profile files (an organization base, a
+ * community list...), resolved against the extending profile's directory.
+ * Layers merge in order - each base (after its own bases), then the profile
+ * itself - and a later layer:
+ * - overrides scalar fields (version, owners, threshold...) and the label,
+ *   trustLevel, notes and validity window of a contract it redefines
+ * - adds selectors: allowedSelectors accumulate, "*" from any layer wins,
+ *   and per-selector labels, constraints and windows override
+ * - overrides whole entries of the other address-keyed sections
+ * No layer removes an entry: an address blocked by a base stays blocked, and
+ * an override distrusts a base contract by setting its trustLevel to WATCHED.
+ *
+ * Layer entries may be partial (a trustLevel override alone); the merged
+ * profile must be complete. It carries `provenance`: the layers in merge
+ * order and, per address, which layers define it and which granted its trust.
+ *
+ * @param {object} profile - Parsed profile JSON
+ * @param {object} options - Options
+ * @param {string} options.path - File the profile was read from
+ * @param {string} options.baseDir - Directory `extends` resolves against without a file (default: cwd)
+ * @param {string} options.root - Directory every base profile must be inside (API use)
+ * @returns {object} Normalized profile, or { error }
+ */
+export function resolveProfile(profile, options = {}) {
+  if (!profile?.extends) {
     const validation = validateProfile(profile);
     if (!validation.valid) {
       return { error: validation.error };
     }
-
-    // Normalize addresses to lowercase for consistent comparison
     return normalizeProfile(profile);
-  } catch (error) {
-    return { error: `Failed to load profile: ${error.message}` };
   }
+
+  const path = options.path ? resolve(options.path) : null;
+  const context = {
+    rootDir: path ? dirname(path) : resolve(options.baseDir || "."),
+    root: options.root ? resolve(options.root) : null,
+    seen: new Set(),
+    layers: []
+  };
+  const error = collectLayers(profile, path, path ? basename(path) : "this profile", [], context);
+  if (error) {
+    return { error };
+  }
+
+  const merged = mergeLayers(context.layers);
+  const validation = validateProfile(merged);
+  if (!validation.valid) {
+    return { error: `${validation.error} (after merging extends)` };
+  }
+  return merged;
+}
+
+/**
+ * Validate a layer, load its bases depth-first and append it after them
+ *
+ * @returns {string|null} Error message, or null
+ */
+function collectLayers(profile, path, name, chain, context) {
+  const validation = validateProfile(profile, { layer: true });
+  if (!validation.valid) {
+    return chain.length === 0 ? validation.error : `${name}: ${validation.error}`;
+  }
+
+  const bases = typeof profile.extends === "string" ? [profile.extends] : (profile.extends || []);
+  if (!Array.isArray(bases) || !bases.every(base => typeof base === "string" && base)) {
+    return `${name}: extends must be a path or an array of paths`;
+  }
+
+  const dir = path ? dirname(path) : context.rootDir;
+  for (const base of bases) {
+    const basePath = resolve(dir, base);
+    const baseName = relative(context.rootDir, basePath);
+    if (context.root && !basePath.startsWith(context.root + sep)) {
+      return `Base profile ${base} is outside the allowed directory`;
+    }
+    if (basePath === path || chain.includes(basePath)) {
+      return `Circular extends through ${baseName}`;
+    }
+    if (chain.length + 1 > MAX_EXTENDS_DEPTH) {
+      return `extends is nested more than ${MAX_EXTENDS_DEPTH} levels deep`;
+    }
+    // A base shared by several layers is merged once, where first reached
+    if (context.seen.has(basePath)) {
+      continue;
+    }
+    if (!existsSync(basePath)) {
+      return `Base profile not found: ${baseName}`;
+    }
+    let baseProfile;
+    try {
+      baseProfile = JSON.parse(readFileSync(basePath, "utf-8"));
+    } catch (error) {
+      return `Failed to load base profile ${baseName}: ${error.message}`;
+    }
+    const error = collectLayers(baseProfile, basePath, baseName, [...chain, ...(path ? [path] : [])], context);
+    if (error) {
+      return error;
+    }
+  }
+
+  if (path) {
+    context.seen.add(path);
+  }
+  context.layers.push({ name, profile: normalizeProfile(profile) });
+  return null;
+}
+
+/**
+ * Merge normalized layers in order (rules in resolveProfile)
+ */
+function mergeLayers(layers) {
+  const merged = {};
+  const provenance = { layers: layers.map(layer => layer.name) };
+
+  for (const { name, profile } of layers) {
+    for (const [key, value] of Object.entries(profile)) {
+      if (key === "extends" || value === undefined) {
+        continue;
+      }
+      if (!KEYED_SECTIONS.includes(key)) {
+        merged[key] = value;
+        continue;
+      }
+
+      merged[key] = merged[key] || {};
+      provenance[key] = provenance[key] || {};
+      for (const [address, entry] of Object.entries(value)) {
+        const source = provenance[key][address] = provenance[key][address] || { layers: [] };
+        source.layers.push(name);
+
+        if (key === "trustedContracts" || key === "trustedDelegateCalls") {
+          merged[key][address] = mergeSelectorEntry(merged[key][address], entry);
+          source.selectors = source.selectors || {};
+          const selectors = entry.allowedSelectors === "*" ? ["*"] : (entry.allowedSelectors || []);
+          for (const selector of selectors) {
+            source.selectors[selector] = source.selectors[selector] || name;
+          }
+          if (entry.trustLevel !== undefined) {
+            source.trustLevel = name;
+          }
+        } else if (key === "selectorUsageHistory" || key === "ownerParties") {
+          merged[key][address] = key === "ownerParties" ? entry : { ...merged[key][address], ...entry };
+        } else {
+          merged[key][address] = entry;
+        }
+      }
+    }
+  }
+
+  merged.provenance = provenance;
+  return merged;
+}
+
+/**
+ * Profile sections merged key by key rather than replaced
+ */
+const KEYED_SECTIONS = [
+  "trustedContracts",
+  "trustedAssets",
+  "trustedRecipients",
+  "blockedAddresses",
+  "trustedDelegateCalls",
+  "selectorUsageHistory",
+  "ownerParties"
+];
+
+/**
+ * Merge a trustedContracts or trustedDelegateCalls entry over an earlier layer's
+ */
+function mergeSelectorEntry(base, entry) {
+  if (!base) {
+    return entry;
+  }
+  const merged = { ...base, ...entry, allowedSelectors: unionSelectors(base.allowedSelectors, entry.allowedSelectors) };
+  for (const field of ["allowedSelectorsLabels", "parameterConstraints", "selectorValidity"]) {
+    if (base[field] || entry[field]) {
+      merged[field] = { ...base[field], ...entry[field] };
+    }
+  }
+  return merged;
+}
+
+function unionSelectors(a, b) {
+  if (a === undefined || b === undefined) {
+    return a ?? b;
+  }
+  if (a === "*" || b === "*") {
+    return "*";
+  }
+  return [...new Set([...a, ...b])];
 }
 
 /**
  * Validate profile structure
+ *
+ * @param {object} profile - Profile to validate
+ * @param {object} options - { layer: true } for a layer of an `extends` chain, whose
+ *   trustedContracts section and contract fields may be partial
  */
-function validateProfile(profile) {
+function validateProfile(profile, options = {}) {
+  const partial = options.layer === true;
+
   if (!profile || typeof profile !== "object") {
     return { valid: false, error: "Profile must be an object" };
   }
@@ -77,21 +288,22 @@ function validateProfile(profile) {
     return { valid: false, error: "Profile must have a version field" };
   }
 
-  if (!profile.trustedContracts || typeof profile.trustedContracts !== "object") {
+  if (partial ? (profile.trustedContracts !== undefined && typeof profile.trustedContracts !== "object") :
+    (!profile.trustedContracts || typeof profile.trustedContracts !== "object")) {
     return { valid: false, error: "Profile must have trustedContracts object" };
   }
 
   // Validate each trusted contract entry
-  for (const [address, config] of Object.entries(profile.trustedContracts)) {
+  for (const [address, config] of Object.entries(profile.trustedContracts || {})) {
     if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
       return { valid: false, error: `Invalid contract address: ${address}` };
     }
 
-    if (!config.label || typeof config.label !== "string") {
+    if ((!partial || config.label !== undefined) && (!config.label || typeof config.label !== "string")) {
       return { valid: false, error: `Contract ${address} must have a label` };
     }
 
-    if (!config.trustLevel || !TRUST_LEVELS[config.trustLevel]) {
+    if ((!partial || config.trustLevel !== undefined) && (!config.trustLevel || !TRUST_LEVELS[config.trustLevel])) {
       return {
         valid: false,
         error: `Contract ${address} has invalid trustLevel. Must be one of: ${Object.keys(TRUST_LEVELS).join(", ")}`
@@ -99,7 +311,8 @@ function validateProfile(profile) {
     }
 
     // allowedSelectors must be "*" (all) or an array of selectors
-    if (config.allowedSelectors !== "*" && !Array.isArray(config.allowedSelectors)) {
+    if ((!partial || config.allowedSelectors !== undefined) &&
+      config.allowedSelectors !== "*" && !Array.isArray(config.allowedSelectors)) {
       return {
         valid: false,
         error: `Contract ${address} allowedSelectors must be "*" or an array of selector strings`
@@ -113,6 +326,34 @@ function validateProfile(profile) {
         }
       }
     }
+
+    if (config.parameterConstraints !== undefined) {
+      const error = validateParameterConstraints(config.parameterConstraints);
+      if (error) {
+        return { valid: false, error: `Contract ${address} ${error}` };
+      }
+    }
+
+    const windowError = validateValidityWindow(config, `Contract ${address}`);
+    if (windowError) {
+      return { valid: false, error: windowError };
+    }
+
+    // selectorValidity: per-selector validFrom/expiresAt windows
+    if (config.selectorValidity !== undefined) {
+      if (typeof config.selectorValidity !== "object" || config.selectorValidity === null || Array.isArray(config.selectorValidity)) {
+        return { valid: false, error: `Contract ${address} selectorValidity must be an object keyed by selector` };
+      }
+      for (const [selector, window] of Object.entries(config.selectorValidity)) {
+        if (!selector.match(/^0x[a-fA-F0-9]{8}$/)) {
+          return { valid: false, error: `Contract ${address} has an invalid selector in selectorValidity: ${selector}` };
+        }
+        const error = validateValidityWindow(window || {}, `Contract ${address} selectorValidity ${selector}`);
+        if (error) {
+          return { valid: false, error };
+        }
+      }
+    }
   }
 
   // Validate trustedDelegateCalls if present
@@ -132,12 +373,170 @@ function validateProfile(profile) {
           return { valid: false, error: `Invalid selector ${selector} in trustedDelegateCalls` };
         }
       }
+      const windowError = validateValidityWindow(config, `trustedDelegateCalls ${address}`);
+      if (windowError) {
+        return { valid: false, error: windowError };
+      }
+    }
+  }
+
+  // Validate trustedAssets symbol/decimals if present (used to humanize amounts)
+  if (profile.trustedAssets !== undefined) {
+    if (typeof profile.trustedAssets !== "object" || profile.trustedAssets === null) {
+      return { valid: false, error: "trustedAssets must be an object" };
+    }
+    for (const [address, asset] of Object.entries(profile.trustedAssets)) {
+      if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return { valid: false, error: `Invalid asset address: ${address}` };
+      }
+      if (asset?.symbol !== undefined && typeof asset.symbol !== "string") {
+        return { valid: false, error: `Asset ${address} symbol must be a string` };
+      }
+      if (asset?.decimals !== undefined && (!Number.isInteger(asset.decimals) || asset.decimals < 0 || asset.decimals > 77)) {
+        return { valid: false, error: `Asset ${address} decimals must be an integer from 0 to 77` };
+      }
+    }
+  }
+
+  // Validate trustedRecipients if present (who may receive funds or allowances)
+  if (profile.trustedRecipients !== undefined) {
+    if (typeof profile.trustedRecipients !== "object" || profile.trustedRecipients === null || Array.isArray(profile.trustedRecipients)) {
+      return { valid: false, error: "trustedRecipients must be an object keyed by address" };
+    }
+    for (const [address, recipient] of Object.entries(profile.trustedRecipients)) {
+      if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return { valid: false, error: `Invalid recipient address: ${address}` };
+      }
+      if (!recipient?.label || typeof recipient.label !== "string") {
+        return { valid: false, error: `Recipient ${address} must have a label` };
+      }
+      const windowError = validateValidityWindow(recipient, `Recipient ${address}`);
+      if (windowError) {
+        return { valid: false, error: windowError };
+      }
+    }
+  }
+
+  // Validate blockedAddresses if present (addresses that must never be called or paid)
+  if (profile.blockedAddresses !== undefined) {
+    if (typeof profile.blockedAddresses !== "object" || profile.blockedAddresses === null || Array.isArray(profile.blockedAddresses)) {
+      return { valid: false, error: "blockedAddresses must be an object keyed by address" };
+    }
+    for (const [address, entry] of Object.entries(profile.blockedAddresses)) {
+      if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return { valid: false, error: `Invalid blocked address: ${address}` };
+      }
+      if (typeof entry !== "object" || entry === null) {
+        return { valid: false, error: `Blocked address ${address} must be an object` };
+      }
+      for (const field of ["label", "reason"]) {
+        if (entry[field] !== undefined && typeof entry[field] !== "string") {
+          return { valid: false, error: `Blocked address ${address} ${field} must be a string` };
+        }
+      }
+    }
+  }
+
+  // Validate owners if present (the Safe's expected signers)
+  if (profile.owners !== undefined) {
+    if (!Array.isArray(profile.owners)) {
+      return { valid: false, error: "owners must be an array of addresses" };
+    }
+    for (const owner of profile.owners) {
+      if (typeof owner !== "string" || !owner.match(/^0x[a-fA-F0-9]{40}$/)) {
+        return { valid: false, error: `Invalid owner address: ${owner}` };
+      }
+    }
+  }
+
+  // Validate threshold and minThreshold if present (current and minimum quorum)
+  for (const field of ["threshold", "minThreshold"]) {
+    if (profile[field] !== undefined && (!Number.isInteger(profile[field]) || profile[field] < 1)) {
+      return { valid: false, error: `${field} must be a positive integer` };
+    }
+  }
+  if (profile.threshold !== undefined && profile.owners && profile.threshold > profile.owners.length) {
+    return { valid: false, error: `threshold ${profile.threshold} exceeds the ${profile.owners.length} owner(s)` };
+  }
+
+  // Validate ownerParties if present (owners controlled by the same party)
+  if (profile.ownerParties !== undefined) {
+    if (typeof profile.ownerParties !== "object" || profile.ownerParties === null || Array.isArray(profile.ownerParties)) {
+      return { valid: false, error: "ownerParties must be an object mapping party names to owner addresses" };
+    }
+    for (const [party, members] of Object.entries(profile.ownerParties)) {
+      if (!Array.isArray(members)) {
+        return { valid: false, error: `ownerParties ${party} must be an array of addresses` };
+      }
+      for (const member of members) {
+        if (typeof member !== "string" || !member.match(/^0x[a-fA-F0-9]{40}$/)) {
+          return { valid: false, error: `Invalid address in ownerParties ${party}: ${member}` };
+        }
+      }
     }
   }
 
   return { valid: true };
 }
 
+/**
+ * Validate the validFrom/expiresAt window of a profile entry
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateValidityWindow(entry, name) {
+  for (const field of ["validFrom", "expiresAt"]) {
+    if (entry[field] !== undefined && (typeof entry[field] !== "string" || Number.isNaN(Date.parse(entry[field])))) {
+      return `${name} ${field} must be an ISO 8601 date`;
+    }
+  }
+  if (entry.validFrom && entry.expiresAt && Date.parse(entry.validFrom) >= Date.parse(entry.expiresAt)) {
+    return `${name} validFrom must be before expiresAt`;
+  }
+  return null;
+}
+
+/**
+ * Validate the parameterConstraints of a trusted contract
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateParameterConstraints(constraints) {
+  if (typeof constraints !== "object" || constraints === null || Array.isArray(constraints)) {
+    return "parameterConstraints must be an object keyed by selector";
+  }
+
+  for (const [selector, params] of Object.entries(constraints)) {
+    if (!selector.match(/^0x[a-fA-F0-9]{8}$/)) {
+      return `has an invalid selector in parameterConstraints: ${selector}`;
+    }
+    if (typeof params !== "object" || params === null || Array.isArray(params)) {
+      return `parameterConstraints ${selector} must map parameter paths to constraints`;
+    }
+    for (const [path, constraint] of Object.entries(params)) {
+      if (!PARAM_PATH_PATTERN.test(path)) {
+        return `parameterConstraints ${selector} has an invalid parameter path: ${path}`;
+      }
+      if (typeof constraint !== "object" || constraint === null || Object.keys(constraint).length === 0) {
+        return `parameterConstraints ${selector}.${path} must be an object with at least one of ${CONSTRAINT_OPERATORS.join(", ")}`;
+      }
+      for (const [operator, expected] of Object.entries(constraint)) {
+        if (!CONSTRAINT_OPERATORS.includes(operator)) {
+          return `parameterConstraints ${selector}.${path} has an unknown constraint "${operator}"`;
+        }
+        if ((operator === "max" || operator === "min") && !/^\d+$/.test(String(expected))) {
+          return `parameterConstraints ${selector}.${path} ${operator} must be a non-negative integer (raw units)`;
+        }
+        if (operator === "oneOf" && (!Array.isArray(expected) || expected.length === 0)) {
+          return `parameterConstraints ${selector}.${path} oneOf must be a non-empty array`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
 /**
  * Normalize profile addresses to lowercase
  */
@@ -150,17 +549,23 @@ function normalizeProfile(profile) {
     selectorUsageHistory: {}
   };
 
-  // Normalize trusted contracts
-  for (const [address, config] of Object.entries(profile.trustedContracts)) {
+  // Normalize trusted contracts (a partial layer entry may omit allowedSelectors)
+  for (const [address, config] of Object.entries(profile.trustedContracts || {})) {
     const normalizedAddress = address.toLowerCase();
     normalized.trustedContracts[normalizedAddress] = {
       ...config,
-      allowedSelectors: config.allowedSelectors === "*"
-        ? "*"
+      allowedSelectors: config.allowedSelectors === "*" || config.allowedSelectors === undefined
+        ? config.allowedSelectors
         : config.allowedSelectors.map(s => s.toLowerCase()),
       allowedSelectorsLabels: config.allowedSelectorsLabels
         ? normalizeSelectorsLabels(config.allowedSelectorsLabels)
-        : {}
+        : {},
+      ...(config.parameterConstraints && {
+        parameterConstraints: normalizeSelectorsLabels(config.parameterConstraints)
+      }),
+      ...(config.selectorValidity && {
+        selectorValidity: normalizeSelectorsLabels(config.selectorValidity)
+      })
     };
   }
 
@@ -172,6 +577,16 @@ function normalizeProfile(profile) {
     }
   }
 
+  // Normalize recipient allowlist and denylist if present
+  for (const section of ["trustedRecipients", "blockedAddresses"]) {
+    if (profile[section]) {
+      normalized[section] = {};
+      for (const [address, entry] of Object.entries(profile[section])) {
+        normalized[section][address.toLowerCase()] = { ...entry };
+      }
+    }
+  }
+
   // Normalize usage history if present
   if (profile.selectorUsageHistory) {
     for (const [address, selectors] of Object.entries(profile.selectorUsageHistory)) {
@@ -194,6 +609,17 @@ function normalizeProfile(profile) {
     }
   }
 
+  if (profile.owners) {
+    normalized.owners = profile.owners.map(owner => owner.toLowerCase());
+  }
+
+  if (profile.ownerParties) {
+    normalized.ownerParties = {};
+    for (const [party, members] of Object.entries(profile.ownerParties)) {
+      normalized.ownerParties[party] = members.map(member => member.toLowerCase());
+    }
+  }
+
   return normalized;
 }
 
@@ -250,15 +676,39 @@ export function getTrustedContract(address, profile) {
   return profile.trustedContracts[normalizedAddress] || null;
 }
 
+/**
+ * Which layers of an `extends` chain define an address, and which granted its trust
+ *
+ * @param {string} address - Address to look up
+ * @param {object} profile - Trust profile (merged by resolveProfile)
+ * @param {string} section - Profile section (default: trustedContracts)
+ * @returns {object|null} { layers, trustLevel?, selectors? } - trustLevel and
+ *   selectors name the layer that set the trust level and first allowed each
+ *   selector ("*" for all); null for profiles without extends
+ */
+export function getTrustProvenance(address, profile, section = "trustedContracts") {
+  if (!profile?.provenance?.[section] || !address) {
+    return null;
+  }
+  return profile.provenance[section][address.toLowerCase()] || null;
+}
+
 /**
  * Check if a selector is allowed for a trusted contract
  *
+ * With decoded parameters, an allowed selector is also checked against the
+ * contract's parameterConstraints for it: a violated constraint makes the
+ * call not allowed, like a selector missing from the list.
+ *
  * @param {string} address - Contract address
  * @param {string} selector - Function selector
  * @param {object} profile - Trust profile
- * @returns {object} { allowed: boolean, reason: string }
+ * @param {object|null} params - Decoded parameters (null: could not be decoded;
+ *   omitted: constraints are not checked)
+ * @param {object} options - { now } evaluation time for selectorValidity (default: current time)
+ * @returns {object} { allowed: boolean, reason: string, parameterConstraints?, validity? }
  */
-export function isSelectorAllowed(address, selector, profile) {
+export function isSelectorAllowed(address, selector, profile, params, options = {}) {
   const contract = getTrustedContract(address, profile);
 
   if (!contract) {
@@ -269,25 +719,49 @@ export function isSelectorAllowed(address, selector, profile) {
     };
   }
 
+  const normalizedSelector = selector.toLowerCase();
+  let result = null;
+
   // Check if all selectors are allowed
   if (contract.allowedSelectors === "*") {
-    return {
+    result = {
       allowed: true,
       reason: "ALL_SELECTORS_ALLOWED",
       description: "All selectors are allowed for this contract"
     };
-  }
-
-  // Check if specific selector is in the allowed list
-  const normalizedSelector = selector.toLowerCase();
-  if (contract.allowedSelectors.includes(normalizedSelector)) {
-    return {
+  } else if (contract.allowedSelectors.includes(normalizedSelector)) {
+    // Specific selector is in the allowed list
+    result = {
       allowed: true,
       reason: "SELECTOR_WHITELISTED",
       description: "Selector is in the allowed list"
     };
   }
 
+  // A selector's own window narrows the contract's
+  const validity = result ? checkValidity(contract.selectorValidity?.[normalizedSelector], options.now) : null;
+  if (validity && validity.status !== VALIDITY_STATUS.ACTIVE) {
+    return {
+      allowed: false,
+      reason: validity.status === VALIDITY_STATUS.EXPIRED ? "SELECTOR_EXPIRED" : "SELECTOR_NOT_YET_VALID",
+      description: `Selector ${validity.description}`,
+      validity
+    };
+  }
+
+  if (result) {
+    const constraints = params === undefined ? null : checkParameterConstraints(address, selector, params, profile);
+    if (constraints && !constraints.satisfied) {
+      return {
+        allowed: false,
+        reason: "PARAMETER_CONSTRAINT_VIOLATED",
+        description: "Parameters violate the constraints for this function",
+        parameterConstraints: constraints
+      };
+    }
+    return constraints ? { ...result, parameterConstraints: constraints } : result;
+  }
+
   return {
     allowed: false,
     reason: "SELECTOR_NOT_ALLOWED",
@@ -295,6 +769,185 @@ export function isSelectorAllowed(address, selector, profile) {
   };
 }
 
+/**
+ * Constraint operators of parameterConstraints
+ */
+const CONSTRAINT_OPERATORS = ["equals", "oneOf", "max", "min"];
+
+/**
+ * Parameter path: name, nested fields and array indexes (negative from the end),
+ * e.g. "to", "path[-1]", "params.recipient", "orders[0].amount"
+ */
+const PARAM_PATH_PATTERN = /^[A-Za-z_$][\w$]*(\[-?\d+\]|\.[A-Za-z_$][\w$]*|\.\d+)*$/;
+
+/**
+ * Symbolic constraint values, resolved against the profile
+ */
+const CONSTRAINT_VALUES = {
+  SAFE: {
+    description: "the Safe",
+    matches: (value, profile) => Boolean(profile.safeAddress) && value === profile.safeAddress.toLowerCase()
+  },
+  OWNER: {
+    description: "a Safe owner",
+    matches: (value, profile) => (profile.owners || []).some(owner => owner.toLowerCase() === value)
+  },
+  TRUSTED_ASSET: {
+    description: "a trusted asset",
+    matches: (value, profile) => getTrustedAsset(value, profile) !== null
+  },
+  TRUSTED_CONTRACT: {
+    description: "a trusted contract",
+    matches: (value, profile) => getTrustedContract(value, profile) !== null
+  }
+};
+
+/**
+ * Get the parameter constraints of a contract's selector
+ *
+ * @param {string} address - Contract address
+ * @param {string} selector - Function selector
+ * @param {object} profile - Trust profile
+ * @returns {object|null} Constraints by parameter path, or null if none
+ */
+export function getParameterConstraints(address, selector, profile) {
+  const constraints = getTrustedContract(address, profile)?.parameterConstraints;
+  if (!constraints || !selector) {
+    return null;
+  }
+
+  const normalizedSelector = selector.toLowerCase();
+  const entry = Object.entries(constraints).find(([key]) => key.toLowerCase() === normalizedSelector);
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Resolve a parameter path against decoded parameters
+ */
+function resolveParamPath(params, path) {
+  const segments = path.match(/[^.[\]]+|\[-?\d+\]/g);
+  let value = params;
+  for (const segment of segments) {
+    if (value === null || value === undefined || typeof value !== "object") {
+      return undefined;
+    }
+    if (segment.startsWith("[")) {
+      const index = Number(segment.slice(1, -1));
+      value = value[index < 0 ? value.length + index : index];
+    } else {
+      value = value[segment];
+    }
+  }
+  return value;
+}
+
+function normalizeConstraintValue(value) {
+  if (typeof value === "string") return value.toLowerCase();
+  if (typeof value === "bigint" || typeof value === "number") return value.toString();
+  return String(value);
+}
+
+function describeExpectedValue(expected, profile) {
+  if (expected === "SAFE" && profile.safeAddress) {
+    return `the Safe (${profile.safeAddress.toLowerCase()})`;
+  }
+  return CONSTRAINT_VALUES[expected]?.description || String(expected);
+}
+
+function matchesExpectedValue(actual, expected, profile) {
+  const value = normalizeConstraintValue(actual);
+  if (CONSTRAINT_VALUES[expected]) {
+    return CONSTRAINT_VALUES[expected].matches(value, profile);
+  }
+  return value === normalizeConstraintValue(expected);
+}
+
+/**
+ * Check one constraint operator
+ *
+ * @returns {string|null} What the parameter must be, when violated
+ */
+function checkConstraint(operator, expected, actual, profile) {
+  switch (operator) {
+    case "equals":
+      return matchesExpectedValue(actual, expected, profile) ? null : `must be ${describeExpectedValue(expected, profile)}`;
+    case "oneOf":
+      return Array.isArray(expected) && expected.some(value => matchesExpectedValue(actual, value, profile))
+        ? null
+        : `must be one of ${toArray(expected).map(value => describeExpectedValue(value, profile)).join(", ")}`;
+    case "max":
+    case "min": {
+      let within = false;
+      try {
+        const amount = BigInt(actual);
+        within = operator === "max" ? amount <= BigInt(expected) : amount >= BigInt(expected);
+      } catch {
+        // Not a number: the limit cannot be shown to hold
+      }
+      return within ? null : `must be at ${operator === "max" ? "most" : "least"} ${expected}`;
+    }
+    default:
+      return `has an unknown constraint "${operator}"`;
+  }
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check decoded parameters against the constraints the profile sets for a
+ * contract's selector
+ *
+ * A parameter that cannot be found (or parameters that could not be
+ * decoded) violates its constraints: they cannot be shown to hold.
+ *
+ * @param {string} address - Contract address
+ * @param {string} selector - Function selector
+ * @param {object|null} params - Decoded parameters
+ * @param {object} profile - Trust profile
+ * @returns {object|null} { satisfied, checked, violations: [{ param, constraint, actual, description }] },
+ *   or null when the selector has no constraints
+ */
+export function checkParameterConstraints(address, selector, params, profile) {
+  const constraints = getParameterConstraints(address, selector, profile);
+  if (!constraints) {
+    return null;
+  }
+
+  const violations = [];
+  for (const [path, constraint] of Object.entries(constraints)) {
+    const actual = params ? resolveParamPath(params, path) : undefined;
+    if (actual === undefined || actual === null) {
+      violations.push({
+        param: path,
+        constraint,
+        actual: null,
+        description: `${path} is not among the decoded parameters - its constraints cannot be checked`
+      });
+      continue;
+    }
+
+    for (const [operator, expected] of Object.entries(constraint || {})) {
+      const problem = checkConstraint(operator, expected, actual, profile);
+      if (problem) {
+        violations.push({
+          param: path,
+          constraint: { [operator]: expected },
+          actual: normalizeConstraintValue(actual),
+          description: `${path} ${problem}, got ${normalizeConstraintValue(actual)}`
+        });
+      }
+    }
+  }
+
+  return {
+    satisfied: violations.length === 0,
+    checked: Object.keys(constraints),
+    violations
+  };
+}
+
 /**
  * Get selector usage history for a contract
  *
@@ -356,6 +1009,40 @@ export function getTrustedAsset(address, profile) {
   return profile.trustedAssets[normalizedAddress] || null;
 }
 
+/**
+ * Get a trusted recipient by address from the profile's trustedRecipients.
+ *
+ * Trusted recipients are counterparties (treasury wallets, payroll, exchange
+ * deposit addresses) allowed to receive funds or allowances. They are not
+ * trusted contracts: calling them is still classified as UNKNOWN.
+ *
+ * @param {string} address - Recipient address
+ * @param {object} profile - Trust profile
+ * @returns {object|null} Recipient info { label, notes } or null
+ */
+export function getTrustedRecipient(address, profile) {
+  if (!profile || !profile.trustedRecipients || !address) {
+    return null;
+  }
+
+  return profile.trustedRecipients[address.toLowerCase()] || null;
+}
+
+/**
+ * Get a blocked address from the profile's blockedAddresses denylist.
+ *
+ * @param {string} address - Address to check
+ * @param {object} profile - Trust profile
+ * @returns {object|null} Entry { label, reason } or null
+ */
+export function getBlockedAddress(address, profile) {
+  if (!profile || !profile.blockedAddresses || typeof address !== "string") {
+    return null;
+  }
+
+  return profile.blockedAddresses[address.toLowerCase()] || null;
+}
+
 /**
  * Get a human-readable label for an address.
  *
@@ -424,9 +1111,10 @@ export function isAddressTrusted(address, profile) {
  * @param {string} address - Target contract address
  * @param {string} selector - Function selector
  * @param {object} profile - Trust profile
- * @returns {object} { allowed: boolean, reason: string }
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
+ * @returns {object} { allowed: boolean, reason: string, validity? }
  */
-export function isDelegatecallAllowed(address, selector, profile) {
+export function isDelegatecallAllowed(address, selector, profile, options = {}) {
   if (!profile?.trustedDelegateCalls || !address) {
     return { allowed: false, reason: "DELEGATECALL_NOT_WHITELISTED" };
   }
@@ -443,19 +1131,110 @@ export function isDelegatecallAllowed(address, selector, profile) {
     return { allowed: false, reason: "DELEGATECALL_SELECTOR_NOT_ALLOWED" };
   }
 
+  return delegatecallWindow(config, options.now);
+}
+
+/**
+ * Apply a trustedDelegateCalls entry's validFrom/expiresAt window
+ */
+function delegatecallWindow(config, now) {
+  const validity = checkValidity(config, now);
+  if (validity.status === VALIDITY_STATUS.EXPIRED) {
+    return { allowed: false, reason: "DELEGATECALL_EXPIRED", validity };
+  }
+  if (validity.status === VALIDITY_STATUS.NOT_YET_VALID) {
+    return { allowed: false, reason: "DELEGATECALL_NOT_YET_VALID", validity };
+  }
   return { allowed: true, reason: "DELEGATECALL_WHITELISTED" };
 }
 
+/**
+ * Check if delegating an account's code to a contract (EIP-7702) is allowed.
+ *
+ * A code delegation runs the delegate for every call to the account, so it is
+ * trusted only if the delegate is in trustedDelegateCalls - whatever selectors
+ * are listed there.
+ *
+ * @param {string} address - Delegate contract address
+ * @param {object} profile - Trust profile
+ * @param {object} options - { now } evaluation time for validFrom/expiresAt (default: current time)
+ * @returns {object} { allowed: boolean, reason: string, validity? }
+ */
+export function isCodeDelegationAllowed(address, profile, options = {}) {
+  if (!profile?.trustedDelegateCalls || !address) {
+    return { allowed: false, reason: "DELEGATECALL_NOT_WHITELISTED" };
+  }
+
+  const config = profile.trustedDelegateCalls[address.toLowerCase()];
+  if (!config) {
+    return { allowed: false, reason: "DELEGATECALL_CONTRACT_NOT_TRUSTED" };
+  }
+
+  return delegatecallWindow(config, options.now);
+}
+
+/**
+ * Resolve the time trust is evaluated at
+ *
+ * Every validFrom/expiresAt check takes the time from the caller (options.now)
+ * so results are reproducible; only an omitted time reads the system clock.
+ *
+ * @param {Date|number|string} now - Date, milliseconds since epoch or ISO 8601 string
+ * @returns {number} Milliseconds since epoch
+ */
+export function resolveNow(now) {
+  if (now === undefined || now === null) {
+    return Date.now();
+  }
+  const time = now instanceof Date ? now.getTime() : (typeof now === "number" ? now : Date.parse(now));
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid evaluation time: ${now}`);
+  }
+  return time;
+}
+
+/**
+ * Check a profile entry's validFrom/expiresAt window
+ *
+ * @param {object} entry - Contract, selectorValidity, trustedDelegateCalls or trustedRecipients entry (optional)
+ * @param {Date|number|string} now - Evaluation time (default: current time)
+ * @returns {object} { status, validFrom, expiresAt, description } - description says
+ *   when trust starts or lapsed ("trust expired on 2026-03-31T00:00:00Z")
+ */
+export function checkValidity(entry, now) {
+  const validFrom = entry?.validFrom || null;
+  const expiresAt = entry?.expiresAt || null;
+  const time = resolveNow(now);
+
+  if (validFrom && time < Date.parse(validFrom)) {
+    return { status: VALIDITY_STATUS.NOT_YET_VALID, validFrom, expiresAt, description: `is trusted only from ${validFrom}` };
+  }
+  if (expiresAt && time >= Date.parse(expiresAt)) {
+    return { status: VALIDITY_STATUS.EXPIRED, validFrom, expiresAt, description: `trust expired on ${expiresAt}` };
+  }
+  return { status: VALIDITY_STATUS.ACTIVE, validFrom, expiresAt, description: null };
+}
+
 export default {
   TRUST_LEVELS,
+  VALIDITY_STATUS,
   loadProfile,
+  resolveProfile,
+  getTrustProvenance,
   createEmptyProfile,
   getTrustedContract,
   isSelectorAllowed,
+  getParameterConstraints,
+  checkParameterConstraints,
   getSelectorUsage,
   getSelectorLabel,
   getTrustedAsset,
+  getTrustedRecipient,
+  getBlockedAddress,
   getAddressLabel,
   isAddressTrusted,
-  isDelegatecallAllowed
+  isDelegatecallAllowed,
+  isCodeDelegationAllowed,
+  resolveNow,
+  checkValidity
 };
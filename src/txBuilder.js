@@ -0,0 +1,412 @@
+/**
+ * Safe Transaction Builder JSON import and export
+ *
+ * Proposers assemble batches in the Safe Transaction Builder app and share
+ * the exported JSON file. Each entry carries the raw `data` and, when it was
+ * built from an ABI, the human-readable `contractMethod` and
+ * `contractInputsValues` the proposer saw. The Transaction Builder executes
+ * `data` when it is present, so a file whose readable inputs disagree with
+ * its data shows reviewers one thing and executes another. This module
+ * parses the file into the batch call shape and cross-checks both views.
+ *
+ * File format (version 1.0):
+ *   { version, chainId, createdAt,
+ *     meta: { name, description, txBuilderVersion, createdFromSafeAddress,
+ *             createdFromOwnerAddress, checksum },
+ *     transactions: [{ to, value, data, contractMethod: { name, inputs, payable },
+ *                      contractInputsValues: { [inputName]: string } }] }
+ *
+ * SECURITY PRINCIPLES:
+ * - Parsing is deterministic and offline-only
+ * - `data` is what executes; the readable inputs are only checked against it
+ * - Inputs that cannot be checked are reported, never assumed to match
+ */
+
+import { AbiCoder, FunctionFragment, Interface, getAddress, keccak256, toUtf8Bytes } from "ethers";
+import { BATCH_TYPE, OPERATION_TYPE, OPERATION_LABELS } from "./batchParser.js";
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Result of cross-checking contractMethod/contractInputsValues with data
+ */
+export const INPUTS_CHECK = {
+  // data encodes exactly the declared method and inputs
+  MATCH: "MATCH",
+  // data calls another function or passes other values
+  MISMATCH: "MISMATCH",
+  // data was empty and is encoded from the declared inputs, as the Transaction Builder does
+  ENCODED: "ENCODED",
+  // the declared method or inputs cannot be ABI-encoded
+  INVALID_INPUTS: "INVALID_INPUTS",
+  // raw data without a declared method
+  NOT_CHECKED: "NOT_CHECKED"
+};
+
+/**
+ * Parse a Transaction Builder file into a batch of calls
+ *
+ * Each call is shaped like a MultiSend sub-call (always CALL - the Transaction
+ * Builder cannot express DELEGATECALL) with the declared view attached as
+ * call.txBuilder: { method, signature, inputsValues, inputsCheck }
+ *   inputsCheck: { status (INPUTS_CHECK), message, mismatches: [{ name, declared, actual }] }
+ *
+ * @param {object|string} file - Parsed JSON object or JSON string
+ * @returns {object} Batch (batchType TX_BUILDER) with version, chainId (null if
+ *   absent), createdAt, meta { name, description, txBuilderVersion, safeAddress,
+ *   ownerAddress } and checksum { present, valid }
+ * @throws {Error} If the file is not a Transaction Builder batch
+ */
+export function parseTxBuilderFile(file) {
+  let batchFile = file;
+  if (typeof batchFile === "string") {
+    try {
+      batchFile = JSON.parse(batchFile);
+    } catch (error) {
+      throw new Error(`Invalid Transaction Builder file: ${error.message}`);
+    }
+  }
+
+  if (!batchFile || typeof batchFile !== "object" || Array.isArray(batchFile)) {
+    throw new Error("Invalid Transaction Builder file: must be a JSON object");
+  }
+  if (!Array.isArray(batchFile.transactions) || batchFile.transactions.length === 0) {
+    throw new Error("Invalid Transaction Builder file: transactions must be a non-empty array");
+  }
+
+  const chainId = parseChainId(batchFile.chainId);
+  const meta = batchFile.meta || {};
+  const calls = batchFile.transactions.map((tx, index) => parseTransaction(tx, index));
+
+  return {
+    isBatch: true,
+    batchType: BATCH_TYPE.TX_BUILDER,
+    calls,
+    callCount: calls.length,
+    version: batchFile.version ?? null,
+    chainId,
+    createdAt: batchFile.createdAt ?? null,
+    meta: {
+      name: meta.name ?? null,
+      description: meta.description ?? null,
+      txBuilderVersion: meta.txBuilderVersion ?? null,
+      safeAddress: normalizeOptionalAddress(meta.createdFromSafeAddress, "meta.createdFromSafeAddress"),
+      ownerAddress: normalizeOptionalAddress(meta.createdFromOwnerAddress, "meta.createdFromOwnerAddress")
+    },
+    checksum: {
+      present: typeof meta.checksum === "string",
+      valid: typeof meta.checksum === "string" ? meta.checksum === calculateTxBuilderChecksum(batchFile) : null
+    }
+  };
+}
+
+function parseChainId(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const chainId = Number(value);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid Transaction Builder file: invalid chainId ${value}`);
+  }
+  return chainId;
+}
+
+function normalizeOptionalAddress(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new Error(`Invalid Transaction Builder file: ${field} must be an address`);
+  }
+  return value.toLowerCase();
+}
+
+function parseTransaction(tx, index) {
+  const where = `transaction ${index + 1}`;
+  if (!tx || typeof tx !== "object") {
+    throw new Error(`Invalid Transaction Builder file: ${where} must be an object`);
+  }
+  if (typeof tx.to !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(tx.to)) {
+    throw new Error(`Invalid Transaction Builder file: ${where} has an invalid "to" address`);
+  }
+
+  let value;
+  try {
+    value = BigInt(tx.value ?? 0);
+  } catch {
+    throw new Error(`Invalid Transaction Builder file: ${where} has an invalid value`);
+  }
+  if (value < 0n) {
+    throw new Error(`Invalid Transaction Builder file: ${where} has a negative value`);
+  }
+
+  const rawData = tx.data === null || tx.data === undefined || tx.data === "" ? "0x" : tx.data;
+  if (typeof rawData !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(rawData)) {
+    throw new Error(`Invalid Transaction Builder file: ${where} has invalid data`);
+  }
+
+  const { data, txBuilder } = checkDeclaredInputs(rawData.toLowerCase(), tx.contractMethod, tx.contractInputsValues);
+  const dataLength = (data.length - 2) / 2;
+
+  return {
+    operation: OPERATION_TYPE.CALL,
+    operationLabel: OPERATION_LABELS[OPERATION_TYPE.CALL],
+    to: tx.to.toLowerCase(),
+    value,
+    valueWei: value.toString(),
+    data,
+    dataLength,
+    txBuilder
+  };
+}
+
+/**
+ * Cross-check the declared method and inputs with the data that executes.
+ * Returns the data to execute (encoded from the inputs when empty).
+ */
+function checkDeclaredInputs(data, contractMethod, inputsValues) {
+  if (!contractMethod) {
+    return {
+      data,
+      txBuilder: {
+        method: null,
+        signature: null,
+        inputsValues: null,
+        inputsCheck: { status: INPUTS_CHECK.NOT_CHECKED, message: "No contractMethod: only the raw data is available", mismatches: [] }
+      }
+    };
+  }
+
+  const declared = {
+    method: typeof contractMethod.name === "string" ? contractMethod.name : null,
+    signature: null,
+    inputsValues: inputsValues && typeof inputsValues === "object" ? inputsValues : {}
+  };
+
+  let fragment;
+  let declaredData;
+  try {
+    fragment = FunctionFragment.from({
+      type: "function",
+      name: contractMethod.name,
+      inputs: contractMethod.inputs || [],
+      stateMutability: contractMethod.payable ? "payable" : "nonpayable"
+    });
+    declared.signature = fragment.format("sighash");
+    const values = fragment.inputs.map((param, i) =>
+      parseInputValue(param, declared.inputsValues[inputKey(param, i)])
+    );
+    declaredData = new Interface([fragment]).encodeFunctionData(fragment, values).toLowerCase();
+  } catch (error) {
+    return {
+      data,
+      txBuilder: {
+        ...declared,
+        inputsCheck: {
+          status: INPUTS_CHECK.INVALID_INPUTS,
+          message: `Declared inputs cannot be encoded: ${error.shortMessage || error.message}`,
+          mismatches: []
+        }
+      }
+    };
+  }
+
+  // The Transaction Builder encodes the inputs itself when data is empty
+  if (data === "0x") {
+    return {
+      data: declaredData,
+      txBuilder: {
+        ...declared,
+        inputsCheck: { status: INPUTS_CHECK.ENCODED, message: "data encoded from the declared inputs", mismatches: [] }
+      }
+    };
+  }
+
+  if (data === declaredData) {
+    return {
+      data,
+      txBuilder: {
+        ...declared,
+        inputsCheck: { status: INPUTS_CHECK.MATCH, message: "data matches the declared method and inputs", mismatches: [] }
+      }
+    };
+  }
+
+  return {
+    data,
+    txBuilder: { ...declared, inputsCheck: describeMismatch(data, fragment, declared.inputsValues) }
+  };
+}
+
+/**
+ * Explain how data differs from the declared method and inputs
+ */
+function describeMismatch(data, fragment, inputsValues) {
+  const selector = data.slice(0, 10);
+  if (selector !== fragment.selector) {
+    return {
+      status: INPUTS_CHECK.MISMATCH,
+      message: `data calls selector ${selector}, not the declared ${fragment.format("sighash")} (${fragment.selector})`,
+      mismatches: []
+    };
+  }
+
+  let actual;
+  try {
+    actual = new Interface([fragment]).decodeFunctionData(fragment, data);
+  } catch (error) {
+    return {
+      status: INPUTS_CHECK.MISMATCH,
+      message: `data does not decode as ${fragment.format("sighash")}: ${error.shortMessage || error.message}`,
+      mismatches: []
+    };
+  }
+
+  const mismatches = [];
+  fragment.inputs.forEach((param, i) => {
+    const key = inputKey(param, i);
+    const declaredValue = parseInputValue(param, inputsValues[key]);
+    if (abiCoder.encode([param], [declaredValue]) !== abiCoder.encode([param], [actual[i]])) {
+      mismatches.push({ name: key, declared: String(inputsValues[key]), actual: displayValue(actual[i]) });
+    }
+  });
+
+  return {
+    status: INPUTS_CHECK.MISMATCH,
+    message: mismatches.length > 0
+      ? `data passes different values for ${mismatches.map(m => m.name).join(", ")}`
+      : "data has the declared values but a different encoding (trailing or non-canonical bytes)",
+    mismatches
+  };
+}
+
+// contractInputsValues is keyed by input name (unnamed inputs are not addressable)
+function inputKey(param, index) {
+  return param.name || `param${index}`;
+}
+
+/**
+ * Convert a contractInputsValues string to an ABI value, as the Transaction
+ * Builder does: arrays and tuples are JSON, booleans are "true"/"false"
+ */
+function parseInputValue(param, raw) {
+  if (raw === undefined || raw === null) {
+    throw new Error(`missing value for input "${param.name}"`);
+  }
+  if ((param.baseType === "array" || param.baseType === "tuple") && typeof raw === "string") {
+    return JSON.parse(raw);
+  }
+  if (param.baseType === "bool" && typeof raw === "string") {
+    if (raw !== "true" && raw !== "false") {
+      throw new Error(`invalid bool "${raw}" for input "${param.name}"`);
+    }
+    return raw === "true";
+  }
+  return raw;
+}
+
+function displayValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value) || (value && typeof value.toArray === "function")) {
+    return JSON.stringify(Array.from(value), (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  }
+  return String(value);
+}
+
+/**
+ * Compute the Transaction Builder checksum of a batch file
+ *
+ * keccak256 of a canonical serialization (sorted keys) of the file with
+ * meta.name set to null and meta.checksum removed - the value the
+ * Transaction Builder stores in meta.checksum on export.
+ *
+ * @param {object} batchFile - Transaction Builder file object
+ * @returns {string} Checksum (0x-prefixed hex)
+ */
+export function calculateTxBuilderChecksum(batchFile) {
+  const { checksum, ...meta } = batchFile.meta || {};
+  return keccak256(toUtf8Bytes(serializeJSONObject({ ...batchFile, meta: { ...meta, name: null } })));
+}
+
+function serializeJSONObject(json) {
+  if (Array.isArray(json)) {
+    return `[${json.map(serializeJSONObject).join(",")}]`;
+  }
+  if (typeof json === "object" && json !== null) {
+    const keys = Object.keys(json).sort();
+    let serialized = `{${JSON.stringify(keys, nullForUndefined)}`;
+    for (const key of keys) {
+      serialized += `${serializeJSONObject(json[key])},`;
+    }
+    return `${serialized}}`;
+  }
+  return `${JSON.stringify(json, nullForUndefined)}`;
+}
+
+function nullForUndefined(_, value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Build a Transaction Builder file from a list of calls
+ *
+ * The calls are written as raw data (contractMethod null), the form the
+ * Transaction Builder uses for custom transactions, and the file is
+ * checksummed so the app accepts it without a warning.
+ *
+ * @param {Array} calls - [{ to, value | valueWei, data, operation }]
+ * @param {object} options - File fields
+ * @param {number|string} options.chainId - Chain ID (required)
+ * @param {string} options.safeAddress - Safe the batch is for
+ * @param {string} options.name - Batch name (default: "Transactions Batch")
+ * @param {string} options.description - Batch description
+ * @param {number} options.createdAt - Creation time in ms (default: now)
+ * @returns {object} Transaction Builder file
+ * @throws {Error} If a call is a DELEGATECALL (not expressible in the format)
+ */
+export function buildTxBuilderFile(calls, options = {}) {
+  if (!Array.isArray(calls) || calls.length === 0) {
+    throw new Error("Cannot export an empty batch");
+  }
+  if (options.chainId === undefined || options.chainId === null) {
+    throw new Error("chainId is required to export a Transaction Builder file");
+  }
+
+  const transactions = calls.map((call, index) => {
+    if (call.operation === OPERATION_TYPE.DELEGATECALL) {
+      throw new Error(`Call ${index + 1} is a DELEGATECALL, which the Transaction Builder cannot express`);
+    }
+    if (!call.to) {
+      throw new Error(`Call ${index + 1} has no target address`);
+    }
+    return {
+      to: getAddress(call.to),
+      value: String(call.valueWei ?? call.value ?? "0"),
+      data: call.data && call.data !== "0x" ? call.data : null,
+      contractMethod: null,
+      contractInputsValues: null
+    };
+  });
+
+  const batchFile = {
+    version: "1.0",
+    chainId: String(options.chainId),
+    createdAt: options.createdAt ?? Date.now(),
+    meta: {
+      name: options.name || "Transactions Batch",
+      description: options.description || "",
+      createdFromSafeAddress: options.safeAddress ? getAddress(options.safeAddress) : "",
+      createdFromOwnerAddress: ""
+    },
+    transactions
+  };
+  batchFile.meta.checksum = calculateTxBuilderChecksum(batchFile);
+  return batchFile;
+}
+
+export default {
+  INPUTS_CHECK,
+  parseTxBuilderFile,
+  buildTxBuilderFile,
+  calculateTxBuilderChecksum
+};
@@ -0,0 +1,743 @@
+/**
+ * EIP-712 typed-data signing analysis
+ *
+ * Off-chain signatures can grant allowances or sell assets without any
+ * calldata ever reaching the Safe. This module recognizes the typed-data
+ * payloads (eth_signTypedData_v4 JSON) behind the most common ones and turns
+ * them into the same effect objects produced for calldata.
+ *
+ * Recognized payloads:
+ * - Permit2 AllowanceTransfer: PermitSingle, PermitBatch
+ * - Permit2 SignatureTransfer: PermitTransferFrom, PermitBatchTransferFrom
+ *   (including the witness variants used by UniswapX)
+ * - EIP-2612 Permit and the DAI-style Permit (holder/allowed)
+ * - Seaport OrderComponents
+ * - CowSwap (Gnosis Protocol v2) Order
+ *
+ * SECURITY PRINCIPLES:
+ * - Analysis is deterministic and offline-only
+ * - Unrecognized payloads are reported as UNKNOWN, never guessed
+ * - The counterparty (spender or verifying contract) is classified against
+ *   the trust profile; an unknown counterparty makes the header CRITICAL
+ * - Spenders, recipients and every other address follow the profile's
+ *   trustedRecipients and blockedAddresses as calldata does
+ * - Assets leaving for an address other than the Safe are flagged CRITICAL
+ */
+
+import { TypedDataEncoder } from "ethers";
+import { EFFECT_TYPES } from "./effectAnalyzer.js";
+import { isMaxApproval } from "./decoder.js";
+import {
+  classifyContract,
+  classifyCounterparties,
+  CONTRACT_CLASSIFICATION,
+  SELECTOR_CLASSIFICATION,
+  HEADER_SEVERITY
+} from "./trustClassifier.js";
+import { loadProfile } from "./trustProfile.js";
+import { formatAddressHuman, formatTokenHuman, collectParamAddresses } from "./addressDisplay.js";
+
+/**
+ * Recognized typed-data payload kinds
+ */
+export const TYPED_DATA_TYPE = {
+  PERMIT2_ALLOWANCE: "PERMIT2_ALLOWANCE",
+  PERMIT2_TRANSFER: "PERMIT2_TRANSFER",
+  EIP2612_PERMIT: "EIP2612_PERMIT",
+  DAI_PERMIT: "DAI_PERMIT",
+  SEAPORT_ORDER: "SEAPORT_ORDER",
+  COWSWAP_ORDER: "COWSWAP_ORDER",
+  UNKNOWN: "UNKNOWN"
+};
+
+// Canonical verifying contracts (same address on every supported chain)
+const PERMIT2_ADDRESS = "0x000000000022d473030f116ddee9f6b43ac78ba3";
+const SEAPORT_ADDRESSES = new Set([
+  "0x00000000000000adc04c56bf30ac9d3c0aaf14dc", // Seaport 1.5
+  "0x0000000000000068f116a894984e2db1123eb395"  // Seaport 1.6
+]);
+const COWSWAP_SETTLEMENT = "0x9008d19f58aabd9ed0d60971565aa8510560ab41";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT48 = (1n << 48n) - 1n;
+
+// Seaport item types
+const SEAPORT_ITEM_TYPES = ["NATIVE", "ERC20", "ERC721", "ERC1155", "ERC721_WITH_CRITERIA", "ERC1155_WITH_CRITERIA"];
+
+/**
+ * Analyze an EIP-712 typed-data payload before it is signed
+ *
+ * @param {object|string} typedData - eth_signTypedData_v4 payload (object or JSON string)
+ * @param {object} options - Options
+ * @param {string} options.safeAddress - Address of the signing Safe (defaults to profile.safeAddress)
+ * @param {string} options.profilePath - Path to trust profile JSON file
+ * @param {object} options.profile - Pre-loaded trust profile object
+ * @param {Date|number|string} options.now - Evaluation time for validFrom/expiresAt (default: current time)
+ * @returns {object} Analysis result with effect, trustContext and headerSeverity
+ */
+export function decodeTypedData(typedData, options = {}) {
+  const payload = parseTypedData(typedData);
+
+  let profile = options.profile || null;
+  if (!profile && options.profilePath) {
+    profile = loadProfile(options.profilePath);
+  }
+  if (profile?.error) {
+    profile = null;
+  }
+
+  const safeAddress = normalizeAddress(options.safeAddress || profile?.safeAddress);
+  const domain = payload.domain || {};
+  const verifyingContract = normalizeAddress(domain.verifyingContract);
+  const typedDataType = detectTypedDataType(payload);
+
+  const context = { profile, safeAddress, verifyingContract };
+  const analysis = analyzeTypedData(typedDataType, payload, context);
+
+  // Classify the counterparty: the spender for permits, the exchange for orders
+  const counterparty = analysis.counterparty;
+  const trustContext = buildTypedDataTrustContext(counterparty, profile, options.now);
+
+  if (profile && counterparty && trustContext.contractClassification !== CONTRACT_CLASSIFICATION.TRUSTED) {
+    analysis.flags.push("UNTRUSTED_COUNTERPARTY");
+    analysis.warnings.push(
+      `${counterparty.role === "spender" ? "Spender" : "Verifying contract"} ${counterparty.address} is NOT trusted in your profile`
+    );
+    if (analysis.effectType === "PERMISSION_GRANT" || analysis.effectType === "ASSET_TRANSFER") {
+      analysis.severity = "CRITICAL";
+    }
+  }
+
+  const classified = classifyTypedDataCounterparties(analysis, verifyingContract, profile, options.now);
+
+  const effectInfo = EFFECT_TYPES[analysis.effectType] || EFFECT_TYPES.UNKNOWN;
+  const effect = {
+    effectType: analysis.effectType,
+    verified: typedDataType !== TYPED_DATA_TYPE.UNKNOWN,
+    severity: analysis.severity,
+    permanence: analysis.permanence || effectInfo.permanence,
+    scope: analysis.scope,
+    beneficiary: counterparty?.address || null,
+    consequences: analysis.consequences,
+    warnings: analysis.warnings,
+    mitigations: analysis.mitigations
+  };
+
+  return {
+    isTypedData: true,
+    typedDataType,
+    protocol: analysis.protocol,
+    primaryType: payload.primaryType,
+    domain,
+    message: payload.message,
+    typedDataHash: hashTypedData(payload),
+    params: analysis.params,
+    verified: effect.verified,
+    flags: analysis.flags,
+    effect,
+    trustContext,
+    counterparties: classified?.counterparties || null,
+    blockedAddresses: classified?.blocked || null,
+    headerSeverity: computeTypedDataHeaderSeverity(typedDataType, analysis.effectType, analysis.flags, trustContext, profile),
+    safeAddress,
+    profile
+  };
+}
+
+/**
+ * Parse and validate a typed-data payload
+ */
+function parseTypedData(typedData) {
+  let payload = typedData;
+
+  if (typeof payload === "string") {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      throw new Error(`Invalid typed data: not valid JSON (${error.message})`);
+    }
+  }
+
+  if (!payload || typeof payload !== "object") {
+    throw new Error("Typed data must be an object with types, domain, primaryType and message");
+  }
+  if (!payload.types || typeof payload.types !== "object") {
+    throw new Error("Invalid typed data: missing types");
+  }
+  if (!payload.primaryType || typeof payload.primaryType !== "string") {
+    throw new Error("Invalid typed data: missing primaryType");
+  }
+  if (!payload.message || typeof payload.message !== "object") {
+    throw new Error("Invalid typed data: missing message");
+  }
+
+  return payload;
+}
+
+/**
+ * Identify the payload from its domain and primary type
+ */
+function detectTypedDataType(payload) {
+  const domain = payload.domain || {};
+  const name = typeof domain.name === "string" ? domain.name : "";
+  const verifyingContract = normalizeAddress(domain.verifyingContract);
+  const primaryType = payload.primaryType;
+  const message = payload.message;
+
+  if (name === "Permit2" || verifyingContract === PERMIT2_ADDRESS) {
+    if (primaryType === "PermitSingle" || primaryType === "PermitBatch") {
+      return TYPED_DATA_TYPE.PERMIT2_ALLOWANCE;
+    }
+    if (/^Permit(Batch)?(Witness)?TransferFrom$/.test(primaryType)) {
+      return TYPED_DATA_TYPE.PERMIT2_TRANSFER;
+    }
+    return TYPED_DATA_TYPE.UNKNOWN;
+  }
+
+  if (primaryType === "OrderComponents" && (name === "Seaport" || SEAPORT_ADDRESSES.has(verifyingContract))) {
+    return TYPED_DATA_TYPE.SEAPORT_ORDER;
+  }
+
+  if (primaryType === "Order" && (name === "Gnosis Protocol" || verifyingContract === COWSWAP_SETTLEMENT)) {
+    return TYPED_DATA_TYPE.COWSWAP_ORDER;
+  }
+
+  if (primaryType === "Permit") {
+    if ("owner" in message && "spender" in message && "value" in message) {
+      return TYPED_DATA_TYPE.EIP2612_PERMIT;
+    }
+    if ("holder" in message && "spender" in message && "allowed" in message) {
+      return TYPED_DATA_TYPE.DAI_PERMIT;
+    }
+  }
+
+  return TYPED_DATA_TYPE.UNKNOWN;
+}
+
+/**
+ * Build consequences, warnings, flags and key parameters for a payload
+ */
+function analyzeTypedData(typedDataType, payload, context) {
+  const analysis = {
+    protocol: null,
+    effectType: "UNKNOWN",
+    severity: "UNKNOWN",
+    permanence: null,
+    scope: null,
+    counterparty: null,
+    recipients: [],
+    params: {},
+    consequences: [],
+    warnings: [],
+    mitigations: [],
+    flags: []
+  };
+  const message = payload.message;
+
+  switch (typedDataType) {
+    case TYPED_DATA_TYPE.PERMIT2_ALLOWANCE:
+      analyzePermit2Allowance(analysis, payload.primaryType, message, context);
+      break;
+    case TYPED_DATA_TYPE.PERMIT2_TRANSFER:
+      analyzePermit2Transfer(analysis, payload.primaryType, message, context);
+      break;
+    case TYPED_DATA_TYPE.EIP2612_PERMIT:
+      analyzeEip2612Permit(analysis, message, context);
+      break;
+    case TYPED_DATA_TYPE.DAI_PERMIT:
+      analyzeDaiPermit(analysis, message, context);
+      break;
+    case TYPED_DATA_TYPE.SEAPORT_ORDER:
+      analyzeSeaportOrder(analysis, message, context);
+      break;
+    case TYPED_DATA_TYPE.COWSWAP_ORDER:
+      analyzeCowSwapOrder(analysis, message, context);
+      break;
+    default:
+      analysis.protocol = typeof payload.domain?.name === "string" ? payload.domain.name : null;
+      analysis.flags.push("UNKNOWN_TYPE");
+      analysis.params = { primaryType: payload.primaryType };
+      if (context.verifyingContract) {
+        analysis.params.verifyingContract = context.verifyingContract;
+        analysis.counterparty = { role: "verifyingContract", address: context.verifyingContract };
+      }
+      analysis.consequences.push(`Signs an unrecognized ${payload.primaryType} message - its effect cannot be determined`);
+      analysis.warnings.push("Unrecognized typed data: an off-chain signature can authorize token transfers or approvals");
+      analysis.mitigations.push("Do not sign unless you can verify what the receiving contract does with this signature");
+  }
+
+  return analysis;
+}
+
+/**
+ * Permit2 PermitSingle / PermitBatch: allowance granted through Permit2
+ */
+function analyzePermit2Allowance(analysis, primaryType, message, context) {
+  const spender = normalizeAddress(message.spender);
+  const details = primaryType === "PermitBatch" ? toArray(message.details) : [message.details || {}];
+
+  analysis.protocol = "Permit2";
+  analysis.effectType = "PERMISSION_GRANT";
+  analysis.severity = "HIGH";
+  analysis.scope = "Token allowance via Permit2";
+  analysis.counterparty = { role: "spender", address: spender };
+  analysis.flags.push("PERMIT2_APPROVAL");
+  analysis.params.spender = spender;
+  analysis.params.sigDeadline = stringify(message.sigDeadline);
+
+  details.forEach((detail, i) => {
+    const token = normalizeAddress(detail.token);
+    const amount = toBigInt(detail.amount);
+    const suffix = details.length > 1 ? `[${i}]` : "";
+    analysis.params[`token${suffix}`] = token;
+    analysis.params[`amount${suffix}`] = stringify(detail.amount);
+    analysis.params[`expiration${suffix}`] = stringify(detail.expiration);
+
+    analysis.consequences.push(
+      `Grants ${describeAddress(spender, context)} a Permit2 allowance of ${formatAmount(amount, MAX_UINT160)} ${formatTokenHuman(token, context.profile)}, expiring ${formatExpiration(detail.expiration)}`
+    );
+    if (amount === MAX_UINT160) {
+      analysis.flags.push("UNLIMITED_AMOUNT");
+      analysis.warnings.push(`UNLIMITED Permit2 allowance for ${formatTokenHuman(token, context.profile)}`);
+    }
+    if (toBigInt(detail.expiration) === MAX_UINT48) {
+      analysis.warnings.push("The allowance never expires");
+    }
+  });
+
+  analysis.consequences.push(`Signature can be submitted until ${formatTimestamp(message.sigDeadline)}`);
+  analysis.warnings.push("Anyone holding this signature can register the allowance on-chain - no Safe transaction is needed");
+  analysis.mitigations.push("Revoke through Permit2 approve() with amount 0 or lockdown() if signed by mistake");
+}
+
+/**
+ * Permit2 PermitTransferFrom / PermitBatchTransferFrom: one-time transfer
+ */
+function analyzePermit2Transfer(analysis, primaryType, message, context) {
+  const spender = normalizeAddress(message.spender);
+  const permitted = primaryType.startsWith("PermitBatch") ? toArray(message.permitted) : [message.permitted || {}];
+
+  analysis.protocol = "Permit2";
+  analysis.effectType = "ASSET_TRANSFER";
+  analysis.severity = "HIGH";
+  analysis.scope = "One-time token transfer via Permit2";
+  analysis.counterparty = { role: "spender", address: spender };
+  analysis.flags.push("PERMIT2_APPROVAL");
+  analysis.params.spender = spender;
+  analysis.params.deadline = stringify(message.deadline);
+
+  permitted.forEach((permission, i) => {
+    const token = normalizeAddress(permission.token);
+    const suffix = permitted.length > 1 ? `[${i}]` : "";
+    analysis.params[`token${suffix}`] = token;
+    analysis.params[`amount${suffix}`] = stringify(permission.amount);
+    analysis.consequences.push(
+      `Lets ${describeAddress(spender, context)} transfer up to ${formatAmount(toBigInt(permission.amount))} ${formatTokenHuman(token, context.profile)} out of the Safe once`
+    );
+  });
+
+  analysis.consequences.push(`Signature valid until ${formatTimestamp(message.deadline)}`);
+  if (primaryType.includes("Witness")) {
+    analysis.warnings.push("Witness data is attached - the spender's contract decides where the tokens go");
+  }
+  analysis.warnings.push("The recipient is chosen by the spender when the signature is used");
+  analysis.mitigations.push("Invalidate the nonce through Permit2 invalidateUnorderedNonces() if signed by mistake");
+}
+
+/**
+ * EIP-2612 Permit: token allowance set by signature
+ */
+function analyzeEip2612Permit(analysis, message, context) {
+  const token = context.verifyingContract;
+  const spender = normalizeAddress(message.spender);
+  const value = toBigInt(message.value);
+
+  analysis.protocol = "EIP-2612";
+  analysis.effectType = "PERMISSION_GRANT";
+  analysis.severity = "HIGH";
+  analysis.scope = "Token allowance";
+  analysis.counterparty = { role: "spender", address: spender };
+  analysis.params = {
+    token,
+    owner: normalizeAddress(message.owner),
+    spender,
+    value: stringify(message.value),
+    nonce: stringify(message.nonce),
+    deadline: stringify(message.deadline)
+  };
+
+  analysis.consequences.push(
+    `Grants ${describeAddress(spender, context)} an allowance of ${formatAmount(value)} ${formatTokenHuman(token, context.profile)}`
+  );
+  analysis.consequences.push(`Signature valid until ${formatTimestamp(message.deadline)}`);
+  if (isMaxApproval(value)) {
+    analysis.flags.push("UNLIMITED_AMOUNT");
+    analysis.warnings.push("UNLIMITED token allowance");
+  }
+  checkSigner(analysis, message.owner, "owner", context);
+  analysis.warnings.push("Anyone holding this signature can set the allowance on-chain - no Safe transaction is needed");
+  analysis.mitigations.push("Call approve(spender, 0) on the token to revoke");
+}
+
+/**
+ * DAI-style Permit: unlimited allowance toggled by `allowed`
+ */
+function analyzeDaiPermit(analysis, message, context) {
+  const token = context.verifyingContract;
+  const spender = normalizeAddress(message.spender);
+  const allowed = message.allowed === true || message.allowed === "true";
+
+  analysis.protocol = "DAI Permit";
+  analysis.counterparty = { role: "spender", address: spender };
+  analysis.params = {
+    token,
+    holder: normalizeAddress(message.holder),
+    spender,
+    nonce: stringify(message.nonce),
+    expiry: stringify(message.expiry),
+    allowed
+  };
+
+  if (!allowed) {
+    analysis.effectType = "PERMISSION_REVOKE";
+    analysis.severity = "LOW";
+    analysis.scope = "Token allowance";
+    analysis.consequences.push(`Revokes the allowance of ${describeAddress(spender, context)} on ${formatTokenHuman(token, context.profile)}`);
+    return;
+  }
+
+  analysis.effectType = "PERMISSION_GRANT";
+  analysis.severity = "HIGH";
+  analysis.scope = "Token allowance";
+  analysis.flags.push("UNLIMITED_AMOUNT");
+  analysis.consequences.push(
+    `Grants ${describeAddress(spender, context)} an UNLIMITED allowance of ${formatTokenHuman(token, context.profile)}`
+  );
+  analysis.consequences.push(`Signature valid until ${formatTimestamp(message.expiry)}`);
+  analysis.warnings.push("DAI-style permits always grant an UNLIMITED allowance");
+  checkSigner(analysis, message.holder, "holder", context);
+  analysis.mitigations.push("Call approve(spender, 0) on the token to revoke");
+}
+
+/**
+ * Seaport OrderComponents: offer items leave the Safe, consideration items
+ * are paid out when the order is filled
+ */
+function analyzeSeaportOrder(analysis, message, context) {
+  const offerer = normalizeAddress(message.offerer);
+  const offer = toArray(message.offer);
+  const consideration = toArray(message.consideration);
+
+  analysis.protocol = "Seaport";
+  analysis.effectType = "ASSET_TRANSFER";
+  analysis.severity = "HIGH";
+  analysis.scope = "Marketplace order";
+  analysis.counterparty = { role: "verifyingContract", address: context.verifyingContract };
+  analysis.params = {
+    offerer,
+    zone: normalizeAddress(message.zone),
+    startTime: stringify(message.startTime),
+    endTime: stringify(message.endTime),
+    offerItems: offer.length,
+    considerationItems: consideration.length
+  };
+
+  for (const item of offer) {
+    analysis.consequences.push(`Gives ${describeSeaportItem(item, context)}`);
+    const itemType = Number(item.itemType);
+    if (itemType === 4 || itemType === 5) {
+      analysis.warnings.push("Offer uses criteria - ANY token matching the criteria can be taken");
+    }
+  }
+
+  let paidToOfferer = 0;
+  for (const item of consideration) {
+    const recipient = normalizeAddress(item.recipient);
+    if (recipient && recipient === offerer) {
+      paidToOfferer++;
+      analysis.consequences.push(`Receives ${describeSeaportItem(item, context)}`);
+    } else {
+      analysis.consequences.push(`Pays ${describeSeaportItem(item, context)} to ${describeAddress(recipient, context)}`);
+      if (recipient) {
+        analysis.recipients.push(recipient);
+      }
+    }
+  }
+
+  if (paidToOfferer === 0) {
+    analysis.flags.push("NO_CONSIDERATION");
+    analysis.warnings.push("Nothing in this order is paid back to the offerer - the offered assets are given away");
+    analysis.severity = "CRITICAL";
+  }
+
+  analysis.consequences.push(`Order can be filled until ${formatTimestamp(message.endTime)}`);
+  checkSigner(analysis, message.offerer, "offerer", context);
+  analysis.mitigations.push("Cancel the order on Seaport or increment the counter to invalidate it");
+}
+
+/**
+ * CowSwap Order: sell order settled by GPv2Settlement
+ */
+function analyzeCowSwapOrder(analysis, message, context) {
+  const sellToken = normalizeAddress(message.sellToken);
+  const buyToken = normalizeAddress(message.buyToken);
+  const receiver = normalizeAddress(message.receiver) || ZERO_ADDRESS;
+  const buyAmount = toBigInt(message.buyAmount);
+  const token = (addr) => formatTokenHuman(addr, context.profile);
+
+  analysis.protocol = "CowSwap";
+  analysis.effectType = "ASSET_TRANSFER";
+  analysis.severity = "MEDIUM";
+  analysis.scope = "Swap order";
+  analysis.counterparty = { role: "verifyingContract", address: context.verifyingContract };
+  analysis.params = {
+    sellToken,
+    buyToken,
+    receiver,
+    sellAmount: stringify(message.sellAmount),
+    buyAmount: stringify(message.buyAmount),
+    feeAmount: stringify(message.feeAmount),
+    validTo: stringify(message.validTo),
+    kind: message.kind,
+    partiallyFillable: message.partiallyFillable === true
+  };
+
+  analysis.consequences.push(message.kind === "buy"
+    ? `Buys exactly ${formatAmount(buyAmount)} ${token(buyToken)} for at most ${formatAmount(toBigInt(message.sellAmount))} ${token(sellToken)}`
+    : `Sells ${formatAmount(toBigInt(message.sellAmount))} ${token(sellToken)} for at least ${formatAmount(buyAmount)} ${token(buyToken)}`);
+  analysis.consequences.push(`Order valid until ${formatTimestamp(message.validTo)}`);
+
+  if (buyAmount === 0n) {
+    analysis.warnings.push("Minimum output is 0 - the order has no price protection");
+  }
+
+  if (receiver !== ZERO_ADDRESS) {
+    analysis.recipients.push(receiver);
+  }
+
+  if (receiver === ZERO_ADDRESS) {
+    analysis.consequences.push("Proceeds go to the order owner");
+  } else if (context.safeAddress) {
+    if (receiver !== context.safeAddress) {
+      analysis.flags.push("EXTERNAL_RECIPIENT");
+      analysis.warnings.push(`Proceeds go to ${describeAddress(receiver, context)}, which is NOT this Safe`);
+      analysis.severity = "CRITICAL";
+    }
+  } else {
+    analysis.flags.push("UNVERIFIED_RECIPIENT");
+    analysis.warnings.push(`Proceeds go to ${receiver} - cannot confirm this is the Safe (no Safe address known)`);
+    analysis.severity = "HIGH";
+  }
+
+  analysis.mitigations.push("Cancel the order through the CowSwap API or invalidateOrder() before it is settled");
+}
+
+/**
+ * Note when the signer field of a message is not the Safe being analyzed
+ */
+function checkSigner(analysis, signer, field, context) {
+  const address = normalizeAddress(signer);
+  if (context.safeAddress && address && address !== context.safeAddress) {
+    analysis.flags.push("SIGNER_MISMATCH");
+    analysis.warnings.push(`The ${field} (${address}) is not this Safe - the signature is for a different account`);
+  }
+}
+
+/**
+ * Trust context for the counterparty, shaped like getTrustContext()
+ */
+function buildTypedDataTrustContext(counterparty, profile, now) {
+  if (!profile) {
+    return {
+      profileLoaded: false,
+      profileError: "No profile provided",
+      contractClassification: CONTRACT_CLASSIFICATION.UNKNOWN,
+      selectorClassification: SELECTOR_CLASSIFICATION.NO_CONTEXT,
+      warnings: ["No trust profile loaded - cannot assess the signature counterparty"],
+      trustLevel: null,
+      label: null,
+      usageStats: null
+    };
+  }
+
+  const address = counterparty?.address || null;
+  const contractResult = classifyContract(address, profile, { now });
+  const warnings = [];
+  if (!address) {
+    warnings.push("No spender or verifying contract to classify");
+  } else if (contractResult.validity) {
+    warnings.push(`${address}: ${contractResult.reason} - treated as WATCHED`);
+  } else if (contractResult.classification !== CONTRACT_CLASSIFICATION.TRUSTED) {
+    warnings.push(`${address} is not in your trust profile - verify who receives this signature`);
+  }
+
+  return {
+    profileLoaded: true,
+    counterpartyRole: counterparty?.role || null,
+    counterpartyAddress: address,
+    contractClassification: contractResult.classification,
+    selectorClassification: SELECTOR_CLASSIFICATION.NO_CONTEXT,
+    trustLevel: contractResult.trustLevel || null,
+    label: contractResult.label || null,
+    usageStats: null,
+    warnings,
+    details: {
+      contract: contractResult
+    }
+  };
+}
+
+/**
+ * Classify the spender and the recipients of a payload against the
+ * profile's trustedRecipients, and flag denylisted addresses anywhere in
+ * it, with the same checks as calldata (classifyCounterparties). A
+ * denylisted address makes the effect CRITICAL and adds the
+ * BLOCKED_ADDRESS flag; a recipient outside a non-empty allowlist raises
+ * the effect of anything but a revoke to HIGH.
+ *
+ * @returns {object|null} classifyCounterparties() result
+ */
+function classifyTypedDataCounterparties(analysis, verifyingContract, profile, now) {
+  const recipients = [...new Set(analysis.recipients)];
+  const classified = classifyCounterparties(
+    [
+      ...(analysis.counterparty?.role === "spender" && analysis.counterparty.address ? [analysis.counterparty] : []),
+      ...recipients.map(address => ({ address, role: "recipient" }))
+    ],
+    [
+      ...(verifyingContract ? [{ address: verifyingContract, location: "verifyingContract" }] : []),
+      ...collectParamAddresses(analysis.params),
+      ...recipients.map(address => ({ address, location: "recipient" }))
+    ],
+    profile,
+    { now }
+  );
+  if (!classified || classified.warnings.length === 0) {
+    return classified;
+  }
+
+  analysis.warnings.push(...classified.warnings);
+  if (classified.blocked.length > 0) {
+    analysis.flags.push("BLOCKED_ADDRESS");
+    analysis.severity = "CRITICAL";
+  } else if (analysis.effectType !== "PERMISSION_REVOKE" && ["LOW", "MEDIUM"].includes(analysis.severity)) {
+    analysis.severity = classified.severity;
+  }
+  return classified;
+}
+
+/**
+ * Trust-first header severity for a typed-data signature.
+ *
+ * Rules:
+ * 1. No trust profile -> null
+ * 2. Assets sent outside the Safe or given away for nothing, or a denylisted address -> CRITICAL
+ * 3. Unrecognized payload -> UNKNOWN
+ * 4. Revoking a permission -> LOW, whoever the counterparty
+ * 5. Counterparty not in the profile -> CRITICAL (the classic permit phishing pattern)
+ * 6. Counterparty WATCHED -> UNKNOWN
+ * 7. Counterparty TRUSTED -> LOW
+ */
+function computeTypedDataHeaderSeverity(typedDataType, effectType, flags, trustContext, profile) {
+  if (!profile) {
+    return null;
+  }
+  if (flags.includes("EXTERNAL_RECIPIENT") || flags.includes("NO_CONSIDERATION") || flags.includes("BLOCKED_ADDRESS")) {
+    return HEADER_SEVERITY.CRITICAL;
+  }
+  if (typedDataType === TYPED_DATA_TYPE.UNKNOWN) {
+    return HEADER_SEVERITY.UNKNOWN;
+  }
+  if (effectType === "PERMISSION_REVOKE") {
+    return HEADER_SEVERITY.LOW;
+  }
+  if (trustContext.contractClassification === CONTRACT_CLASSIFICATION.TRUSTED) {
+    return HEADER_SEVERITY.LOW;
+  }
+  if (trustContext.contractClassification === CONTRACT_CLASSIFICATION.WATCHED) {
+    return HEADER_SEVERITY.UNKNOWN;
+  }
+  return HEADER_SEVERITY.CRITICAL;
+}
+
+/**
+ * EIP-712 digest of the payload, or null if the types do not encode
+ */
+function hashTypedData(payload) {
+  try {
+    const types = { ...payload.types };
+    delete types.EIP712Domain;
+    return TypedDataEncoder.hash(payload.domain || {}, types, payload.message);
+  } catch {
+    return null;
+  }
+}
+
+function describeSeaportItem(item, context) {
+  const itemType = SEAPORT_ITEM_TYPES[Number(item.itemType)] || `item type ${item.itemType}`;
+  const start = toBigInt(item.startAmount);
+  const end = toBigInt(item.endAmount);
+  const amount = start !== null && end !== null && start !== end
+    ? `${formatAmount(start)}-${formatAmount(end)}`
+    : formatAmount(start);
+
+  if (itemType === "NATIVE") {
+    return `${amount} ETH`;
+  }
+  if (itemType === "ERC20") {
+    return `${amount} ${formatTokenHuman(normalizeAddress(item.token), context.profile)}`;
+  }
+  const collection = formatAddressHuman(normalizeAddress(item.token), context.profile, normalizeAddress(item.token));
+  return `${amount} x ${itemType} #${stringify(item.identifierOrCriteria)} of ${collection}`;
+}
+
+function describeAddress(address, context) {
+  if (!address) return "an unspecified address";
+  if (context.safeAddress && address === context.safeAddress) return "the Safe";
+  return formatAddressHuman(address, context.profile, address);
+}
+
+function normalizeAddress(address) {
+  return typeof address === "string" && address ? address.toLowerCase() : null;
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function toBigInt(value) {
+  try {
+    return value === undefined || value === null ? null : BigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+function stringify(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function formatAmount(amount, max = null) {
+  if (amount === null) return "an unspecified amount";
+  if ((max !== null && amount === max) || isMaxApproval(amount)) return "UNLIMITED";
+  return amount.toString();
+}
+
+function formatTimestamp(timestamp) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || seconds <= 0) return "an unspecified time";
+  if (seconds > 8640000000000) return "never (max timestamp)";
+  return new Date(seconds * 1000).toISOString();
+}
+
+function formatExpiration(expiration) {
+  // Permit2 treats expiration 0 as "valid for the current block only"
+  if (toBigInt(expiration) === 0n) return "in the block it is used";
+  return formatTimestamp(expiration);
+}
+
+export default {
+  TYPED_DATA_TYPE,
+  decodeTypedData
+};
@@ -0,0 +1,559 @@
+/**
+ * Uniswap Universal Router command decoder
+ *
+ * Splits the `commands` byte string of execute(bytes,bytes[],uint256) and
+ * execute(bytes,bytes[]) into individual commands, decodes each input, and
+ * produces one effect per command.
+ *
+ * SECURITY PRINCIPLES:
+ * - Decoding is deterministic and offline-only
+ * - Unknown command bytes are reported as UNKNOWN, never skipped
+ * - Permit2 approvals are always flagged
+ * - Assets leaving for an address other than the Safe (or the router itself,
+ *   as an intermediate hop) are flagged CRITICAL
+ *
+ * Command byte layout:
+ * - bit 7 (0x80): ALLOW_REVERT flag - the batch continues if this command fails
+ * - bits 0-5 (0x3f): command type
+ */
+
+import { AbiCoder } from "ethers";
+import { isMaxApproval } from "./decoder.js";
+import { formatAddressHuman, formatTokenHuman } from "./addressDisplay.js";
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+// Universal Router execute selectors
+export const UNIVERSAL_ROUTER_SELECTORS = new Set([
+  "0x3593564c", // execute(bytes,bytes[],uint256)
+  "0x24856bc3"  // execute(bytes,bytes[])
+]);
+
+const FLAG_ALLOW_REVERT = 0x80;
+const COMMAND_TYPE_MASK = 0x3f;
+
+// Special recipient addresses understood by the router
+const MSG_SENDER = "0x0000000000000000000000000000000000000001";
+const ADDRESS_THIS = "0x0000000000000000000000000000000000000002";
+
+// Amount placeholder meaning "the router's whole balance"
+const CONTRACT_BALANCE = 1n << 255n;
+
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+/**
+ * Command definitions: ABI input types, parameter names and effect type
+ */
+export const ROUTER_COMMANDS = {
+  0x00: {
+    name: "V3_SWAP_EXACT_IN",
+    types: ["address", "uint256", "uint256", "bytes", "bool"],
+    paramNames: ["recipient", "amountIn", "amountOutMin", "path", "payerIsUser"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x01: {
+    name: "V3_SWAP_EXACT_OUT",
+    types: ["address", "uint256", "uint256", "bytes", "bool"],
+    paramNames: ["recipient", "amountOut", "amountInMax", "path", "payerIsUser"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x02: {
+    name: "PERMIT2_TRANSFER_FROM",
+    types: ["address", "address", "uint160"],
+    paramNames: ["token", "recipient", "amount"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x03: {
+    name: "PERMIT2_PERMIT_BATCH",
+    types: ["((address,uint160,uint48,uint48)[],address,uint256)", "bytes"],
+    paramNames: ["permitBatch", "signature"],
+    effectType: "PERMISSION_GRANT"
+  },
+  0x04: {
+    name: "SWEEP",
+    types: ["address", "address", "uint256"],
+    paramNames: ["token", "recipient", "amountMin"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x05: {
+    name: "TRANSFER",
+    types: ["address", "address", "uint256"],
+    paramNames: ["token", "recipient", "value"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x06: {
+    name: "PAY_PORTION",
+    types: ["address", "address", "uint256"],
+    paramNames: ["token", "recipient", "bips"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x08: {
+    name: "V2_SWAP_EXACT_IN",
+    types: ["address", "uint256", "uint256", "address[]", "bool"],
+    paramNames: ["recipient", "amountIn", "amountOutMin", "path", "payerIsUser"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x09: {
+    name: "V2_SWAP_EXACT_OUT",
+    types: ["address", "uint256", "uint256", "address[]", "bool"],
+    paramNames: ["recipient", "amountOut", "amountInMax", "path", "payerIsUser"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x0a: {
+    name: "PERMIT2_PERMIT",
+    types: ["((address,uint160,uint48,uint48),address,uint256)", "bytes"],
+    paramNames: ["permitSingle", "signature"],
+    effectType: "PERMISSION_GRANT"
+  },
+  0x0b: {
+    name: "WRAP_ETH",
+    types: ["address", "uint256"],
+    paramNames: ["recipient", "amount"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x0c: {
+    name: "UNWRAP_WETH",
+    types: ["address", "uint256"],
+    paramNames: ["recipient", "amountMin"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x0d: {
+    name: "PERMIT2_TRANSFER_FROM_BATCH",
+    types: ["(address,address,uint160,address)[]"],
+    paramNames: ["transfers"],
+    effectType: "ASSET_TRANSFER"
+  },
+  0x0e: {
+    name: "BALANCE_CHECK_ERC20",
+    types: ["address", "address", "uint256"],
+    paramNames: ["owner", "token", "minBalance"],
+    effectType: null
+  }
+};
+
+/**
+ * Check if a selector is a Universal Router execute call
+ */
+export function isUniversalRouterSelector(selector) {
+  return !!selector && UNIVERSAL_ROUTER_SELECTORS.has(selector.toLowerCase());
+}
+
+/**
+ * Decode Universal Router commands and analyze each one.
+ *
+ * @param {string} commands - Hex command byte string
+ * @param {Array<string>} inputs - ABI-encoded input for each command
+ * @param {object} options - Analysis options
+ * @param {string} options.routerAddress - Router the Safe calls (for ADDRESS_THIS)
+ * @param {string} options.safeAddress - The Safe executing the swap (for MSG_SENDER)
+ * @param {object} options.profile - Trust profile for labels
+ * @returns {object} { commands, severity, headerSeverity, flagged, error }
+ */
+export function decodeRouterCommands(commands, inputs, options = {}) {
+  const { profile } = options;
+  const safeAddress = (options.safeAddress || profile?.safeAddress || "").toLowerCase() || null;
+  const routerAddress = options.routerAddress ? options.routerAddress.toLowerCase() : null;
+
+  const commandHex = typeof commands === "string" ? commands.replace(/^0x/, "") : "";
+  const inputList = inputs ? Array.from(inputs) : [];
+  const commandCount = commandHex.length / 2;
+
+  if (commandCount !== inputList.length) {
+    return {
+      commands: [],
+      severity: "UNKNOWN",
+      headerSeverity: profile ? "UNKNOWN" : null,
+      flagged: 0,
+      error: `Command count (${commandCount}) does not match input count (${inputList.length})`
+    };
+  }
+
+  const context = { safeAddress, routerAddress, profile };
+  const decodedCommands = [];
+
+  for (let i = 0; i < commandCount; i++) {
+    const commandByte = parseInt(commandHex.slice(i * 2, i * 2 + 2), 16);
+    decodedCommands.push(decodeCommand(i, commandByte, inputList[i], context));
+  }
+
+  const severities = decodedCommands.map(c => c.effect.severity);
+
+  return {
+    commands: decodedCommands,
+    severity: worstSeverity(severities),
+    headerSeverity: profile ? computeRouterHeaderSeverity(decodedCommands) : null,
+    flagged: decodedCommands.filter(c => c.flags.length > 0).length,
+    error: null
+  };
+}
+
+/**
+ * Trust-first header contribution of the router commands.
+ * Assets or allowances going outside the Safe are CRITICAL; commands that
+ * cannot be interpreted are UNKNOWN. Otherwise the commands add nothing.
+ */
+function computeRouterHeaderSeverity(commands) {
+  const flags = commands.flatMap(c => c.flags);
+  if (flags.includes("EXTERNAL_RECIPIENT") || flags.includes("EXTERNAL_SPENDER")) {
+    return "CRITICAL";
+  }
+  if (flags.includes("UNKNOWN_COMMAND") || flags.includes("DECODE_FAILED")) {
+    return "UNKNOWN";
+  }
+  return null;
+}
+
+/**
+ * Fold decoded router commands into the effect of the execute() call.
+ * The generic BATCH_OPERATION severity is replaced by the worst command.
+ *
+ * @param {object} effect - Effect from analyzeEffects for execute()
+ * @param {object} routerCommands - Result of decodeRouterCommands
+ * @returns {object} Updated effect
+ */
+export function applyRouterCommandsToEffect(effect, routerCommands) {
+  if (!effect || !routerCommands) return effect;
+
+  if (routerCommands.error) {
+    return {
+      ...effect,
+      severity: "UNKNOWN",
+      warnings: [...(effect.warnings || []), `Router commands could not be decoded: ${routerCommands.error}`]
+    };
+  }
+
+  const consequences = routerCommands.commands.flatMap(c =>
+    c.effect.consequences.map(text => `[${c.index + 1}] ${c.name}: ${text}`)
+  );
+  const warnings = routerCommands.commands.flatMap(c =>
+    c.effect.warnings.map(text => `[${c.index + 1}] ${c.name}: ${text}`)
+  );
+
+  return {
+    ...effect,
+    severity: routerCommands.severity,
+    consequences: [
+      `Executes ${routerCommands.commands.length} Universal Router command(s) in order`,
+      ...consequences
+    ],
+    warnings
+  };
+}
+
+/**
+ * Decode and analyze a single command
+ */
+function decodeCommand(index, commandByte, input, context) {
+  const commandType = commandByte & COMMAND_TYPE_MASK;
+  const allowRevert = (commandByte & FLAG_ALLOW_REVERT) !== 0;
+  const definition = ROUTER_COMMANDS[commandType];
+
+  const base = {
+    index,
+    command: "0x" + commandByte.toString(16).padStart(2, "0"),
+    commandType,
+    name: definition?.name || `UNKNOWN_COMMAND_0x${commandType.toString(16).padStart(2, "0")}`,
+    allowRevert
+  };
+
+  if (!definition) {
+    return {
+      ...base,
+      params: null,
+      flags: ["UNKNOWN_COMMAND"],
+      effect: {
+        effectType: "UNKNOWN",
+        severity: "UNKNOWN",
+        consequences: ["Router command not recognized - its effect cannot be determined"],
+        warnings: [`Unrecognized Universal Router command ${base.command}`]
+      }
+    };
+  }
+
+  let params;
+  try {
+    const decoded = abiCoder.decode(definition.types, input);
+    params = {};
+    definition.paramNames.forEach((name, i) => {
+      params[name] = decoded[i];
+    });
+  } catch (error) {
+    return {
+      ...base,
+      params: null,
+      flags: ["DECODE_FAILED"],
+      effect: {
+        effectType: definition.effectType || "UNKNOWN",
+        severity: "UNKNOWN",
+        consequences: ["Command input could not be decoded"],
+        warnings: [`Failed to decode ${definition.name} input: ${error.message}`]
+      }
+    };
+  }
+
+  const analysis = analyzeCommand(definition.name, params, context);
+
+  if (allowRevert) {
+    analysis.warnings.push("This command may fail without reverting the rest of the batch");
+  }
+
+  return {
+    ...base,
+    params,
+    flags: analysis.flags,
+    effect: {
+      effectType: definition.effectType,
+      severity: analysis.severity,
+      consequences: analysis.consequences,
+      warnings: analysis.warnings
+    }
+  };
+}
+
+/**
+ * Build consequences, warnings and flags for a decoded command
+ */
+function analyzeCommand(name, params, context) {
+  const { profile } = context;
+  const token = (addr) => formatTokenHuman(addr, profile);
+  const consequences = [];
+  const warnings = [];
+  const flags = [];
+  let severity = "MEDIUM";
+
+  // Flag recipients other than the Safe or the router
+  const checkRecipient = (recipient, what) => {
+    const kind = classifyRecipient(recipient, context);
+    if (kind === "EXTERNAL") {
+      flags.push("EXTERNAL_RECIPIENT");
+      warnings.push(`${what} go to ${describeRecipient(recipient, context)}, which is NOT this Safe`);
+      severity = "CRITICAL";
+    } else if (kind === "UNVERIFIED") {
+      flags.push("UNVERIFIED_RECIPIENT");
+      warnings.push(`${what} go to ${recipient} - cannot confirm this is the Safe (no Safe address known)`);
+      severity = maxOf(severity, "HIGH");
+    }
+  };
+
+  switch (name) {
+    case "V3_SWAP_EXACT_IN":
+    case "V3_SWAP_EXACT_OUT": {
+      const [first, last] = v3PathEnds(params.path);
+      const exactIn = name === "V3_SWAP_EXACT_IN";
+      // Exact-out paths are encoded output-first
+      const tokenIn = exactIn ? first : last;
+      const tokenOut = exactIn ? last : first;
+      consequences.push(exactIn
+        ? `Swaps ${formatAmount(params.amountIn)} ${token(tokenIn)} for at least ${formatAmount(params.amountOutMin)} ${token(tokenOut)} (Uniswap V3)`
+        : `Swaps up to ${formatAmount(params.amountInMax)} ${token(tokenIn)} for exactly ${formatAmount(params.amountOut)} ${token(tokenOut)} (Uniswap V3)`);
+      checkMinimumOut(exactIn ? params.amountOutMin : null, warnings);
+      checkRecipient(params.recipient, "Swap proceeds");
+      break;
+    }
+
+    case "V2_SWAP_EXACT_IN":
+    case "V2_SWAP_EXACT_OUT": {
+      const path = Array.from(params.path || []);
+      const tokenIn = path[0];
+      const tokenOut = path[path.length - 1];
+      const exactIn = name === "V2_SWAP_EXACT_IN";
+      consequences.push(exactIn
+        ? `Swaps ${formatAmount(params.amountIn)} ${token(tokenIn)} for at least ${formatAmount(params.amountOutMin)} ${token(tokenOut)} (Uniswap V2)`
+        : `Swaps up to ${formatAmount(params.amountInMax)} ${token(tokenIn)} for exactly ${formatAmount(params.amountOut)} ${token(tokenOut)} (Uniswap V2)`);
+      checkMinimumOut(exactIn ? params.amountOutMin : null, warnings);
+      checkRecipient(params.recipient, "Swap proceeds");
+      break;
+    }
+
+    case "PERMIT2_PERMIT": {
+      const [details, spender, sigDeadline] = params.permitSingle;
+      const [permitToken, amount, expiration] = details;
+      severity = "HIGH";
+      flags.push("PERMIT2_APPROVAL");
+      consequences.push(
+        `Grants ${describeSpender(spender, context)} a Permit2 allowance of ${formatPermitAmount(amount)} ${token(permitToken)}`
+      );
+      consequences.push(`The allowance expires ${formatTimestamp(expiration)} (signature valid until ${formatTimestamp(sigDeadline)})`);
+      warnings.push("Permit2 approval: the spender can move these tokens until the allowance expires or is used");
+      if (amount === MAX_UINT160) {
+        warnings.push("UNLIMITED Permit2 allowance");
+      }
+      if (!isRouterOrSafe(spender, context)) {
+        flags.push("EXTERNAL_SPENDER");
+        warnings.push("The Permit2 spender is NOT the Universal Router being called");
+        severity = "CRITICAL";
+      }
+      break;
+    }
+
+    case "PERMIT2_PERMIT_BATCH": {
+      const [detailsList, spender, sigDeadline] = params.permitBatch;
+      severity = "HIGH";
+      flags.push("PERMIT2_APPROVAL");
+      for (const [permitToken, amount, expiration] of detailsList) {
+        consequences.push(
+          `Grants ${describeSpender(spender, context)} a Permit2 allowance of ${formatPermitAmount(amount)} ${token(permitToken)}, expiring ${formatTimestamp(expiration)}`
+        );
+        if (amount === MAX_UINT160) {
+          warnings.push(`UNLIMITED Permit2 allowance for ${token(permitToken)}`);
+        }
+      }
+      consequences.push(`Signature valid until ${formatTimestamp(sigDeadline)}`);
+      warnings.push("Permit2 batch approval: the spender can move these tokens until each allowance expires or is used");
+      if (!isRouterOrSafe(spender, context)) {
+        flags.push("EXTERNAL_SPENDER");
+        warnings.push("The Permit2 spender is NOT the Universal Router being called");
+        severity = "CRITICAL";
+      }
+      break;
+    }
+
+    case "PERMIT2_TRANSFER_FROM":
+      consequences.push(`Pulls ${formatAmount(params.amount)} ${token(params.token)} from the Safe via Permit2`);
+      checkRecipient(params.recipient, "The pulled tokens");
+      break;
+
+    case "PERMIT2_TRANSFER_FROM_BATCH":
+      for (const [from, to, amount, transferToken] of params.transfers) {
+        consequences.push(`Pulls ${formatAmount(amount)} ${token(transferToken)} from ${describeRecipient(from, context)} via Permit2`);
+        checkRecipient(to, "Pulled tokens");
+      }
+      break;
+
+    case "SWEEP":
+      consequences.push(`Sweeps the router's entire balance of ${token(params.token)} (at least ${formatAmount(params.amountMin)})`);
+      checkRecipient(params.recipient, "Swept tokens");
+      break;
+
+    case "TRANSFER":
+      consequences.push(`Transfers ${formatAmount(params.value)} ${token(params.token)} held by the router`);
+      checkRecipient(params.recipient, "Transferred tokens");
+      break;
+
+    case "PAY_PORTION":
+      consequences.push(`Pays ${formatBips(params.bips)} of the router's balance of ${token(params.token)}`);
+      checkRecipient(params.recipient, "The portion");
+      break;
+
+    case "WRAP_ETH":
+      consequences.push(`Wraps ${formatAmount(params.amount)} ETH into WETH`);
+      checkRecipient(params.recipient, "Wrapped WETH");
+      break;
+
+    case "UNWRAP_WETH":
+      consequences.push(`Unwraps the router's WETH into ETH (at least ${formatAmount(params.amountMin)})`);
+      checkRecipient(params.recipient, "Unwrapped ETH");
+      break;
+
+    case "BALANCE_CHECK_ERC20":
+      severity = "LOW";
+      consequences.push(
+        `Reverts unless ${describeRecipient(params.owner, context)} holds at least ${formatAmount(params.minBalance)} ${token(params.token)}`
+      );
+      break;
+
+    default:
+      severity = "UNKNOWN";
+  }
+
+  return { severity, consequences, warnings, flags };
+}
+
+/**
+ * Classify a recipient as SAFE, ROUTER, EXTERNAL or UNVERIFIED
+ */
+function classifyRecipient(recipient, context) {
+  const addr = String(recipient).toLowerCase();
+
+  if (addr === MSG_SENDER) return "SAFE";
+  if (addr === ADDRESS_THIS) return "ROUTER";
+  if (context.routerAddress && addr === context.routerAddress) return "ROUTER";
+  if (context.safeAddress) {
+    return addr === context.safeAddress ? "SAFE" : "EXTERNAL";
+  }
+  return "UNVERIFIED";
+}
+
+/**
+ * Check if a Permit2 spender is the router being called or the Safe itself
+ */
+function isRouterOrSafe(spender, context) {
+  const kind = classifyRecipient(spender, context);
+  if (kind === "UNVERIFIED") {
+    // Without a Safe address, only the router can be confirmed
+    return !!context.routerAddress && String(spender).toLowerCase() === context.routerAddress;
+  }
+  return kind === "SAFE" || kind === "ROUTER";
+}
+
+function describeRecipient(recipient, context) {
+  const addr = String(recipient).toLowerCase();
+  if (addr === MSG_SENDER) return "the Safe (msg.sender)";
+  if (addr === ADDRESS_THIS) return "the router (intermediate)";
+  if (context.safeAddress && addr === context.safeAddress) return "the Safe";
+  return formatAddressHuman(addr, context.profile, addr);
+}
+
+function describeSpender(spender, context) {
+  const addr = String(spender).toLowerCase();
+  if (context.routerAddress && addr === context.routerAddress) return "the Universal Router";
+  return formatAddressHuman(addr, context.profile, addr);
+}
+
+/**
+ * Warn when a swap accepts any output amount (no slippage protection)
+ */
+function checkMinimumOut(amountOutMin, warnings) {
+  if (amountOutMin === 0n) {
+    warnings.push("Minimum output is 0 - the swap has no slippage protection");
+  }
+}
+
+/**
+ * Extract the first and last token of a packed V3 path (token, fee, token, ...)
+ */
+function v3PathEnds(path) {
+  const hex = String(path || "").replace(/^0x/, "");
+  if (hex.length < 40) return [null, null];
+  return ["0x" + hex.slice(0, 40), "0x" + hex.slice(-40)];
+}
+
+function formatAmount(amount) {
+  if (typeof amount !== "bigint") return String(amount);
+  if (amount === CONTRACT_BALANCE) return "the router's full balance";
+  if (isMaxApproval(amount)) return "an unlimited amount";
+  return amount.toString();
+}
+
+function formatPermitAmount(amount) {
+  return amount === MAX_UINT160 ? "UNLIMITED" : formatAmount(amount);
+}
+
+function formatBips(bips) {
+  return `${(Number(bips) / 100).toFixed(2)}%`;
+}
+
+function formatTimestamp(timestamp) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || seconds <= 0) return "never";
+  if (seconds > 8640000000000) return "never (max timestamp)";
+  return new Date(seconds * 1000).toISOString();
+}
+
+const SEVERITY_RANK = ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"];
+
+function maxOf(a, b) {
+  return SEVERITY_RANK.indexOf(b) > SEVERITY_RANK.indexOf(a) ? b : a;
+}
+
+function worstSeverity(severities) {
+  return severities.reduce((worst, s) => maxOf(worst, s), "LOW");
+}
+
+export default {
+  UNIVERSAL_ROUTER_SELECTORS,
+  ROUTER_COMMANDS,
+  isUniversalRouterSelector,
+  decodeRouterCommands,
+  applyRouterCommandsToEffect
+};
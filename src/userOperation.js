@@ -0,0 +1,462 @@
+/**
+ * ERC-4337 UserOperation decoding
+ *
+ * A bundler submits handleOps(ops, beneficiary) to the EntryPoint. Each
+ * UserOperation makes the EntryPoint call its sender account with the op's
+ * callData, optionally after deploying the account (initCode) and with gas
+ * paid by a paymaster (paymasterAndData). This module unpacks a handleOps
+ * bundle into the same call shape as a MultiSend batch - one call per op,
+ * from the EntryPoint to the sender - and splits the execute/executeBatch
+ * calls of common smart accounts into the calls the account will make.
+ *
+ * SECURITY PRINCIPLES:
+ * - Parsing is deterministic and offline-only
+ * - Ops and account executions keep their encoded order
+ * - Deployment factories and paymasters are reported, never assumed benign
+ * - Fail safely with UNPARSEABLE_BATCH on any parsing error
+ *
+ * Supported encodings:
+ * - 0x765e827f handleOps(PackedUserOperation[],address)  EntryPoint v0.7+
+ * - 0x1fad948c handleOps(UserOperation[],address)        EntryPoint v0.6
+ * - 0xb61d27f6 execute(address,uint256,bytes)            SimpleAccount, Kernel, Light Account, Coinbase
+ * - 0x18dfb3c7 executeBatch(address[],bytes[])           SimpleAccount v0.6
+ * - 0x47e1da2a executeBatch(address[],uint256[],bytes[]) SimpleAccount v0.7
+ * - 0x34fcd5be executeBatch((address,uint256,bytes)[])   Coinbase Smart Wallet, Light Account
+ * - 0xe9ae5c53 execute(bytes32,bytes)                    ERC-7579 modular accounts
+ * - 0x7bb37428 executeUserOp(address,uint256,bytes,uint8)                Safe4337Module
+ * - 0x541d63c8 executeUserOpWithErrorString(address,uint256,bytes,uint8) Safe4337Module
+ */
+
+import { AbiCoder, dataSlice, getAddress } from "ethers";
+import { BATCH_TYPE, OPERATION_TYPE, OPERATION_LABELS } from "./batchParser.js";
+import { isAddressTrusted, getAddressLabel } from "./trustProfile.js";
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Canonical EntryPoint deployments (same address on every EVM chain)
+ */
+export const ENTRY_POINTS = {
+  "0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789": "v0.6",
+  "0x0000000071727de22e5e9d8baf0edac6f37da032": "v0.7",
+  "0x4337084d9e255ff0702461cf8895ce9e3b5ff108": "v0.8"
+};
+
+// handleOps selectors and their UserOperation encoding
+const HANDLE_OPS_SELECTORS = {
+  "0x765e827f": {
+    packed: true,
+    types: ["(address,uint256,bytes,bytes,bytes32,uint256,bytes32,bytes,bytes)[]", "address"]
+  },
+  "0x1fad948c": {
+    packed: false,
+    types: ["(address,uint256,bytes,bytes,uint256,uint256,uint256,uint256,uint256,bytes,bytes)[]", "address"]
+  }
+};
+
+// Smart-account execution selectors and how to decode their calls
+const ACCOUNT_EXECUTE_SELECTORS = {
+  "0xb61d27f6": { kind: "single", types: ["address", "uint256", "bytes"] },
+  "0x18dfb3c7": { kind: "batchNoValue", types: ["address[]", "bytes[]"] },
+  "0x47e1da2a": { kind: "batchWithValue", types: ["address[]", "uint256[]", "bytes[]"] },
+  "0x34fcd5be": { kind: "batchTuples", types: ["(address,uint256,bytes)[]"] },
+  "0xe9ae5c53": { kind: "erc7579", types: ["bytes32", "bytes"] },
+  "0x7bb37428": { kind: "safeModule", types: ["address", "uint256", "bytes", "uint8"] },
+  "0x541d63c8": { kind: "safeModule", types: ["address", "uint256", "bytes", "uint8"] }
+};
+
+// ERC-7579 call types (first byte of the mode word)
+const ERC7579_CALLTYPE = {
+  SINGLE: 0x00,
+  BATCH: 0x01,
+  STATIC: 0xfe,
+  DELEGATECALL: 0xff
+};
+
+function selectorOf(calldata) {
+  if (!calldata || typeof calldata !== "string") {
+    return null;
+  }
+  const normalized = calldata.toLowerCase().trim();
+  if (!normalized.startsWith("0x") || normalized.length < 10) {
+    return null;
+  }
+  return normalized.slice(0, 10);
+}
+
+/**
+ * Check if calldata is an EntryPoint handleOps call (v0.6 or v0.7+)
+ *
+ * @param {string} calldata - Raw hex calldata
+ * @returns {boolean} True if this looks like handleOps
+ */
+export function isHandleOpsCalldata(calldata) {
+  return Object.hasOwn(HANDLE_OPS_SELECTORS, selectorOf(calldata) ?? "");
+}
+
+/**
+ * Check if calldata is a smart-account execute/executeBatch call
+ *
+ * @param {string} calldata - Raw hex calldata
+ * @returns {boolean} True if this looks like a supported account execution
+ */
+export function isAccountExecutionCalldata(calldata) {
+  return Object.hasOwn(ACCOUNT_EXECUTE_SELECTORS, selectorOf(calldata) ?? "");
+}
+
+/**
+ * Parse an EntryPoint handleOps bundle into one call per UserOperation
+ *
+ * Each call goes to the op's sender with the op's callData, as the EntryPoint
+ * will make it. The unpacked op is attached as call.userOp:
+ *   { sender, nonce, factory, factoryData, callGasLimit, verificationGasLimit,
+ *     preVerificationGas, maxFeePerGas, maxPriorityFeePerGas, paymaster, signatureLength }
+ *   factory is null unless the op deploys its account (initCode);
+ *   paymaster is null or { address, verificationGasLimit, postOpGasLimit, data }
+ *   (the gas limits are only encoded from v0.7 on)
+ *
+ * @param {string} calldata - Raw hex calldata of handleOps
+ * @param {object} options - Parsing options
+ * @param {string} options.targetAddress - Contract receiving handleOps (the EntryPoint)
+ * @returns {object} Parsed batch result with entryPoint, beneficiary and warnings
+ */
+export function parseHandleOps(calldata, options = {}) {
+  if (!isHandleOpsCalldata(calldata)) {
+    return {
+      isBatch: false,
+      batchType: BATCH_TYPE.NOT_BATCH,
+      calls: []
+    };
+  }
+
+  const normalized = calldata.toLowerCase().trim();
+  const spec = HANDLE_OPS_SELECTORS[normalized.slice(0, 10)];
+
+  try {
+    const [ops, beneficiary] = abiCoder.decode(spec.types, "0x" + normalized.slice(10));
+
+    const calls = ops.map((op) => {
+      const userOp = spec.packed ? unpackUserOperation(op) : readUserOperationV06(op);
+      const data = op[3];
+      const dataLength = (data.length - 2) / 2;
+
+      return {
+        operation: OPERATION_TYPE.CALL,
+        operationLabel: OPERATION_LABELS[OPERATION_TYPE.CALL],
+        to: userOp.sender,
+        value: 0n,
+        valueWei: "0",
+        data: dataLength > 0 ? data : "0x",
+        dataLength,
+        userOp
+      };
+    });
+
+    const entryPointAddress = options.targetAddress ? options.targetAddress.toLowerCase() : null;
+    const knownVersion = entryPointAddress ? ENTRY_POINTS[entryPointAddress] : undefined;
+    const warnings = [];
+    if (entryPointAddress && !knownVersion) {
+      warnings.push(`${entryPointAddress} is not a canonical ERC-4337 EntryPoint: the ops may not execute as decoded`);
+    }
+
+    return {
+      isBatch: true,
+      batchType: BATCH_TYPE.USER_OPERATIONS,
+      calls,
+      callCount: calls.length,
+      entryPoint: {
+        address: entryPointAddress,
+        version: knownVersion || (spec.packed ? "v0.7+" : "v0.6"),
+        known: Boolean(knownVersion)
+      },
+      beneficiary: beneficiary.toLowerCase(),
+      warnings
+    };
+
+  } catch (error) {
+    return {
+      isBatch: true,
+      batchType: BATCH_TYPE.UNPARSEABLE_BATCH,
+      calls: [],
+      error: error.message,
+      rawCalldata: calldata
+    };
+  }
+}
+
+/**
+ * Unpack a v0.7 PackedUserOperation
+ * (sender, nonce, initCode, callData, accountGasLimits, preVerificationGas,
+ *  gasFees, paymasterAndData, signature)
+ */
+function unpackUserOperation(op) {
+  const [verificationGasLimit, callGasLimit] = splitUint128Pair(op[4]);
+  const [maxPriorityFeePerGas, maxFeePerGas] = splitUint128Pair(op[6]);
+
+  return {
+    sender: op[0].toLowerCase(),
+    nonce: op[1].toString(),
+    ...splitInitCode(op[2]),
+    callGasLimit,
+    verificationGasLimit,
+    preVerificationGas: op[5].toString(),
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    paymaster: splitPaymasterAndData(op[7], true),
+    signatureLength: (op[8].length - 2) / 2
+  };
+}
+
+/**
+ * Read a v0.6 UserOperation
+ * (sender, nonce, initCode, callData, callGasLimit, verificationGasLimit,
+ *  preVerificationGas, maxFeePerGas, maxPriorityFeePerGas, paymasterAndData, signature)
+ */
+function readUserOperationV06(op) {
+  return {
+    sender: op[0].toLowerCase(),
+    nonce: op[1].toString(),
+    ...splitInitCode(op[2]),
+    callGasLimit: op[4].toString(),
+    verificationGasLimit: op[5].toString(),
+    preVerificationGas: op[6].toString(),
+    maxFeePerGas: op[7].toString(),
+    maxPriorityFeePerGas: op[8].toString(),
+    paymaster: splitPaymasterAndData(op[9], false),
+    signatureLength: (op[10].length - 2) / 2
+  };
+}
+
+// bytes32 holding two uint128 values: high half first
+function splitUint128Pair(word) {
+  const value = BigInt(word);
+  return [(value >> 128n).toString(), (value & ((1n << 128n) - 1n)).toString()];
+}
+
+// initCode = factory (20 bytes) . factoryData
+function splitInitCode(initCode) {
+  if (!initCode || initCode === "0x") {
+    return { factory: null, factoryData: null };
+  }
+  if (initCode.length < 42) {
+    throw new Error("initCode shorter than a factory address");
+  }
+  return {
+    factory: dataSlice(initCode, 0, 20).toLowerCase(),
+    factoryData: dataSlice(initCode, 20)
+  };
+}
+
+// paymasterAndData = paymaster (20) [. verificationGasLimit (16) . postOpGasLimit (16), v0.7+] . data
+function splitPaymasterAndData(paymasterAndData, packed) {
+  if (!paymasterAndData || paymasterAndData === "0x") {
+    return null;
+  }
+  const minLength = packed ? 52 : 20;
+  if ((paymasterAndData.length - 2) / 2 < minLength) {
+    throw new Error("paymasterAndData shorter than its fixed fields");
+  }
+
+  return {
+    address: dataSlice(paymasterAndData, 0, 20).toLowerCase(),
+    verificationGasLimit: packed ? BigInt(dataSlice(paymasterAndData, 20, 36)).toString() : null,
+    postOpGasLimit: packed ? BigInt(dataSlice(paymasterAndData, 36, 52)).toString() : null,
+    data: dataSlice(paymasterAndData, minLength)
+  };
+}
+
+/**
+ * Inspect the deployment and gas-payment fields of a UserOperation
+ *
+ * A factory decides the code deployed at the sender, and a paymaster can
+ * charge the account after execution (token paymasters collect in postOp),
+ * so either one that is not in the trust profile raises the op's severity.
+ *
+ * @param {object} userOp - call.userOp from parseHandleOps
+ * @param {object} options - Options
+ * @param {object} options.profile - Trust profile (untrusted without one)
+ * @returns {object} { severity, warnings, untrusted } - untrusted lists the
+ *   factory/paymaster addresses not found in the trust profile
+ */
+export function inspectUserOperation(userOp, options = {}) {
+  const { profile } = options;
+  const warnings = [];
+  const untrusted = [];
+  let severity = "LOW";
+
+  if (userOp.factory) {
+    const trusted = getAddressLabel(userOp.factory, profile);
+    if (trusted) {
+      warnings.push(`Deploys the sender account through trusted factory ${trusted.label} (${userOp.factory})`);
+    } else {
+      untrusted.push(userOp.factory);
+      severity = "HIGH";
+      warnings.push(`Deploys the sender account through untrusted factory ${userOp.factory}: the factory decides the code the account will run`);
+    }
+  }
+
+  if (userOp.paymaster) {
+    const address = userOp.paymaster.address;
+    if (!isAddressTrusted(address, profile)) {
+      untrusted.push(address);
+      if (severity === "LOW") {
+        severity = "MEDIUM";
+      }
+      const postOp = userOp.paymaster.postOpGasLimit && userOp.paymaster.postOpGasLimit !== "0"
+        ? " and runs its postOp hook after execution"
+        : "";
+      warnings.push(`Gas is paid by untrusted paymaster ${address}${postOp}: token paymasters charge the account for sponsored gas`);
+    }
+  }
+
+  return { severity, warnings, untrusted };
+}
+
+/**
+ * Parse a smart-account execute/executeBatch call into the calls the account
+ * will make
+ *
+ * Calls without an explicit ETH value (executeBatch(address[],bytes[])) carry
+ * value 0. Safe4337Module and ERC-7579 DELEGATECALL executions are reported
+ * with operation 1.
+ *
+ * @param {string} calldata - Raw hex calldata of the execution
+ * @param {object} options - Parsing options
+ * @param {string} options.targetAddress - The account executing the calls
+ * @returns {object} Parsed batch result (batchType ACCOUNT_EXECUTION)
+ */
+export function parseAccountExecution(calldata, options = {}) {
+  if (!isAccountExecutionCalldata(calldata)) {
+    return {
+      isBatch: false,
+      batchType: BATCH_TYPE.NOT_BATCH,
+      calls: []
+    };
+  }
+
+  const normalized = calldata.toLowerCase().trim();
+  const spec = ACCOUNT_EXECUTE_SELECTORS[normalized.slice(0, 10)];
+
+  try {
+    const decoded = abiCoder.decode(spec.types, "0x" + normalized.slice(10));
+    const calls = decodeExecutions(spec.kind, decoded).map(({ to, value, data, operation }) =>
+      buildCall(to, value, data, operation)
+    );
+
+    return {
+      isBatch: true,
+      batchType: BATCH_TYPE.ACCOUNT_EXECUTION,
+      calls,
+      callCount: calls.length,
+      account: options.targetAddress ? options.targetAddress.toLowerCase() : null
+    };
+
+  } catch (error) {
+    return {
+      isBatch: true,
+      batchType: BATCH_TYPE.UNPARSEABLE_BATCH,
+      calls: [],
+      error: error.message,
+      rawCalldata: calldata
+    };
+  }
+}
+
+function decodeExecutions(kind, decoded) {
+  switch (kind) {
+    case "single":
+      return [{ to: decoded[0], value: decoded[1], data: decoded[2], operation: OPERATION_TYPE.CALL }];
+    case "batchNoValue":
+      if (decoded[0].length !== decoded[1].length) {
+        throw new Error("executeBatch: destination and calldata arrays differ in length");
+      }
+      return decoded[0].map((to, i) => ({ to, value: 0n, data: decoded[1][i], operation: OPERATION_TYPE.CALL }));
+    case "batchWithValue":
+      if (decoded[0].length !== decoded[2].length ||
+          (decoded[1].length !== 0 && decoded[1].length !== decoded[0].length)) {
+        throw new Error("executeBatch: destination, value and calldata arrays differ in length");
+      }
+      // SimpleAccount treats an empty value array as "no ETH for any call"
+      return decoded[0].map((to, i) => ({
+        to,
+        value: decoded[1].length === 0 ? 0n : decoded[1][i],
+        data: decoded[2][i],
+        operation: OPERATION_TYPE.CALL
+      }));
+    case "batchTuples":
+      return decoded[0].map(([to, value, data]) => ({ to, value, data, operation: OPERATION_TYPE.CALL }));
+    case "safeModule": {
+      const operation = Number(decoded[3]);
+      if (operation !== OPERATION_TYPE.CALL && operation !== OPERATION_TYPE.DELEGATECALL) {
+        throw new Error(`executeUserOp: invalid operation ${operation}`);
+      }
+      return [{ to: decoded[0], value: decoded[1], data: decoded[2], operation }];
+    }
+    case "erc7579":
+      return decodeErc7579Execution(decoded[0], decoded[1]);
+    default:
+      throw new Error(`Unsupported account execution: ${kind}`);
+  }
+}
+
+/**
+ * ERC-7579 execute(mode, executionCalldata)
+ * - single:       abi.encodePacked(target, value, callData)
+ * - batch:        abi.encode(Execution[]) with Execution = (target, value, callData)
+ * - delegatecall: abi.encodePacked(target, callData)
+ */
+function decodeErc7579Execution(mode, executionCalldata) {
+  const callType = parseInt(mode.slice(2, 4), 16);
+
+  switch (callType) {
+    case ERC7579_CALLTYPE.SINGLE:
+    case ERC7579_CALLTYPE.STATIC:
+      if ((executionCalldata.length - 2) / 2 < 52) {
+        throw new Error("ERC-7579 single execution shorter than target and value");
+      }
+      return [{
+        to: getAddress(dataSlice(executionCalldata, 0, 20)),
+        value: BigInt(dataSlice(executionCalldata, 20, 52)),
+        data: dataSlice(executionCalldata, 52),
+        operation: OPERATION_TYPE.CALL
+      }];
+    case ERC7579_CALLTYPE.BATCH: {
+      const [executions] = abiCoder.decode(["(address,uint256,bytes)[]"], executionCalldata);
+      return executions.map(([to, value, data]) => ({ to, value, data, operation: OPERATION_TYPE.CALL }));
+    }
+    case ERC7579_CALLTYPE.DELEGATECALL:
+      if ((executionCalldata.length - 2) / 2 < 20) {
+        throw new Error("ERC-7579 delegatecall execution shorter than target");
+      }
+      return [{
+        to: getAddress(dataSlice(executionCalldata, 0, 20)),
+        value: 0n,
+        data: dataSlice(executionCalldata, 20),
+        operation: OPERATION_TYPE.DELEGATECALL
+      }];
+    default:
+      throw new Error(`Unsupported ERC-7579 call type 0x${callType.toString(16).padStart(2, "0")}`);
+  }
+}
+
+function buildCall(to, value, data, operation) {
+  const dataLength = (data.length - 2) / 2;
+  return {
+    operation,
+    operationLabel: OPERATION_LABELS[operation],
+    to: to.toLowerCase(),
+    value,
+    valueWei: value.toString(),
+    data: dataLength > 0 ? data : "0x",
+    dataLength
+  };
+}
+
+export default {
+  ENTRY_POINTS,
+  isHandleOpsCalldata,
+  isAccountExecutionCalldata,
+  parseHandleOps,
+  parseAccountExecution,
+  inspectUserOperation
+};
@@ -0,0 +1,305 @@
+/**
+ * Tests for address-poisoning (lookalike address) detection
+ *
+ * Tests verify that:
+ * 1. Addresses sharing their first and last characters, or a small edit
+ *    distance, with a known address are lookalikes
+ * 2. Known addresses, and mostly-zero system addresses, are never reported
+ * 3. decode() makes single calls and batches with a lookalike CRITICAL
+ * 4. Findings appear in the CLI and JSON output
+ *
+ * Run with: node test/addressLookalike.test.js
+ */
+
+import { Interface } from "ethers";
+import {
+  REFERENCE_SOURCE,
+  compareAddresses,
+  isLookalike,
+  collectReferenceAddresses,
+  detectAddressLookalikes,
+  collectParamAddresses
+} from "../src/addressDisplay.js";
+import { classifyAddressLookalikes } from "../src/trustClassifier.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe";
+const OWNER = "0x1234567890abcdef1234567890abcdef12345678";
+// Same first 4 and last 6 characters as OWNER
+const POISONED_OWNER = "0x1234a9e8d7c6b5a4938271605f4e3d2c1b345678";
+const POOL = "0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2";
+// Same first 5 and last 4 characters as POOL
+const POISONED_POOL = "0x87870f1e2d3c4b5a69788796a5b4c3d2e1f0a4e2";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+// One character away from mainnet USDC
+const TYPO_USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb49";
+const UNRELATED = "0x9f8e7d6c5b4a39281706f5e4d3c2b1a098765432";
+const PAYROLL = "0x7e57a11e0123456789abcdef0123456789f00d42";
+// Same first 5 and last 6 characters as PAYROLL
+const POISONED_PAYROLL = "0x7e57a9c8b7a6d5e4f3021324354657687af00d42";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+
+const iface = new Interface([
+  "function transfer(address to, uint256 amount)",
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function multiSend(bytes transactions)"
+]);
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + "0".repeat(64) +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return iface.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+function createProfile(overrides = {}) {
+  return {
+    safeAddress: SAFE,
+    version: "1.0",
+    owners: [OWNER],
+    threshold: 1,
+    trustedContracts: {
+      [POOL]: { label: "Aave V3 Pool", trustLevel: "PROTOCOL", allowedSelectors: ["0xa9059cbb"] },
+      [USDC]: { label: "USDC", trustLevel: "PROTOCOL", allowedSelectors: ["0xa9059cbb"] },
+      [MULTISEND]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" }
+    },
+    trustedAssets: {},
+    selectorUsageHistory: {},
+    trustedDelegateCalls: {},
+    ...overrides
+  };
+}
+
+async function runTests() {
+  console.log("\n=== Address Lookalike Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Comparing addresses
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Comparing addresses");
+
+  test("compareAddresses counts matching leading and trailing characters", () => {
+    const comparison = compareAddresses(POISONED_OWNER, OWNER);
+    assertEqual(comparison.prefix, 4, "prefix");
+    assertEqual(comparison.suffix, 6, "suffix");
+    assertTrue(comparison.distance > 2, "distance");
+  });
+
+  test("Shared first and last characters make a lookalike", () => {
+    assertTrue(isLookalike(compareAddresses(POISONED_OWNER, OWNER)), "owner lookalike");
+    assertTrue(isLookalike(compareAddresses(POISONED_POOL, POOL)), "pool lookalike");
+  });
+
+  test("A one-character difference is a lookalike", () => {
+    const comparison = compareAddresses(TYPO_USDC, USDC);
+    assertEqual(comparison.distance, 1, "distance");
+    assertTrue(isLookalike(comparison), "lookalike");
+  });
+
+  test("The same address in another case is not a lookalike", () => {
+    assertEqual(isLookalike(compareAddresses(OWNER.toUpperCase().replace("0X", "0x"), OWNER)), false, "same address");
+  });
+
+  test("Unrelated addresses are not lookalikes", () => {
+    assertEqual(isLookalike(compareAddresses(UNRELATED, OWNER)), false, "unrelated");
+    // 3 + 3 matching characters are below the combined minimum
+    assertEqual(isLookalike(compareAddresses("0x123f1e2d3c4b5a69788796a5b4c3d2e1f0a49678", OWNER)), false, "short match");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Reference addresses and detection
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Reference addresses and detection");
+
+  test("References cover the profile, known addresses and known tokens", () => {
+    const references = collectReferenceAddresses(createProfile(), 1);
+    const source = (address) => references.find(reference => reference.address === address)?.source;
+    assertEqual(source(SAFE), REFERENCE_SOURCE.SAFE, "Safe");
+    assertEqual(source(OWNER), REFERENCE_SOURCE.OWNER, "owner");
+    assertEqual(source(POOL), REFERENCE_SOURCE.TRUSTED_CONTRACT, "trusted contract");
+    // Profile entries take precedence over the bundled tables
+    assertEqual(source(USDC), REFERENCE_SOURCE.TRUSTED_CONTRACT, "profile first");
+    assertEqual(source("0x7a250d5630b4cf539739df2c5dacb4c659f2488d"), REFERENCE_SOURCE.KNOWN_ADDRESS, "known address");
+    assertEqual(source("0xdac17f958d2ee523a2206206994597c13d831ec7"), REFERENCE_SOURCE.KNOWN_TOKEN, "known token");
+  });
+
+  test("Trusted recipients are references only inside their validity window", () => {
+    const profile = createProfile({
+      trustedRecipients: { [PAYROLL]: { label: "Payroll", expiresAt: "2026-01-01T00:00:00Z" } }
+    });
+    const source = (now) => collectReferenceAddresses(profile, 1, { now })
+      .find(reference => reference.address === PAYROLL)?.source;
+    assertEqual(source("2025-06-01T00:00:00Z"), REFERENCE_SOURCE.TRUSTED_RECIPIENT, "active");
+    assertEqual(source("2026-06-01T00:00:00Z"), undefined, "expired");
+  });
+
+  test("Known addresses are never reported, even when they look alike", () => {
+    const profile = createProfile({ owners: [OWNER, POISONED_OWNER] });
+    const findings = detectAddressLookalikes([{ address: POISONED_OWNER, location: "param to" }], { profile });
+    assertEqual(findings.length, 0, "owner vs owner");
+  });
+
+  test("Mostly-zero system addresses are not compared", () => {
+    // OP Stack predeploy next to WETH (0x4200...0006) on Optimism
+    const findings = detectAddressLookalikes([
+      { address: "0x4200000000000000000000000000000000000007", location: "target" }
+    ], { chainId: 10 });
+    assertEqual(findings.length, 0, "predeploy");
+  });
+
+  test("collectParamAddresses walks arrays and reports locations", () => {
+    const entries = collectParamAddresses({ amountIn: 1n, path: [USDC, POISONED_POOL], to: OWNER });
+    assertEqual(entries.length, 3, "entries");
+    assertEqual(entries[1].location, "param path[1]", "array location");
+    assertEqual(entries[2].location, "param to", "scalar location");
+  });
+
+  test("classifyAddressLookalikes describes the imitated address", () => {
+    const classified = classifyAddressLookalikes([{ address: POISONED_POOL, location: "target" }], createProfile());
+    assertEqual(classified.severity, "CRITICAL", "severity");
+    assertEqual(classified.findings[0].description, "Aave V3 Pool (trusted contract)", "description");
+    assertTrue(classified.warnings[0].includes("POSSIBLE ADDRESS POISONING"), "warning");
+    assertEqual(classifyAddressLookalikes([{ address: UNRELATED, location: "target" }], createProfile()), null, "clean");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decode()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decode()");
+
+  await asyncTest("A transfer to a lookalike of an owner is CRITICAL", async () => {
+    const data = iface.encodeFunctionData("transfer", [POISONED_OWNER, 1000000n]);
+    const result = await decode(data, { targetAddress: USDC, profile: createProfile(), offline: true });
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertEqual(result.effect.severity, "CRITICAL", "effect");
+    assertEqual(result.addressLookalikes[0].location, "param to", "location");
+    assertEqual(result.addressLookalikes[0].lookalike.source, REFERENCE_SOURCE.OWNER, "source");
+    assertTrue(result.effect.warnings.some(w => w.includes(POISONED_OWNER)), "warning");
+  });
+
+  await asyncTest("A transfer to a lookalike of a trusted recipient is CRITICAL", async () => {
+    const profile = createProfile({ trustedRecipients: { [PAYROLL]: { label: "Payroll" } } });
+    const data = iface.encodeFunctionData("transfer", [POISONED_PAYROLL, 1000000n]);
+    const result = await decode(data, { targetAddress: USDC, profile, offline: true });
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertEqual(result.addressLookalikes[0].lookalike.source, REFERENCE_SOURCE.TRUSTED_RECIPIENT, "source");
+    assertEqual(result.addressLookalikes[0].description, "Payroll (trusted recipient)", "description");
+  });
+
+  await asyncTest("A transfer to the owner itself is not flagged", async () => {
+    const data = iface.encodeFunctionData("transfer", [OWNER, 1000000n]);
+    const result = await decode(data, { targetAddress: USDC, profile: createProfile(), offline: true });
+    assertEqual(result.addressLookalikes, undefined, "no findings");
+    assertTrue(result.headerSeverity !== "CRITICAL", "header");
+  });
+
+  await asyncTest("A lookalike target is flagged without a profile", async () => {
+    const data = iface.encodeFunctionData("transfer", [UNRELATED, 1000000n]);
+    const result = await decode(data, { targetAddress: TYPO_USDC, offline: true });
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertEqual(result.addressLookalikes[0].location, "target", "location");
+    assertEqual(result.addressLookalikes[0].lookalike.source, REFERENCE_SOURCE.KNOWN_TOKEN, "source");
+  });
+
+  await asyncTest("A batch call to a lookalike contract makes the batch CRITICAL", async () => {
+    const transfer = iface.encodeFunctionData("transfer", [OWNER, 1n]);
+    const data = encodeMultiSend([
+      { to: USDC, data: transfer },
+      { to: POISONED_POOL, data: transfer }
+    ]);
+    const result = await decode(data, { targetAddress: MULTISEND, profile: createProfile(), offline: true });
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertEqual(result.batchInfo.addressLookalikes.length, 1, "findings");
+    assertEqual(result.batchInfo.addressLookalikes[0].location, "call 2 target", "location");
+    assertTrue(result.batchInfo.warnings.some(w => w.includes("POSSIBLE ADDRESS POISONING")), "warning");
+  });
+
+  await asyncTest("A lookalike parameter of a batch call is located", async () => {
+    const data = encodeMultiSend([
+      { to: USDC, data: iface.encodeFunctionData("transfer", [POISONED_OWNER, 1n]) }
+    ]);
+    const result = await decode(data, { targetAddress: MULTISEND, profile: createProfile(), offline: true });
+    assertEqual(result.batchInfo.addressLookalikes[0].location, "call 1 param to", "location");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: Output
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: Output");
+
+  await asyncTest("CLI output shows both addresses", async () => {
+    const data = iface.encodeFunctionData("transfer", [POISONED_OWNER, 1000000n]);
+    const result = await decode(data, { targetAddress: USDC, profile: createProfile(), offline: true });
+    const output = formatHumanReadable(result);
+    assertTrue(output.includes("POSSIBLE ADDRESS POISONING"), "box");
+    assertTrue(output.includes(`In transaction: ${POISONED_OWNER}`), "transaction address");
+    assertTrue(output.includes(`Known address:  ${OWNER}  Safe owner`), "known address");
+  });
+
+  await asyncTest("JSON output includes addressLookalikes", async () => {
+    const data = iface.encodeFunctionData("transfer", [POISONED_OWNER, 1000000n]);
+    const result = await decode(data, { targetAddress: USDC, profile: createProfile(), offline: true });
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.headerSeverity, "CRITICAL", "header");
+    assertEqual(json.addressLookalikes[0].lookalike.address, OWNER, "lookalike");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
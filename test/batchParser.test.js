@@ -11,11 +11,14 @@
  * Run with: node test/batchParser.test.js
  */
 
+import { Interface } from "ethers";
 import {
   isMultiSendCalldata,
+  isMulticallCalldata,
   isKnownMultiSendAddress,
   determineBatchType,
   parseBatchTransaction,
+  parseMulticallTransaction,
   formatBatchSummary,
   BATCH_TYPE,
   OPERATION_TYPE,
@@ -38,6 +41,18 @@ function test(name, fn) {
   }
 }
 
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
 function assertEqual(actual, expected, message) {
   if (actual !== expected) {
     throw new Error(`${message}: expected "${expected}", got "${actual}"`);
@@ -161,6 +176,38 @@ const NON_BATCH_CALLDATA = "0x095ea7b3000000000000000000000000def1c0ded9bec7f1a1
 // Malformed batch (truncated)
 const MALFORMED_BATCH = "0x8d80ff0a00000000000000000000000000000000000000000000000000000000000000200000000000000000000000000000000000000000000000000000000000000010";
 
+// Multicall variants
+const multicallInterface = new Interface([
+  "function multicall(bytes[] data)",
+  "function multicall(uint256 deadline, bytes[] data)",
+  "function aggregate((address target, bytes callData)[] calls)"
+]);
+
+const WETH_APPROVE = "0x095ea7b3000000000000000000000000def1c0ded9bec7f1a1670819833240f027b25eff0000000000000000000000000000000000000000000000000de0b6b3a7640000";
+
+const MULTICALL_TWO = multicallInterface.encodeFunctionData("multicall(bytes[])", [
+  [WETH_APPROVE, "0x12345678"]
+]);
+
+const MULTICALL_DEADLINE = multicallInterface.encodeFunctionData("multicall(uint256,bytes[])", [
+  1700000000n,
+  [WETH_APPROVE]
+]);
+
+const AGGREGATE_TWO = multicallInterface.encodeFunctionData("aggregate", [[
+  ["0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2", WETH_APPROVE],
+  ["0x9999999999999999999999999999999999999999", "0x12345678"]
+]]);
+
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const execTransaction = (to, data) => safeInterface.encodeFunctionData("execTransaction", [
+  to, 0, data, 0, 0, 0, 0, ZERO_ADDRESS, ZERO_ADDRESS, "0x"
+]);
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Tests
 // ═══════════════════════════════════════════════════════════════════════════
@@ -624,6 +671,181 @@ async function runTests() {
     assertEqual(call.analysis.severity, "MEDIUM", "ETH transfer should be MEDIUM");
   });
 
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 16: Multicall expansion
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 16: Multicall expansion");
+
+  test("Detects multicall and aggregate selectors", () => {
+    assertTrue(isMulticallCalldata(MULTICALL_TWO), "multicall(bytes[]) should be detected");
+    assertTrue(isMulticallCalldata(MULTICALL_DEADLINE), "multicall(uint256,bytes[]) should be detected");
+    assertTrue(isMulticallCalldata(AGGREGATE_TWO), "aggregate should be detected");
+    assertFalse(isMulticallCalldata(TWO_TX_BATCH), "MultiSend is not a multicall");
+    assertFalse(isMulticallCalldata(NON_BATCH_CALLDATA), "approve is not a multicall");
+  });
+
+  test("multicall(bytes[]) sub-calls target the called contract", () => {
+    const result = parseMulticallTransaction(MULTICALL_TWO, {
+      targetAddress: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"
+    });
+    assertEqual(result.batchType, BATCH_TYPE.MULTICALL, "Batch type");
+    assertEqual(result.callCount, 2, "Call count");
+    assertEqual(result.calls[0].to, "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2", "Target is the called contract");
+    assertEqual(result.calls[0].data, WETH_APPROVE, "First call data");
+    assertEqual(result.calls[1].data, "0x12345678", "Second call data");
+    assertEqual(result.calls[1].operation, OPERATION_TYPE.CALL, "Multicall entries are CALLs");
+  });
+
+  test("multicall(uint256,bytes[]) skips the deadline", () => {
+    const result = parseMulticallTransaction(MULTICALL_DEADLINE);
+    assertEqual(result.callCount, 1, "Call count");
+    assertEqual(result.calls[0].data, WETH_APPROVE, "Call data");
+    assertEqual(result.calls[0].to, null, "Target unknown without targetAddress");
+  });
+
+  test("aggregate sub-calls keep their own targets", () => {
+    const result = parseMulticallTransaction(AGGREGATE_TWO);
+    assertEqual(result.batchType, BATCH_TYPE.MULTICALL_AGGREGATE, "Batch type");
+    assertEqual(result.calls[0].to, "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2", "First target");
+    assertEqual(result.calls[1].to, "0x9999999999999999999999999999999999999999", "Second target");
+  });
+
+  test("Truncated multicall is UNPARSEABLE_BATCH", () => {
+    const result = parseMulticallTransaction(MULTICALL_TWO.slice(0, 100));
+    assertEqual(result.batchType, BATCH_TYPE.UNPARSEABLE_BATCH, "Should be unparseable");
+  });
+
+  await asyncTest("decode() analyzes each multicall sub-call", async () => {
+    const result = await decode(MULTICALL_TWO, {
+      offline: true,
+      targetAddress: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2"
+    });
+    assertTrue(result.isBatch, "Should be batch");
+    assertEqual(result.batchInfo.calls[0].analysis.functionName, "approve", "First call is approve");
+    assertTrue(result.batchInfo.batchSummary, "Should have batch summary");
+  });
+
+  await asyncTest("aggregate with untrusted target gives CRITICAL header", async () => {
+    const result = await decode(AGGREGATE_TWO, { offline: true, profile: testProfile });
+    assertEqual(result.batchInfo.calls[0].analysis.trustContext?.label, "WETH", "First call is WETH");
+    assertTrue(result.batchInfo.calls[1].analysis.trustBlocked, "Second call is trust blocked");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header should be CRITICAL");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 17: Nested batches
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 17: Nested batches");
+
+  const INNER_BATCH = buildMultiSendCalldata([
+    {
+      operation: OPERATION_TYPE.CALL,
+      to: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
+      value: "0",
+      data: WETH_APPROVE
+    },
+    {
+      operation: OPERATION_TYPE.CALL,
+      to: "0x9999999999999999999999999999999999999999",
+      value: "0",
+      data: "0x12345678"
+    }
+  ]);
+
+  const NESTED_BATCH = buildMultiSendCalldata([
+    {
+      operation: OPERATION_TYPE.CALL,
+      to: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
+      value: "0",
+      data: WETH_APPROVE
+    },
+    {
+      operation: OPERATION_TYPE.CALL,
+      to: "0x9641d764fc13c8b624c04430c7356c1c7c8102e2",
+      value: "0",
+      data: INNER_BATCH
+    }
+  ]);
+
+  await asyncTest("Nested MultiSend is expanded into a tree", async () => {
+    const result = await decode(NESTED_BATCH, { offline: true });
+    assertEqual(result.batchInfo.depth, 1, "Top-level batch depth");
+    const nested = result.batchInfo.calls[1].analysis.batchInfo;
+    assertTrue(nested, "Second call should carry a nested batchInfo");
+    assertEqual(nested.depth, 2, "Nested batch depth");
+    assertEqual(nested.callCount, 2, "Nested call count");
+    assertEqual(nested.calls[0].analysis.functionName, "approve", "Nested approve decoded");
+  });
+
+  await asyncTest("Untrusted call in nested batch makes header CRITICAL", async () => {
+    const profile = {
+      ...testProfile,
+      trustedContracts: {
+        ...testProfile.trustedContracts,
+        "0x9641d764fc13c8b624c04430c7356c1c7c8102e2": {
+          label: "MultiSendCallOnly",
+          trustLevel: "PROTOCOL",
+          allowedSelectors: ["0x8d80ff0a"]
+        }
+      }
+    };
+    const result = await decode(NESTED_BATCH, { offline: true, profile });
+    const outerCall = result.batchInfo.calls[1].analysis;
+    assertEqual(outerCall.trustBlocked, false, "MultiSendCallOnly itself is trusted");
+    assertEqual(outerCall.nestedHeaderSeverity, "CRITICAL", "Nested header should be CRITICAL");
+    assertEqual(result.headerSeverity, "CRITICAL", "Top-level header should be CRITICAL");
+  });
+
+  await asyncTest("maxNestingDepth stops expansion", async () => {
+    const result = await decode(NESTED_BATCH, { offline: true, maxNestingDepth: 1 });
+    const outerCall = result.batchInfo.calls[1].analysis;
+    assertTrue(outerCall.nestingLimitReached, "Should report the depth limit");
+    assertEqual(outerCall.batchInfo, undefined, "Nested batch should not be expanded");
+    assertEqual(outerCall.severity, "UNKNOWN", "Hidden calls should be UNKNOWN");
+  });
+
+  await asyncTest("maxNestingDepth 0 decodes no sub-calls of a top-level batch", async () => {
+    for (const calldata of [TWO_TX_BATCH, MULTICALL_TWO]) {
+      const result = await decode(calldata, {
+        offline: true,
+        profile: testProfile,
+        targetAddress: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
+        maxNestingDepth: 0
+      });
+      assertTrue(result.batchInfo.nestingLimitReached, "Should report the depth limit");
+      assertTrue(result.batchInfo.calls.every(call => call.analysis === undefined), "No sub-call analyzed");
+      assertEqual(result.headerSeverity, "UNKNOWN", "Hidden calls make the header UNKNOWN");
+    }
+  });
+
+  await asyncTest("maxNestingDepth 1 decodes a batch's sub-calls but not the batches inside them", async () => {
+    const result = await decode(NESTED_BATCH, { offline: true, maxNestingDepth: 1 });
+    assertFalse(result.batchInfo.nestingLimitReached, "Top-level batch is decoded");
+    assertEqual(result.batchInfo.calls[0].analysis.functionName, "approve", "Sub-call decoded");
+    assertTrue(result.batchInfo.calls[1].analysis.nestingLimitReached, "Nested batch hidden");
+  });
+
+  await asyncTest("maxNestingDepth 0 and 1 apply the same way to execTransaction", async () => {
+    const safeTx = execTransaction("0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2", WETH_APPROVE);
+    const depth0 = await decode(safeTx, { offline: true, maxNestingDepth: 0 });
+    assertTrue(depth0.innerTransaction.nestingLimitReached, "Inner call hidden at 0");
+    const depth1 = await decode(safeTx, { offline: true, maxNestingDepth: 1 });
+    assertEqual(depth1.innerTransaction.functionName, "approve", "Inner call decoded at 1");
+
+    const nested = execTransaction("0x9641d764fc13c8b624c04430c7356c1c7c8102e2", INNER_BATCH);
+    const batchInside = await decode(nested, { offline: true, maxNestingDepth: 1 });
+    assertTrue(batchInside.innerTransaction.isBatch, "Inner MultiSend decoded at 1");
+    assertTrue(batchInside.innerTransaction.batchInfo.nestingLimitReached, "Its sub-calls hidden at 1");
+  });
+
+  await asyncTest("JSON and human output include nested calls", async () => {
+    const json = JSON.parse(await decodeAndFormat(NESTED_BATCH, { offline: true, json: true }));
+    const nested = json.batchInfo.calls[1].analysis.batchInfo;
+    assertEqual(nested.callCount, 2, "JSON nested call count");
+    const human = await decodeAndFormat(NESTED_BATCH, { offline: true });
+    assertTrue(human.includes("Nested MULTISEND_CALL_ONLY: 2 sub-transactions"), "Human output shows nested batch");
+  });
+
   // ═══════════════════════════════════════════════════════════════════
   // Summary
   // ═══════════════════════════════════════════════════════════════════
@@ -0,0 +1,248 @@
+/**
+ * Tests for the calldata canonical-encoding check
+ *
+ * Tests verify that:
+ * 1. Calldata produced by a standard encoder is canonical
+ * 2. Trailing bytes, dirty bits, dirty padding and moved offsets are
+ *    reported with the parameter they belong to
+ * 3. decode() adds the findings to the effect warnings and JSON output,
+ *    for single calls and batch sub-calls
+ *
+ * Run with: node test/calldataIntegrity.test.js
+ */
+
+import { Interface } from "ethers";
+import { checkCalldataIntegrity, INTEGRITY_ISSUE } from "../src/calldataIntegrity.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const RECIPIENT = "0x9f8e7d6c5b4a39281706f5e4d3c2b1a098765432";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+
+const iface = new Interface([
+  "function transfer(address to, uint256 amount)",
+  "function store(bytes first, bytes second, bool flag, uint8 small)",
+  "function submit((address target, bytes data)[] items)",
+  "function pause()",
+  "function multiSend(bytes transactions)"
+]);
+
+const TRANSFER_SIGNATURE = "transfer(address,uint256)";
+const STORE_SIGNATURE = "store(bytes,bytes,bool,uint8)";
+const STORE_NAMES = ["first", "second", "flag", "small"];
+
+const transfer = iface.encodeFunctionData("transfer", [RECIPIENT, 5n]);
+const store = iface.encodeFunctionData("store", ["0x1234", "0xabcd", true, 7]);
+
+/**
+ * Split calldata into its selector and 32-byte words, edit them, join them back
+ */
+function editWords(calldata, edit) {
+  const words = calldata.slice(10).match(/.{64}/g);
+  return calldata.slice(0, 10) + edit(words).join("");
+}
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + "0".repeat(64) +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return iface.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+async function runTests() {
+  console.log("\n=== Calldata Integrity Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Canonical calldata
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Canonical calldata");
+
+  test("Standard encodings are canonical", () => {
+    assertEqual(checkCalldataIntegrity(transfer, TRANSFER_SIGNATURE).canonical, true, "static");
+    assertEqual(checkCalldataIntegrity(store, STORE_SIGNATURE).canonical, true, "dynamic");
+    const submit = iface.encodeFunctionData("submit", [[[RECIPIENT, "0x12"], [USDC, "0x"]]]);
+    assertEqual(checkCalldataIntegrity(submit, "submit((address,bytes)[])").canonical, true, "tuple array");
+  });
+
+  test("A function without parameters is canonical with no parameter data", () => {
+    const integrity = checkCalldataIntegrity(iface.encodeFunctionData("pause"), "pause()");
+    assertEqual(integrity.canonical, true, "canonical");
+    assertEqual(integrity.canonicalLength, 0, "length");
+  });
+
+  test("An unparseable signature is not checked", () => {
+    assertEqual(checkCalldataIntegrity(transfer, "not a signature"), null, "null");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Non-canonical calldata
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Non-canonical calldata");
+
+  test("Bytes after the parameters are trailing data", () => {
+    const integrity = checkCalldataIntegrity(transfer + "deadbeef", TRANSFER_SIGNATURE, ["to", "amount"]);
+    assertEqual(integrity.canonical, false, "canonical");
+    assertEqual(integrity.issues[0].type, INTEGRITY_ISSUE.TRAILING_BYTES, "type");
+    assertEqual(integrity.issues[0].offset, 68, "offset");
+    assertEqual(integrity.trailingData, "0xdeadbeef", "data");
+  });
+
+  test("A bool other than 0 or 1 and a masked uint8 are dirty bits", () => {
+    const data = editWords(store, words => {
+      words[2] = words[2].slice(0, 62) + "02";
+      words[3] = "ff" + words[3].slice(2);
+      return words;
+    });
+    const integrity = checkCalldataIntegrity(data, STORE_SIGNATURE, STORE_NAMES);
+    assertEqual(integrity.issues.length, 2, "issues");
+    assertEqual(integrity.issues[0].type, INTEGRITY_ISSUE.DIRTY_BITS, "bool type");
+    assertEqual(integrity.issues[0].path, "flag", "bool path");
+    assertEqual(integrity.issues[1].path, "small", "uint8 path");
+  });
+
+  test("An address with dirty high-order bits is reported though it does not decode", () => {
+    const data = transfer.slice(0, 10) + "ff".repeat(12) + transfer.slice(34);
+    const integrity = checkCalldataIntegrity(data, TRANSFER_SIGNATURE, ["to", "amount"]);
+    assertEqual(integrity.decodable, false, "decodable");
+    assertEqual(integrity.issues[0].type, INTEGRITY_ISSUE.DIRTY_BITS, "type");
+    assertEqual(integrity.issues[0].path, "to", "path");
+  });
+
+  test("Non-zero padding after bytes data is dirty padding", () => {
+    const data = editWords(store, words => {
+      words[5] = words[5].slice(0, 4) + "ee" + words[5].slice(6);
+      return words;
+    });
+    const integrity = checkCalldataIntegrity(data, STORE_SIGNATURE, STORE_NAMES);
+    assertEqual(integrity.issues.length, 1, "issues");
+    assertEqual(integrity.issues[0].type, INTEGRITY_ISSUE.DIRTY_PADDING, "type");
+    assertEqual(integrity.issues[0].path, "first", "path");
+  });
+
+  test("Swapped dynamic offsets are reported without follow-on data issues", () => {
+    const data = editWords(store, words => {
+      [words[0], words[1]] = [words[1], words[0]];
+      return words;
+    });
+    const integrity = checkCalldataIntegrity(data, STORE_SIGNATURE, STORE_NAMES);
+    assertEqual(integrity.issues.length, 2, "issues");
+    assertTrue(integrity.issues.every(issue => issue.type === INTEGRITY_ISSUE.NON_CANONICAL_OFFSET), "offset issues");
+    assertTrue(integrity.issues[0].description.includes("offset is 192 instead of 128"), "description");
+  });
+
+  test("Parameters sharing data make the calldata shorter than canonical", () => {
+    const data = editWords(store, words => {
+      words[1] = words[0];
+      return words.slice(0, 6);
+    });
+    const integrity = checkCalldataIntegrity(data, STORE_SIGNATURE, STORE_NAMES);
+    assertEqual(integrity.issues[0].path, "second", "moved offset");
+    assertEqual(integrity.issues[1].type, INTEGRITY_ISSUE.NON_CANONICAL_OFFSET, "short input");
+    assertEqual(integrity.inputLength, integrity.canonicalLength - 64, "length");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decode()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decode()");
+
+  await asyncTest("Canonical calldata adds no warning", async () => {
+    const result = await decode(transfer, { targetAddress: USDC, offline: true });
+    assertEqual(result.calldataIntegrity.canonical, true, "canonical");
+    assertTrue(!result.effect.warnings.some(w => w.startsWith("NON-CANONICAL")), "no warning");
+  });
+
+  await asyncTest("Trailing bytes are an effect warning and do not change the severity", async () => {
+    const clean = await decode(transfer, { targetAddress: USDC, offline: true });
+    const result = await decode(transfer + "deadbeef", { targetAddress: USDC, offline: true });
+    assertTrue(result.effect.warnings.some(w => w.startsWith("NON-CANONICAL CALLDATA: 4 byte(s)")), "warning");
+    assertEqual(result.effect.severity, clean.effect.severity, "severity");
+  });
+
+  await asyncTest("formatJSON includes calldataIntegrity", async () => {
+    const result = await decode(transfer + "deadbeef", { targetAddress: USDC, offline: true });
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.calldataIntegrity.canonical, false, "canonical");
+    assertEqual(json.calldataIntegrity.issues[0].type, INTEGRITY_ISSUE.TRAILING_BYTES, "type");
+  });
+
+  await asyncTest("CLI output shows the non-canonical section", async () => {
+    const result = await decode(transfer + "deadbeef", { targetAddress: USDC, offline: true });
+    const output = formatHumanReadable(result);
+    assertTrue(output.includes("NON-CANONICAL CALLDATA"), "box");
+    assertTrue(output.includes("Trailing data: 0xdeadbeef"), "trailing data");
+  });
+
+  await asyncTest("Batch sub-calls are checked", async () => {
+    const data = encodeMultiSend([
+      { to: USDC, data: transfer },
+      { to: USDC, data: transfer + "deadbeef" }
+    ]);
+    const result = await decode(data, { targetAddress: MULTISEND, offline: true });
+    const [first, second] = result.batchInfo.calls;
+    assertEqual(first.analysis.calldataIntegrity.canonical, true, "first");
+    assertEqual(second.analysis.calldataIntegrity.canonical, false, "second");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.batchInfo.calls[1].analysis.calldataIntegrity.trailingData, "0xdeadbeef", "JSON");
+    assertTrue(formatHumanReadable(result).includes("⚠ NON-CANONICAL CALLDATA"), "CLI");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,241 @@
+/**
+ * Tests for multi-chain support
+ *
+ * Tests verify that:
+ * 1. Chain IDs and names resolve (decimal, hex, name; unlisted IDs degrade)
+ * 2. Known-address labels are looked up per chain
+ * 3. MultiSend detection uses the chain's deployments (zkSync has its own)
+ * 4. decode() threads chainId into the result, batch detection and the safeTxHash
+ *
+ * Run with: node test/chains.test.js
+ */
+
+import { resolveChain, CHAINS, DEFAULT_CHAIN_ID } from "../src/chains.js";
+import { lookupAddress } from "../src/selectors.js";
+import { determineBatchType, isKnownMultiSendAddress, BATCH_TYPE } from "../src/batchParser.js";
+import { getAbi } from "../src/abiRegistry.js";
+import { decode, computeSafeTxHash } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const QUICKSWAP_ROUTER = "0xa5e0829caced8ffdd4de3c43696c57f7d7a678ff";
+const UNIVERSAL_ROUTER = "0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad";
+const MULTISEND_CALL_ONLY_EIP155 = "0xa1dabef33b3b82c7814b6d82a79e50f4ac44102b";
+const ZKSYNC_MULTISEND = "0x0dfcccb95225ffb03c6fbb2559b530c2b7c8a912";
+const ZKSYNC_MULTISEND_CALL_ONLY = "0xf220d3b4dfb23c4ade8c88e526c1353abacbc38f";
+const REGISTRY_ADDRESS = "0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2";
+
+const SAFE_ADDRESS = "0x1111111111111111111111111111111111111111";
+const RECIPIENT = "0x2222222222222222222222222222222222222222";
+
+// multiSend(bytes) with a single empty CALL to RECIPIENT
+function buildMultiSendCalldata() {
+  const tx = "00" + RECIPIENT.slice(2) + "0".repeat(64) + "0".repeat(64);
+  const length = (tx.length / 2).toString(16).padStart(64, "0");
+  return "0x8d80ff0a" + "20".padStart(64, "0") + length + tx + "0".repeat(64 - (tx.length % 64));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("Multi-chain Support Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Chain resolution
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Chain resolution");
+
+  test("Defaults to Ethereum", () => {
+    const chain = resolveChain();
+    assertEqual(chain.chainId, DEFAULT_CHAIN_ID, "Default chain ID");
+    assertEqual(chain.name, "ethereum", "Default chain name");
+  });
+
+  test("Resolves decimal, hex and numeric chain IDs", () => {
+    assertEqual(resolveChain(137).name, "polygon", "Number");
+    assertEqual(resolveChain("42161").name, "arbitrum", "Decimal string");
+    assertEqual(resolveChain("0x2105").name, "base", "Hex string");
+  });
+
+  test("Resolves chain names case-insensitively", () => {
+    assertEqual(resolveChain("Polygon").chainId, 137, "Polygon");
+    assertEqual(resolveChain("gnosis").chainId, 100, "Gnosis");
+  });
+
+  test("Unlisted chain IDs are accepted but unsupported", () => {
+    const chain = resolveChain(59144);
+    assertEqual(chain.chainId, 59144, "Chain ID kept");
+    assertEqual(chain.supported, false, "Not supported");
+    assertEqual(chain.name, "59144", "Registry directory falls back to the ID");
+  });
+
+  test("Rejects invalid chain values", () => {
+    for (const value of [0, -1, "0x", "solana", 1.5]) {
+      let threw = false;
+      try {
+        resolveChain(value);
+      } catch {
+        threw = true;
+      }
+      assertTrue(threw, `Should reject ${value}`);
+    }
+  });
+
+  test("Every listed chain has a name and label", () => {
+    for (const [chainId, info] of Object.entries(CHAINS)) {
+      assertTrue(info.name && info.label, `Chain ${chainId} metadata`);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Known addresses per chain
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Known addresses per chain");
+
+  test("Chain-specific contracts are labelled only on their chain", () => {
+    assertEqual(lookupAddress(QUICKSWAP_ROUTER, 137)?.name, "QuickSwap Router", "Polygon label");
+    assertEqual(lookupAddress(QUICKSWAP_ROUTER, 1), null, "Not on Ethereum");
+    assertEqual(lookupAddress(QUICKSWAP_ROUTER), null, "Default chain is Ethereum");
+  });
+
+  test("Deterministic deployments are labelled on every listed chain", () => {
+    for (const chainId of [1, 10, 137, 8453, 42161]) {
+      assertTrue(lookupAddress(UNIVERSAL_ROUTER, chainId), `Universal Router on ${chainId}`);
+    }
+  });
+
+  test("Unlisted chains have no labels", () => {
+    assertEqual(lookupAddress(UNIVERSAL_ROUTER, 59144), null, "No table for unlisted chain");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: MultiSend detection per chain
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: MultiSend detection per chain");
+
+  test("Canonical eip155 MultiSendCallOnly is detected on L2s", () => {
+    assertEqual(determineBatchType(MULTISEND_CALL_ONLY_EIP155, 137), BATCH_TYPE.MULTISEND_CALL_ONLY, "Polygon");
+    assertEqual(determineBatchType(MULTISEND_CALL_ONLY_EIP155, 8453), BATCH_TYPE.MULTISEND_CALL_ONLY, "Base");
+  });
+
+  test("zkSync uses its own MultiSend deployments", () => {
+    assertEqual(determineBatchType(ZKSYNC_MULTISEND, 324), BATCH_TYPE.MULTISEND, "zkSync MultiSend");
+    assertEqual(determineBatchType(ZKSYNC_MULTISEND_CALL_ONLY, 324), BATCH_TYPE.MULTISEND_CALL_ONLY, "zkSync CallOnly");
+    assertEqual(determineBatchType(ZKSYNC_MULTISEND, 1), BATCH_TYPE.NOT_BATCH, "Not on Ethereum");
+    assertEqual(isKnownMultiSendAddress(MULTISEND_CALL_ONLY_EIP155, 324), false, "Canonical address not on zkSync");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: ABI registry per chain
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: ABI registry per chain");
+
+  test("Registry ABIs are looked up in the chain's directory", () => {
+    assertTrue(getAbi(REGISTRY_ADDRESS).abi, "Found under abis/ethereum");
+    assertEqual(getAbi(REGISTRY_ADDRESS, { chainId: 137 }).abi, null, "Not under abis/polygon");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 5: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 5: decode() integration");
+
+  await asyncTest("Result carries the resolved chain ID", async () => {
+    const result = await decode("0x8d80ff0a", { offline: true, chainId: "polygon" });
+    assertEqual(result.chainId, 137, "Resolved chain ID");
+    const defaulted = await decode("0x8d80ff0a", { offline: true });
+    assertEqual(defaulted.chainId, 1, "Defaults to Ethereum");
+  });
+
+  await asyncTest("Invalid chainId is rejected", async () => {
+    let error = null;
+    try {
+      await decode("0x8d80ff0a", { offline: true, chainId: "not-a-chain" });
+    } catch (e) {
+      error = e;
+    }
+    assertTrue(error && error.message.includes("Unknown chain"), "Error thrown");
+  });
+
+  await asyncTest("Batch detection follows the chain", async () => {
+    const calldata = buildMultiSendCalldata();
+    const onZkSync = await decode(calldata, { offline: true, targetAddress: ZKSYNC_MULTISEND_CALL_ONLY, chainId: 324 });
+    assertEqual(onZkSync.batchInfo?.batchType, BATCH_TYPE.MULTISEND_CALL_ONLY, "zkSync CallOnly recognized");
+    const onMainnet = await decode(calldata, { offline: true, targetAddress: ZKSYNC_MULTISEND_CALL_ONLY, chainId: 1 });
+    assertTrue(onMainnet.batchInfo?.batchType !== BATCH_TYPE.MULTISEND_CALL_ONLY, "Unknown deployment on Ethereum");
+  });
+
+  await asyncTest("safeTxHash defaults to the decode chainId", async () => {
+    const calldata = "0xa9059cbb" + RECIPIENT.slice(2).padStart(64, "0") + "1".padStart(64, "0");
+    const result = await decode(calldata, {
+      offline: true,
+      targetAddress: RECIPIENT,
+      chainId: 137,
+      safeTx: { safeAddress: SAFE_ADDRESS, nonce: 3 }
+    });
+    const expected = computeSafeTxHash({ safeAddress: SAFE_ADDRESS, chainId: 137, nonce: 3, to: RECIPIENT, data: calldata });
+    assertEqual(result.safeTxHash.chainId, "137", "Chain ID from decode options");
+    assertEqual(result.safeTxHash.safeTxHash, expected.safeTxHash, "Hash over chain 137");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
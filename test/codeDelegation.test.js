@@ -0,0 +1,238 @@
+/**
+ * Tests for EIP-7702 code delegation analysis
+ *
+ * Tests verify that:
+ * 1. Type-4 envelopes expose their authorization tuples and recover each authority
+ * 2. Delegates outside trustedDelegateCalls are CRITICAL; trusted ones are not
+ * 3. Chain-agnostic authorizations (chainId 0) are CRITICAL whatever the delegate
+ * 4. decode() turns a type-4 transaction into a CODE_DELEGATION effect
+ *
+ * Run with: node test/codeDelegation.test.js
+ */
+
+import { Interface, Wallet } from "ethers";
+import { parseRawTransaction } from "../src/rawTransaction.js";
+import { analyzeCodeDelegation, applyCodeDelegation } from "../src/effectAnalyzer.js";
+import { isCodeDelegationAllowed } from "../src/trustProfile.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Well-known test key (hardhat account #0) - never holds funds
+const signer = new Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+const SIGNER = signer.address.toLowerCase();
+
+const TRUSTED_DELEGATE = "0x63c0c19a282a1b52b07dd5a65b58948a07dae32b";
+const UNKNOWN_DELEGATE = "0x6666666666666666666666666666666666666666";
+const RECIPIENT = "0x2222222222222222222222222222222222222222";
+const ZERO = "0x0000000000000000000000000000000000000000";
+
+const profile = {
+  safeAddress: SIGNER,
+  trustedContracts: {
+    [TRUSTED_DELEGATE]: { label: "Smart Account Delegate", trustLevel: "INTERNAL", allowedSelectors: [] }
+  },
+  trustedDelegateCalls: {
+    [TRUSTED_DELEGATE]: { allowedSelectors: [] }
+  }
+};
+
+const erc20Interface = new Interface(["function transfer(address to, uint256 amount)"]);
+
+function authorization(address, chainId, nonce = 0) {
+  return signer.authorizeSync({ address, chainId: BigInt(chainId), nonce: BigInt(nonce) });
+}
+
+async function signType4(authorizationList, data = "0x") {
+  return signer.signTransaction({
+    type: 4,
+    to: SIGNER,
+    data,
+    nonce: 3,
+    gasLimit: 100000n,
+    maxFeePerGas: 2n,
+    maxPriorityFeePerGas: 1n,
+    chainId: 1,
+    authorizationList
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("EIP-7702 Code Delegation Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Authorization list parsing
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Authorization list parsing");
+
+  await asyncTest("Type-4 envelope exposes authorization tuples", async () => {
+    const tx = parseRawTransaction(await signType4([authorization(UNKNOWN_DELEGATE, 1, 4)]));
+    assertEqual(tx.typeName, "eip-7702", "Type name");
+    assertEqual(tx.authorizationList.length, 1, "One authorization");
+    const [auth] = tx.authorizationList;
+    assertEqual(auth.address, UNKNOWN_DELEGATE, "Delegate");
+    assertEqual(auth.chainId, 1, "Chain ID");
+    assertEqual(auth.nonce, "4", "Nonce");
+    assertEqual(auth.authority, SIGNER, "Authority recovered");
+  });
+
+  await asyncTest("Other envelopes have no authorization list", async () => {
+    const raw = await signer.signTransaction({
+      type: 2, to: RECIPIENT, nonce: 0, gasLimit: 21000n, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n, chainId: 1
+    });
+    assertEqual(parseRawTransaction(raw).authorizationList, null, "No list on EIP-1559");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Delegate trust
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Delegate trust");
+
+  test("Delegates are trusted only via trustedDelegateCalls", () => {
+    assertEqual(isCodeDelegationAllowed(TRUSTED_DELEGATE, profile).allowed, true, "Whitelisted delegate");
+    assertEqual(isCodeDelegationAllowed(UNKNOWN_DELEGATE, profile).allowed, false, "Unknown delegate");
+    assertEqual(isCodeDelegationAllowed(TRUSTED_DELEGATE, null).allowed, false, "No profile");
+  });
+
+  test("Unknown delegate is CRITICAL", () => {
+    const effect = analyzeCodeDelegation([{ chainId: 1, address: UNKNOWN_DELEGATE, nonce: "0", authority: SIGNER }], { chainId: 1 });
+    assertEqual(effect.effectType, "CODE_DELEGATION", "Effect type");
+    assertEqual(effect.severity, "CRITICAL", "Severity");
+    assertEqual(effect.beneficiary, UNKNOWN_DELEGATE, "Beneficiary is the delegate");
+    assertTrue(effect.warnings.some(w => w.includes("trustedDelegateCalls")), "Whitelist warning");
+  });
+
+  test("Trusted chain-specific delegate is not CRITICAL", () => {
+    const effect = analyzeCodeDelegation([{ chainId: 1, address: TRUSTED_DELEGATE, nonce: "0", authority: SIGNER }], { profile, chainId: 1 });
+    assertEqual(effect.severity, "HIGH", "Severity");
+    assertTrue(effect.consequences[0].includes("Smart Account Delegate"), "Delegate labelled");
+  });
+
+  test("Chain-agnostic authorization is CRITICAL even for a trusted delegate", () => {
+    const effect = analyzeCodeDelegation([{ chainId: 0, address: TRUSTED_DELEGATE, nonce: "0", authority: SIGNER }], { profile, chainId: 1 });
+    assertEqual(effect.severity, "CRITICAL", "Severity");
+    assertTrue(effect.authorizations[0].chainAgnostic, "Flagged chain-agnostic");
+    assertTrue(effect.warnings.some(w => w.includes("EVERY chain")), "Replay warning");
+  });
+
+  test("Revoking a delegation is LOW", () => {
+    const effect = analyzeCodeDelegation([{ chainId: 1, address: ZERO, nonce: "0", authority: SIGNER }], { chainId: 1 });
+    assertEqual(effect.severity, "LOW", "Severity");
+    assertTrue(effect.authorizations[0].revocation, "Flagged revocation");
+  });
+
+  test("Authorizations for another chain are flagged as skipped", () => {
+    const effect = analyzeCodeDelegation([{ chainId: 10, address: TRUSTED_DELEGATE, nonce: "0", authority: SIGNER }], { profile, chainId: 1 });
+    assertTrue(effect.authorizations[0].wrongChain, "Flagged wrong chain");
+    assertTrue(effect.warnings.some(w => w.includes("skipped")), "Skipped warning");
+  });
+
+  test("applyCodeDelegation raises the call's severity", () => {
+    const delegation = analyzeCodeDelegation([{ chainId: 1, address: UNKNOWN_DELEGATE, nonce: "0", authority: SIGNER }], { chainId: 1 });
+    const effect = applyCodeDelegation({ severity: "HIGH", consequences: [], warnings: [], mitigations: [] }, delegation);
+    assertEqual(effect.severity, "CRITICAL", "Raised");
+    assertTrue(effect.warnings.length > 0, "Warnings appended");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decode() integration");
+
+  await asyncTest("Type-4 transaction without calldata is a CODE_DELEGATION", async () => {
+    const result = await decode(await signType4([authorization(UNKNOWN_DELEGATE, 1)]), { offline: true, rawTx: true });
+    assertEqual(result.selector, null, "No selector");
+    assertEqual(result.effect.effectType, "CODE_DELEGATION", "Effect type");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+    assertEqual(result.codeDelegation.authorizations[0].authority, SIGNER, "Delegation attached");
+  });
+
+  await asyncTest("Trusted delegation keeps a LOW header with a profile", async () => {
+    const result = await decode(await signType4([authorization(TRUSTED_DELEGATE, 1)]), { offline: true, rawTx: true, profile });
+    assertEqual(result.effect.severity, "HIGH", "Effect severity");
+    assertEqual(result.headerSeverity, "LOW", "Header severity");
+  });
+
+  await asyncTest("Delegation is folded into the call it travels with", async () => {
+    const data = erc20Interface.encodeFunctionData("transfer", [RECIPIENT, 1n]);
+    const result = await decode(await signType4([authorization(UNKNOWN_DELEGATE, 0)], data), { offline: true, rawTx: true });
+    assertEqual(result.selector, "0xa9059cbb", "Calldata decoded");
+    assertEqual(result.effect.severity, "CRITICAL", "Call effect raised");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+    assertTrue(result.codeDelegation.authorizations[0].chainAgnostic, "Chain-agnostic authorization");
+  });
+
+  await asyncTest("Formatted output lists the authorizations", async () => {
+    const raw = await signType4([authorization(UNKNOWN_DELEGATE, 0)]);
+    const text = await decodeAndFormat(raw, { offline: true, rawTx: true });
+    assertTrue(text.includes("CODE DELEGATION (EIP-7702)"), "Section shown");
+    assertTrue(text.includes("NOT TRUSTED, ALL CHAINS"), "Flags shown");
+    const json = JSON.parse(await decodeAndFormat(raw, { offline: true, rawTx: true, json: true }));
+    assertEqual(json.codeDelegation.severity, "CRITICAL", "Delegation in JSON");
+    assertEqual(json.headerSeverity, "CRITICAL", "Header in JSON");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
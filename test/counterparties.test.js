@@ -0,0 +1,324 @@
+/**
+ * Tests for the trustedRecipients allowlist and blockedAddresses denylist
+ *
+ * Tests verify that:
+ * 1. Both sections are validated and normalized when a profile is loaded
+ * 2. Beneficiaries, recipients and spenders are classified against them
+ * 3. A denylisted address anywhere - target, parameter, batch sub-call,
+ *    inner Safe transaction - makes the header CRITICAL
+ * 4. A recipient outside a non-empty allowlist raises the effect to HIGH
+ *
+ * Run with: node test/counterparties.test.js
+ */
+
+import { Interface } from "ethers";
+import { writeFileSync, mkdtempSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { loadProfile } from "../src/trustProfile.js";
+import { classifyRecipient, RECIPIENT_CLASSIFICATION } from "../src/trustClassifier.js";
+import { extractCounterparties } from "../src/effectAnalyzer.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const OWNER = "0x4444444444444444444444444444444444444444";
+const PAYROLL = "0x2222222222222222222222222222222222222222";
+const STRANGER = "0x3333333333333333333333333333333333333333";
+const DRAINER = "0xbad0000000000000000000000000000000000bad";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+const UNKNOWN_CONTRACT = "0x5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a";
+const ZERO = "0x0000000000000000000000000000000000000000";
+const WATCHED = "0x6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b";
+const EXPIRED = "0x7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c";
+
+const iface = new Interface([
+  "function transfer(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+  "function multiSend(bytes transactions)",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+const BASE_PROFILE = {
+  version: "1.0",
+  safeAddress: SAFE,
+  owners: [OWNER],
+  trustedContracts: {
+    [USDC]: { label: "USDC", trustLevel: "PROTOCOL", allowedSelectors: "*" },
+    [MULTISEND]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" },
+    [SAFE]: { label: "Treasury Safe", trustLevel: "INTERNAL", allowedSelectors: "*" }
+  },
+  trustedAssets: { [USDC]: { symbol: "USDC", decimals: 6 } },
+  blockedAddresses: { [DRAINER]: { label: "Drainer", reason: "Reported in a phishing campaign" } }
+};
+
+const PROFILE = {
+  ...BASE_PROFILE,
+  trustedRecipients: { [PAYROLL]: { label: "Payroll" } }
+};
+
+const transfer = (to) => iface.encodeFunctionData("transfer", [to, 5000000n]);
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data = "0x", value = 0n }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + value.toString(16).padStart(64, "0") +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return iface.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+function encodeExecTransaction(to, value, data) {
+  return iface.encodeFunctionData("execTransaction", [to, value, data, 0, 0n, 0n, 0n, ZERO, ZERO, "0x"]);
+}
+
+/**
+ * Load a profile from a temporary file, as the CLI does
+ */
+function loadFromFile(profile) {
+  const dir = mkdtempSync(join(tmpdir(), "signguard-counterparties-"));
+  try {
+    const path = join(dir, "profile.json");
+    writeFileSync(path, JSON.stringify(profile));
+    return loadProfile(path);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log("\n=== Recipient Allowlist and Denylist Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Profile validation
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Profile validation");
+
+  test("Both sections load with lowercase addresses", () => {
+    const profile = loadFromFile({
+      ...PROFILE,
+      trustedRecipients: { "0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD": { label: "Exchange deposit" } }
+    });
+    assertEqual(profile.error, undefined, "no error");
+    assertEqual(profile.trustedRecipients["0xabcdefabcdefabcdefabcdefabcdefabcdefabcd"].label, "Exchange deposit", "recipient");
+    assertEqual(profile.blockedAddresses[DRAINER].label, "Drainer", "blocked");
+  });
+
+  test("Malformed entries are load errors", () => {
+    assertTrue(loadFromFile({ ...PROFILE, trustedRecipients: { [PAYROLL]: {} } }).error.includes("must have a label"), "label");
+    assertTrue(loadFromFile({ ...PROFILE, blockedAddresses: { "0x1234": {} } }).error.includes("Invalid blocked address"), "address");
+    assertTrue(loadFromFile({ ...PROFILE, blockedAddresses: [DRAINER] }).error.includes("keyed by address"), "array");
+    assertTrue(loadFromFile({
+      ...PROFILE, trustedRecipients: { [PAYROLL]: { label: "Payroll", expiresAt: "soon" } }
+    }).error.includes("expiresAt must be an ISO 8601 date"), "window");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Classification
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Classification");
+
+  test("Recipients are classified denylist first", () => {
+    const classify = (address) => classifyRecipient(address, PROFILE).classification;
+    assertEqual(classify(DRAINER), RECIPIENT_CLASSIFICATION.BLOCKED, "blocked");
+    assertEqual(classify(SAFE), RECIPIENT_CLASSIFICATION.SAFE, "Safe");
+    assertEqual(classify(OWNER), RECIPIENT_CLASSIFICATION.OWNER, "owner");
+    assertEqual(classify(PAYROLL.toUpperCase().replace("0X", "0x")), RECIPIENT_CLASSIFICATION.TRUSTED_RECIPIENT, "recipient");
+    assertEqual(classify(USDC), RECIPIENT_CLASSIFICATION.TRUSTED_CONTRACT, "contract");
+    assertEqual(classify(STRANGER), RECIPIENT_CLASSIFICATION.UNLISTED, "unlisted");
+  });
+
+  test("Only contracts trusted right now count as trusted recipients", () => {
+    const profile = {
+      ...PROFILE,
+      trustedContracts: {
+        ...PROFILE.trustedContracts,
+        [WATCHED]: { label: "Bridge", trustLevel: "WATCHED", allowedSelectors: "*" },
+        [EXPIRED]: { label: "Old vault", trustLevel: "PROTOCOL", allowedSelectors: "*", expiresAt: "2026-01-01T00:00:00Z" }
+      }
+    };
+    const classify = (address, now) => classifyRecipient(address, profile, { now }).classification;
+    assertEqual(classify(WATCHED), RECIPIENT_CLASSIFICATION.UNLISTED, "watched");
+    assertEqual(classify(EXPIRED, "2026-06-01T00:00:00Z"), RECIPIENT_CLASSIFICATION.UNLISTED, "expired");
+    assertEqual(classify(EXPIRED, "2025-06-01T00:00:00Z"), RECIPIENT_CLASSIFICATION.TRUSTED_CONTRACT, "before expiry");
+  });
+
+  test("A trusted recipient counts only inside its validity window", () => {
+    const profile = { ...PROFILE, trustedRecipients: { [PAYROLL]: { label: "Payroll", validFrom: "2026-01-01T00:00:00Z" } } };
+    const classify = (now) => classifyRecipient(PAYROLL, profile, { now }).classification;
+    assertEqual(classify("2025-06-01T00:00:00Z"), RECIPIENT_CLASSIFICATION.UNLISTED, "not yet valid");
+    assertEqual(classify("2026-06-01T00:00:00Z"), RECIPIENT_CLASSIFICATION.TRUSTED_RECIPIENT, "valid");
+  });
+
+  test("Counterparties are named after the parameter holding them", () => {
+    const approve = extractCounterparties({ spender: PAYROLL, amount: 1n }, { beneficiary: PAYROLL });
+    assertEqual(JSON.stringify(approve), JSON.stringify([{ address: PAYROLL, role: "spender" }]), "spender once");
+    const swap = extractCounterparties({ to: SAFE }, { recipient: SAFE });
+    assertEqual(swap.length, 1, "deduplicated");
+    assertEqual(extractCounterparties(null, null).length, 0, "nothing decoded");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Single calls
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Single calls");
+
+  await asyncTest("A trusted recipient is named and not flagged", async () => {
+    const result = await decode(transfer(PAYROLL), { targetAddress: USDC, offline: true, profile: PROFILE });
+    assertEqual(result.counterparties[0].classification, RECIPIENT_CLASSIFICATION.TRUSTED_RECIPIENT, "classification");
+    assertTrue(result.effect.consequences[0].endsWith("will be transferred to Payroll"), result.effect.consequences[0]);
+    assertEqual(result.headerSeverity, "LOW", "header");
+  });
+
+  await asyncTest("An unlisted spender raises the effect to HIGH only when an allowlist exists", async () => {
+    const approve = iface.encodeFunctionData("approve", [STRANGER, 5n]);
+    const listed = await decode(approve, { targetAddress: USDC, offline: true, profile: PROFILE });
+    assertEqual(listed.effect.severity, "HIGH", "with allowlist");
+    assertTrue(listed.effect.warnings.includes(
+      `UNLISTED RECIPIENT: spender ${STRANGER} is not in your trust profile's trustedRecipients`
+    ), "warning");
+    assertTrue(formatHumanReadable(listed).includes("RECIPIENT NOT IN ALLOWLIST"), "CLI");
+
+    const unlisted = await decode(approve, { targetAddress: USDC, offline: true, profile: BASE_PROFILE });
+    assertTrue(!unlisted.effect.warnings.some(w => w.startsWith("UNLISTED RECIPIENT")), "no allowlist, no warning");
+  });
+
+  await asyncTest("A watched or expired contract as spender is an unlisted recipient", async () => {
+    const profile = {
+      ...PROFILE,
+      trustedContracts: {
+        ...PROFILE.trustedContracts,
+        [WATCHED]: { label: "Bridge", trustLevel: "WATCHED", allowedSelectors: "*" },
+        [EXPIRED]: { label: "Old vault", trustLevel: "PROTOCOL", allowedSelectors: "*", expiresAt: "2026-01-01T00:00:00Z" }
+      }
+    };
+    for (const spender of [WATCHED, EXPIRED]) {
+      const approve = iface.encodeFunctionData("approve", [spender, 5n]);
+      const result = await decode(approve, {
+        targetAddress: USDC, offline: true, profile, now: "2026-06-01T00:00:00Z"
+      });
+      assertEqual(result.counterparties[0].classification, RECIPIENT_CLASSIFICATION.UNLISTED, spender);
+      assertTrue(result.effect.warnings.includes(
+        `UNLISTED RECIPIENT: spender ${spender} is not in your trust profile's trustedRecipients`
+      ), `warning for ${spender}`);
+    }
+  });
+
+  await asyncTest("A denylisted recipient makes the effect and header CRITICAL", async () => {
+    const result = await decode(transfer(DRAINER), { targetAddress: USDC, offline: true, profile: PROFILE });
+    assertEqual(result.effect.severity, "CRITICAL", "effect");
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertEqual(result.blockedAddresses[0].location, "param to", "location");
+    assertTrue(formatHumanReadable(result).includes("On your denylist as Drainer"), "CLI");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.blockedAddresses[0].reason, "Reported in a phishing campaign", "JSON");
+  });
+
+  await asyncTest("A denylisted address is CRITICAL even on a contract outside the profile", async () => {
+    const result = await decode(transfer(DRAINER), { targetAddress: UNKNOWN_CONTRACT, offline: true, profile: PROFILE });
+    assertEqual(result.trustBlocked, true, "trust blocked");
+    assertEqual(result.effect.severity, "CRITICAL", "effect");
+    const target = await decode(transfer(SAFE), { targetAddress: DRAINER, offline: true, profile: PROFILE });
+    assertEqual(target.blockedAddresses[0].location, "target", "denylisted target");
+    assertEqual(target.headerSeverity, "CRITICAL", "target header");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: Batches and inner Safe transactions
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: Batches and inner Safe transactions");
+
+  await asyncTest("A denylisted address in one MultiSend call makes the batch CRITICAL", async () => {
+    const data = encodeMultiSend([
+      { to: USDC, data: transfer(PAYROLL) },
+      { to: USDC, data: transfer(DRAINER) }
+    ]);
+    const result = await decode(data, { targetAddress: MULTISEND, offline: true, profile: PROFILE });
+    const [first, second] = result.batchInfo.calls;
+    assertEqual(first.analysis.severity, "HIGH", "first call unchanged");
+    assertEqual(second.analysis.severity, "CRITICAL", "second call");
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertTrue(formatHumanReadable(result).includes(`⚠ BLOCKED ADDRESS: param to ${DRAINER}`), "CLI");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.batchInfo.calls[1].analysis.blockedAddresses[0].label, "Drainer", "JSON");
+  });
+
+  await asyncTest("ETH sent to a denylisted address is CRITICAL in a batch and a Safe transaction", async () => {
+    const batch = await decode(encodeMultiSend([{ to: DRAINER, value: 1n }]), {
+      targetAddress: MULTISEND, offline: true, profile: PROFILE
+    });
+    assertEqual(batch.batchInfo.calls[0].analysis.blockedAddresses[0].location, "recipient", "batch location");
+    assertEqual(batch.headerSeverity, "CRITICAL", "batch header");
+
+    const safeTx = await decode(encodeExecTransaction(DRAINER, 1n, "0x"), {
+      targetAddress: SAFE, offline: true, profile: PROFILE
+    });
+    assertEqual(safeTx.innerTransaction.headerSeverity, "CRITICAL", "inner header");
+    assertEqual(safeTx.headerSeverity, "CRITICAL", "outer header");
+  });
+
+  await asyncTest("ETH sent by the Safe to a trusted recipient stays clean", async () => {
+    const result = await decode(encodeExecTransaction(PAYROLL, 1n, "0x"), {
+      targetAddress: SAFE, offline: true, profile: PROFILE
+    });
+    assertEqual(result.innerTransaction.counterparties[0].label, "Payroll", "classified");
+    assertEqual(result.innerTransaction.counterpartyWarnings.length, 0, "no warning");
+    assertTrue(result.headerSeverity !== "CRITICAL", `header ${result.headerSeverity}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
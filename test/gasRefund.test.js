@@ -0,0 +1,232 @@
+/**
+ * Tests for Safe gas refund analysis
+ *
+ * Tests verify that:
+ * 1. gasPrice 0 means no refund and no extra effect
+ * 2. The worst-case payout is computed and named from trustedAssets
+ * 3. A refund receiver that is neither the executor nor trusted is CRITICAL
+ * 4. decode() folds the refund into execTransaction and safeTx analysis
+ *
+ * Run with: node test/gasRefund.test.js
+ */
+
+import { Interface } from "ethers";
+import { analyzeGasRefund, applyGasRefund } from "../src/effectAnalyzer.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const TARGET = "0x5555555555555555555555555555555555555555";
+const RELAYER = "0x7777777777777777777777777777777777777777";
+const ATTACKER = "0x9999999999999999999999999999999999999999";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const UNKNOWN_TOKEN = "0x6666666666666666666666666666666666666666";
+const ZERO = "0x0000000000000000000000000000000000000000";
+
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+const testProfile = {
+  safeAddress: SAFE,
+  trustedContracts: {
+    [SAFE]: { label: "Treasury Safe", trustLevel: "INTERNAL", allowedSelectors: ["0x6a761202"] },
+    [TARGET]: { label: "Vault", trustLevel: "INTERNAL", allowedSelectors: [] }
+  },
+  trustedAssets: {
+    [USDC]: { symbol: "USDC", decimals: 6 }
+  }
+};
+
+function execCalldata({ safeTxGas = 0, baseGas = 0, gasPrice = 0, gasToken = ZERO, refundReceiver = ZERO }) {
+  return safeInterface.encodeFunctionData("execTransaction", [
+    TARGET, 0, "0x", 0, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, "0x"
+  ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n=== Safe Gas Refund Analysis ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Worst-case payout
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Worst-case payout");
+
+  test("gasPrice 0 pays no refund", () => {
+    assertEqual(analyzeGasRefund({ safeTxGas: 100000, baseGas: 50000, gasPrice: 0 }), null, "No refund");
+    const effect = { severity: "LOW", consequences: [], warnings: [], mitigations: [] };
+    assertEqual(applyGasRefund(effect, { gasPrice: "0" }), effect, "Effect unchanged");
+  });
+
+  test("ETH refund is (safeTxGas + baseGas) * gasPrice", () => {
+    const refund = analyzeGasRefund({
+      safeTxGas: 100000,
+      baseGas: 50000,
+      gasPrice: "20000000000"
+    });
+    assertTrue(refund.bounded, "safeTxGas bounds the refund");
+    assertEqual(refund.worstCasePayment, "3000000000000000", "Worst-case wei");
+    assertEqual(refund.gasTokenLabel, "ETH", "Zero gasToken is ETH");
+    assertTrue(refund.consequences[0].includes("0.003 ETH"), "Payout is formatted in ETH");
+  });
+
+  test("safeTxGas 0 is unbounded and warns", () => {
+    const refund = analyzeGasRefund({ safeTxGas: 0, baseGas: 0, gasPrice: 1 });
+    assertEqual(refund.bounded, false, "Unbounded refund");
+    assertEqual(refund.worstCaseGas, "30000000", "Falls back to the gas cap");
+    assertTrue(refund.warnings.some(w => w.includes("safeTxGas is 0")), "Warns about unbounded refund");
+  });
+
+  test("Trusted gasToken is named from trustedAssets", () => {
+    const refund = analyzeGasRefund(
+      { safeTxGas: 100000, baseGas: 0, gasPrice: 10, gasToken: USDC },
+      { profile: testProfile }
+    );
+    assertEqual(refund.gasTokenLabel, "USDC", "Symbol from profile");
+    assertTrue(refund.gasTokenTrusted, "Token is trusted");
+    assertTrue(refund.consequences[0].includes("1 USDC"), "Payout uses token decimals");
+  });
+
+  test("Untrusted gasToken is HIGH", () => {
+    const refund = analyzeGasRefund(
+      { safeTxGas: 100000, baseGas: 0, gasPrice: 10, gasToken: UNKNOWN_TOKEN },
+      { profile: testProfile }
+    );
+    assertEqual(refund.gasTokenTrusted, false, "Token is not trusted");
+    assertEqual(refund.severity, "HIGH", "Untrusted token severity");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Refund receiver
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Refund receiver");
+
+  test("Zero refundReceiver pays the executor", () => {
+    const refund = analyzeGasRefund({ safeTxGas: 1, gasPrice: 1 });
+    assertEqual(refund.receiverKind, "EXECUTOR", "tx.origin receives the refund");
+    assertEqual(refund.severity, "MEDIUM", "Executor refund is MEDIUM");
+  });
+
+  test("Explicit executor is recognized", () => {
+    const refund = analyzeGasRefund({ safeTxGas: 1, gasPrice: 1, refundReceiver: RELAYER }, { executor: RELAYER });
+    assertEqual(refund.receiverKind, "EXECUTOR", "Known executor");
+    assertEqual(refund.severity, "MEDIUM", "Executor refund is MEDIUM");
+  });
+
+  test("Trusted receiver is not CRITICAL", () => {
+    const refund = analyzeGasRefund({ safeTxGas: 1, gasPrice: 1, refundReceiver: TARGET }, { profile: testProfile });
+    assertEqual(refund.receiverKind, "TRUSTED", "Trusted receiver");
+    assertEqual(refund.severity, "MEDIUM", "Trusted refund is MEDIUM");
+  });
+
+  test("Untrusted receiver is CRITICAL", () => {
+    const refund = analyzeGasRefund({ safeTxGas: 1, gasPrice: 1, refundReceiver: ATTACKER }, { profile: testProfile });
+    assertEqual(refund.receiverKind, "UNTRUSTED", "Untrusted receiver");
+    assertEqual(refund.severity, "CRITICAL", "Untrusted refund is CRITICAL");
+    assertTrue(refund.mitigations.length > 0, "Suggests a mitigation");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Integration with decode()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Integration with decode()");
+
+  await asyncTest("execTransaction without refund has no gasRefund", async () => {
+    const result = await decode(execCalldata({}), { offline: true, targetAddress: SAFE, profile: testProfile });
+    assertEqual(result.effect.gasRefund, undefined, "No gasRefund attached");
+  });
+
+  await asyncTest("execTransaction refund to an attacker is CRITICAL", async () => {
+    const calldata = execCalldata({ safeTxGas: 100000, gasPrice: "1000000000000", refundReceiver: ATTACKER });
+    const result = await decode(calldata, { offline: true, targetAddress: SAFE, profile: testProfile });
+    assertEqual(result.effect.gasRefund.receiverKind, "UNTRUSTED", "Receiver classified");
+    assertEqual(result.effect.severity, "CRITICAL", "Effect severity raised");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity raised");
+  });
+
+  await asyncTest("safeTx gas fields apply to inner calldata", async () => {
+    const calldata = "0xa9059cbb" + TARGET.slice(2).padStart(64, "0") + "1".padStart(64, "0");
+    const result = await decode(calldata, {
+      offline: true,
+      targetAddress: USDC,
+      profile: testProfile,
+      executor: RELAYER,
+      safeTx: { safeAddress: SAFE, chainId: 1, nonce: 0, safeTxGas: 50000, gasPrice: 1, refundReceiver: RELAYER }
+    });
+    assertEqual(result.effect.gasRefund.receiverKind, "EXECUTOR", "Executor receives the refund");
+  });
+
+  await asyncTest("JSON output includes gasRefund", async () => {
+    const calldata = execCalldata({ safeTxGas: 100000, gasPrice: 1, refundReceiver: ATTACKER });
+    const json = JSON.parse(await decodeAndFormat(calldata, {
+      offline: true,
+      targetAddress: SAFE,
+      profile: testProfile,
+      json: true
+    }));
+    assertEqual(json.effect.gasRefund.refundReceiver, ATTACKER, "Receiver in JSON");
+    assertEqual(json.effect.gasRefund.worstCasePayment, "100000", "Payout in JSON");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -10,8 +10,10 @@
  * Run with: node test/headerSeverity.test.js
  */
 
+import { Interface } from "ethers";
 import { decode } from "../src/index.js";
 import {
+  combineHeaderSeverities,
   computeHeaderSeverity,
   computeBatchHeaderSeverity,
   getTrustContext,
@@ -111,6 +113,18 @@ const approveCalldata = "0x095ea7b3000000000000000000000000def1c0ded9bec7f1a1670
 // Disallowed selector for trusted contract (selector 0x12345678)
 const disallowedCalldata = "0x12345678000000000000000000000000000000000000000000000000000000000000000a";
 
+// Safe execTransaction wrapping an arbitrary inner call
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function execTransactionCalldata(to, data, operation = 0, value = 0) {
+  return safeInterface.encodeFunctionData("execTransaction", [
+    to, value, data, operation, 0, 0, 0, ZERO_ADDRESS, ZERO_ADDRESS, "0x"
+  ]);
+}
+
 async function runTests() {
   console.log("\n=== Header Severity Tests ===\n");
 
@@ -343,6 +357,89 @@ async function runTests() {
     assertEqual(result.headerSeverity, "UNKNOWN", "Should be UNKNOWN for WATCHED contract");
   });
 
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: Safe execTransaction inner call
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: execTransaction inner call");
+
+  test("combineHeaderSeverities ignores null entries", () => {
+    assertNull(combineHeaderSeverities([null, null]), "All null should be null");
+    assertEqual(combineHeaderSeverities([null, "LOW"]), "LOW", "Single LOW should be LOW");
+    assertEqual(combineHeaderSeverities(["LOW", "UNKNOWN"]), "UNKNOWN", "Mixed should be UNKNOWN");
+    assertEqual(combineHeaderSeverities(["UNKNOWN", "CRITICAL"]), "CRITICAL", "CRITICAL should win");
+  });
+
+  await asyncTest("Inner call is decoded and attached", async () => {
+    const calldata = execTransactionCalldata("0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", approveCalldata);
+    const result = await decode(calldata, { offline: true });
+    assertTrue(result.innerTransaction, "innerTransaction should be present");
+    assertEqual(result.innerTransaction.selector, "0x095ea7b3", "Inner selector should be approve");
+    assertEqual(result.innerTransaction.depth, 1, "Inner depth should be 1");
+    assertEqual(result.innerTransaction.to, "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2", "Inner target should be lowercased");
+  });
+
+  await asyncTest("Trusted inner call on own Safe gives LOW", async () => {
+    const calldata = execTransactionCalldata("0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", approveCalldata);
+    const result = await decode(calldata, {
+      offline: true,
+      targetAddress: testProfile.safeAddress,
+      profile: testProfile
+    });
+    assertEqual(result.innerTransaction.headerSeverity, "LOW", "Inner header should be LOW");
+    assertEqual(result.headerSeverity, "LOW", "Header should reflect the inner call");
+  });
+
+  await asyncTest("Disallowed inner selector gives CRITICAL", async () => {
+    const calldata = execTransactionCalldata("0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", disallowedCalldata);
+    const result = await decode(calldata, {
+      offline: true,
+      targetAddress: testProfile.safeAddress,
+      profile: testProfile
+    });
+    assertEqual(result.headerSeverity, "CRITICAL", "Header should be CRITICAL");
+  });
+
+  await asyncTest("Inner DELEGATECALL with empty data gives CRITICAL", async () => {
+    const calldata = execTransactionCalldata("0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", "0x", 1);
+    const result = await decode(calldata, {
+      offline: true,
+      targetAddress: testProfile.safeAddress,
+      profile: testProfile
+    });
+    assertTrue(result.innerTransaction.isEthTransfer, "Should be flagged as empty-data call");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header should be CRITICAL");
+  });
+
+  await asyncTest("Inner ETH transfer is UNKNOWN to an unlisted recipient and LOW to a trusted one", async () => {
+    const options = { offline: true, targetAddress: testProfile.safeAddress, profile: testProfile };
+    const oneHundredEth = 100n * 10n ** 18n;
+    const unlisted = await decode(
+      execTransactionCalldata("0x9999999999999999999999999999999999999999", "0x", 0, oneHundredEth), options
+    );
+    assertEqual(unlisted.innerTransaction.headerSeverity, "UNKNOWN", "Unlisted inner header");
+    assertEqual(unlisted.headerSeverity, "UNKNOWN", "Unlisted header");
+
+    const trusted = await decode(
+      execTransactionCalldata("0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", "0x", 0, oneHundredEth), options
+    );
+    assertEqual(trusted.innerTransaction.headerSeverity, "LOW", "Trusted inner header");
+    assertEqual(trusted.headerSeverity, "LOW", "Trusted header");
+  });
+
+  await asyncTest("Nesting depth is bounded", async () => {
+    let calldata = approveCalldata;
+    for (let i = 0; i < 5; i++) {
+      calldata = execTransactionCalldata(testProfile.safeAddress, calldata);
+    }
+    const result = await decode(calldata, { offline: true });
+    let node = result.innerTransaction;
+    while (node.innerTransaction) {
+      node = node.innerTransaction;
+    }
+    assertTrue(node.nestingLimitReached, "Deepest node should report the nesting limit");
+    assertEqual(node.headerSeverity, "UNKNOWN", "Truncated node should be UNKNOWN");
+  });
+
   // ═══════════════════════════════════════════════════════════════════
   // Summary
   // ═══════════════════════════════════════════════════════════════════
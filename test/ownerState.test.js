@@ -0,0 +1,287 @@
+/**
+ * Tests for Safe owner-set and threshold modelling
+ *
+ * Tests verify that:
+ * 1. OwnerManager calls are decoded and replayed with the Safe's rules
+ * 2. Calls the Safe would reject revert the whole sequence
+ * 3. Quorums below minThreshold or reachable by a single party are flagged
+ * 4. decode() models single calls and MultiSend batches to the Safe
+ *
+ * Run with: node test/ownerState.test.js
+ */
+
+import { Interface } from "ethers";
+import {
+  parseOwnerChange,
+  applyOwnerChanges,
+  assessQuorum,
+  analyzeOwnerChanges
+} from "../src/ownerState.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const MULTISEND = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+const SENTINEL = "0x0000000000000000000000000000000000000001";
+const A = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const B = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const C = "0xcccccccccccccccccccccccccccccccccccccccc";
+const D = "0xdddddddddddddddddddddddddddddddddddddddd";
+
+const ownerManager = new Interface([
+  "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "function changeThreshold(uint256 _threshold)",
+  "function multiSend(bytes transactions)"
+]);
+
+const addOwner = (owner, threshold) => ownerManager.encodeFunctionData("addOwnerWithThreshold", [owner, threshold]);
+const removeOwner = (prev, owner, threshold) => ownerManager.encodeFunctionData("removeOwner", [prev, owner, threshold]);
+const swapOwner = (prev, oldOwner, newOwner) => ownerManager.encodeFunctionData("swapOwner", [prev, oldOwner, newOwner]);
+const changeThreshold = (threshold) => ownerManager.encodeFunctionData("changeThreshold", [threshold]);
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + "0".repeat(64) +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return ownerManager.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+function createProfile(overrides = {}) {
+  return {
+    safeAddress: SAFE,
+    version: "1.0",
+    owners: [A, B, C],
+    threshold: 2,
+    trustedContracts: {
+      [MULTISEND.toLowerCase()]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" }
+    },
+    trustedAssets: {},
+    selectorUsageHistory: {},
+    trustedDelegateCalls: {
+      [MULTISEND.toLowerCase()]: { label: "MultiSend", allowedSelectors: ["0x8d80ff0a"] }
+    },
+    ...overrides
+  };
+}
+
+const STATE = { owners: [A, B, C], threshold: 2 };
+
+async function runTests() {
+  console.log("\n=== Owner State Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Decoding and replaying owner changes
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Decoding and replaying owner changes");
+
+  test("parseOwnerChange decodes removeOwner fields", () => {
+    const change = parseOwnerChange(removeOwner(A, B, 1));
+    assertEqual(change.action, "removeOwner");
+    assertEqual(change.prevOwner, A);
+    assertEqual(change.owner, B);
+    assertEqual(change.threshold, 1);
+  });
+
+  test("parseOwnerChange ignores other calldata", () => {
+    assertEqual(parseOwnerChange("0xa9059cbb" + "0".repeat(128)), null);
+  });
+
+  test("addOwnerWithThreshold inserts the owner first", () => {
+    const result = applyOwnerChanges(STATE, [parseOwnerChange(addOwner(D, 3))]);
+    assertEqual(result.after.owners.join(), [D, A, B, C].join());
+    assertEqual(result.after.threshold, 3);
+    assertEqual(result.steps[0].summary, `Adds owner ${D}, threshold 2 → 3`);
+  });
+
+  test("swapOwner replaces the owner in place", () => {
+    const result = applyOwnerChanges(STATE, [parseOwnerChange(swapOwner(A, B, D))]);
+    assertEqual(result.after.owners.join(), [A, D, C].join());
+    assertEqual(result.after.threshold, 2);
+    assertEqual(result.warnings.length, 0);
+  });
+
+  test("Changes apply in sequence", () => {
+    const result = applyOwnerChanges(STATE, [
+      { ...parseOwnerChange(removeOwner(SENTINEL, A, 2)), callIndex: 0 },
+      { ...parseOwnerChange(changeThreshold(1)), callIndex: 1 }
+    ]);
+    assertEqual(result.after.owners.join(), [B, C].join());
+    assertEqual(result.after.threshold, 1);
+    assertEqual(result.steps[1].callIndex, 1);
+  });
+
+  test("A prevOwner out of the known order is a warning, not a revert", () => {
+    const result = applyOwnerChanges(STATE, [parseOwnerChange(removeOwner(A, C, 2))]);
+    assertTrue(result.after !== null, "should not revert");
+    assertTrue(result.warnings[0].includes("does not precede"), "should warn about prevOwner");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Reverting sequences
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Reverting sequences");
+
+  test("Adding an existing owner reverts", () => {
+    const result = applyOwnerChanges(STATE, [parseOwnerChange(addOwner(B, 2))]);
+    assertEqual(result.after, null);
+    assertTrue(result.reverts.includes("already an owner"), "should explain the revert");
+  });
+
+  test("A threshold above the owner count reverts the whole batch", () => {
+    const result = applyOwnerChanges(STATE, [
+      { ...parseOwnerChange(addOwner(D, 2)), callIndex: 0 },
+      { ...parseOwnerChange(changeThreshold(5)), callIndex: 1 }
+    ]);
+    assertEqual(result.after, null);
+    assertEqual(result.reverts, "changeThreshold (call 2): threshold 5 exceeds the 4 owner(s)");
+  });
+
+  test("Removing a non-owner reverts", () => {
+    const result = applyOwnerChanges(STATE, [parseOwnerChange(removeOwner(SENTINEL, D, 1))]);
+    assertTrue(result.reverts.includes("is not an owner"), "should explain the revert");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Quorum checks
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Quorum checks");
+
+  test("A threshold below minThreshold is flagged", () => {
+    const quorum = assessQuorum({ owners: [A, B, C], threshold: 2 }, { minThreshold: 3 });
+    assertTrue(quorum.belowMinimum, "should be below minimum");
+    assertTrue(quorum.warnings[0].includes("below the profile minimum of 3"), "should warn");
+  });
+
+  test("An owner party reaching the threshold is flagged", () => {
+    const quorum = assessQuorum({ owners: [A, B, C], threshold: 2 }, { ownerParties: { Acme: [A, B] } });
+    assertEqual(quorum.singlePartyControl.length, 1);
+    assertEqual(quorum.singlePartyControl[0].party, "Acme");
+  });
+
+  test("Threshold 1 lets any single owner execute", () => {
+    const quorum = assessQuorum({ owners: [A, B], threshold: 1 }, {});
+    assertEqual(quorum.singlePartyControl.length, 2);
+    assertEqual(quorum.warnings.length, 1);
+  });
+
+  test("A 2-of-3 with separate owners is not flagged", () => {
+    const analysis = analyzeOwnerChanges([{ data: swapOwner(A, B, D) }], STATE, { minThreshold: 2 });
+    assertEqual(analysis.flagged, false);
+    assertEqual(analysis.weakened, false);
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: decode() integration");
+
+  await asyncTest("Single call reports the resulting M-of-N", async () => {
+    const result = await decode(addOwner(D, 2), { targetAddress: SAFE, profile: createProfile(), offline: true });
+    assertEqual(result.ownerChanges.after.threshold, 2);
+    assertEqual(result.ownerChanges.after.owners.length, 4);
+    assertTrue(
+      result.effect.consequences.includes("After this transaction the Safe is 2-of-4 (currently 2-of-3)"),
+      "should add the quorum consequence"
+    );
+    assertTrue(formatHumanReadable(result).includes("OWNER SET"), "should show the owner set");
+  });
+
+  await asyncTest("Calls to another contract are not modelled", async () => {
+    const result = await decode(changeThreshold(1), { targetAddress: D, profile: createProfile(), offline: true });
+    assertEqual(result.ownerChanges, undefined);
+  });
+
+  await asyncTest("Without owners and threshold nothing is modelled", async () => {
+    const result = await decode(changeThreshold(1), { targetAddress: SAFE, offline: true });
+    assertEqual(result.ownerChanges, undefined);
+  });
+
+  await asyncTest("Batch weakening the quorum below minThreshold is CRITICAL", async () => {
+    const calldata = encodeMultiSend([
+      { to: SAFE, data: removeOwner(SENTINEL, A, 2) },
+      { to: SAFE, data: changeThreshold(1) }
+    ]);
+    const result = await decode(calldata, {
+      targetAddress: MULTISEND,
+      profile: createProfile({ minThreshold: 2 }),
+      offline: true
+    });
+    const ownerChanges = result.batchInfo.ownerChanges;
+    assertEqual(ownerChanges.after.threshold, 1);
+    assertTrue(ownerChanges.belowMinimum, "should be below minimum");
+    assertTrue(ownerChanges.weakened, "should be weakened");
+    assertEqual(result.headerSeverity, "CRITICAL");
+    assertEqual(JSON.parse(formatJSON(result)).batchInfo.ownerChanges.after.threshold, 1);
+  });
+
+  await asyncTest("Safe state from safeTx is used without profile owners", async () => {
+    const result = await decode(changeThreshold(3), {
+      targetAddress: SAFE,
+      safeTx: { safeAddress: SAFE, chainId: 1, nonce: 0, owners: [A, B, C], threshold: 2 },
+      offline: true
+    });
+    assertEqual(result.ownerChanges.source, "SAFE");
+    assertEqual(result.ownerChanges.after.threshold, 3);
+    assertEqual(result.ownerChanges.flagged, false);
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,274 @@
+/**
+ * Tests for per-selector parameter constraints in trust profiles
+ *
+ * Tests verify that:
+ * 1. parameterConstraints are validated when a profile is loaded
+ * 2. Decoded parameters are checked against equals/oneOf/max/min, with
+ *    symbolic values (SAFE, TRUSTED_ASSET...) and paths such as path[-1]
+ * 3. A violated constraint makes the selector NOT_ALLOWED and the header
+ *    CRITICAL, for single calls and batch sub-calls
+ *
+ * Run with: node test/parameterConstraints.test.js
+ */
+
+import { Interface } from "ethers";
+import { writeFileSync, mkdtempSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { loadProfile, checkParameterConstraints, isSelectorAllowed } from "../src/trustProfile.js";
+import { SELECTOR_CLASSIFICATION } from "../src/trustClassifier.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const STRANGER = "0x9f8e7d6c5b4a39281706f5e4d3c2b1a098765432";
+const POOL = "0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2";
+const ROUTER = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const UNLISTED_TOKEN = "0x5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+
+const WITHDRAW = "0x69328dec";
+const APPROVE = "0x095ea7b3";
+const SWAP = "0x38ed1739";
+
+const iface = new Interface([
+  "function withdraw(address asset, uint256 amount, address to)",
+  "function approve(address spender, uint256 amount)",
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function multiSend(bytes transactions)"
+]);
+
+const PROFILE = {
+  version: "1.0",
+  safeAddress: SAFE,
+  trustedContracts: {
+    [POOL]: {
+      label: "Aave V3 Pool",
+      trustLevel: "PROTOCOL",
+      allowedSelectors: [WITHDRAW],
+      parameterConstraints: {
+        [WITHDRAW]: { to: { equals: "SAFE" } }
+      }
+    },
+    [USDC]: {
+      label: "USDC",
+      trustLevel: "PROTOCOL",
+      allowedSelectors: [APPROVE],
+      parameterConstraints: {
+        [APPROVE]: { spender: { oneOf: [POOL, ROUTER] }, amount: { max: "1000000000" } }
+      }
+    },
+    [ROUTER]: {
+      label: "Uniswap V2 Router",
+      trustLevel: "PROTOCOL",
+      allowedSelectors: [SWAP],
+      parameterConstraints: {
+        [SWAP]: { "path[-1]": { equals: "TRUSTED_ASSET" }, to: { equals: "SAFE" } }
+      }
+    },
+    [MULTISEND]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" }
+  },
+  trustedAssets: {
+    [USDC]: { symbol: "USDC", decimals: 6 },
+    [WETH]: { symbol: "WETH", decimals: 18 }
+  }
+};
+
+const withdraw = (to) => iface.encodeFunctionData("withdraw", [USDC, 5n, to]);
+const approve = (spender, amount) => iface.encodeFunctionData("approve", [spender, amount]);
+const swap = (tokenOut) => iface.encodeFunctionData("swapExactTokensForTokens", [1000n, 1n, [USDC, tokenOut], SAFE, 9999999999n]);
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + "0".repeat(64) +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return iface.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+/**
+ * Load a profile from a temporary file, as the CLI does
+ */
+function loadFromFile(profile) {
+  const dir = mkdtempSync(join(tmpdir(), "signguard-constraints-"));
+  try {
+    const path = join(dir, "profile.json");
+    writeFileSync(path, JSON.stringify(profile));
+    return loadProfile(path);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log("\n=== Parameter Constraint Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Profile validation
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Profile validation");
+
+  test("A profile with parameterConstraints loads with normalized selectors", () => {
+    const profile = loadFromFile({
+      ...PROFILE,
+      trustedContracts: {
+        ...PROFILE.trustedContracts,
+        [POOL]: { ...PROFILE.trustedContracts[POOL], parameterConstraints: { "0x69328DEC": { to: { equals: "SAFE" } } } }
+      }
+    });
+    assertEqual(profile.error, undefined, "no error");
+    assertEqual(profile.trustedContracts[POOL].parameterConstraints[WITHDRAW].to.equals, "SAFE", "selector key");
+  });
+
+  test("Unknown operators, bad limits and bad paths are load errors", () => {
+    const withConstraint = (constraints) => loadFromFile({
+      ...PROFILE,
+      trustedContracts: { [POOL]: { ...PROFILE.trustedContracts[POOL], parameterConstraints: { [WITHDRAW]: constraints } } }
+    });
+    assertTrue(withConstraint({ to: { is: "SAFE" } }).error.includes("unknown constraint \"is\""), "operator");
+    assertTrue(withConstraint({ amount: { max: "1.5" } }).error.includes("max must be a non-negative integer"), "limit");
+    assertTrue(withConstraint({ "path[x]": { equals: "SAFE" } }).error.includes("invalid parameter path"), "path");
+    assertTrue(withConstraint({ to: {} }).error.includes("at least one"), "empty");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Constraint checks
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Constraint checks");
+
+  test("equals SAFE holds only for the Safe", () => {
+    assertEqual(checkParameterConstraints(POOL, WITHDRAW, { to: SAFE }, PROFILE).satisfied, true, "Safe");
+    const result = checkParameterConstraints(POOL, WITHDRAW, { to: STRANGER }, PROFILE);
+    assertEqual(result.satisfied, false, "stranger");
+    assertEqual(result.violations[0].description, `to must be the Safe (${SAFE}), got ${STRANGER}`, "description");
+  });
+
+  test("oneOf and max check every constrained parameter", () => {
+    assertEqual(checkParameterConstraints(USDC, APPROVE, { spender: ROUTER, amount: 1000000000n }, PROFILE).satisfied, true, "within");
+    const result = checkParameterConstraints(USDC, APPROVE, { spender: STRANGER, amount: 1000000001n }, PROFILE);
+    assertEqual(result.violations.map(v => v.param).join(","), "spender,amount", "both violated");
+    assertTrue(result.violations[1].description.includes("must be at most 1000000000"), result.violations[1].description);
+  });
+
+  test("Negative indexes address array elements from the end", () => {
+    assertEqual(checkParameterConstraints(ROUTER, SWAP, { path: [USDC, WETH], to: SAFE }, PROFILE).satisfied, true, "WETH");
+    const result = checkParameterConstraints(ROUTER, SWAP, { path: [USDC, UNLISTED_TOKEN], to: SAFE }, PROFILE);
+    assertEqual(result.violations[0].param, "path[-1]", "param");
+    assertTrue(result.violations[0].description.includes("must be a trusted asset"), result.violations[0].description);
+  });
+
+  test("Missing or undecoded parameters violate their constraints", () => {
+    assertEqual(checkParameterConstraints(POOL, WITHDRAW, { asset: USDC }, PROFILE).satisfied, false, "missing");
+    assertEqual(checkParameterConstraints(POOL, WITHDRAW, null, PROFILE).satisfied, false, "undecoded");
+  });
+
+  test("Selectors without constraints, and checks without parameters, are unaffected", () => {
+    assertEqual(checkParameterConstraints(MULTISEND, "0x8d80ff0a", {}, PROFILE), null, "no constraints");
+    assertEqual(isSelectorAllowed(POOL, WITHDRAW, PROFILE).allowed, true, "no params given");
+    const denied = isSelectorAllowed(POOL, WITHDRAW, PROFILE, { to: STRANGER });
+    assertEqual(denied.allowed, false, "violated");
+    assertEqual(denied.reason, "PARAMETER_CONSTRAINT_VIOLATED", "reason");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decode() integration");
+
+  await asyncTest("A call within its constraints keeps its selector classification", async () => {
+    const result = await decode(withdraw(SAFE), { targetAddress: POOL, offline: true, profile: PROFILE });
+    assertEqual(result.trustContext.selectorClassification, SELECTOR_CLASSIFICATION.NEVER_USED, "classification");
+    assertEqual(result.trustContext.parameterConstraints.satisfied, true, "satisfied");
+    assertEqual(result.headerSeverity, "LOW", "header");
+  });
+
+  await asyncTest("A violated constraint makes the selector NOT_ALLOWED and the header CRITICAL", async () => {
+    const result = await decode(withdraw(STRANGER), { targetAddress: POOL, offline: true, profile: PROFILE });
+    assertEqual(result.trustContext.selectorClassification, SELECTOR_CLASSIFICATION.NOT_ALLOWED, "classification");
+    assertEqual(result.trustBlocked, true, "blocked");
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertTrue(result.trustContext.warnings.some(w => w.startsWith("PARAMETER CONSTRAINT VIOLATED: to must be the Safe")), "warning");
+    assertTrue(formatHumanReadable(result).includes("PARAMETER CONSTRAINTS VIOLATED"), "CLI");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.trustProfile.selector.parameterConstraints.violations[0].param, "to", "JSON");
+  });
+
+  await asyncTest("Array paths are checked on verified-database selectors", async () => {
+    const allowed = await decode(swap(WETH), { targetAddress: ROUTER, offline: true, profile: PROFILE });
+    assertEqual(allowed.headerSeverity, "LOW", "trusted asset out");
+    const denied = await decode(swap(UNLISTED_TOKEN), { targetAddress: ROUTER, offline: true, profile: PROFILE });
+    assertEqual(denied.headerSeverity, "CRITICAL", "unlisted asset out");
+  });
+
+  await asyncTest("Batch sub-calls are checked against their own target's constraints", async () => {
+    const data = encodeMultiSend([
+      { to: USDC, data: approve(ROUTER, 1000n) },
+      { to: USDC, data: approve(STRANGER, 1000n) }
+    ]);
+    const result = await decode(data, { targetAddress: MULTISEND, offline: true, profile: PROFILE });
+    const [first, second] = result.batchInfo.calls;
+    assertEqual(first.analysis.trustBlocked, false, "first allowed");
+    assertEqual(second.analysis.trustBlocked, true, "second blocked");
+    assertEqual(second.analysis.trustContext.parameterConstraints.violations[0].param, "spender", "violation");
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertTrue(formatHumanReadable(result).includes("⚠ PARAMETER CONSTRAINT VIOLATED: spender must be one of"), "CLI");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
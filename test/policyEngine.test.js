@@ -0,0 +1,361 @@
+/**
+ * Tests for the organization policy rule engine
+ *
+ * Tests verify that:
+ * 1. Policies are validated: unknown conditions, duplicate ids and bad
+ *    actions are load errors
+ * 2. Rules match on effect, asset, amount (in token units) and recipient,
+ *    and report the conditions that made them match
+ * 3. decode() applies fired rules to the effect and header and reports
+ *    them for single calls, batch sub-calls and inner Safe transactions
+ *
+ * Run with: node test/policyEngine.test.js
+ */
+
+import { Interface } from "ethers";
+import { writeFileSync, mkdtempSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  loadPolicy,
+  preparePolicy,
+  validatePolicy,
+  buildPolicyFacts,
+  evaluatePolicy,
+  applyPolicySeverity,
+  POLICY_ACTION
+} from "../src/policyEngine.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const OWNER = "0x2222222222222222222222222222222222222222";
+const STRANGER = "0x9f8e7d6c5b4a39281706f5e4d3c2b1a098765432";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const UNLISTED_TOKEN = "0x5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a5a";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+const WATCHED = "0x6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b6b";
+const EXPIRED = "0x7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c7c";
+
+const iface = new Interface([
+  "function transfer(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+  "function multiSend(bytes transactions)",
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const POLICY = {
+  version: "1.0",
+  rules: [
+    {
+      id: "large-usdc-transfer",
+      description: "USDC transfers above 10,000 to anyone but an owner",
+      match: { effectType: "ASSET_TRANSFER", asset: USDC, amountAbove: "10000", recipient: "NOT_OWNER" },
+      action: "CRITICAL"
+    },
+    {
+      id: "no-unlimited-approvals",
+      match: { effectType: "PERMISSION_GRANT", scope: "UNLIMITED" },
+      action: "BLOCK"
+    }
+  ]
+};
+
+const PROFILE = {
+  version: "1.0",
+  safeAddress: SAFE,
+  owners: [OWNER],
+  trustedContracts: {
+    [USDC]: { label: "USDC", trustLevel: "PROTOCOL", allowedSelectors: "*" },
+    [UNLISTED_TOKEN]: { label: "Unlisted token", trustLevel: "PROTOCOL", allowedSelectors: "*" },
+    [MULTISEND]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" },
+    [SAFE]: { label: "Treasury Safe", trustLevel: "INTERNAL", allowedSelectors: "*" }
+  },
+  trustedAssets: {
+    [USDC]: { symbol: "USDC", decimals: 6 }
+  }
+};
+
+const transferUsdc = (to, amount) => iface.encodeFunctionData("transfer", [to, amount]);
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + "0".repeat(64) +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return iface.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+function encodeExecTransaction(to, data) {
+  return iface.encodeFunctionData("execTransaction", [
+    to, 0n, data, 0, 0n, 0n, 0n,
+    "0x0000000000000000000000000000000000000000",
+    "0x0000000000000000000000000000000000000000",
+    "0x"
+  ]);
+}
+
+/**
+ * Decode a USDC call and evaluate a policy against it
+ */
+async function evaluateCall(policy, data, target = USDC) {
+  const result = await decode(data, { targetAddress: target, offline: true, profile: PROFILE });
+  const facts = buildPolicyFacts({
+    effect: result.effect,
+    paramAnalysis: result.paramAnalysis,
+    tokenAmounts: result.tokenAmounts,
+    targetAddress: target,
+    selector: result.selector,
+    functionName: result.functionName,
+    operation: 0,
+    trustContext: result.trustContext
+  });
+  return evaluatePolicy(preparePolicy(policy), facts, PROFILE);
+}
+
+async function runTests() {
+  console.log("\n=== Policy Engine Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Policy validation and loading
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Policy validation and loading");
+
+  test("A well-formed policy is valid", () => {
+    assertEqual(validatePolicy(POLICY).valid, true, "valid");
+  });
+
+  test("Unknown conditions are rejected instead of ignored", () => {
+    const result = validatePolicy({ version: "1.0", rules: [{ id: "a", match: { amountOver: "5" }, action: "HIGH" }] });
+    assertEqual(result.valid, false, "invalid");
+    assertTrue(result.error.includes("unknown condition \"amountOver\""), result.error);
+  });
+
+  test("Duplicate ids, bad actions, empty matches and bad amounts are rejected", () => {
+    const rule = { id: "a", match: { effectType: "ASSET_TRANSFER" }, action: "HIGH" };
+    assertTrue(validatePolicy({ version: "1.0", rules: [rule, rule] }).error.includes("Duplicate"), "duplicate");
+    assertTrue(validatePolicy({ version: "1.0", rules: [{ ...rule, action: "DENY" }] }).error.includes("action"), "action");
+    assertTrue(validatePolicy({ version: "1.0", rules: [{ ...rule, match: {} }] }).error.includes("at least one"), "match");
+    assertTrue(validatePolicy({ version: "1.0", rules: [{ ...rule, match: { amountAbove: "1e6" } }] }).error.includes("amountAbove"), "amount");
+    assertTrue(validatePolicy({ version: "1.0", rules: [{ ...rule, match: { recipient: "FRIENDS" } }] }).error.includes("recipient"), "recipient");
+    assertTrue(validatePolicy({ rules: [] }).error.includes("version"), "version");
+  });
+
+  test("loadPolicy reads and normalizes a policy file", () => {
+    const dir = mkdtempSync(join(tmpdir(), "signguard-policy-"));
+    try {
+      const path = join(dir, "policy.json");
+      writeFileSync(path, JSON.stringify({
+        version: "1.0",
+        rules: [{ id: "usdc", match: { asset: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48" }, action: "WARN" }]
+      }));
+      const policy = loadPolicy(path);
+      assertEqual(policy.error, undefined, "no error");
+      assertEqual(policy.rules[0].match.asset[0], USDC, "lowercased");
+      assertEqual(policy.source, path, "source");
+      assertTrue(loadPolicy(join(dir, "missing.json")).error.includes("not found"), "missing");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Rule matching
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Rule matching");
+
+  await asyncTest("A large USDC transfer to a non-owner fires with its reasons", async () => {
+    const fired = await evaluateCall(POLICY, transferUsdc(STRANGER, 20_000_000_001n));
+    assertEqual(fired.length, 1, "one rule");
+    assertEqual(fired[0].id, "large-usdc-transfer", "id");
+    assertEqual(fired[0].action, POLICY_ACTION.CRITICAL, "action");
+    assertTrue(fired[0].reasons.includes("amount 20,000.000001 USDC is above 10000"), fired[0].reasons.join("; "));
+    assertTrue(fired[0].reasons.includes(`recipient ${STRANGER} is not a Safe owner`), "recipient reason");
+  });
+
+  await asyncTest("Transfers to an owner or at the threshold do not fire", async () => {
+    assertEqual((await evaluateCall(POLICY, transferUsdc(OWNER, 20_000_000_001n))).length, 0, "owner");
+    assertEqual((await evaluateCall(POLICY, transferUsdc(STRANGER, 10_000_000_000n))).length, 0, "at threshold");
+  });
+
+  await asyncTest("An amount of a token with unknown decimals is treated as above the threshold", async () => {
+    const policy = {
+      version: "1.0",
+      rules: [{ id: "big", match: { effectType: "ASSET_TRANSFER", amountAbove: "1000000" }, action: "HIGH" }]
+    };
+    const fired = await evaluateCall(policy, transferUsdc(STRANGER, 5n), UNLISTED_TOKEN);
+    assertEqual(fired.length, 1, "fires");
+    assertTrue(fired[0].reasons[1].includes("unknown decimals"), fired[0].reasons[1]);
+  });
+
+  await asyncTest("An unlimited approval matches the BLOCK rule; a limited one does not", async () => {
+    const unlimited = await evaluateCall(POLICY, iface.encodeFunctionData("approve", [STRANGER, MAX_UINT256]));
+    assertEqual(unlimited.map(rule => rule.id).join(","), "no-unlimited-approvals", "unlimited");
+    const limited = await evaluateCall(POLICY, iface.encodeFunctionData("approve", [STRANGER, 5n]));
+    assertEqual(limited.length, 0, "limited");
+  });
+
+  await asyncTest("Recipient classes and listed addresses", async () => {
+    const rule = (recipient) => ({ version: "1.0", rules: [{ id: "r", match: { recipient }, action: "WARN" }] });
+    const data = transferUsdc(OWNER, 1n);
+    assertEqual((await evaluateCall(rule("OWNER"), data)).length, 1, "OWNER");
+    assertEqual((await evaluateCall(rule("TRUSTED"), data)).length, 1, "owners are trusted");
+    assertEqual((await evaluateCall(rule("UNTRUSTED"), data)).length, 0, "UNTRUSTED");
+    assertEqual((await evaluateCall(rule([STRANGER, OWNER]), data)).length, 1, "listed address");
+    assertEqual((await evaluateCall(rule("SAFE"), transferUsdc(SAFE, 1n))).length, 1, "SAFE");
+  });
+
+  test("Actions only raise severity; BLOCK and CRITICAL override UNKNOWN", () => {
+    const fired = (action) => [{ id: "x", action, reasons: [] }];
+    assertEqual(applyPolicySeverity("LOW", fired("HIGH")), "HIGH", "raise");
+    assertEqual(applyPolicySeverity("CRITICAL", fired("MEDIUM")), "CRITICAL", "no lowering");
+    assertEqual(applyPolicySeverity("MEDIUM", fired("WARN")), "MEDIUM", "WARN");
+    assertEqual(applyPolicySeverity("UNKNOWN", fired("BLOCK")), "CRITICAL", "BLOCK");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decode() integration");
+
+  await asyncTest("Fired rules raise the effect and header and are reported", async () => {
+    const result = await decode(transferUsdc(STRANGER, 20_000_000_001n), {
+      targetAddress: USDC, offline: true, profile: PROFILE, policy: POLICY
+    });
+    assertEqual(result.effect.severity, "CRITICAL", "effect");
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+    assertEqual(result.policy.rules, 2, "rules evaluated");
+    assertEqual(result.policy.blocked, false, "not blocked");
+    assertEqual(result.policy.fired[0].location, "transaction", "location");
+    assertTrue(result.effect.warnings.some(w => w.startsWith("Policy rule \"large-usdc-transfer\" (CRITICAL)")), "warning");
+  });
+
+  await asyncTest("Watched and expired contracts are UNTRUSTED recipients", async () => {
+    const profile = {
+      ...PROFILE,
+      trustedContracts: {
+        ...PROFILE.trustedContracts,
+        [WATCHED]: { label: "Bridge", trustLevel: "WATCHED", allowedSelectors: "*" },
+        [EXPIRED]: { label: "Old vault", trustLevel: "PROTOCOL", allowedSelectors: "*", expiresAt: "2026-01-01T00:00:00Z" }
+      }
+    };
+    const policy = { version: "1.0", rules: [{ id: "untrusted", match: { recipient: "UNTRUSTED" }, action: "WARN" }] };
+    const firedFor = async (recipient, now) => (await decode(transferUsdc(recipient, 1n), {
+      targetAddress: USDC, offline: true, profile, policy, now
+    })).policy.fired.length;
+    assertEqual(await firedFor(WATCHED, "2026-06-01T00:00:00Z"), 1, "watched");
+    assertEqual(await firedFor(EXPIRED, "2026-06-01T00:00:00Z"), 1, "expired");
+    assertEqual(await firedFor(EXPIRED, "2025-06-01T00:00:00Z"), 0, "before expiry");
+  });
+
+  await asyncTest("BLOCK marks the result blocked in CLI and JSON output", async () => {
+    const result = await decode(iface.encodeFunctionData("approve", [STRANGER, MAX_UINT256]), {
+      targetAddress: USDC, offline: true, profile: PROFILE, policy: POLICY
+    });
+    assertEqual(result.policy.blocked, true, "blocked");
+    assertTrue(formatHumanReadable(result).includes("BLOCKED BY POLICY"), "CLI");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.policy.fired[0].id, "no-unlimited-approvals", "JSON");
+  });
+
+  await asyncTest("A policy that matches nothing is still reported as evaluated", async () => {
+    const result = await decode(transferUsdc(OWNER, 1n), {
+      targetAddress: USDC, offline: true, profile: PROFILE, policy: POLICY
+    });
+    assertEqual(result.policy.fired.length, 0, "none fired");
+    assertEqual(result.headerSeverity, "LOW", "header unchanged");
+    assertTrue(formatHumanReadable(result).includes("Policy: 2 rule(s) evaluated, none matched"), "CLI");
+  });
+
+  await asyncTest("Rules fire on MultiSend sub-calls with their position", async () => {
+    const data = encodeMultiSend([
+      { to: USDC, data: transferUsdc(OWNER, 1n) },
+      { to: USDC, data: transferUsdc(STRANGER, 50_000_000_000n) }
+    ]);
+    const result = await decode(data, { targetAddress: MULTISEND, offline: true, profile: PROFILE, policy: POLICY });
+    const [first, second] = result.batchInfo.calls;
+    assertEqual(first.analysis.policy, undefined, "first call");
+    assertEqual(second.analysis.severity, "CRITICAL", "second call severity");
+    assertEqual(result.batchInfo.headerSeverity, "CRITICAL", "batch header");
+    assertEqual(result.policy.fired.map(rule => rule.location).join(","), "call 2", "location");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.batchInfo.calls[1].analysis.policy[0].id, "large-usdc-transfer", "JSON");
+  });
+
+  await asyncTest("Rules fire on the inner call of execTransaction", async () => {
+    const data = encodeExecTransaction(USDC, transferUsdc(STRANGER, 50_000_000_000n));
+    const result = await decode(data, { targetAddress: SAFE, offline: true, profile: PROFILE, policy: POLICY });
+    assertEqual(result.policy.fired.map(rule => rule.location).join(","), "inner transaction", "location");
+    assertEqual(result.headerSeverity, "CRITICAL", "header");
+  });
+
+  await asyncTest("An invalid policy is an error, not a decode without rules", async () => {
+    let message = null;
+    try {
+      await decode(transferUsdc(STRANGER, 1n), { targetAddress: USDC, offline: true, policy: { version: "1.0", rules: [{ id: "x" }] } });
+    } catch (error) {
+      message = error.message;
+    }
+    assertTrue(message && message.includes("action"), String(message));
+    const output = await decodeAndFormat(transferUsdc(STRANGER, 1n), { offline: true, policyPath: "/nonexistent/policy.json" });
+    assertTrue(output.includes("Policy file not found"), "decodeAndFormat");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+/**
+ * Tests for layered trust profiles (extends)
+ *
+ * Tests verify that:
+ * 1. A profile merges the base profiles it extends, nested and shared
+ *    bases included, with accumulating selectors and overriding labels
+ *    and trust levels
+ * 2. Broken chains (missing, circular, outside the allowed root) are
+ *    load errors naming the layer
+ * 3. The merged profile keeps provenance, and trust contexts report which
+ *    layer granted the trust
+ *
+ * Run with: node test/profileLayers.test.js
+ */
+
+import { Interface } from "ethers";
+import { writeFileSync, mkdtempSync, mkdirSync, rmSync } from "fs";
+import { join, dirname } from "path";
+import { tmpdir } from "os";
+import { loadProfile, resolveProfile, getTrustProvenance } from "../src/trustProfile.js";
+import { getTrustContext, canInterpretSelector, DELEGATECALL_CLASSIFICATION } from "../src/trustClassifier.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const POOL = "0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2";
+const ROUTER = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const DRAINER = "0x9f8e7d6c5b4a39281706f5e4d3c2b1a098765432";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+
+const WITHDRAW = "0x69328dec";
+const SUPPLY = "0x617ba037";
+const MULTISEND_SELECTOR = "0x8d80ff0a";
+
+const iface = new Interface([
+  "function withdraw(address asset, uint256 amount, address to)"
+]);
+
+const ORG_BASE = {
+  version: "1.0",
+  name: "Org base",
+  owners: [SAFE],
+  trustedContracts: {
+    [POOL]: {
+      label: "Aave Pool (org)",
+      trustLevel: "PROTOCOL",
+      allowedSelectors: [SUPPLY],
+      allowedSelectorsLabels: { [SUPPLY]: "supply" }
+    },
+    [MULTISEND]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" }
+  },
+  trustedAssets: { [USDC]: { symbol: "USDC", decimals: 6 } },
+  blockedAddresses: { [DRAINER]: { label: "Known drainer" } },
+  trustedDelegateCalls: { [MULTISEND]: { allowedSelectors: [MULTISEND_SELECTOR] } }
+};
+
+const COMMUNITY = {
+  version: "1.0",
+  trustedContracts: {
+    [POOL]: { label: "Aave V3 Pool", trustLevel: "PARTNER", allowedSelectors: [WITHDRAW] },
+    [ROUTER]: { label: "Uniswap V2 Router", trustLevel: "PARTNER", allowedSelectors: "*" }
+  }
+};
+
+const SAFE_PROFILE = {
+  version: "1.0",
+  safeAddress: SAFE,
+  extends: ["shared/org-base.json", "shared/community.json"],
+  trustedContracts: {
+    [POOL]: { trustLevel: "PROTOCOL" }
+  }
+};
+
+/**
+ * Write profile files into a temporary directory, run fn(dir) and clean up
+ */
+function withProfiles(files, fn) {
+  const dir = mkdtempSync(join(tmpdir(), "signguard-layers-"));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      mkdirSync(dirname(join(dir, name)), { recursive: true });
+      writeFileSync(join(dir, name), JSON.stringify(content));
+    }
+    return fn(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const LAYERS = {
+  "shared/org-base.json": ORG_BASE,
+  "shared/community.json": COMMUNITY,
+  "safe.json": SAFE_PROFILE
+};
+
+const loadLayered = () => withProfiles(LAYERS, dir => loadProfile(join(dir, "safe.json")));
+
+async function runTests() {
+  console.log("\n=== Layered Profile Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Merging
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Merging");
+
+  test("A profile without extends loads as before, without provenance", () => {
+    const profile = withProfiles({ "base.json": ORG_BASE }, dir => loadProfile(join(dir, "base.json")));
+    assertEqual(profile.error, undefined, "no error");
+    assertEqual(profile.provenance, undefined, "no provenance");
+    assertEqual(profile.trustedContracts[POOL].label, "Aave Pool (org)", "label");
+  });
+
+  test("Selectors accumulate while labels and trust levels follow the last layer", () => {
+    const profile = loadLayered();
+    assertEqual(profile.error, undefined, "no error");
+    const pool = profile.trustedContracts[POOL];
+    assertEqual(pool.allowedSelectors.join(","), [SUPPLY, WITHDRAW].join(","), "selectors");
+    assertEqual(pool.allowedSelectorsLabels[SUPPLY], "supply", "selector label kept");
+    assertEqual(pool.label, "Aave V3 Pool", "label from community list");
+    assertEqual(pool.trustLevel, "PROTOCOL", "trust level from the Safe's profile");
+    assertEqual(profile.trustedContracts[ROUTER].allowedSelectors, "*", "router");
+    assertEqual(profile.safeAddress, SAFE, "safeAddress");
+    assertEqual(profile.owners[0], SAFE, "owners from the base");
+    assertEqual(profile.trustedAssets[USDC].symbol, "USDC", "assets");
+    assertEqual(profile.blockedAddresses[DRAINER].label, "Known drainer", "denylist");
+    assertEqual(profile.extends, undefined, "extends dropped");
+  });
+
+  test("A \"*\" in any layer allows every selector", () => {
+    const profile = withProfiles({
+      ...LAYERS,
+      "safe.json": { ...SAFE_PROFILE, trustedContracts: { [POOL]: { allowedSelectors: "*" } } }
+    }, dir => loadProfile(join(dir, "safe.json")));
+    assertEqual(profile.trustedContracts[POOL].allowedSelectors, "*", "all selectors");
+  });
+
+  test("A partial entry no layer completes is an error after merging", () => {
+    const profile = withProfiles({
+      ...LAYERS,
+      "safe.json": { ...SAFE_PROFILE, trustedContracts: { [SAFE]: { trustLevel: "PARTNER" } } }
+    }, dir => loadProfile(join(dir, "safe.json")));
+    assertTrue(profile.error.includes("must have a label (after merging extends)"), "error");
+  });
+
+  test("Nested bases load depth-first and a shared base merges once", () => {
+    const profile = withProfiles({
+      "shared/org-base.json": ORG_BASE,
+      "shared/community.json": { ...COMMUNITY, extends: "org-base.json" },
+      "safe.json": SAFE_PROFILE
+    }, dir => loadProfile(join(dir, "safe.json")));
+    assertEqual(profile.error, undefined, "no error");
+    assertEqual(profile.provenance.layers.join(" | "), "shared/org-base.json | shared/community.json | safe.json", "layers");
+  });
+
+  test("Missing, circular and malformed bases are errors naming the layer", () => {
+    const load = (files) => withProfiles(files, dir => loadProfile(join(dir, "safe.json")));
+    assertTrue(load({ "safe.json": SAFE_PROFILE }).error.includes("Base profile not found: shared/org-base.json"), "missing");
+    assertTrue(load({
+      ...LAYERS,
+      "shared/community.json": { ...COMMUNITY, extends: "../safe.json" }
+    }).error.includes("Circular extends through safe.json"), "circular");
+    assertTrue(load({ ...LAYERS, "safe.json": { ...SAFE_PROFILE, extends: [42] } }).error.includes("extends must be a path"), "type");
+    assertTrue(load({
+      ...LAYERS,
+      "shared/community.json": { ...COMMUNITY, trustedContracts: { [ROUTER]: { trustLevel: "BEST" } } }
+    }).error.startsWith("shared/community.json: Contract"), "layer named");
+  });
+
+  test("With a root, bases outside it are rejected (API profiles)", () => {
+    withProfiles(LAYERS, dir => {
+      const inside = resolveProfile(SAFE_PROFILE, { baseDir: dir, root: dir });
+      assertEqual(inside.error, undefined, "inside root");
+      const outside = resolveProfile({ ...SAFE_PROFILE, extends: "../../etc/base.json" }, { baseDir: dir, root: dir });
+      assertTrue(outside.error.includes("is outside"), "outside root");
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Provenance
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Provenance");
+
+  test("Provenance records the layers defining an address and who granted what", () => {
+    const profile = loadLayered();
+    const pool = getTrustProvenance(POOL, profile);
+    assertEqual(pool.layers.join(","), "shared/org-base.json,shared/community.json,safe.json", "layers");
+    assertEqual(pool.trustLevel, "safe.json", "trust level");
+    assertEqual(pool.selectors[SUPPLY], "shared/org-base.json", "supply");
+    assertEqual(pool.selectors[WITHDRAW], "shared/community.json", "withdraw");
+    assertEqual(getTrustProvenance(DRAINER, profile, "blockedAddresses").layers[0], "shared/org-base.json", "denylist");
+  });
+
+  test("Trust contexts report which layer granted the trust", () => {
+    const profile = loadLayered();
+    const context = getTrustContext(POOL, WITHDRAW, profile);
+    assertEqual(context.grantedBy.trustLevel, "safe.json", "trust level");
+    assertEqual(context.grantedBy.selector, "shared/community.json", "selector");
+    assertEqual(getTrustContext(ROUTER, "0x12345678", profile).grantedBy.selector, "shared/community.json", "wildcard");
+
+    const delegate = getTrustContext(MULTISEND, MULTISEND_SELECTOR, profile, { operation: 1 });
+    assertEqual(delegate.delegatecallContext.classification, DELEGATECALL_CLASSIFICATION.TRUSTED, "delegatecall");
+    assertEqual(delegate.delegatecallContext.grantedBy, "shared/org-base.json", "delegatecall layer");
+  });
+
+  test("An override can distrust a base contract by making it WATCHED", () => {
+    const profile = withProfiles({
+      ...LAYERS,
+      "safe.json": { ...SAFE_PROFILE, trustedContracts: { [ROUTER]: { trustLevel: "WATCHED" } } }
+    }, dir => loadProfile(join(dir, "safe.json")));
+    assertEqual(canInterpretSelector(getTrustContext(ROUTER, "0x12345678", profile)), false, "not interpreted");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Output
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Output");
+
+  await asyncTest("CLI and JSON output show the granting layer", async () => {
+    const profile = loadLayered();
+    const result = await decode(iface.encodeFunctionData("withdraw", [USDC, 5n, SAFE]), {
+      targetAddress: POOL, offline: true, profile
+    });
+    const output = formatHumanReadable(result);
+    assertTrue(output.includes("Granted by: safe.json"), "granted by");
+    assertTrue(output.includes("Function allowed by: shared/community.json"), "function");
+    assertTrue(output.includes("Defined in: shared/org-base.json → shared/community.json → safe.json"), "layers");
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.trustProfile.contract.grantedBy.selector, "shared/community.json", "JSON");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,237 @@
+/**
+ * Tests for raw signed-transaction (RLP) input
+ *
+ * Tests verify that:
+ * 1. Legacy, EIP-2930, EIP-1559 and EIP-4844 envelopes parse and recover the signer
+ * 2. Unsigned and pre-EIP-155 transactions are handled (no signer, replay warning)
+ * 3. decode() uses the envelope's target, chain and signer in the regular pipeline
+ * 4. Conflicting options and transactions without calldata are rejected
+ *
+ * Run with: node test/rawTransaction.test.js
+ */
+
+import { Interface, Transaction, Wallet } from "ethers";
+import { parseRawTransaction } from "../src/rawTransaction.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Well-known test key (hardhat account #0) - never holds funds
+const signer = new Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+const SIGNER = signer.address.toLowerCase();
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const RECIPIENT = "0x2222222222222222222222222222222222222222";
+const ZERO = "0x0000000000000000000000000000000000000000";
+
+const erc20Interface = new Interface(["function transfer(address to, uint256 amount)"]);
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+const TRANSFER_DATA = erc20Interface.encodeFunctionData("transfer", [RECIPIENT, 1000000n]);
+
+function txFields(type, overrides = {}) {
+  const fields = { type, to: USDC, value: 0n, data: TRANSFER_DATA, nonce: 7, gasLimit: 100000n, chainId: 137 };
+  if (type < 2) {
+    fields.gasPrice = 30000000000n;
+  } else {
+    fields.maxFeePerGas = 30000000000n;
+    fields.maxPriorityFeePerGas = 1000000000n;
+  }
+  if (type === 1 || type === 2) {
+    fields.accessList = [{ address: USDC, storageKeys: [] }];
+  }
+  if (type === 3) {
+    fields.maxFeePerBlobGas = 1n;
+    fields.blobVersionedHashes = ["0x01" + "00".repeat(31)];
+  }
+  return { ...fields, ...overrides };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("Raw Transaction Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Envelope parsing
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Envelope parsing");
+
+  for (const [type, typeName] of [[0, "legacy"], [1, "eip-2930"], [2, "eip-1559"], [3, "eip-4844"]]) {
+    await asyncTest(`Parses a signed ${typeName} transaction`, async () => {
+      const raw = await signer.signTransaction(txFields(type));
+      const tx = parseRawTransaction(raw);
+      assertEqual(tx.type, type, "Type");
+      assertEqual(tx.typeName, typeName, "Type name");
+      assertEqual(tx.from, SIGNER, "Signer recovered");
+      assertEqual(tx.to, USDC, "To");
+      assertEqual(tx.chainId, 137, "Chain ID");
+      assertEqual(tx.nonce, 7, "Nonce");
+      assertEqual(tx.data, TRANSFER_DATA, "Calldata");
+      assertEqual(tx.hash, Transaction.from(raw).hash, "Transaction hash");
+      assertEqual(tx.warnings.length, 0, "No warnings");
+    });
+  }
+
+  await asyncTest("Fee fields follow the transaction type", async () => {
+    const legacy = parseRawTransaction(await signer.signTransaction(txFields(0)));
+    assertEqual(legacy.gasPrice, "30000000000", "Legacy gas price");
+    assertEqual(legacy.maxFeePerGas, null, "No max fee on legacy");
+    const blob = parseRawTransaction(await signer.signTransaction(txFields(3)));
+    assertEqual(blob.maxPriorityFeePerGas, "1000000000", "Priority fee");
+    assertEqual(blob.blobVersionedHashes.length, 1, "Blob hashes");
+    const accessList = parseRawTransaction(await signer.signTransaction(txFields(2)));
+    assertEqual(accessList.accessList[0].address, USDC, "Access list entry");
+  });
+
+  test("Unsigned transactions have no signer", () => {
+    const raw = Transaction.from(txFields(2)).unsignedSerialized;
+    const tx = parseRawTransaction(raw);
+    assertEqual(tx.signed, false, "Not signed");
+    assertEqual(tx.from, null, "No signer");
+    assertEqual(tx.hash, null, "No hash");
+  });
+
+  await asyncTest("Pre-EIP-155 legacy transactions warn about replay", async () => {
+    const raw = await signer.signTransaction(txFields(0, { chainId: 0 }));
+    const tx = parseRawTransaction(raw);
+    assertEqual(tx.chainId, null, "No chain ID");
+    assertTrue(tx.warnings.some(w => w.includes("replayed")), "Replay warning");
+  });
+
+  test("Rejects malformed input", () => {
+    for (const value of [null, "", "0x123", "0xzz", "0x1234"]) {
+      let threw = false;
+      try {
+        parseRawTransaction(value);
+      } catch (error) {
+        threw = error.message.startsWith("Invalid raw transaction");
+      }
+      assertTrue(threw, `Should reject ${value}`);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: decode() integration");
+
+  await asyncTest("Decodes the calldata with the envelope's target and chain", async () => {
+    const raw = await signer.signTransaction(txFields(2));
+    const result = await decode(raw, { offline: true, rawTx: true });
+    assertEqual(result.selector, "0xa9059cbb", "Inner selector decoded");
+    assertEqual(result.targetAddress, USDC, "Target from envelope");
+    assertEqual(result.chainId, 137, "Chain from envelope");
+    assertEqual(result.rawTransaction.from, SIGNER, "Envelope attached");
+    assertTrue(result.effect, "Effect analyzed");
+  });
+
+  await asyncTest("The signer is the executor of a Safe transaction inside", async () => {
+    const data = safeInterface.encodeFunctionData("execTransaction", [
+      USDC, 0, TRANSFER_DATA, 0, 100000, 0, 1, ZERO, SIGNER, "0x"
+    ]);
+    const raw = await signer.signTransaction(txFields(2, { to: SAFE, data, chainId: 1 }));
+    const result = await decode(raw, { offline: true, rawTx: true });
+    assertEqual(result.effect.gasRefund.receiverKind, "EXECUTOR", "Refund to the signer is to the executor");
+  });
+
+  await asyncTest("Conflicting targetAddress or chainId is rejected", async () => {
+    const raw = await signer.signTransaction(txFields(2));
+    for (const options of [{ targetAddress: RECIPIENT }, { chainId: 1 }]) {
+      let error = null;
+      try {
+        await decode(raw, { offline: true, rawTx: true, ...options });
+      } catch (e) {
+        error = e;
+      }
+      assertTrue(error && error.message.includes("does not match"), `Rejects ${Object.keys(options)[0]}`);
+    }
+  });
+
+  await asyncTest("Plain transfers and deployments have nothing to decode", async () => {
+    for (const overrides of [{ data: "0x", value: 1n }, { to: null }]) {
+      const raw = await signer.signTransaction(txFields(2, overrides));
+      let error = null;
+      try {
+        await decode(raw, { offline: true, rawTx: true });
+      } catch (e) {
+        error = e;
+      }
+      assertTrue(error, "Rejected");
+    }
+  });
+
+  await asyncTest("Formatted output shows the envelope", async () => {
+    const raw = await signer.signTransaction(txFields(2));
+    const text = await decodeAndFormat(raw, { offline: true, rawTx: true });
+    assertTrue(text.includes("RAW TRANSACTION (eip-1559, type 2)"), "Envelope section");
+    assertTrue(text.includes(SIGNER), "Signer shown");
+    const json = JSON.parse(await decodeAndFormat(raw, { offline: true, rawTx: true, json: true }));
+    assertEqual(json.rawTransaction.chainId, 137, "Envelope in JSON");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+/**
+ * Tests for Safe signature recovery
+ *
+ * Tests verify that:
+ * 1. Packed signatures are split into ECDSA, eth_sign, approved-hash and contract parts
+ * 2. Signers are recovered against the safeTxHash and checked against the owners
+ * 3. Threshold, ordering and non-owner signers are reported
+ * 4. decode() attaches the recovery to execTransaction and safeTx signatures
+ *
+ * Run with: node test/safeSignatures.test.js
+ */
+
+import { writeFileSync, unlinkSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Wallet, Interface, concat, zeroPadValue, toBeHex, getBytes, Signature } from "ethers";
+import { splitSafeSignatures, recoverSafeSignatures, SIGNATURE_TYPE } from "../src/safeSignatures.js";
+import { decode, decodeAndFormat, computeSafeTxHash, loadProfile } from "../src/index.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const RECIPIENT = "0x2222222222222222222222222222222222222222";
+const CONTRACT_OWNER = "0x5555555555555555555555555555555555555555";
+
+// Deterministic keys, sorted by address below
+const wallets = [
+  new Wallet("0x" + "11".repeat(32)),
+  new Wallet("0x" + "22".repeat(32)),
+  new Wallet("0x" + "33".repeat(32))
+].sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+const [ALICE, BOB, MALLORY] = wallets;
+const OWNERS = [ALICE.address.toLowerCase(), BOB.address.toLowerCase(), CONTRACT_OWNER];
+
+const erc20 = new Interface(["function transfer(address to, uint256 value)"]);
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+const transferData = erc20.encodeFunctionData("transfer", [RECIPIENT, 1000n]);
+const SAFE_TX_HASH = computeSafeTxHash({ safeAddress: SAFE, chainId: 1, to: USDC, data: transferData, nonce: 4 }).safeTxHash;
+
+function ecdsa(wallet, hash = SAFE_TX_HASH) {
+  return wallet.signingKey.sign(hash).serialized;
+}
+
+function ethSign(wallet, hash = SAFE_TX_HASH) {
+  const signature = Signature.from(wallet.signMessageSync(getBytes(hash)));
+  return concat([signature.r, signature.s, toBeHex(signature.v + 4)]);
+}
+
+function approvedHash(owner) {
+  return concat([zeroPadValue(owner, 32), zeroPadValue("0x", 32), "0x01"]);
+}
+
+function contractPart(owner, offset) {
+  return concat([zeroPadValue(owner, 32), zeroPadValue(toBeHex(offset), 32), "0x00"]);
+}
+
+function execCalldata(signatures) {
+  return safeInterface.encodeFunctionData("execTransaction", [
+    USDC, 0n, transferData, 0, 0n, 0n, 0n,
+    "0x0000000000000000000000000000000000000000",
+    "0x0000000000000000000000000000000000000000",
+    signatures
+  ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("Safe Signature Recovery Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Splitting packed signatures
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Splitting packed signatures");
+
+  test("Classifies each part by its v byte", () => {
+    const packed = concat([ecdsa(ALICE), ethSign(BOB), approvedHash(MALLORY.address)]);
+    const parts = splitSafeSignatures(packed);
+    assertEqual(parts.length, 3, "Three parts");
+    assertEqual(parts[0].type, SIGNATURE_TYPE.ECDSA, "ECDSA");
+    assertEqual(parts[1].type, SIGNATURE_TYPE.ETH_SIGN, "eth_sign");
+    assertEqual(parts[2].type, SIGNATURE_TYPE.APPROVED_HASH, "Approved hash");
+    assertEqual(parts[2].signer, MALLORY.address.toLowerCase(), "Approved-hash owner from r");
+  });
+
+  test("Contract signatures point at their dynamic data", () => {
+    const payload = "0xdeadbeef";
+    const packed = concat([ecdsa(ALICE), contractPart(CONTRACT_OWNER, 130), zeroPadValue(toBeHex(4), 32), payload]);
+    const parts = splitSafeSignatures(packed);
+    assertEqual(parts.length, 2, "Dynamic data is not read as a static part");
+    assertEqual(parts[1].type, SIGNATURE_TYPE.CONTRACT, "Contract signature");
+    assertEqual(parts[1].signer, CONTRACT_OWNER, "Signer contract");
+    assertEqual(parts[1].contractSignature, payload, "EIP-1271 payload");
+  });
+
+  test("Out-of-range contract data and malformed input are errors", () => {
+    const parts = splitSafeSignatures(contractPart(CONTRACT_OWNER, 4096));
+    assertTrue(parts[0].error && parts[0].error.includes("outside"), "Offset error");
+
+    let message = null;
+    try {
+      splitSafeSignatures("0x123");
+    } catch (error) {
+      message = error.message;
+    }
+    assertTrue(message && message.startsWith("Invalid signatures"), "Malformed hex rejected");
+  });
+
+  test("A threshold limits the parts read", () => {
+    const packed = concat([ecdsa(ALICE), ecdsa(BOB), ecdsa(MALLORY)]);
+    assertEqual(splitSafeSignatures(packed, { threshold: 2 }).length, 2, "Two parts");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Recovery against owners and threshold
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Recovery against owners and threshold");
+
+  test("ECDSA and eth_sign signers are recovered; owners meet the threshold", () => {
+    const recovery = recoverSafeSignatures(concat([ecdsa(ALICE), ethSign(BOB)]), SAFE_TX_HASH, { owners: OWNERS, threshold: 2 });
+    assertEqual(recovery.signers[0], ALICE.address.toLowerCase(), "ECDSA signer");
+    assertEqual(recovery.signers[1], BOB.address.toLowerCase(), "eth_sign signer");
+    assertEqual(recovery.ownerSignatures, 2, "Owner signatures");
+    assertEqual(recovery.thresholdMet, true, "Threshold met");
+    assertEqual(recovery.warnings.length, 0, "No warnings");
+  });
+
+  test("Non-owner signers are reported and do not count", () => {
+    const recovery = recoverSafeSignatures(concat([ecdsa(ALICE), ecdsa(MALLORY)]), SAFE_TX_HASH, { owners: OWNERS, threshold: 2 });
+    assertEqual(recovery.nonOwnerSigners.length, 1, "One non-owner");
+    assertEqual(recovery.nonOwnerSigners[0], MALLORY.address.toLowerCase(), "Non-owner address");
+    assertEqual(recovery.thresholdMet, false, "Threshold not met");
+    assertTrue(recovery.warnings.some(w => w.includes("not an owner")), "Non-owner warning");
+  });
+
+  test("A signature over another hash recovers a different (non-owner) address", () => {
+    const otherHash = "0x" + "ab".repeat(32);
+    const recovery = recoverSafeSignatures(ecdsa(ALICE, otherHash), SAFE_TX_HASH, { owners: OWNERS });
+    assertTrue(recovery.signers[0] !== ALICE.address.toLowerCase(), "Different signer");
+    assertEqual(recovery.signatures[0].isOwner, false, "Not an owner");
+  });
+
+  test("Unsorted or repeated signers are rejected by the Safe", () => {
+    const unsorted = recoverSafeSignatures(concat([ecdsa(BOB), ecdsa(ALICE)]), SAFE_TX_HASH, { owners: OWNERS, threshold: 2 });
+    assertEqual(unsorted.ordered, false, "Unsorted");
+    assertEqual(unsorted.thresholdMet, false, "Threshold not met");
+    const repeated = recoverSafeSignatures(concat([ecdsa(ALICE), ecdsa(ALICE)]), SAFE_TX_HASH, { owners: OWNERS, threshold: 2 });
+    assertEqual(repeated.ordered, false, "Repeated signer");
+    assertEqual(repeated.ownerSignatures, 1, "Counted once");
+  });
+
+  test("Approved hashes count when the owner executes; otherwise on-chain only", () => {
+    const packed = concat([ecdsa(ALICE), approvedHash(BOB.address)]);
+    const executed = recoverSafeSignatures(packed, SAFE_TX_HASH, { owners: OWNERS, threshold: 2, executor: BOB.address });
+    assertEqual(executed.signatures[1].valid, true, "Executor approval");
+    assertEqual(executed.unverifiedSignatures, 0, "Nothing left to check");
+    const pending = recoverSafeSignatures(packed, SAFE_TX_HASH, { owners: OWNERS, threshold: 2 });
+    assertEqual(pending.signatures[1].valid, null, "Needs approveHash()");
+    assertEqual(pending.unverifiedSignatures, 1, "One unverified");
+    assertTrue(pending.warnings.some(w => w.includes("approveHash()")), "Warning");
+  });
+
+  test("Without owners or threshold those checks are null", () => {
+    const recovery = recoverSafeSignatures(ecdsa(ALICE), SAFE_TX_HASH);
+    assertEqual(recovery.signatures[0].isOwner, null, "Owner unknown");
+    assertEqual(recovery.thresholdMet, null, "Threshold unknown");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decode() integration");
+
+  const profilePath = join(tmpdir(), `signguard-owners-${process.pid}.json`);
+  writeFileSync(profilePath, JSON.stringify({ version: "1.0", safeAddress: SAFE, trustedContracts: {}, owners: OWNERS }));
+
+  await asyncTest("execTransaction signatures are checked against the profile owners", async () => {
+    const calldata = execCalldata(concat([ecdsa(ALICE), ecdsa(MALLORY)]));
+    const result = await decode(calldata, {
+      offline: true,
+      targetAddress: SAFE,
+      profilePath,
+      safeTx: { nonce: 4, chainId: 1, threshold: 2 }
+    });
+    assertEqual(result.safeTxHash.safeTxHash, SAFE_TX_HASH, "Hash of the exec fields");
+    assertEqual(result.safeSignatures.ownersSource, "PROFILE", "Owners from the profile");
+    assertEqual(result.safeSignatures.nonOwnerSigners[0], MALLORY.address.toLowerCase(), "Non-owner");
+    assertEqual(result.safeSignatures.thresholdMet, false, "Threshold");
+
+    const text = await decodeAndFormat(calldata, { offline: true, targetAddress: SAFE, profilePath, safeTx: { nonce: 4, chainId: 1, threshold: 2 } });
+    assertTrue(text.includes("SIGNATURES"), "Section");
+    assertTrue(text.includes("NOT AN OWNER"), "Non-owner flagged");
+    assertTrue(text.includes("Threshold: 2 - ✗ NOT met"), "Threshold line");
+
+    const json = JSON.parse(await decodeAndFormat(calldata, { offline: true, targetAddress: SAFE, profilePath, safeTx: { nonce: 4, chainId: 1 }, json: true }));
+    assertEqual(json.safeSignatures.signers.length, 2, "JSON signers");
+  });
+
+  await asyncTest("Inner calldata uses safeTx signatures and the Safe's owners", async () => {
+    const result = await decode(transferData, {
+      offline: true,
+      targetAddress: USDC,
+      safeTx: { safeAddress: SAFE, chainId: 1, nonce: 4, signatures: concat([ecdsa(ALICE), ecdsa(BOB)]), owners: OWNERS, threshold: 2 }
+    });
+    assertEqual(result.safeSignatures.ownersSource, "SAFE", "Owners from safeTx");
+    assertEqual(result.safeSignatures.thresholdMet, true, "Threshold met");
+  });
+
+  await asyncTest("No signatures, no recovery", async () => {
+    const result = await decode(transferData, { offline: true, targetAddress: USDC, safeTx: { safeAddress: SAFE, chainId: 1, nonce: 4 } });
+    assertEqual(result.safeSignatures, undefined, "Not attached");
+  });
+
+  test("Profile owners must be addresses", () => {
+    writeFileSync(profilePath, JSON.stringify({ version: "1.0", trustedContracts: {}, owners: ["alice"] }));
+    assertTrue(loadProfile(profilePath).error.includes("Invalid owner address"), "Rejected");
+  });
+
+  unlinkSync(profilePath);
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,250 @@
+/**
+ * Tests for Safe storage-layout analysis
+ *
+ * Tests verify that:
+ * 1. Fixed slots (singleton, threshold, guard, fallback handler) are recognized
+ * 2. Owners/modules linked-list writes are mapped back to the inserted or removed address
+ * 3. DELEGATECALL effects carry the observed changes instead of the generic warning
+ * 4. decode() attaches the analysis to a simulation with storage writes
+ *
+ * Run with: node test/safeStorage.test.js
+ */
+
+import { createServer } from "node:http";
+import { AbiCoder, keccak256, zeroPadValue } from "ethers";
+import { analyzeSafeStorageWrites, SAFE_SLOT } from "../src/safeStorage.js";
+import { createDelegatecallEffect } from "../src/effectAnalyzer.js";
+import { decode } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const SENTINEL = "0x0000000000000000000000000000000000000001";
+const OWNER_A = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const OWNER_B = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const OWNER_C = "0xcccccccccccccccccccccccccccccccccccccccc";
+const ATTACKER = "0x9999999999999999999999999999999999999999";
+const MODULE = "0x7777777777777777777777777777777777777777";
+const DRAINER = "0x6666666666666666666666666666666666666666";
+
+const GUARD_SLOT = "0x4a204f620c8c5ccdca3fd54d003badd85ba500436a431f0cbda4f558c93c34c8";
+const FALLBACK_SLOT = "0x6c9a6c4a39284e37ed1cf53d337577d14212a4870fb976a4366c693b939918d5";
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+function mappingSlot(key, slot) {
+  return keccak256(abiCoder.encode(["address", "uint256"], [key, slot]));
+}
+
+function word(value) {
+  return zeroPadValue(typeof value === "number" ? "0x" + value.toString(16).padStart(2, "0") : value, 32);
+}
+
+function ownerSlot(owner) {
+  return mappingSlot(owner, 2);
+}
+
+function moduleSlot(module) {
+  return mappingSlot(module, 1);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n=== Safe Storage Layout Analysis ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Fixed slots
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Fixed slots");
+
+  test("Singleton overwrite is reported", () => {
+    const analysis = analyzeSafeStorageWrites([
+      { slot: "0x0", before: word("0x41675c099f32341bf84bfc5382af534df5c7461a"), after: word(DRAINER) }
+    ]);
+    assertEqual(analysis.changes[0].kind, SAFE_SLOT.SINGLETON, "Slot 0 is the singleton");
+    assertTrue(analysis.findings[0].startsWith("Singleton overwritten"), "Finding text");
+    assertTrue(analysis.findings[0].includes(DRAINER), "New singleton named");
+    assertTrue(analysis.controlChanged, "Control changes");
+  });
+
+  test("Threshold, guard and fallback handler are recognized", () => {
+    const analysis = analyzeSafeStorageWrites([
+      { slot: "0x04", before: word(2), after: word(1) },
+      { slot: GUARD_SLOT, before: word(OWNER_C), after: "0x0" },
+      { slot: FALLBACK_SLOT, before: "0x0", after: word(DRAINER) }
+    ]);
+    assertEqual(analysis.findings[0], "Threshold changes from 2 to 1", "Threshold");
+    assertEqual(analysis.findings[1], `Transaction guard ${OWNER_C} removed`, "Guard removed");
+    assertTrue(analysis.findings[2].includes(`to ${DRAINER}`), "Fallback handler");
+  });
+
+  test("Nonce increment alone is not a finding", () => {
+    const analysis = analyzeSafeStorageWrites([{ slot: "0x05", before: word(7), after: word(8) }]);
+    assertEqual(analysis.findings.length, 0, "No findings");
+    assertEqual(analysis.controlChanged, false, "Control unchanged");
+  });
+
+  test("Unknown slots are reported, unchanged slots ignored", () => {
+    const analysis = analyzeSafeStorageWrites([
+      { slot: "0x1234", before: "0x0", after: word(1) },
+      { slot: "0x04", before: word(2), after: word(2) }
+    ]);
+    assertEqual(analysis.changes.length, 1, "Only real changes");
+    assertEqual(analysis.changes[0].kind, SAFE_SLOT.UNKNOWN, "Unknown slot");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Linked lists
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Owners and modules linked lists");
+
+  test("New owner inserted at the head is recovered", () => {
+    // addOwner(ATTACKER): owners[ATTACKER] = owners[SENTINEL]; owners[SENTINEL] = ATTACKER
+    const analysis = analyzeSafeStorageWrites([
+      { slot: ownerSlot(ATTACKER), before: "0x0", after: word(OWNER_A) },
+      { slot: ownerSlot(SENTINEL), before: word(OWNER_A), after: word(ATTACKER) },
+      { slot: "0x03", before: word(2), after: word(3) }
+    ]);
+    assertTrue(analysis.findings.includes(`New owner inserted: ${ATTACKER}`), "Owner inserted");
+    assertTrue(analysis.findings.includes("Owner count changes from 2 to 3"), "Owner count");
+    assertTrue(analysis.controlChanged, "Control changes");
+  });
+
+  test("Removed owner is recovered", () => {
+    // removeOwner(prev=A, owner=B): owners[A] = owners[B] (C); owners[B] = 0
+    const analysis = analyzeSafeStorageWrites([
+      { slot: ownerSlot(OWNER_A), before: word(OWNER_B), after: word(OWNER_C) },
+      { slot: ownerSlot(OWNER_B), before: word(OWNER_C), after: "0x0" }
+    ]);
+    assertTrue(analysis.findings.includes(`Owner removed: ${OWNER_B}`), "Owner removed");
+  });
+
+  test("Enabled module is recovered", () => {
+    const analysis = analyzeSafeStorageWrites([
+      { slot: moduleSlot(MODULE), before: "0x0", after: word(SENTINEL) },
+      { slot: moduleSlot(SENTINEL), before: word(SENTINEL), after: word(MODULE) }
+    ]);
+    assertEqual(analysis.findings.length, 1, "Only the module itself is a finding");
+    assertEqual(analysis.findings[0], `New module enabled: ${MODULE}`, "Module enabled");
+  });
+
+  test("Extra candidates recover keys not present in values", () => {
+    // owners[OWNER_C] cleared without any write mentioning OWNER_C as a value
+    const write = { slot: ownerSlot(OWNER_C), before: word(SENTINEL), after: "0x0" };
+    assertEqual(analyzeSafeStorageWrites([write]).changes[0].kind, SAFE_SLOT.UNKNOWN, "Unknown without candidate");
+    const analysis = analyzeSafeStorageWrites([write], { candidates: [OWNER_C] });
+    assertEqual(analysis.findings[0], `Owner removed: ${OWNER_C}`, "Recovered with candidate");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: DELEGATECALL evidence
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: DELEGATECALL evidence");
+
+  test("createDelegatecallEffect uses observed changes", () => {
+    const analysis = analyzeSafeStorageWrites([{ slot: "0x0", before: "0x0", after: word(DRAINER) }]);
+    const effect = createDelegatecallEffect(DRAINER, "0x12345678", null, analysis);
+    assertEqual(effect.severity, "CRITICAL", "Still CRITICAL");
+    assertTrue(!effect.consequences.some(c => c.includes("can modify ANY state")), "Generic consequence replaced");
+    assertTrue(effect.consequences.some(c => c.includes("Singleton overwritten")), "Evidence added");
+  });
+
+  test("No control writes is stated explicitly", () => {
+    const effect = createDelegatecallEffect(DRAINER, "0x12345678", null, analyzeSafeStorageWrites([]));
+    assertTrue(effect.consequences.some(c => c.includes("no Safe owner, module")), "Clean evidence");
+    assertEqual(effect.severity, "CRITICAL", "Still CRITICAL");
+  });
+
+  await asyncTest("decode() maps simulated DELEGATECALL writes", async () => {
+    const server = createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        const { id, method, params } = JSON.parse(body);
+        let result = "0x";
+        if (method === "debug_traceCall") {
+          result = params[2].tracer === "callTracer"
+            ? { type: "CALL", from: ATTACKER, to: SAFE, value: "0x0", gasUsed: "0x5208" }
+            : { pre: { [SAFE]: { storage: { "0x0": word(OWNER_A) } } }, post: { [SAFE]: { storage: { "0x0": word(DRAINER) } } } };
+        }
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ jsonrpc: "2.0", id, result }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const result = await decode("0x12345678", {
+        offline: true,
+        targetAddress: DRAINER,
+        operation: 1,
+        simulate: { rpcUrl: `http://127.0.0.1:${server.address().port}`, safeAddress: SAFE }
+      });
+      assertEqual(result.simulation.safeStorage.controlChanged, true, "Control change detected");
+      assertTrue(result.effect.delegatecallWarnings.some(w => w.includes("Singleton overwritten")), "Evidence in delegatecall warnings");
+      assertEqual(result.effect.severity, "CRITICAL", "Severity unchanged");
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for Safe transaction hash computation
+ *
+ * Tests verify that:
+ * 1. The SafeTx hash matches a manual EIP-712 encoding with Safe's typehashes
+ * 2. Safe versions before 1.3.0 omit chainId, before 1.0.0 use dataGas
+ * 3. Missing or invalid fields are rejected
+ * 4. decode() exposes the hash for execTransaction and inner calldata
+ * 5. A mismatch with the expected hash is CRITICAL
+ *
+ * Run with: node test/safeTxHash.test.js
+ */
+
+import { AbiCoder, Interface, keccak256, toUtf8Bytes, concat } from "ethers";
+import { computeSafeTxHash } from "../src/safeTxHash.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+function assertThrows(fn, message) {
+  try {
+    fn();
+  } catch {
+    return;
+  }
+  throw new Error(`${message}: expected an error to be thrown`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const TARGET = "0x9999999999999999999999999999999999999999";
+const ZERO = "0x0000000000000000000000000000000000000000";
+
+// Constants from the Safe contracts
+const DOMAIN_SEPARATOR_TYPEHASH = "0x47e79534a245952e8b16893a336b85a3d9ea9fa8c573f3d803afb92a79469218";
+const SAFE_TX_TYPEHASH = "0xbb8310d486368db6bd6f849402fdd73ad53d316b5a4b2644ad6efe0f941286d8";
+
+const txFields = {
+  safeAddress: SAFE,
+  chainId: 1,
+  to: TARGET,
+  value: "1000",
+  data: "0xabcd",
+  operation: 0,
+  nonce: 7
+};
+
+function manualSafeTxHash(fields) {
+  const domainHash = keccak256(abiCoder.encode(
+    ["bytes32", "uint256", "address"],
+    [DOMAIN_SEPARATOR_TYPEHASH, fields.chainId, fields.safeAddress]
+  ));
+  const messageHash = keccak256(abiCoder.encode(
+    ["bytes32", "address", "uint256", "bytes32", "uint8", "uint256", "uint256", "uint256", "address", "address", "uint256"],
+    [SAFE_TX_TYPEHASH, fields.to, fields.value, keccak256(fields.data), fields.operation, 0, 0, 0, ZERO, ZERO, fields.nonce]
+  ));
+  return { domainHash, messageHash, safeTxHash: keccak256(concat(["0x1901", domainHash, messageHash])) };
+}
+
+function execTransactionCalldata(fields) {
+  return safeInterface.encodeFunctionData("execTransaction", [
+    fields.to, fields.value, fields.data, fields.operation, 0, 0, 0, ZERO, ZERO, "0x"
+  ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n=== Safe Transaction Hash ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Hash computation
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Hash computation");
+
+  test("Matches manual EIP-712 encoding (Safe 1.3.0)", () => {
+    const expected = manualSafeTxHash(txFields);
+    const result = computeSafeTxHash(txFields);
+    assertEqual(result.domainHash, expected.domainHash, "Domain hash");
+    assertEqual(result.messageHash, expected.messageHash, "Message hash");
+    assertEqual(result.safeTxHash, expected.safeTxHash, "safeTxHash");
+    assertEqual(result.matches, null, "No expected hash given");
+  });
+
+  test("Safe before 1.3.0 has no chainId in the domain", () => {
+    const result = computeSafeTxHash({ ...txFields, chainId: undefined, safeVersion: "1.1.1" });
+    const typehash = keccak256(toUtf8Bytes("EIP712Domain(address verifyingContract)"));
+    const expected = keccak256(abiCoder.encode(["bytes32", "address"], [typehash, SAFE]));
+    assertEqual(result.domainHash, expected, "Legacy domain hash");
+    assertEqual(result.chainId, null, "No chainId");
+  });
+
+  test("Safe before 1.0.0 uses dataGas in the type", () => {
+    const modern = computeSafeTxHash({ ...txFields, safeVersion: "1.1.1" });
+    const legacy = computeSafeTxHash({ ...txFields, safeVersion: "0.1.0" });
+    assertTrue(modern.messageHash !== legacy.messageHash, "Type hash differs");
+  });
+
+  test("Rejects missing nonce, chainId and invalid addresses", () => {
+    assertThrows(() => computeSafeTxHash({ ...txFields, nonce: undefined }), "Missing nonce");
+    assertThrows(() => computeSafeTxHash({ ...txFields, chainId: undefined }), "Missing chainId");
+    assertThrows(() => computeSafeTxHash({ ...txFields, to: "0x1234" }), "Invalid to");
+    assertThrows(() => computeSafeTxHash({ ...txFields, operation: 2 }), "Invalid operation");
+  });
+
+  test("Verifies against an expected hash", () => {
+    const expected = manualSafeTxHash(txFields).safeTxHash;
+    assertEqual(computeSafeTxHash({ ...txFields, expectedSafeTxHash: expected.toUpperCase().replace("0X", "0x") }).matches, true, "Match");
+    assertEqual(computeSafeTxHash({ ...txFields, nonce: 8, expectedSafeTxHash: expected }).matches, false, "Mismatch");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Integration with decode()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Integration with decode()");
+
+  await asyncTest("execTransaction calldata supplies every field but the nonce", async () => {
+    const result = await decode(execTransactionCalldata(txFields), {
+      offline: true,
+      targetAddress: SAFE,
+      safeTx: { chainId: 1, nonce: 7 }
+    });
+    assertEqual(result.safeTxHash.safeTxHash, manualSafeTxHash(txFields).safeTxHash, "safeTxHash");
+    assertEqual(result.innerTransaction.safeTxHash, undefined, "Inner call has no hash of its own");
+  });
+
+  await asyncTest("Inner calldata is hashed as the SafeTx data", async () => {
+    const result = await decode(txFields.data + "00000000", {
+      offline: true,
+      targetAddress: TARGET,
+      safeTx: { safeAddress: SAFE, chainId: 1, nonce: 7, value: "1000" }
+    });
+    const expected = manualSafeTxHash({ ...txFields, data: txFields.data + "00000000" });
+    assertEqual(result.safeTxHash.safeTxHash, expected.safeTxHash, "safeTxHash");
+  });
+
+  await asyncTest("Missing fields are reported, not thrown", async () => {
+    const result = await decode(execTransactionCalldata(txFields), {
+      offline: true,
+      targetAddress: SAFE,
+      safeTx: { chainId: 1 }
+    });
+    assertTrue(result.safeTxHash.error.includes("nonce"), "Error mentions nonce");
+  });
+
+  await asyncTest("Mismatch with the expected hash is CRITICAL", async () => {
+    const calldata = execTransactionCalldata(txFields);
+    const options = {
+      offline: true,
+      targetAddress: SAFE,
+      safeTx: { chainId: 1, nonce: 7, expectedSafeTxHash: "0x" + "11".repeat(32) }
+    };
+    const result = await decode(calldata, options);
+    assertEqual(result.safeTxHash.matches, false, "Mismatch detected");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+    assertEqual(result.effect.severity, "CRITICAL", "Effect severity");
+    const human = await decodeAndFormat(calldata, options);
+    assertTrue(human.includes("DOES NOT MATCH"), "Human output flags mismatch");
+    const json = JSON.parse(await decodeAndFormat(calldata, { ...options, json: true }));
+    assertEqual(json.safeTxHash.matches, false, "JSON output includes hash");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
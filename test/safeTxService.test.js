@@ -0,0 +1,387 @@
+/**
+ * Tests for Safe Transaction Service import
+ *
+ * Tests verify that:
+ * 1. Service multisig-transaction JSON is parsed and validated
+ * 2. The service's dataDecoded is compared with SignGuard's decoding (including MultiSend entries)
+ * 3. decodeSafeServiceTransaction() flags disagreements and wrong safeTxHashes CRITICAL
+ * 4. Transactions are fetched from a configurable base URL
+ *
+ * Uses a stand-in Safe Transaction Service on localhost.
+ *
+ * Run with: node test/safeTxService.test.js
+ */
+
+import { createServer } from "node:http";
+import { Interface, solidityPacked, getBytes } from "ethers";
+import {
+  parseSafeServiceTransaction,
+  fetchSafeServiceTransaction,
+  compareDataDecoded,
+  DATA_DECODED_CHECK
+} from "../src/safeTxService.js";
+import { decodeSafeServiceTransaction, computeSafeTxHash } from "../src/index.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const RECIPIENT = "0x2222222222222222222222222222222222222222";
+const ATTACKER = "0x9999999999999999999999999999999999999999";
+const MULTISEND_CALL_ONLY = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+const OWNER = "0x3333333333333333333333333333333333333333";
+
+const erc20 = new Interface([
+  "function transfer(address to, uint256 value)",
+  "function approve(address spender, uint256 value)"
+]);
+const multiSend = new Interface(["function multiSend(bytes transactions)"]);
+
+function transferDecoded(to, value) {
+  return {
+    method: "transfer",
+    parameters: [
+      { name: "to", type: "address", value: to },
+      { name: "value", type: "uint256", value: value }
+    ]
+  };
+}
+
+/**
+ * Build a service payload whose safeTxHash matches its fields on mainnet
+ */
+function servicePayload(overrides = {}) {
+  const tx = {
+    safe: SAFE,
+    to: USDC,
+    value: "0",
+    data: erc20.encodeFunctionData("transfer", [RECIPIENT, 1000000n]),
+    operation: 0,
+    gasToken: "0x0000000000000000000000000000000000000000",
+    safeTxGas: "0",
+    baseGas: "0",
+    gasPrice: "0",
+    refundReceiver: "0x0000000000000000000000000000000000000000",
+    nonce: 7,
+    submissionDate: "2026-10-01T10:00:00Z",
+    isExecuted: false,
+    transactionHash: null,
+    proposer: OWNER,
+    dataDecoded: transferDecoded(RECIPIENT, "1000000"),
+    confirmationsRequired: 2,
+    confirmations: [
+      { owner: OWNER, submissionDate: "2026-10-01T10:00:00Z", signature: "0x" + "ab".repeat(65), signatureType: "EOA" }
+    ],
+    ...overrides
+  };
+  tx.safeTxHash = overrides.safeTxHash || computeSafeTxHash({ ...tx, safeAddress: SAFE, chainId: 1 }).safeTxHash;
+  return tx;
+}
+
+function multiSendData(calls) {
+  const packed = calls.map(call => {
+    const data = getBytes(call.data);
+    return solidityPacked(
+      ["uint8", "address", "uint256", "uint256", "bytes"],
+      [call.operation, call.to, call.value, data.length, data]
+    );
+  });
+  return multiSend.encodeFunctionData("multiSend", ["0x" + packed.map(p => p.slice(2)).join("")]);
+}
+
+/**
+ * Start a stand-in Safe Transaction Service serving the given transactions by safeTxHash
+ */
+function startStandIn(transactions) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push(req.url);
+    const match = req.url.match(/^\/api\/v1\/multisig-transactions\/(0x[0-9a-f]{64})\/$/);
+    const tx = match && transactions.find(t => t.safeTxHash.toLowerCase() === match[1]);
+    res.setHeader("Content-Type", "application/json");
+    if (!tx) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ detail: "Not found." }));
+      return;
+    }
+    res.end(JSON.stringify(tx));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("Safe Transaction Service Import Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Payload parsing
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Payload parsing");
+
+  test("Parses and normalizes a service transaction", () => {
+    const payload = servicePayload();
+    const tx = parseSafeServiceTransaction(JSON.stringify(payload));
+    assertEqual(tx.safe, SAFE, "Safe");
+    assertEqual(tx.to, USDC.toLowerCase(), "Target lowercased");
+    assertEqual(tx.nonce, "7", "Nonce as string");
+    assertEqual(tx.safeTxHash, payload.safeTxHash.toLowerCase(), "safeTxHash");
+    assertEqual(tx.confirmations.length, 1, "Confirmations");
+    assertEqual(tx.confirmations[0].owner, OWNER, "Confirming owner");
+    assertEqual(tx.confirmations[0].signatureType, "EOA", "Signature type");
+    assertEqual(tx.confirmationsRequired, 2, "Threshold");
+  });
+
+  test("Missing data and gas fields take Safe defaults", () => {
+    const tx = parseSafeServiceTransaction({ safe: SAFE, to: SAFE, nonce: "3", safeTxHash: "0x" + "11".repeat(32), data: null });
+    assertEqual(tx.data, "0x", "Empty data");
+    assertEqual(tx.value, "0", "Value");
+    assertEqual(tx.refundReceiver, "0x0000000000000000000000000000000000000000", "Refund receiver");
+    assertEqual(tx.dataDecoded, null, "No dataDecoded");
+    assertEqual(tx.confirmations.length, 0, "No confirmations");
+  });
+
+  test("Rejects malformed payloads", () => {
+    const cases = [
+      ["{", "JSON"],
+      [[], "object"],
+      [{ ...servicePayload(), safe: "0x12" }, "safe"],
+      [{ ...servicePayload(), nonce: "-1" }, "nonce"],
+      [{ ...servicePayload(), operation: 2 }, "operation"],
+      [{ ...servicePayload(), safeTxHash: "0x1234" }, "safeTxHash"],
+      [{ ...servicePayload(), dataDecoded: "transfer" }, "dataDecoded"]
+    ];
+    for (const [payload, fragment] of cases) {
+      let message = null;
+      try {
+        parseSafeServiceTransaction(payload);
+      } catch (error) {
+        message = error.message;
+      }
+      assertTrue(message && message.startsWith("Invalid Safe Transaction Service payload") && message.includes(fragment), `Rejected (${fragment})`);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: dataDecoded comparison
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: dataDecoded comparison");
+
+  const decoded = { functionName: "transfer", params: { to: RECIPIENT, value: 1000000n } };
+
+  test("Same method and values match (checksum case and bigint ignored)", () => {
+    const check = compareDataDecoded(transferDecoded(RECIPIENT.toUpperCase().replace("0X", "0x"), "1000000"), decoded);
+    assertEqual(check.status, DATA_DECODED_CHECK.MATCH, "Status");
+  });
+
+  test("Different parameter values are listed", () => {
+    const check = compareDataDecoded(transferDecoded(ATTACKER, "1000000"), decoded);
+    assertEqual(check.status, DATA_DECODED_CHECK.MISMATCH, "Status");
+    assertEqual(check.mismatches.length, 1, "One mismatch");
+    assertEqual(check.mismatches[0].field, "to", "Field");
+    assertEqual(check.mismatches[0].service, ATTACKER, "Service value");
+    assertEqual(check.mismatches[0].signguard, RECIPIENT, "SignGuard value");
+  });
+
+  test("A different method is a mismatch", () => {
+    const check = compareDataDecoded({ ...transferDecoded(RECIPIENT, "1000000"), method: "approve" }, decoded);
+    assertEqual(check.status, DATA_DECODED_CHECK.MISMATCH, "Status");
+    assertEqual(check.mismatches[0].field, "method", "Field");
+  });
+
+  test("Missing decodings on either side are reported, not compared", () => {
+    assertEqual(compareDataDecoded(null, decoded).status, DATA_DECODED_CHECK.NOT_PROVIDED, "Service did not decode");
+    assertEqual(compareDataDecoded(transferDecoded(RECIPIENT, "1"), { functionName: null, params: null }).status,
+      DATA_DECODED_CHECK.NOT_DECODED, "SignGuard did not decode");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: decodeSafeServiceTransaction()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: decodeSafeServiceTransaction()");
+
+  await asyncTest("Agreeing service data: decoded, hash verified, no CRITICAL", async () => {
+    const result = await decodeSafeServiceTransaction(servicePayload(), { offline: true });
+    assertEqual(result.functionName, "transfer", "Decoded");
+    assertEqual(result.targetAddress, USDC.toLowerCase(), "Target from the payload");
+    assertEqual(result.safeTxHash.matches, true, "safeTxHash recomputed");
+    assertEqual(result.safeService.dataDecodedCheck.status, "MATCH", "dataDecoded check");
+    assertTrue(result.headerSeverity !== "CRITICAL", "Not CRITICAL");
+    assertEqual(result.safeService.confirmations.length, 1, "Confirmations attached");
+  });
+
+  await asyncTest("dataDecoded that disagrees with the data is CRITICAL", async () => {
+    const payload = servicePayload({ dataDecoded: transferDecoded(RECIPIENT, "1") });
+    const result = await decodeSafeServiceTransaction(payload, { offline: true });
+    assertEqual(result.safeService.dataDecodedCheck.status, "MISMATCH", "Check");
+    assertEqual(result.effect.severity, "CRITICAL", "Effect severity");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+    assertTrue(result.effect.warnings.some(w => w.includes("disagrees with the calldata: value")), "Warning names the field");
+  });
+
+  await asyncTest("A safeTxHash that does not match the fields is CRITICAL", async () => {
+    const payload = servicePayload({ safeTxHash: "0x" + "12".repeat(32) });
+    const result = await decodeSafeServiceTransaction(payload, { offline: true });
+    assertEqual(result.safeTxHash.matches, false, "Hash mismatch");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+  });
+
+  await asyncTest("chainId selects the hash domain", async () => {
+    const result = await decodeSafeServiceTransaction(servicePayload(), { offline: true, chainId: "polygon" });
+    assertEqual(result.safeTxHash.matches, false, "Mainnet hash does not verify on Polygon");
+  });
+
+  await asyncTest("MultiSend entries are compared with the parsed sub-calls", async () => {
+    const calls = [
+      { operation: 0, to: USDC, value: 0n, data: erc20.encodeFunctionData("approve", [RECIPIENT, 5n]) },
+      { operation: 0, to: USDC, value: 0n, data: erc20.encodeFunctionData("transfer", [RECIPIENT, 5n]) }
+    ];
+    const data = multiSendData(calls);
+    const valueDecoded = calls.map(call => ({
+      operation: call.operation,
+      to: call.to,
+      value: "0",
+      data: call.data,
+      dataDecoded: null
+    }));
+    valueDecoded[1].dataDecoded = transferDecoded(ATTACKER, "5");
+    const payload = servicePayload({
+      to: MULTISEND_CALL_ONLY,
+      operation: 1,
+      data,
+      dataDecoded: {
+        method: "multiSend",
+        parameters: [{ name: "transactions", type: "bytes", value: multiSend.decodeFunctionData("multiSend", data)[0], valueDecoded }]
+      }
+    });
+
+    const result = await decodeSafeServiceTransaction(payload, { offline: true });
+    const check = result.safeService.dataDecodedCheck;
+    assertEqual(check.status, "MISMATCH", "Check");
+    assertEqual(check.mismatches.length, 1, "Only the tampered entry");
+    assertEqual(check.mismatches[0].field, "transactions[1].to", "Nested field");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+  });
+
+  await asyncTest("Transactions without calldata are rejected", async () => {
+    let message = null;
+    try {
+      await decodeSafeServiceTransaction(servicePayload({ data: null, dataDecoded: null }), { offline: true });
+    } catch (error) {
+      message = error.message;
+    }
+    assertTrue(message && message.includes("no calldata"), "Rejected");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: Fetching from a service
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: Fetching from a service");
+
+  const payload = servicePayload();
+  const standIn = await startStandIn([payload]);
+  try {
+    await asyncTest("Fetches by safeTxHash from the configured base URL", async () => {
+      const fetched = await fetchSafeServiceTransaction(payload.safeTxHash, { serviceUrl: `${standIn.url}/` });
+      assertEqual(fetched.url, `${standIn.url}/api/v1/multisig-transactions/${payload.safeTxHash.toLowerCase()}/`, "URL");
+      assertEqual(fetched.payload.safeTxHash, payload.safeTxHash, "Payload");
+      const result = await decodeSafeServiceTransaction(fetched.payload, { offline: true });
+      assertEqual(result.safeService.dataDecodedCheck.status, "MATCH", "Decoded from the fetched payload");
+    });
+
+    await asyncTest("Unknown transactions are reported as not found", async () => {
+      let error = null;
+      try {
+        await fetchSafeServiceTransaction("0x" + "00".repeat(32), { serviceUrl: standIn.url });
+      } catch (err) {
+        error = err;
+      }
+      assertTrue(error && error.notFound, "notFound flag");
+      assertEqual(standIn.requests.length, 2, "Both requests reached the stand-in");
+    });
+  } finally {
+    await standIn.close();
+  }
+
+  await asyncTest("Unlisted chains need an explicit service URL", async () => {
+    let message = null;
+    try {
+      await fetchSafeServiceTransaction(payload.safeTxHash, { chainId: 31337 });
+    } catch (error) {
+      message = error.message;
+    }
+    assertTrue(message && message.includes("chain 31337"), "Rejected");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
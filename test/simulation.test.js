@@ -0,0 +1,395 @@
+/**
+ * Tests for fork-node simulation
+ *
+ * Tests verify that:
+ * 1. Transfer / Approval logs become balance deltas and approval changes for the Safe
+ * 2. Reverted frames, ETH movements and storage writes are handled
+ * 3. Nodes without debug_traceCall fall back to eth_call; DELEGATECALL uses a code override
+ * 4. decode() attaches the simulation without changing the effect
+ *
+ * Uses a stub JSON-RPC server on localhost.
+ *
+ * Run with: node test/simulation.test.js
+ */
+
+import { createServer } from "node:http";
+import { AbiCoder, Interface, keccak256, zeroPadValue, toBeHex } from "ethers";
+import { simulateTransaction, buildSimulation } from "../src/simulation.js";
+import { analyzeSafeStorageWrites } from "../src/safeStorage.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const ROUTER = "0x5555555555555555555555555555555555555555";
+const POOL = "0x7777777777777777777777777777777777777777";
+const ATTACKER = "0x9999999999999999999999999999999999999999";
+const NFT = "0x8888888888888888888888888888888888888888";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const ZERO = "0x0000000000000000000000000000000000000000";
+
+const TRANSFER = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const APPROVAL = "0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925";
+const TRANSFER_SINGLE = "0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62";
+
+const testProfile = {
+  safeAddress: SAFE,
+  trustedContracts: {
+    [SAFE]: { label: "Treasury Safe", trustLevel: "INTERNAL", allowedSelectors: ["0x6a761202"] }
+  },
+  trustedAssets: {
+    [USDC]: { symbol: "USDC", decimals: 6 },
+    [WETH]: { symbol: "WETH", decimals: 18 }
+  }
+};
+
+const safeInterface = new Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)"
+]);
+
+function topic(address) {
+  return zeroPadValue(address, 32);
+}
+
+function word(value) {
+  return zeroPadValue(toBeHex(value), 32);
+}
+
+function transferLog(token, from, to, amount) {
+  return { address: token, topics: [TRANSFER, topic(from), topic(to)], data: word(amount) };
+}
+
+// Swap: Safe sends 1000 USDC to the pool, receives 0.42 WETH
+const SWAP_TRACE = {
+  type: "CALL",
+  from: SAFE,
+  to: ROUTER,
+  value: "0x0",
+  gasUsed: "0x1d4c0",
+  logs: [],
+  calls: [
+    {
+      type: "CALL",
+      from: ROUTER,
+      to: USDC,
+      value: "0x0",
+      logs: [
+        { address: USDC, topics: [APPROVAL, topic(SAFE), topic(ROUTER)], data: word(0) },
+        transferLog(USDC, SAFE, POOL, 1000000000n)
+      ]
+    },
+    {
+      type: "CALL",
+      from: POOL,
+      to: WETH,
+      value: "0x0",
+      logs: [transferLog(WETH, POOL, SAFE, 420000000000000000n)]
+    },
+    {
+      // Reverted frame: its transfer never happened
+      type: "CALL",
+      from: ROUTER,
+      to: USDC,
+      value: "0x0",
+      error: "execution reverted",
+      logs: [transferLog(USDC, SAFE, ATTACKER, 5n)]
+    }
+  ]
+};
+
+const OWNER_A = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const OWNER_B = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const OWNER_C = "0xcccccccccccccccccccccccccccccccccccccccc";
+
+// owners mapping (slot 2) entry of an owner
+function ownerSlot(owner) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [owner, 2]));
+}
+
+const PRESTATE_DIFF = {
+  pre: { [SAFE]: { storage: { "0x04": "0x01" } } },
+  post: { [SAFE]: { storage: { "0x04": "0x02" } } }
+};
+
+/**
+ * Start a stub JSON-RPC server; handler(method, params) returns a result or throws
+ */
+function startStub(handler) {
+  const calls = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      calls.push(request);
+      let response;
+      try {
+        response = { jsonrpc: "2.0", id: request.id, result: handler(request.method, request.params) };
+      } catch (error) {
+        response = { jsonrpc: "2.0", id: request.id, error: { code: -32601, message: error.message } };
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        calls,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function forkHandler(method, params) {
+  if (method === "debug_traceCall") {
+    return params[2].tracer === "callTracer" ? SWAP_TRACE : PRESTATE_DIFF;
+  }
+  throw new Error(`Method ${method} not supported`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n=== Fork Simulation ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Trace to balance diff
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Trace to balance diff");
+
+  const swap = buildSimulation(SWAP_TRACE, PRESTATE_DIFF, { safeAddress: SAFE, profile: testProfile });
+
+  test("ERC20 transfers become Safe balance deltas", () => {
+    assertEqual(swap.success, true, "Call succeeds");
+    assertEqual(swap.balanceChanges.length, 2, "Two assets changed");
+    assertTrue(swap.summary.includes("Safe loses 1000 USDC"), "USDC outflow in summary");
+    assertTrue(swap.summary.includes("Safe gains 0.42 WETH"), "WETH inflow in summary");
+  });
+
+  test("Reverted frames are ignored", () => {
+    assertTrue(!swap.transfers.some(t => t.to === ATTACKER), "Reverted transfer skipped");
+  });
+
+  test("Approvals by the Safe are reported", () => {
+    assertEqual(swap.approvals.length, 1, "One approval");
+    assertEqual(swap.approvals[0].spender, ROUTER, "Spender");
+    assertEqual(swap.approvals[0].amount, "0", "Allowance reset to 0");
+  });
+
+  test("Storage writes to the Safe are listed and warned", () => {
+    assertEqual(swap.storageWrites.length, 1, "One slot written");
+    assertEqual(swap.storageWrites[0].after, "0x02", "New value");
+    assertTrue(swap.warnings.length > 0, "Warns about storage writes");
+  });
+
+  test("ETH, ERC721 and ERC1155 movements are tracked", () => {
+    const trace = {
+      type: "CALL",
+      from: SAFE,
+      to: ATTACKER,
+      value: "0xde0b6b3a7640000",
+      calls: [{
+        type: "CALL",
+        from: ATTACKER,
+        to: NFT,
+        value: "0x0",
+        logs: [
+          { address: NFT, topics: [TRANSFER, topic(SAFE), topic(ATTACKER), word(7)], data: "0x" },
+          { address: NFT, topics: [TRANSFER_SINGLE, topic(ATTACKER), topic(SAFE), topic(ATTACKER)], data: word(3) + word(10).slice(2) }
+        ]
+      }]
+    };
+    const sim = buildSimulation(trace, null, { safeAddress: SAFE });
+    assertTrue(sim.summary.includes("Safe loses 1 ETH"), "ETH outflow");
+    assertTrue(sim.summary.includes(`Safe loses tokens of ${NFT} #7`), "ERC721 outflow");
+    assertTrue(sim.summary.includes(`Safe loses 10 tokens of ${NFT} #3`), "ERC1155 outflow");
+  });
+
+  test("Reverted call reports the reason", () => {
+    const sim = buildSimulation({ type: "CALL", from: SAFE, to: ROUTER, error: "execution reverted", revertReason: "STF" }, null, { safeAddress: SAFE });
+    assertEqual(sim.success, false, "Call reverts");
+    assertEqual(sim.revertReason, "STF", "Revert reason");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: JSON-RPC
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: JSON-RPC");
+
+  const fork = await startStub(forkHandler);
+  const noDebug = await startStub((method) => {
+    if (method === "eth_call") return "0x";
+    throw new Error("the method debug_traceCall does not exist");
+  });
+
+  try {
+    await asyncTest("Simulates a CALL from the Safe", async () => {
+      const sim = await simulateTransaction({ from: SAFE, to: ROUTER, data: "0x1234" }, { rpcUrl: fork.url, profile: testProfile });
+      assertEqual(sim.traceAvailable, true, "Trace used");
+      assertEqual(sim.balanceChanges.length, 2, "Balance changes");
+      const traceCall = fork.calls.find(c => c.method === "debug_traceCall");
+      assertEqual(traceCall.params[0].from, SAFE, "Call is made from the Safe");
+    });
+
+    await asyncTest("DELEGATECALL overrides the Safe's code", async () => {
+      fork.calls.length = 0;
+      const codeServer = await startStub((method, params) => {
+        if (method === "eth_getCode") return "0x6000";
+        return forkHandler(method, params);
+      });
+      try {
+        await simulateTransaction(
+          { from: ATTACKER, to: ROUTER, data: "0x", operation: 1 },
+          { rpcUrl: codeServer.url, safeAddress: SAFE }
+        );
+        const traceCall = codeServer.calls.find(c => c.method === "debug_traceCall");
+        assertEqual(traceCall.params[0].to, SAFE, "Call goes to the Safe");
+        assertEqual(traceCall.params[2].stateOverrides[SAFE].code, "0x6000", "Safe code replaced");
+      } finally {
+        await codeServer.close();
+      }
+    });
+
+    await asyncTest("Falls back to eth_call without debug namespace", async () => {
+      const sim = await simulateTransaction({ from: SAFE, to: ROUTER, data: "0x" }, { rpcUrl: noDebug.url });
+      assertEqual(sim.traceAvailable, false, "No trace");
+      assertEqual(sim.success, true, "eth_call succeeded");
+      assertTrue(sim.warnings[0].includes("debug_traceCall unavailable"), "Explains the limitation");
+    });
+
+    await asyncTest("Slots set to zero (left out of post) are reported as writes", async () => {
+      // removeOwner(prev=A, owner=B): owners[A] = C; owners[B] = 0, which diff mode omits from post
+      const removal = await startStub((method, params) => {
+        if (method !== "debug_traceCall") throw new Error(`Method ${method} not supported`);
+        return params[2].tracer === "callTracer"
+          ? { type: "CALL", from: SAFE, to: SAFE, value: "0x0", logs: [] }
+          : {
+            pre: { [SAFE]: { storage: { [ownerSlot(OWNER_A)]: word(OWNER_B), [ownerSlot(OWNER_B)]: word(OWNER_C) } } },
+            post: { [SAFE]: { storage: { [ownerSlot(OWNER_A)]: word(OWNER_C) } } }
+          };
+      });
+      try {
+        const sim = await simulateTransaction({ from: SAFE, to: SAFE, data: "0x" }, { rpcUrl: removal.url });
+        const cleared = sim.storageWrites.find(write => write.slot === ownerSlot(OWNER_B));
+        assertEqual(cleared.after, "0x0", "Missing post value is zero");
+        const analysis = analyzeSafeStorageWrites(sim.storageWrites);
+        assertTrue(analysis.findings.includes(`Owner removed: ${OWNER_B}`), "Owner removal reported");
+      } finally {
+        await removal.close();
+      }
+    });
+
+    await asyncTest("Unreachable node is reported, not thrown", async () => {
+      const sim = await simulateTransaction({ from: SAFE, to: ROUTER, data: "0x" }, { rpcUrl: "http://127.0.0.1:1", timeoutMs: 2000 });
+      assertTrue(sim.error, "Error reported");
+    });
+
+    // ═══════════════════════════════════════════════════════════════════
+    // Test Group 3: Integration with decode()
+    // ═══════════════════════════════════════════════════════════════════
+    console.log("\nTest Group 3: Integration with decode()");
+
+    const calldata = safeInterface.encodeFunctionData("execTransaction", [
+      ROUTER, 0, "0x1234", 0, 0, 0, 0, ZERO, ZERO, "0x"
+    ]);
+
+    await asyncTest("execTransaction simulates the inner call", async () => {
+      fork.calls.length = 0;
+      const withoutSim = await decode(calldata, { offline: true, targetAddress: SAFE, profile: testProfile });
+      const result = await decode(calldata, {
+        offline: true,
+        targetAddress: SAFE,
+        profile: testProfile,
+        simulate: { rpcUrl: fork.url }
+      });
+      const traceCall = fork.calls.find(c => c.method === "debug_traceCall");
+      assertEqual(traceCall.params[0].to, ROUTER, "Inner target simulated");
+      assertEqual(traceCall.params[0].data, "0x1234", "Inner data simulated");
+      assertTrue(result.simulation.summary.includes("Safe loses 1000 USDC"), "Simulation attached");
+      assertEqual(result.effect.severity, withoutSim.effect.severity, "Effect severity unchanged");
+      assertEqual(result.headerSeverity, withoutSim.headerSeverity, "Header severity unchanged");
+    });
+
+    await asyncTest("Output includes the simulation", async () => {
+      const options = { offline: true, targetAddress: SAFE, profile: testProfile, simulate: { rpcUrl: fork.url } };
+      const human = await decodeAndFormat(calldata, options);
+      assertTrue(human.includes("SIMULATION"), "Human output has a simulation section");
+      assertTrue(human.includes("Safe gains 0.42 WETH"), "Human output lists deltas");
+      const json = JSON.parse(await decodeAndFormat(calldata, { ...options, json: true }));
+      assertEqual(json.simulation.balanceChanges[0].delta, "-1000000000", "JSON delta");
+    });
+
+    await asyncTest("No simulation without an RPC URL", async () => {
+      const result = await decode(calldata, { offline: true, targetAddress: SAFE, profile: testProfile });
+      assertEqual(result.simulation, undefined, "No simulation block");
+    });
+  } finally {
+    await fork.close();
+    await noDebug.close();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for token amount humanization
+ *
+ * Tests verify that:
+ * 1. Tokens resolve from trustedAssets first, then the bundled token list
+ * 2. Raw amounts are formatted in token units with thousands separators
+ * 3. Amount parameters are tied to the right token (target, path, asset)
+ * 4. decode() shows humanized amounts in consequences, parameters, JSON and AI prompts
+ *
+ * Run with: node test/tokenList.test.js
+ */
+
+import { Interface } from "ethers";
+import {
+  resolveToken,
+  formatTokenAmount,
+  findTokenAmounts,
+  TOKEN_SOURCE
+} from "../src/tokenList.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+import { buildExplainerPrompt } from "../src/explainerPrompt.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const BASE_USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+const CUSTOM = "0x9999999999999999999999999999999999999999";
+const RECIPIENT = "0x1111111111111111111111111111111111111111";
+const UNISWAP_V2_ROUTER = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const erc20 = new Interface([
+  "function transfer(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)"
+]);
+
+const profile = {
+  safeAddress: "0x2222222222222222222222222222222222222222",
+  version: "1.0",
+  trustedContracts: {},
+  trustedAssets: {
+    [CUSTOM]: { symbol: "CSTM", decimals: 2 }
+  },
+  selectorUsageHistory: {}
+};
+
+async function runTests() {
+  console.log("\n=== Token Amount Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Resolving tokens
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Resolving tokens");
+
+  test("Bundled list resolves mainnet USDC", () => {
+    const token = resolveToken(USDC);
+    assertEqual(token.symbol, "USDC");
+    assertEqual(token.decimals, 6);
+    assertEqual(token.source, TOKEN_SOURCE.TOKEN_LIST);
+  });
+
+  test("Bundled list is per chain", () => {
+    assertEqual(resolveToken(BASE_USDC, { chainId: 1 }), null);
+    assertEqual(resolveToken(BASE_USDC, { chainId: 8453 }).symbol, "USDC");
+  });
+
+  test("trustedAssets entries resolve with the profile as source", () => {
+    const token = resolveToken(CUSTOM, { profile });
+    assertEqual(token.symbol, "CSTM");
+    assertEqual(token.source, TOKEN_SOURCE.PROFILE);
+  });
+
+  test("Unknown tokens do not resolve", () => {
+    assertEqual(resolveToken(RECIPIENT), null);
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Formatting amounts
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Formatting amounts");
+
+  test("Whole amounts get thousands separators and two decimals", () => {
+    assertEqual(formatTokenAmount(1000000000n, resolveToken(USDC)), "1,000.00 USDC");
+  });
+
+  test("Fractions are kept in full", () => {
+    assertEqual(formatTokenAmount(1n, resolveToken(USDC)), "0.000001 USDC");
+    assertEqual(formatTokenAmount(1234567890000000000n, resolveToken(WETH)), "1.23456789 WETH");
+  });
+
+  test("Maximum approvals read UNLIMITED", () => {
+    assertEqual(formatTokenAmount(MAX_UINT256, resolveToken(USDC)), "UNLIMITED USDC");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Tying amount parameters to tokens
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Tying amount parameters to tokens");
+
+  test("ERC-20 amounts are in the called token's units", () => {
+    const amounts = findTokenAmounts({ to: RECIPIENT, _value: 2500000n }, { functionName: "transfer", targetAddress: USDC });
+    assertEqual(amounts._value.display, "2.50 USDC (raw: 2500000)");
+  });
+
+  test("Swap amounts follow the path ends", () => {
+    const amounts = findTokenAmounts(
+      { amountIn: 5000000000n, amountOutMin: 1500000000000000000n, path: [USDC, WETH], to: RECIPIENT, deadline: 1n },
+      { functionName: "swapExactTokensForTokens", targetAddress: UNISWAP_V2_ROUTER }
+    );
+    assertEqual(amounts.amountIn.formatted, "5,000.00 USDC");
+    assertEqual(amounts.amountOutMin.formatted, "1.50 WETH");
+    assertEqual(amounts.deadline, undefined);
+  });
+
+  test("Amounts next to an asset parameter use that asset", () => {
+    const amounts = findTokenAmounts(
+      { asset: CUSTOM, amount: 12345n, onBehalfOf: RECIPIENT, referralCode: 0n },
+      { functionName: "supply", targetAddress: RECIPIENT, profile }
+    );
+    assertEqual(amounts.amount.formatted, "123.45 CSTM");
+    assertEqual(amounts.referralCode, undefined);
+  });
+
+  test("Amounts of unknown contracts are left raw", () => {
+    const amounts = findTokenAmounts({ to: RECIPIENT, amount: 1000n }, { functionName: "transfer", targetAddress: RECIPIENT });
+    assertEqual(Object.keys(amounts).length, 0);
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: decode() output
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: decode() output");
+
+  const transfer = erc20.encodeFunctionData("transfer", [RECIPIENT, 1000000000n]);
+
+  await asyncTest("Consequences and parameters show token units", async () => {
+    const result = await decode(transfer, { targetAddress: USDC, offline: true });
+    assertEqual(result.effect.consequences[0], "1,000.00 USDC (raw: 1000000000) will be transferred to a recipient address");
+    assertTrue(formatHumanReadable(result).includes("amount: 1,000.00 USDC (raw: 1000000000)"), "CLI parameters");
+  });
+
+  await asyncTest("JSON output adds tokenAmounts", async () => {
+    const result = await decode(transfer, { targetAddress: USDC, offline: true });
+    const json = JSON.parse(formatJSON(result));
+    assertEqual(json.parameters.amount, "1000000000");
+    assertEqual(json.tokenAmounts.amount.formatted, "1,000.00 USDC");
+    assertEqual(json.tokenAmounts.amount.decimals, 6);
+  });
+
+  await asyncTest("AI prompt parameters use token units", async () => {
+    const result = await decode(transfer, { targetAddress: USDC, offline: true });
+    const prompt = buildExplainerPrompt(result);
+    assertTrue(prompt.user.includes("amount: 1,000.00 USDC (raw: 1000000000)"), "prompt should carry the humanized amount");
+  });
+
+  await asyncTest("Limited approvals name the amount in token units", async () => {
+    const approve = erc20.encodeFunctionData("approve", [RECIPIENT, 250000000n]);
+    const result = await decode(approve, { targetAddress: USDC, offline: true });
+    assertEqual(result.effect.consequences[0], "A spender address can transfer up to 250.00 USDC (raw: 250000000) from your wallet");
+  });
+
+  await asyncTest("Without a known token the raw amount is kept", async () => {
+    const result = await decode(transfer, { offline: true });
+    assertEqual(result.tokenAmounts, undefined);
+    assertEqual(result.effect.consequences[0], "1000000000 tokens will be transferred to a recipient address");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,302 @@
+/**
+ * Tests for time-bounded trust profile entries (validFrom/expiresAt)
+ *
+ * Tests verify that:
+ * 1. Validity windows are validated on contracts, selectorValidity and
+ *    trustedDelegateCalls entries when a profile is loaded
+ * 2. Windows are evaluated at an injected time (options.now)
+ * 3. A contract outside its window is WATCHED, with a warning saying when
+ *    trust lapsed; a lapsed selector is NOT_ALLOWED; a lapsed
+ *    trustedDelegateCalls entry no longer whitelists the DELEGATECALL
+ * 4. decode() threads the time through single calls and batch sub-calls
+ *
+ * Run with: node test/trustValidity.test.js
+ */
+
+import { Interface } from "ethers";
+import { writeFileSync, mkdtempSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { loadProfile, checkValidity, resolveNow, isCodeDelegationAllowed, VALIDITY_STATUS } from "../src/trustProfile.js";
+import {
+  classifyContract,
+  getTrustContext,
+  canInterpretSelector,
+  CONTRACT_CLASSIFICATION,
+  SELECTOR_CLASSIFICATION,
+  DELEGATECALL_CLASSIFICATION
+} from "../src/trustClassifier.js";
+import { analyzeCodeDelegation } from "../src/effectAnalyzer.js";
+import { decode } from "../src/index.js";
+import { formatHumanReadable, formatJSON } from "../src/formatter.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const POOL = "0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2";
+const CAMPAIGN = "0x2222222222222222222222222222222222222222";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const MULTISEND = "0x40a2accbd92bca938b02010e17a5b8929b49130d";
+
+const WITHDRAW = "0x69328dec";
+const SUPPLY = "0x617ba037";
+const MULTISEND_SELECTOR = "0x8d80ff0a";
+
+// Fixed evaluation times around the windows below
+const BEFORE = "2026-01-01T00:00:00Z";
+const DURING = "2026-03-01T00:00:00Z";
+const AFTER = "2026-06-01T00:00:00Z";
+
+const iface = new Interface([
+  "function withdraw(address asset, uint256 amount, address to)",
+  "function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)",
+  "function multiSend(bytes transactions)"
+]);
+
+const PROFILE = {
+  version: "1.0",
+  safeAddress: SAFE,
+  trustedContracts: {
+    [POOL]: {
+      label: "Aave V3 Pool",
+      trustLevel: "PROTOCOL",
+      allowedSelectors: [WITHDRAW, SUPPLY],
+      selectorValidity: {
+        [SUPPLY]: { expiresAt: "2026-04-01T00:00:00Z" }
+      }
+    },
+    [CAMPAIGN]: {
+      label: "Spring Campaign",
+      trustLevel: "PARTNER",
+      allowedSelectors: "*",
+      validFrom: "2026-02-01T00:00:00Z",
+      expiresAt: "2026-04-01T00:00:00Z"
+    },
+    [MULTISEND]: { label: "MultiSend", trustLevel: "INTERNAL", allowedSelectors: "*" }
+  },
+  trustedDelegateCalls: {
+    [MULTISEND]: { allowedSelectors: [MULTISEND_SELECTOR], expiresAt: "2026-04-01T00:00:00Z" }
+  }
+};
+
+const withdraw = () => iface.encodeFunctionData("withdraw", [USDC, 5n, SAFE]);
+const supply = () => iface.encodeFunctionData("supply", [USDC, 5n, SAFE, 0]);
+
+function encodeMultiSend(calls) {
+  const packed = calls.map(({ to, data }) => {
+    const body = data.slice(2);
+    return "00" + to.slice(2).toLowerCase() + "0".repeat(64) +
+      (body.length / 2).toString(16).padStart(64, "0") + body;
+  }).join("");
+  return iface.encodeFunctionData("multiSend", ["0x" + packed]);
+}
+
+/**
+ * Load a profile from a temporary file, as the CLI does
+ */
+function loadFromFile(profile) {
+  const dir = mkdtempSync(join(tmpdir(), "signguard-validity-"));
+  try {
+    const path = join(dir, "profile.json");
+    writeFileSync(path, JSON.stringify(profile));
+    return loadProfile(path);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function runTests() {
+  console.log("\n=== Trust Validity Window Tests ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Profile validation
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Profile validation");
+
+  test("A profile with validity windows loads with normalized selectorValidity keys", () => {
+    const profile = loadFromFile({
+      ...PROFILE,
+      trustedContracts: {
+        ...PROFILE.trustedContracts,
+        [POOL]: { ...PROFILE.trustedContracts[POOL], selectorValidity: { "0x617BA037": { expiresAt: "2026-04-01" } } }
+      }
+    });
+    assertEqual(profile.error, undefined, "no error");
+    assertEqual(profile.trustedContracts[POOL].selectorValidity[SUPPLY].expiresAt, "2026-04-01", "selector key");
+    assertEqual(profile.trustedContracts[CAMPAIGN].expiresAt, "2026-04-01T00:00:00Z", "contract window kept");
+  });
+
+  test("Bad dates and reversed windows are load errors", () => {
+    const withContract = (config) => loadFromFile({
+      ...PROFILE,
+      trustedContracts: { [CAMPAIGN]: { ...PROFILE.trustedContracts[CAMPAIGN], ...config } }
+    });
+    assertTrue(withContract({ expiresAt: "next spring" }).error.includes("expiresAt must be an ISO 8601 date"), "date");
+    assertTrue(withContract({ validFrom: "2026-05-01" }).error.includes("validFrom must be before expiresAt"), "reversed");
+    assertTrue(withContract({ selectorValidity: { [SUPPLY]: { validFrom: 20260101 } } }).error.includes("validFrom must be an ISO 8601 date"), "selector");
+    const delegate = loadFromFile({
+      ...PROFILE,
+      trustedDelegateCalls: { [MULTISEND]: { allowedSelectors: [MULTISEND_SELECTOR], expiresAt: "soon" } }
+    });
+    assertTrue(delegate.error.includes("trustedDelegateCalls"), "delegatecall");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Injectable clock
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Injectable clock");
+
+  test("checkValidity evaluates a window at the given time", () => {
+    const window = PROFILE.trustedContracts[CAMPAIGN];
+    assertEqual(checkValidity(window, BEFORE).status, VALIDITY_STATUS.NOT_YET_VALID, "before");
+    assertEqual(checkValidity(window, new Date(DURING)).status, VALIDITY_STATUS.ACTIVE, "during (Date)");
+    assertEqual(checkValidity(window, Date.parse(AFTER)).status, VALIDITY_STATUS.EXPIRED, "after (ms)");
+    assertEqual(checkValidity(window, window.expiresAt).status, VALIDITY_STATUS.EXPIRED, "expiresAt is exclusive");
+    assertEqual(checkValidity(undefined, AFTER).status, VALIDITY_STATUS.ACTIVE, "no window");
+    assertEqual(checkValidity(window, AFTER).description, "trust expired on 2026-04-01T00:00:00Z", "description");
+  });
+
+  test("resolveNow rejects an unparseable time and defaults to the system clock", () => {
+    let threw = false;
+    try {
+      resolveNow("not a date");
+    } catch (error) {
+      threw = error.message.includes("Invalid evaluation time");
+    }
+    assertTrue(threw, "throws");
+    assertTrue(Math.abs(resolveNow() - Date.now()) < 1000, "default");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Classification
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Classification");
+
+  test("An expired contract is WATCHED with a warning saying when trust lapsed", () => {
+    assertEqual(classifyContract(CAMPAIGN, PROFILE, { now: DURING }).classification, CONTRACT_CLASSIFICATION.TRUSTED, "during");
+    const expired = classifyContract(CAMPAIGN, PROFILE, { now: AFTER });
+    assertEqual(expired.classification, CONTRACT_CLASSIFICATION.WATCHED, "after");
+    assertEqual(expired.validity.status, VALIDITY_STATUS.EXPIRED, "validity");
+
+    const context = getTrustContext(CAMPAIGN, WITHDRAW, PROFILE, { now: AFTER });
+    assertEqual(context.validity.expiresAt, "2026-04-01T00:00:00Z", "context validity");
+    assertTrue(context.warnings.includes("Trust in this contract expired on 2026-04-01T00:00:00Z - treated as WATCHED"), "warning");
+    assertEqual(canInterpretSelector(context), false, "not interpreted");
+  });
+
+  test("A contract before its validFrom is WATCHED until trust starts", () => {
+    const context = getTrustContext(CAMPAIGN, WITHDRAW, PROFILE, { now: BEFORE });
+    assertEqual(context.contractClassification, CONTRACT_CLASSIFICATION.WATCHED, "watched");
+    assertTrue(context.warnings[0].includes("does not start until 2026-02-01T00:00:00Z"), "warning");
+  });
+
+  test("A lapsed selectorValidity window makes only that selector NOT_ALLOWED", () => {
+    const supplyContext = getTrustContext(POOL, SUPPLY, PROFILE, { now: AFTER });
+    assertEqual(supplyContext.contractClassification, CONTRACT_CLASSIFICATION.TRUSTED, "contract still trusted");
+    assertEqual(supplyContext.selectorClassification, SELECTOR_CLASSIFICATION.NOT_ALLOWED, "selector");
+    assertTrue(supplyContext.warnings.includes("Trust in this function expired on 2026-04-01T00:00:00Z - it is no longer allowed"), "warning");
+    assertEqual(getTrustContext(POOL, SUPPLY, PROFILE, { now: DURING }).selectorClassification, SELECTOR_CLASSIFICATION.NEVER_USED, "during");
+    assertEqual(getTrustContext(POOL, WITHDRAW, PROFILE, { now: AFTER }).selectorClassification, SELECTOR_CLASSIFICATION.NEVER_USED, "other selector");
+  });
+
+  test("A lapsed trustedDelegateCalls entry no longer whitelists the delegate", () => {
+    const during = getTrustContext(MULTISEND, MULTISEND_SELECTOR, PROFILE, { operation: 1, now: DURING });
+    assertEqual(during.delegatecallContext.classification, DELEGATECALL_CLASSIFICATION.TRUSTED, "during");
+    const after = getTrustContext(MULTISEND, MULTISEND_SELECTOR, PROFILE, { operation: 1, now: AFTER });
+    assertEqual(after.delegatecallContext.classification, DELEGATECALL_CLASSIFICATION.NOT_TRUSTED, "after");
+    assertEqual(after.delegatecallContext.reason, "DELEGATECALL_EXPIRED", "reason");
+    assertTrue(after.delegatecallContext.warnings.some(w => w.includes("expired on 2026-04-01T00:00:00Z")), "warning");
+
+    assertEqual(isCodeDelegationAllowed(MULTISEND, PROFILE, { now: AFTER }).reason, "DELEGATECALL_EXPIRED", "code delegation");
+    const delegation = analyzeCodeDelegation([{ chainId: 1, address: MULTISEND, nonce: 0 }], { profile: PROFILE, chainId: 1, now: AFTER });
+    assertEqual(delegation.authorizations[0].trusted, false, "EIP-7702 delegate");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: decode()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: decode()");
+
+  await asyncTest("decode() blocks interpretation of an expired contract at the given time", async () => {
+    const during = await decode(withdraw(), { targetAddress: CAMPAIGN, offline: true, profile: PROFILE, now: DURING });
+    assertTrue(!during.trustBlocked, "during");
+
+    const after = await decode(withdraw(), { targetAddress: CAMPAIGN, offline: true, profile: PROFILE, now: AFTER });
+    after.targetAddress = CAMPAIGN;
+    assertEqual(after.trustBlocked, true, "after");
+    assertEqual(after.headerSeverity, "UNKNOWN", "header");
+    assertTrue(formatHumanReadable(after).includes("Status: IN TRUST PROFILE (Spring Campaign) - TRUST EXPIRED 2026-04-01T00:00:00Z"), "CLI");
+    const json = JSON.parse(formatJSON(after));
+    assertEqual(json.trustProfile.contract.validity.status, VALIDITY_STATUS.EXPIRED, "JSON");
+  });
+
+  await asyncTest("Batch sub-calls and DELEGATECALLs are evaluated at the given time", async () => {
+    const data = encodeMultiSend([
+      { to: POOL, data: withdraw() },
+      { to: POOL, data: supply() }
+    ]);
+    const during = await decode(data, { targetAddress: MULTISEND, offline: true, profile: PROFILE, operation: 1, now: DURING });
+    assertEqual(during.batchInfo.calls[1].analysis.trustBlocked, false, "supply during");
+    assertTrue(during.headerSeverity !== "CRITICAL", "header during");
+
+    const after = await decode(data, { targetAddress: MULTISEND, offline: true, profile: PROFILE, operation: 1, now: AFTER });
+    const [first, second] = after.batchInfo.calls;
+    assertEqual(first.analysis.trustBlocked, false, "withdraw after");
+    assertEqual(second.analysis.trustBlocked, true, "supply after");
+    assertEqual(after.trustContext.delegatecallContext.reason, "DELEGATECALL_EXPIRED", "delegatecall");
+    assertEqual(after.headerSeverity, "CRITICAL", "header after");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,323 @@
+/**
+ * Tests for Safe Transaction Builder JSON import and export
+ *
+ * Tests verify that:
+ * 1. Transaction Builder files parse into batch calls (empty data is encoded from the inputs)
+ * 2. contractMethod/contractInputsValues are cross-checked against data
+ * 3. Exported files carry a checksum that round-trips; edited files are detected
+ * 4. decodeTxBuilder() analyzes each transaction and flags mismatches CRITICAL
+ *
+ * Run with: node test/txBuilder.test.js
+ */
+
+import { Interface } from "ethers";
+import {
+  parseTxBuilderFile,
+  buildTxBuilderFile,
+  calculateTxBuilderChecksum,
+  INPUTS_CHECK
+} from "../src/txBuilder.js";
+import { decodeTxBuilder, decodeTxBuilderAndFormat } from "../src/index.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const TOKEN = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const SPENDER = "0x2222222222222222222222222222222222222222";
+const ATTACKER = "0x6666666666666666666666666666666666666666";
+
+const erc20Interface = new Interface([
+  "function approve(address spender, uint256 amount)",
+  "function transfer(address to, uint256 amount)"
+]);
+
+const APPROVE_METHOD = {
+  inputs: [
+    { internalType: "address", name: "spender", type: "address" },
+    { internalType: "uint256", name: "amount", type: "uint256" }
+  ],
+  name: "approve",
+  payable: false
+};
+
+function approveTx({ data = null, spender = SPENDER, amount = "1000" } = {}) {
+  return {
+    to: TOKEN,
+    value: "0",
+    data,
+    contractMethod: APPROVE_METHOD,
+    contractInputsValues: { spender, amount }
+  };
+}
+
+function batchFile(transactions, chainId = "1") {
+  return {
+    version: "1.0",
+    chainId,
+    createdAt: 1700000000000,
+    meta: {
+      name: "Treasury batch",
+      description: "",
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: SAFE,
+      createdFromOwnerAddress: ""
+    },
+    transactions
+  };
+}
+
+const profile = {
+  safeAddress: SAFE,
+  trustedContracts: {
+    [TOKEN]: { label: "USDC", trustLevel: "PROTOCOL", allowedSelectors: [] }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("Transaction Builder Import/Export Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: File parsing
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: File parsing");
+
+  test("Parses file details and calls", () => {
+    const batch = parseTxBuilderFile(JSON.stringify(batchFile([approveTx(), { to: SPENDER, value: "5", data: null }], "137")));
+    assertEqual(batch.batchType, "TX_BUILDER", "Batch type");
+    assertEqual(batch.callCount, 2, "Call count");
+    assertEqual(batch.chainId, 137, "Chain ID");
+    assertEqual(batch.meta.safeAddress, SAFE, "Safe address");
+    assertEqual(batch.calls[1].valueWei, "5", "ETH value");
+    assertEqual(batch.calls[1].data, "0x", "Plain transfer");
+    assertEqual(batch.calls[1].txBuilder.inputsCheck.status, INPUTS_CHECK.NOT_CHECKED, "No method to check");
+  });
+
+  test("Empty data is encoded from the declared inputs", () => {
+    const call = parseTxBuilderFile(batchFile([approveTx()])).calls[0];
+    assertEqual(call.data, erc20Interface.encodeFunctionData("approve", [SPENDER, 1000n]), "Encoded data");
+    assertEqual(call.txBuilder.inputsCheck.status, INPUTS_CHECK.ENCODED, "Status");
+    assertEqual(call.txBuilder.signature, "approve(address,uint256)", "Signature");
+  });
+
+  test("Arrays, tuples and booleans use the Transaction Builder value format", () => {
+    const method = {
+      name: "configure",
+      payable: false,
+      inputs: [
+        { name: "targets", type: "address[]" },
+        { name: "enabled", type: "bool" },
+        { name: "limits", type: "tuple", components: [{ name: "max", type: "uint256" }, { name: "to", type: "address" }] }
+      ]
+    };
+    const call = parseTxBuilderFile(batchFile([{
+      to: TOKEN,
+      value: "0",
+      data: null,
+      contractMethod: method,
+      contractInputsValues: { targets: `["${SPENDER}","${ATTACKER}"]`, enabled: "true", limits: `["7","${SPENDER}"]` }
+    }])).calls[0];
+    const expected = new Interface(["function configure(address[] targets, bool enabled, (uint256 max, address to) limits)"])
+      .encodeFunctionData("configure", [[SPENDER, ATTACKER], true, [7n, SPENDER]]);
+    assertEqual(call.data, expected, "Encoded data");
+  });
+
+  test("Rejects malformed files", () => {
+    const cases = [
+      ["not json", "JSON"],
+      [{ transactions: [] }, "non-empty"],
+      [batchFile([{ to: "0x1234", value: "0", data: null }]), "\"to\""],
+      [batchFile([{ to: TOKEN, value: "-1", data: null }]), "negative"],
+      [batchFile([{ to: TOKEN, value: "0", data: "0xzz" }]), "invalid data"]
+    ];
+    for (const [file, fragment] of cases) {
+      let message = null;
+      try {
+        parseTxBuilderFile(file);
+      } catch (error) {
+        message = error.message;
+      }
+      assertTrue(message && message.startsWith("Invalid Transaction Builder file") && message.includes(fragment), `Rejected (${fragment})`);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Declared inputs vs data
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Declared inputs vs data");
+
+  test("Data encoding the declared inputs matches", () => {
+    const data = erc20Interface.encodeFunctionData("approve", [SPENDER, 1000n]);
+    const call = parseTxBuilderFile(batchFile([approveTx({ data })])).calls[0];
+    assertEqual(call.txBuilder.inputsCheck.status, INPUTS_CHECK.MATCH, "Status");
+  });
+
+  test("Different values are listed per input", () => {
+    const data = erc20Interface.encodeFunctionData("approve", [ATTACKER, 1000n]);
+    const check = parseTxBuilderFile(batchFile([approveTx({ data })])).calls[0].txBuilder.inputsCheck;
+    assertEqual(check.status, INPUTS_CHECK.MISMATCH, "Status");
+    assertEqual(check.mismatches.length, 1, "One mismatching input");
+    assertEqual(check.mismatches[0].name, "spender", "Input name");
+    assertEqual(check.mismatches[0].actual.toLowerCase(), ATTACKER, "Actual value");
+  });
+
+  test("Data calling another function is a mismatch", () => {
+    const data = erc20Interface.encodeFunctionData("transfer", [ATTACKER, 1000n]);
+    const check = parseTxBuilderFile(batchFile([approveTx({ data })])).calls[0].txBuilder.inputsCheck;
+    assertEqual(check.status, INPUTS_CHECK.MISMATCH, "Status");
+    assertTrue(check.message.includes("0xa9059cbb"), "Actual selector named");
+  });
+
+  test("Inputs that cannot be encoded are reported", () => {
+    const tx = approveTx({ data: erc20Interface.encodeFunctionData("approve", [SPENDER, 1000n]) });
+    delete tx.contractInputsValues.amount;
+    const check = parseTxBuilderFile(batchFile([tx])).calls[0].txBuilder.inputsCheck;
+    assertEqual(check.status, INPUTS_CHECK.INVALID_INPUTS, "Status");
+    assertTrue(check.message.includes("amount"), "Missing input named");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Export and checksum
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Export and checksum");
+
+  test("Exported files round-trip with a valid checksum", () => {
+    const data = erc20Interface.encodeFunctionData("transfer", [SPENDER, 1n]);
+    const file = buildTxBuilderFile([{ to: TOKEN, valueWei: "0", data }], { chainId: 1, safeAddress: SAFE, createdAt: 1 });
+    assertEqual(file.chainId, "1", "Chain ID as string");
+    assertEqual(file.transactions[0].contractMethod, null, "Raw data entry");
+    assertEqual(file.meta.checksum, calculateTxBuilderChecksum(file), "Checksum stored");
+
+    const parsed = parseTxBuilderFile(JSON.stringify(file));
+    assertTrue(parsed.checksum.present && parsed.checksum.valid, "Checksum valid");
+    assertEqual(parsed.calls[0].data, data, "Data preserved");
+  });
+
+  test("Renaming keeps the checksum valid, editing a transaction breaks it", () => {
+    const file = buildTxBuilderFile([{ to: TOKEN, valueWei: "0", data: "0x" }], { chainId: 1 });
+    const renamed = { ...file, meta: { ...file.meta, name: "Renamed" } };
+    assertTrue(parseTxBuilderFile(renamed).checksum.valid, "Name is not covered by the checksum");
+    const edited = { ...file, transactions: [{ ...file.transactions[0], to: ATTACKER }] };
+    assertEqual(parseTxBuilderFile(edited).checksum.valid, false, "Edited file detected");
+  });
+
+  test("DELEGATECALL calls cannot be exported", () => {
+    let message = null;
+    try {
+      buildTxBuilderFile([{ to: TOKEN, valueWei: "0", data: "0x", operation: 1 }], { chainId: 1 });
+    } catch (error) {
+      message = error.message;
+    }
+    assertTrue(message && message.includes("DELEGATECALL"), "Rejected");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: decodeTxBuilder()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: decodeTxBuilder()");
+
+  await asyncTest("Each transaction is analyzed; mismatches are CRITICAL", async () => {
+    const bad = erc20Interface.encodeFunctionData("approve", [ATTACKER, 1000n]);
+    const result = await decodeTxBuilder(batchFile([approveTx(), approveTx({ data: bad })]), { profile });
+    assertTrue(result.isTxBuilder, "Tx Builder result");
+    assertEqual(result.chainId, 1, "Chain from file");
+    assertEqual(result.safeAddress, SAFE, "Safe from file");
+    const [good, tampered] = result.batchInfo.calls;
+    assertEqual(good.analysis.functionName, "approve", "Call decoded");
+    assertTrue(good.analysis.severity !== "CRITICAL", "Matching entry is not CRITICAL");
+    assertEqual(tampered.analysis.severity, "CRITICAL", "Mismatching entry");
+    assertEqual(tampered.analysis.txBuilderWarnings.length, 1, "Mismatch warning");
+    assertEqual(result.txBuilder.mismatchCount, 1, "Mismatch count");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+  });
+
+  await asyncTest("chainId option must agree with the file", async () => {
+    let message = null;
+    try {
+      await decodeTxBuilder(batchFile([approveTx()], "137"), { chainId: 1 });
+    } catch (error) {
+      message = error.message;
+    }
+    assertTrue(message && message.includes("Chain mismatch"), "Rejected");
+    const result = await decodeTxBuilder(batchFile([approveTx()], "137"), { chainId: "polygon" });
+    assertEqual(result.chainId, 137, "Chain by name");
+  });
+
+  await asyncTest("Formatted output shows the file and the mismatching input", async () => {
+    const bad = erc20Interface.encodeFunctionData("approve", [ATTACKER, 1000n]);
+    const file = batchFile([approveTx({ data: bad })]);
+    const text = await decodeTxBuilderAndFormat(file, {});
+    assertTrue(text.includes("SAFE TRANSACTION BUILDER FILE"), "Header");
+    assertTrue(text.includes("Name: Treasury batch"), "Name");
+    assertTrue(text.includes("Declared: approve(address,uint256) (inputs MISMATCH)"), "Declared method");
+    assertTrue(text.includes("spender: declared"), "Mismatching input");
+
+    const json = JSON.parse(await decodeTxBuilderAndFormat(file, { json: true }));
+    assertTrue(json.isTxBuilder, "JSON flag");
+    assertEqual(json.batchInfo.calls[0].txBuilder.inputsCheck.status, "MISMATCH", "Check in JSON");
+    assertEqual(json.batchInfo.calls[0].analysis.severity, "CRITICAL", "Severity in JSON");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
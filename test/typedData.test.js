@@ -0,0 +1,440 @@
+/**
+ * Tests for EIP-712 typed-data signing analysis
+ *
+ * Tests verify that:
+ * 1. Permit2, EIP-2612, Seaport and CowSwap payloads are recognized
+ * 2. The spender or verifying contract is classified against the trust profile
+ * 3. Proceeds or offers leaving the Safe are CRITICAL
+ * 4. Unrecognized payloads are UNKNOWN, never guessed
+ * 5. Human and JSON output include the typed-data analysis
+ *
+ * Run with: node test/typedData.test.js
+ */
+
+import { decodeTypedData, TYPED_DATA_TYPE } from "../src/typedData.js";
+import { decodeTypedDataAndFormat } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+function assertFalse(value, message) {
+  if (value) {
+    throw new Error(`${message}: expected falsy value, got ${value}`);
+  }
+}
+
+function assertThrows(fn, message) {
+  try {
+    fn();
+  } catch {
+    return;
+  }
+  throw new Error(`${message}: expected an error to be thrown`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SAFE = "0x1234567890123456789012345678901234567890";
+const ATTACKER = "0x9999999999999999999999999999999999999999";
+const ROUTER = "0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const DAI = "0x6b175474e89094c44da98b954eedeac495271d0f";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const NFT = "0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d";
+const PERMIT2 = "0x000000000022d473030f116ddee9f6b43ac78ba3";
+const SEAPORT = "0x0000000000000068f116a894984e2db1123eb395";
+const COWSWAP = "0x9008d19f58aabd9ed0d60971565aa8510560ab41";
+const MAX_UINT160 = ((1n << 160n) - 1n).toString();
+
+const testProfile = {
+  safeAddress: SAFE,
+  trustedContracts: {
+    [ROUTER]: { label: "Uniswap Universal Router", trustLevel: "PROTOCOL" },
+    [COWSWAP]: { label: "CowSwap Settlement", trustLevel: "PROTOCOL" }
+  },
+  trustedAssets: {
+    [USDC]: { symbol: "USDC", decimals: 6 },
+    [WETH]: { symbol: "WETH", decimals: 18 }
+  }
+};
+
+const EIP712_DOMAIN = [
+  { name: "name", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" }
+];
+
+function permitSingle(spender, amount = "1000000") {
+  return {
+    types: {
+      EIP712Domain: EIP712_DOMAIN,
+      PermitSingle: [
+        { name: "details", type: "PermitDetails" },
+        { name: "spender", type: "address" },
+        { name: "sigDeadline", type: "uint256" }
+      ],
+      PermitDetails: [
+        { name: "token", type: "address" },
+        { name: "amount", type: "uint160" },
+        { name: "expiration", type: "uint48" },
+        { name: "nonce", type: "uint48" }
+      ]
+    },
+    domain: { name: "Permit2", chainId: 1, verifyingContract: PERMIT2 },
+    primaryType: "PermitSingle",
+    message: {
+      details: { token: USDC, amount, expiration: "1800000000", nonce: "0" },
+      spender,
+      sigDeadline: "1800000000"
+    }
+  };
+}
+
+function erc2612Permit(spender, value) {
+  return {
+    types: {
+      EIP712Domain: [{ name: "name", type: "string" }, { name: "version", type: "string" }, ...EIP712_DOMAIN.slice(1)],
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    domain: { name: "USD Coin", version: "2", chainId: 1, verifyingContract: USDC },
+    primaryType: "Permit",
+    message: { owner: SAFE, spender, value, nonce: "0", deadline: "1800000000" }
+  };
+}
+
+function daiPermit(spender, allowed) {
+  return {
+    types: {
+      EIP712Domain: [{ name: "name", type: "string" }, { name: "version", type: "string" }, ...EIP712_DOMAIN.slice(1)],
+      Permit: [
+        { name: "holder", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "allowed", type: "bool" }
+      ]
+    },
+    domain: { name: "Dai Stablecoin", version: "1", chainId: 1, verifyingContract: DAI },
+    primaryType: "Permit",
+    message: { holder: SAFE, spender, nonce: "0", expiry: "1800000000", allowed }
+  };
+}
+
+function seaportOrder(considerationRecipient) {
+  return {
+    types: {
+      EIP712Domain: [{ name: "name", type: "string" }, { name: "version", type: "string" }, ...EIP712_DOMAIN.slice(1)],
+      OrderComponents: [
+        { name: "offerer", type: "address" },
+        { name: "zone", type: "address" },
+        { name: "offer", type: "OfferItem[]" },
+        { name: "consideration", type: "ConsiderationItem[]" },
+        { name: "orderType", type: "uint8" },
+        { name: "startTime", type: "uint256" },
+        { name: "endTime", type: "uint256" },
+        { name: "zoneHash", type: "bytes32" },
+        { name: "salt", type: "uint256" },
+        { name: "conduitKey", type: "bytes32" },
+        { name: "counter", type: "uint256" }
+      ],
+      OfferItem: [
+        { name: "itemType", type: "uint8" },
+        { name: "token", type: "address" },
+        { name: "identifierOrCriteria", type: "uint256" },
+        { name: "startAmount", type: "uint256" },
+        { name: "endAmount", type: "uint256" }
+      ],
+      ConsiderationItem: [
+        { name: "itemType", type: "uint8" },
+        { name: "token", type: "address" },
+        { name: "identifierOrCriteria", type: "uint256" },
+        { name: "startAmount", type: "uint256" },
+        { name: "endAmount", type: "uint256" },
+        { name: "recipient", type: "address" }
+      ]
+    },
+    domain: { name: "Seaport", version: "1.6", chainId: 1, verifyingContract: SEAPORT },
+    primaryType: "OrderComponents",
+    message: {
+      offerer: SAFE,
+      zone: "0x0000000000000000000000000000000000000000",
+      offer: [{ itemType: 2, token: NFT, identifierOrCriteria: "42", startAmount: "1", endAmount: "1" }],
+      consideration: [{
+        itemType: 0,
+        token: "0x0000000000000000000000000000000000000000",
+        identifierOrCriteria: "0",
+        startAmount: "1000000000000000000",
+        endAmount: "1000000000000000000",
+        recipient: considerationRecipient
+      }],
+      orderType: 0,
+      startTime: "1700000000",
+      endTime: "1800000000",
+      zoneHash: "0x" + "00".repeat(32),
+      salt: "1",
+      conduitKey: "0x" + "00".repeat(32),
+      counter: "0"
+    }
+  };
+}
+
+function cowSwapOrder(receiver) {
+  return {
+    types: {
+      EIP712Domain: [{ name: "name", type: "string" }, { name: "version", type: "string" }, ...EIP712_DOMAIN.slice(1)],
+      Order: [
+        { name: "sellToken", type: "address" },
+        { name: "buyToken", type: "address" },
+        { name: "receiver", type: "address" },
+        { name: "sellAmount", type: "uint256" },
+        { name: "buyAmount", type: "uint256" },
+        { name: "validTo", type: "uint32" },
+        { name: "appData", type: "bytes32" },
+        { name: "feeAmount", type: "uint256" },
+        { name: "kind", type: "string" },
+        { name: "partiallyFillable", type: "bool" },
+        { name: "sellTokenBalance", type: "string" },
+        { name: "buyTokenBalance", type: "string" }
+      ]
+    },
+    domain: { name: "Gnosis Protocol", version: "v2", chainId: 1, verifyingContract: COWSWAP },
+    primaryType: "Order",
+    message: {
+      sellToken: USDC,
+      buyToken: WETH,
+      receiver,
+      sellAmount: "1000000000",
+      buyAmount: "300000000000000000",
+      validTo: 1800000000,
+      appData: "0x" + "00".repeat(32),
+      feeAmount: "0",
+      kind: "sell",
+      partiallyFillable: false,
+      sellTokenBalance: "erc20",
+      buyTokenBalance: "erc20"
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n=== EIP-712 Typed Data Analysis ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Recognition
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Recognition");
+
+  test("Permit2 PermitSingle is a PERMISSION_GRANT", () => {
+    const result = decodeTypedData(permitSingle(ROUTER));
+    assertEqual(result.typedDataType, TYPED_DATA_TYPE.PERMIT2_ALLOWANCE, "Type");
+    assertEqual(result.effect.effectType, "PERMISSION_GRANT", "Effect type");
+    assertEqual(result.params.spender, ROUTER, "Spender param");
+    assertTrue(result.flags.includes("PERMIT2_APPROVAL"), "Permit2 flag");
+    assertTrue(/^0x[0-9a-f]{64}$/.test(result.typedDataHash), "EIP-712 hash computed");
+  });
+
+  test("Unlimited Permit2 amount is flagged", () => {
+    const result = decodeTypedData(permitSingle(ROUTER, MAX_UINT160));
+    assertTrue(result.flags.includes("UNLIMITED_AMOUNT"), "Unlimited flag");
+  });
+
+  test("EIP-2612 Permit uses the verifying contract as the token", () => {
+    const result = decodeTypedData(erc2612Permit(ROUTER, "5000000"), { profile: testProfile });
+    assertEqual(result.typedDataType, TYPED_DATA_TYPE.EIP2612_PERMIT, "Type");
+    assertEqual(result.params.token, USDC, "Token param");
+    assertTrue(result.effect.consequences[0].includes("USDC"), "Token symbol from profile");
+  });
+
+  test("Seaport order and CowSwap order are ASSET_TRANSFER", () => {
+    const seaport = decodeTypedData(seaportOrder(SAFE));
+    assertEqual(seaport.typedDataType, TYPED_DATA_TYPE.SEAPORT_ORDER, "Seaport type");
+    assertEqual(seaport.effect.effectType, "ASSET_TRANSFER", "Seaport effect");
+    const cow = decodeTypedData(cowSwapOrder(SAFE));
+    assertEqual(cow.typedDataType, TYPED_DATA_TYPE.COWSWAP_ORDER, "CowSwap type");
+    assertEqual(cow.effect.effectType, "ASSET_TRANSFER", "CowSwap effect");
+  });
+
+  test("Unrecognized payload is UNKNOWN", () => {
+    const result = decodeTypedData({
+      types: { Mail: [{ name: "contents", type: "string" }] },
+      domain: { name: "Ether Mail", chainId: 1 },
+      primaryType: "Mail",
+      message: { contents: "hello" }
+    }, { profile: testProfile });
+    assertEqual(result.typedDataType, TYPED_DATA_TYPE.UNKNOWN, "Type");
+    assertEqual(result.effect.severity, "UNKNOWN", "Effect severity");
+    assertFalse(result.verified, "Not verified");
+    assertEqual(result.headerSeverity, "UNKNOWN", "Header severity");
+  });
+
+  test("Accepts JSON strings and rejects malformed payloads", () => {
+    const result = decodeTypedData(JSON.stringify(permitSingle(ROUTER)));
+    assertEqual(result.primaryType, "PermitSingle", "Parsed from string");
+    assertThrows(() => decodeTypedData("{not json"), "Invalid JSON");
+    assertThrows(() => decodeTypedData({ types: {}, message: {} }), "Missing primaryType");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Trust classification
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Trust classification");
+
+  test("No profile means no header severity", () => {
+    const result = decodeTypedData(permitSingle(ATTACKER));
+    assertEqual(result.headerSeverity, null, "Header severity");
+    assertEqual(result.effect.severity, "HIGH", "Effect severity without profile");
+  });
+
+  test("Permit to a trusted spender has LOW header", () => {
+    const result = decodeTypedData(permitSingle(ROUTER), { profile: testProfile });
+    assertEqual(result.trustContext.contractClassification, "TRUSTED", "Spender classification");
+    assertEqual(result.trustContext.label, "Uniswap Universal Router", "Spender label");
+    assertEqual(result.headerSeverity, "LOW", "Header severity");
+  });
+
+  test("Permit to an unknown spender is CRITICAL", () => {
+    const result = decodeTypedData(permitSingle(ATTACKER), { profile: testProfile });
+    assertTrue(result.flags.includes("UNTRUSTED_COUNTERPARTY"), "Untrusted flag");
+    assertEqual(result.effect.severity, "CRITICAL", "Effect severity");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+  });
+
+  test("Revoking an unknown spender's DAI allowance is LOW", () => {
+    const result = decodeTypedData(daiPermit(ATTACKER, false), { profile: testProfile });
+    assertEqual(result.effect.effectType, "PERMISSION_REVOKE", "Effect type");
+    assertEqual(result.effect.severity, "LOW", "Effect severity");
+    assertEqual(result.headerSeverity, "LOW", "Header severity");
+    const granted = decodeTypedData(daiPermit(ATTACKER, true), { profile: testProfile });
+    assertEqual(granted.headerSeverity, "CRITICAL", "Granting stays CRITICAL");
+  });
+
+  test("Denylisted spenders and recipients are CRITICAL, as in calldata", () => {
+    const profile = {
+      ...testProfile,
+      blockedAddresses: {
+        [ATTACKER]: { label: "Drainer", reason: "Reported in a phishing campaign" },
+        [ROUTER]: { label: "Compromised router" }
+      }
+    };
+    const permit = decodeTypedData(permitSingle(ATTACKER), { profile });
+    assertTrue(permit.flags.includes("BLOCKED_ADDRESS"), "Blocked flag");
+    assertEqual(permit.blockedAddresses[0].location, "param spender", "Spender location");
+    assertTrue(permit.effect.warnings.some(w => w.startsWith(`BLOCKED ADDRESS: param spender ${ATTACKER}`)), "Warning");
+
+    const trusted = decodeTypedData(permitSingle(ROUTER), { profile });
+    assertEqual(trusted.headerSeverity, "CRITICAL", "Denylist wins over a trusted spender");
+
+    const order = decodeTypedData(seaportOrder(ATTACKER), { profile });
+    assertEqual(order.blockedAddresses[0].location, "recipient", "Recipient location");
+    assertEqual(order.counterparties[0].classification, "BLOCKED", "Recipient classification");
+    assertEqual(order.effect.severity, "CRITICAL", "Effect severity");
+  });
+
+  test("Permit for another owner is noted", () => {
+    const result = decodeTypedData(erc2612Permit(ROUTER, "1"), { safeAddress: ATTACKER });
+    assertTrue(result.flags.includes("SIGNER_MISMATCH"), "Signer mismatch flag");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Orders
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Orders");
+
+  test("CowSwap proceeds to another address are CRITICAL", () => {
+    const result = decodeTypedData(cowSwapOrder(ATTACKER), { profile: testProfile });
+    assertTrue(result.flags.includes("EXTERNAL_RECIPIENT"), "External recipient flag");
+    assertEqual(result.effect.severity, "CRITICAL", "Effect severity");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+  });
+
+  test("CowSwap order to the owner through trusted settlement is LOW", () => {
+    const result = decodeTypedData(cowSwapOrder("0x0000000000000000000000000000000000000000"), { profile: testProfile });
+    assertEqual(result.flags.length, 0, "No flags expected");
+    assertEqual(result.headerSeverity, "LOW", "Header severity");
+  });
+
+  test("Seaport order paying nothing to the offerer is CRITICAL", () => {
+    const result = decodeTypedData(seaportOrder(ATTACKER), { safeAddress: SAFE });
+    assertTrue(result.flags.includes("NO_CONSIDERATION"), "No consideration flag");
+    assertEqual(result.effect.severity, "CRITICAL", "Effect severity");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: Output
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: Output");
+
+  await asyncTest("Human and JSON output describe the signature", async () => {
+    const human = await decodeTypedDataAndFormat(permitSingle(ATTACKER), { profile: testProfile });
+    assertTrue(human.includes("TYPED DATA SIGNATURE: Permit2 PermitSingle"), "Human header");
+    assertTrue(human.includes("SPENDER:"), "Spender section");
+    const json = JSON.parse(await decodeTypedDataAndFormat(permitSingle(ATTACKER), { profile: testProfile, json: true }));
+    assertEqual(json.effect.type, "PERMISSION_GRANT", "JSON effect type");
+    assertEqual(json.trustProfile.counterparty.address, ATTACKER, "JSON counterparty");
+    assertEqual(json.headerSeverity, "CRITICAL", "JSON header severity");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for Universal Router / Permit2 command decoding
+ *
+ * Tests verify that:
+ * 1. The command byte string is split into one effect per command
+ * 2. Permit2 approvals are always flagged
+ * 3. Assets sent to an address other than the Safe are CRITICAL
+ * 4. decode() folds router commands into the effect and header severity
+ *
+ * Run with: node test/universalRouter.test.js
+ */
+
+import { AbiCoder, Interface } from "ethers";
+import { decodeRouterCommands, isUniversalRouterSelector } from "../src/universalRouter.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+function assertFalse(value, message) {
+  if (value) {
+    throw new Error(`${message}: expected falsy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+const routerInterface = new Interface([
+  "function execute(bytes commands, bytes[] inputs, uint256 deadline)"
+]);
+
+const ROUTER = "0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad";
+const SAFE = "0x1234567890123456789012345678901234567890";
+const ATTACKER = "0x9999999999999999999999999999999999999999";
+const USDC = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const WETH = "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2";
+const MSG_SENDER = "0x0000000000000000000000000000000000000001";
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+const testProfile = {
+  safeAddress: SAFE,
+  trustedContracts: {
+    [ROUTER]: {
+      label: "Uniswap Universal Router",
+      trustLevel: "PROTOCOL",
+      allowedSelectors: ["0x3593564c"]
+    }
+  },
+  trustedAssets: {
+    [USDC]: { symbol: "USDC", decimals: 6 },
+    [WETH]: { symbol: "WETH", decimals: 18 }
+  }
+};
+
+function permitInput(spender, amount = MAX_UINT160) {
+  return abiCoder.encode(
+    ["((address,uint160,uint48,uint48),address,uint256)", "bytes"],
+    [[[USDC, amount, 1800000000, 0], spender, 1800000000], "0x"]
+  );
+}
+
+function v3SwapInput(recipient, amountOutMin = 1n) {
+  const path = "0x" + USDC.slice(2) + "0001f4" + WETH.slice(2);
+  return abiCoder.encode(
+    ["address", "uint256", "uint256", "bytes", "bool"],
+    [recipient, 1000000n, amountOutMin, path, true]
+  );
+}
+
+function sweepInput(recipient) {
+  return abiCoder.encode(["address", "address", "uint256"], [WETH, recipient, 0n]);
+}
+
+function executeCalldata(commands, inputs) {
+  return routerInterface.encodeFunctionData("execute", [commands, inputs, 1800000000]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n=== Universal Router Command Decoding ===\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: Command splitting
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: Command splitting");
+
+  test("Recognizes execute selectors", () => {
+    assertTrue(isUniversalRouterSelector("0x3593564c"), "execute(bytes,bytes[],uint256)");
+    assertTrue(isUniversalRouterSelector("0x24856bc3"), "execute(bytes,bytes[])");
+    assertFalse(isUniversalRouterSelector("0x095ea7b3"), "approve is not a router call");
+  });
+
+  test("Produces one effect per command", () => {
+    const result = decodeRouterCommands("0x0a0004", [
+      permitInput(ROUTER),
+      v3SwapInput(MSG_SENDER),
+      sweepInput(SAFE)
+    ], { routerAddress: ROUTER, safeAddress: SAFE });
+
+    assertEqual(result.commands.length, 3, "Command count");
+    assertEqual(result.commands[0].name, "PERMIT2_PERMIT", "First command");
+    assertEqual(result.commands[0].effect.effectType, "PERMISSION_GRANT", "Permit effect type");
+    assertEqual(result.commands[1].name, "V3_SWAP_EXACT_IN", "Second command");
+    assertEqual(result.commands[1].effect.effectType, "ASSET_TRANSFER", "Swap effect type");
+    assertEqual(result.commands[2].name, "SWEEP", "Third command");
+  });
+
+  test("ALLOW_REVERT flag is decoded", () => {
+    const result = decodeRouterCommands("0x84", [sweepInput(SAFE)], { safeAddress: SAFE });
+    assertEqual(result.commands[0].name, "SWEEP", "Command type ignores the flag bit");
+    assertTrue(result.commands[0].allowRevert, "allowRevert should be set");
+  });
+
+  test("Unknown command is UNKNOWN, not skipped", () => {
+    const result = decodeRouterCommands("0x3f", ["0x"], { safeAddress: SAFE });
+    assertEqual(result.commands[0].effect.severity, "UNKNOWN", "Unknown command severity");
+    assertEqual(result.severity, "UNKNOWN", "Overall severity");
+  });
+
+  test("Command/input count mismatch is an error", () => {
+    const result = decodeRouterCommands("0x0004", [sweepInput(SAFE)], { safeAddress: SAFE });
+    assertTrue(result.error, "Should report an error");
+    assertEqual(result.severity, "UNKNOWN", "Mismatch severity");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Flags
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Permit2 and recipient flags");
+
+  test("Permit2 approval to the router is flagged HIGH", () => {
+    const result = decodeRouterCommands("0x0a", [permitInput(ROUTER)], { routerAddress: ROUTER, safeAddress: SAFE });
+    const command = result.commands[0];
+    assertTrue(command.flags.includes("PERMIT2_APPROVAL"), "Should be flagged as Permit2 approval");
+    assertEqual(command.effect.severity, "HIGH", "Router spender should be HIGH");
+  });
+
+  test("Permit2 approval to another spender is CRITICAL", () => {
+    const result = decodeRouterCommands("0x0a", [permitInput(ATTACKER)], { routerAddress: ROUTER, safeAddress: SAFE });
+    const command = result.commands[0];
+    assertTrue(command.flags.includes("EXTERNAL_SPENDER"), "Should flag the external spender");
+    assertEqual(command.effect.severity, "CRITICAL", "External spender should be CRITICAL");
+  });
+
+  test("Sweep to the Safe is not flagged", () => {
+    const result = decodeRouterCommands("0x04", [sweepInput(SAFE)], { routerAddress: ROUTER, safeAddress: SAFE });
+    assertEqual(result.commands[0].flags.length, 0, "No flags expected");
+  });
+
+  test("Sweep to another address is CRITICAL", () => {
+    const result = decodeRouterCommands("0x04", [sweepInput(ATTACKER)], { routerAddress: ROUTER, safeAddress: SAFE });
+    const command = result.commands[0];
+    assertTrue(command.flags.includes("EXTERNAL_RECIPIENT"), "Should flag the external recipient");
+    assertEqual(command.effect.severity, "CRITICAL", "External sweep should be CRITICAL");
+  });
+
+  test("Swap to MSG_SENDER counts as the Safe", () => {
+    const result = decodeRouterCommands("0x00", [v3SwapInput(MSG_SENDER)], { routerAddress: ROUTER, safeAddress: SAFE });
+    assertEqual(result.commands[0].flags.length, 0, "No flags expected");
+  });
+
+  test("Recipient without a known Safe address is unverified", () => {
+    const result = decodeRouterCommands("0x04", [sweepInput(ATTACKER)], { routerAddress: ROUTER });
+    assertTrue(result.commands[0].flags.includes("UNVERIFIED_RECIPIENT"), "Should flag as unverified");
+    assertEqual(result.commands[0].effect.severity, "HIGH", "Unverified recipient should be HIGH");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Integration with decode()
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Integration with decode()");
+
+  await asyncTest("Clean swap through trusted router has LOW header", async () => {
+    const calldata = executeCalldata("0x0a00", [permitInput(ROUTER), v3SwapInput(MSG_SENDER)]);
+    const result = await decode(calldata, { offline: true, targetAddress: ROUTER, profile: testProfile });
+    assertEqual(result.routerCommands.commands.length, 2, "Commands attached");
+    assertEqual(result.effect.severity, "HIGH", "Effect follows worst command (Permit2)");
+    assertEqual(result.headerSeverity, "LOW", "Header stays trust-based");
+  });
+
+  await asyncTest("Sweep outside the Safe makes header CRITICAL", async () => {
+    const calldata = executeCalldata("0x0004", [v3SwapInput(ROUTER), sweepInput(ATTACKER)]);
+    const result = await decode(calldata, { offline: true, targetAddress: ROUTER, profile: testProfile });
+    assertEqual(result.effect.severity, "CRITICAL", "Effect should be CRITICAL");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header should be CRITICAL");
+  });
+
+  await asyncTest("Output lists router commands", async () => {
+    const calldata = executeCalldata("0x0004", [v3SwapInput(ROUTER), sweepInput(ATTACKER)]);
+    const human = await decodeAndFormat(calldata, { offline: true, targetAddress: ROUTER, profile: testProfile });
+    assertTrue(human.includes("UNIVERSAL ROUTER: 2 commands"), "Human output shows router section");
+    const json = JSON.parse(await decodeAndFormat(calldata, {
+      offline: true,
+      targetAddress: ROUTER,
+      profile: testProfile,
+      json: true
+    }));
+    assertEqual(json.routerCommands.commands[1].name, "SWEEP", "JSON lists commands");
+    assertEqual(json.routerCommands.commands[1].params.recipient, ATTACKER, "JSON includes params");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
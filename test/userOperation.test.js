@@ -0,0 +1,357 @@
+/**
+ * Tests for ERC-4337 handleOps and smart-account execution decoding
+ *
+ * Tests verify that:
+ * 1. v0.7 PackedUserOperation and v0.6 UserOperation bundles unpack into one call per op
+ * 2. execute/executeBatch of common accounts (incl. ERC-7579 and Safe4337Module) expand into their calls
+ * 3. Untrusted factories and paymasters raise the op's severity
+ * 4. decode() reports handleOps as a USER_OPERATIONS batch with per-op severity
+ *
+ * Run with: node test/userOperation.test.js
+ */
+
+import { AbiCoder, Interface, concat, toBeHex, zeroPadValue } from "ethers";
+import {
+  parseHandleOps,
+  parseAccountExecution,
+  inspectUserOperation,
+  isHandleOpsCalldata,
+  isAccountExecutionCalldata
+} from "../src/userOperation.js";
+import { decode, decodeAndFormat } from "../src/index.js";
+
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected "${expected}", got "${actual}"`);
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(`${message}: expected truthy value, got ${value}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Test Data
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ENTRY_POINT_V07 = "0x0000000071727de22e5e9d8baf0edac6f37da032";
+const ENTRY_POINT_V06 = "0x5ff137d4b0fdcd49dca30c7cf57e578a026d2789";
+const ACCOUNT = "0x1111111111111111111111111111111111111111";
+const TOKEN = "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48";
+const RECIPIENT = "0x2222222222222222222222222222222222222222";
+const FACTORY = "0x3333333333333333333333333333333333333333";
+const PAYMASTER = "0x4444444444444444444444444444444444444444";
+const MODULE_TARGET = "0x5555555555555555555555555555555555555555";
+const BUNDLER = "0x6666666666666666666666666666666666666666";
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const entryPointInterface = new Interface([
+  "function handleOps((address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature)[] ops, address beneficiary)"
+]);
+const entryPointV06Interface = new Interface([
+  "function handleOps((address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)[] ops, address beneficiary)"
+]);
+const accountInterface = new Interface([
+  "function execute(address dest, uint256 value, bytes func)",
+  "function executeBatch(address[] dest, bytes[] func)",
+  "function executeBatch(address[] dest, uint256[] value, bytes[] func)",
+  "function executeBatch((address target, uint256 value, bytes data)[] calls)",
+  "function execute(bytes32 mode, bytes executionCalldata)",
+  "function executeUserOp(address to, uint256 value, bytes data, uint8 operation)"
+]);
+const erc20Interface = new Interface([
+  "function transfer(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)"
+]);
+
+const transferData = erc20Interface.encodeFunctionData("transfer", [RECIPIENT, 1000n]);
+const approveData = erc20Interface.encodeFunctionData("approve", [RECIPIENT, 1000n]);
+
+function packUint128Pair(high, low) {
+  return zeroPadValue(toBeHex((BigInt(high) << 128n) | BigInt(low)), 32);
+}
+
+function packedOp({ sender = ACCOUNT, nonce = 0n, initCode = "0x", callData = "0x", paymasterAndData = "0x" } = {}) {
+  return [
+    sender,
+    nonce,
+    initCode,
+    callData,
+    packUint128Pair(150000, 300000),
+    50000n,
+    packUint128Pair(1000000000, 30000000000),
+    paymasterAndData,
+    "0x" + "11".repeat(65)
+  ];
+}
+
+function handleOps(ops, beneficiary = BUNDLER) {
+  return entryPointInterface.encodeFunctionData("handleOps", [ops, beneficiary]);
+}
+
+function executeCalldata(target, value, data) {
+  return accountInterface.encodeFunctionData("execute(address,uint256,bytes)", [target, value, data]);
+}
+
+const profile = {
+  safeAddress: ACCOUNT,
+  trustedContracts: {
+    [ACCOUNT]: { label: "Smart Account", trustLevel: "INTERNAL", allowedSelectors: [] },
+    [TOKEN]: { label: "USDC", trustLevel: "PROTOCOL", allowedSelectors: [] },
+    [FACTORY]: { label: "Account Factory", trustLevel: "PROTOCOL", allowedSelectors: [] }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tests
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runTests() {
+  console.log("\n" + "=".repeat(60));
+  console.log("ERC-4337 UserOperation Tests");
+  console.log("=".repeat(60) + "\n");
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 1: handleOps parsing
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("Test Group 1: handleOps parsing");
+
+  test("Recognizes v0.6 and v0.7 handleOps", () => {
+    assertTrue(isHandleOpsCalldata(handleOps([packedOp()])), "v0.7 handleOps");
+    assertTrue(isHandleOpsCalldata("0x1fad948c"), "v0.6 handleOps");
+    assertTrue(!isHandleOpsCalldata(transferData), "transfer is not handleOps");
+  });
+
+  test("Unpacks v0.7 ops, gas fields, initCode and paymasterAndData", () => {
+    const paymasterAndData = concat([PAYMASTER, zeroPadValue("0x0186a0", 16), zeroPadValue("0xc350", 16), "0xdeadbeef"]);
+    const batch = parseHandleOps(handleOps([
+      packedOp({ nonce: 7n, callData: executeCalldata(TOKEN, 0n, transferData) }),
+      packedOp({ initCode: concat([FACTORY, "0x5fbfb9cf"]), paymasterAndData })
+    ]), { targetAddress: ENTRY_POINT_V07 });
+
+    assertEqual(batch.batchType, "USER_OPERATIONS", "Batch type");
+    assertEqual(batch.callCount, 2, "One call per op");
+    assertEqual(batch.entryPoint.version, "v0.7", "EntryPoint version");
+    assertTrue(batch.entryPoint.known, "Canonical EntryPoint");
+    assertEqual(batch.beneficiary, BUNDLER, "Beneficiary");
+
+    const [first, second] = batch.calls;
+    assertEqual(first.to, ACCOUNT, "Op calls its sender");
+    assertEqual(first.userOp.nonce, "7", "Nonce");
+    assertEqual(first.userOp.verificationGasLimit, "150000", "verificationGasLimit from accountGasLimits");
+    assertEqual(first.userOp.callGasLimit, "300000", "callGasLimit from accountGasLimits");
+    assertEqual(first.userOp.maxFeePerGas, "30000000000", "maxFeePerGas from gasFees");
+    assertEqual(first.userOp.factory, null, "No factory");
+    assertEqual(second.data, "0x", "Empty callData");
+    assertEqual(second.userOp.factory, FACTORY, "Factory from initCode");
+    assertEqual(second.userOp.factoryData, "0x5fbfb9cf", "Factory data");
+    assertEqual(second.userOp.paymaster.address, PAYMASTER, "Paymaster");
+    assertEqual(second.userOp.paymaster.verificationGasLimit, "100000", "Paymaster verification gas");
+    assertEqual(second.userOp.paymaster.postOpGasLimit, "50000", "Paymaster postOp gas");
+    assertEqual(second.userOp.paymaster.data, "0xdeadbeef", "Paymaster data");
+  });
+
+  test("Unpacks v0.6 UserOperations", () => {
+    const calldata = entryPointV06Interface.encodeFunctionData("handleOps", [[
+      [ACCOUNT, 1n, "0x", transferData, 1n, 2n, 3n, 4n, 5n, concat([PAYMASTER, "0x01"]), "0x"]
+    ], BUNDLER]);
+    const batch = parseHandleOps(calldata, { targetAddress: ENTRY_POINT_V06 });
+    assertEqual(batch.entryPoint.version, "v0.6", "EntryPoint version");
+    assertEqual(batch.calls[0].userOp.maxFeePerGas, "4", "maxFeePerGas");
+    assertEqual(batch.calls[0].userOp.paymaster.address, PAYMASTER, "Paymaster");
+    assertEqual(batch.calls[0].userOp.paymaster.postOpGasLimit, null, "No packed paymaster gas in v0.6");
+  });
+
+  test("Warns when handleOps is not sent to a canonical EntryPoint", () => {
+    const batch = parseHandleOps(handleOps([packedOp()]), { targetAddress: RECIPIENT });
+    assertTrue(!batch.entryPoint.known, "Unknown EntryPoint");
+    assertEqual(batch.warnings.length, 1, "Warning added");
+  });
+
+  test("Malformed handleOps is UNPARSEABLE_BATCH", () => {
+    const batch = parseHandleOps("0x765e827f" + "00".repeat(10));
+    assertEqual(batch.batchType, "UNPARSEABLE_BATCH", "Unparseable");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 2: Smart-account executions
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 2: Smart-account executions");
+
+  test("execute and executeBatch variants expand into calls", () => {
+    const single = parseAccountExecution(executeCalldata(TOKEN, 5n, transferData), { targetAddress: ACCOUNT });
+    assertEqual(single.batchType, "ACCOUNT_EXECUTION", "Batch type");
+    assertEqual(single.calls[0].to, TOKEN, "Target");
+    assertEqual(single.calls[0].valueWei, "5", "Value");
+
+    const noValue = parseAccountExecution(accountInterface.encodeFunctionData(
+      "executeBatch(address[],bytes[])", [[TOKEN, TOKEN], [transferData, approveData]]
+    ));
+    assertEqual(noValue.callCount, 2, "executeBatch(address[],bytes[])");
+    assertEqual(noValue.calls[1].data, approveData, "Second call data");
+
+    const withValue = parseAccountExecution(accountInterface.encodeFunctionData(
+      "executeBatch(address[],uint256[],bytes[])", [[RECIPIENT], [9n], ["0x"]]
+    ));
+    assertEqual(withValue.calls[0].valueWei, "9", "executeBatch(address[],uint256[],bytes[])");
+
+    const tuples = parseAccountExecution(accountInterface.encodeFunctionData(
+      "executeBatch((address,uint256,bytes)[])", [[[TOKEN, 0n, transferData]]]
+    ));
+    assertEqual(tuples.calls[0].to, TOKEN, "executeBatch((address,uint256,bytes)[])");
+  });
+
+  test("Mismatched executeBatch arrays are UNPARSEABLE_BATCH", () => {
+    const batch = parseAccountExecution(accountInterface.encodeFunctionData(
+      "executeBatch(address[],bytes[])", [[TOKEN, TOKEN], [transferData]]
+    ));
+    assertEqual(batch.batchType, "UNPARSEABLE_BATCH", "Unparseable");
+  });
+
+  test("ERC-7579 single, batch and delegatecall modes", () => {
+    const execute7579 = (mode, executionCalldata) =>
+      accountInterface.encodeFunctionData("execute(bytes32,bytes)", [mode + "00".repeat(31), executionCalldata]);
+
+    const single = parseAccountExecution(execute7579("0x00", concat([TOKEN, zeroPadValue("0x07", 32), transferData])));
+    assertEqual(single.calls[0].to, TOKEN, "Single target");
+    assertEqual(single.calls[0].valueWei, "7", "Single value");
+    assertEqual(single.calls[0].data, transferData, "Single data");
+
+    const batch = parseAccountExecution(execute7579("0x01",
+      abiCoder.encode(["(address,uint256,bytes)[]"], [[[TOKEN, 0n, transferData], [RECIPIENT, 1n, "0x"]]])
+    ));
+    assertEqual(batch.callCount, 2, "Batch calls");
+
+    const delegate = parseAccountExecution(execute7579("0xff", concat([MODULE_TARGET, "0x12345678"])));
+    assertEqual(delegate.calls[0].operationLabel, "DELEGATECALL", "Delegatecall mode");
+    assertEqual(delegate.calls[0].to, MODULE_TARGET, "Delegatecall target");
+  });
+
+  test("Safe4337Module executeUserOp keeps the operation", () => {
+    assertTrue(isAccountExecutionCalldata("0x7bb37428"), "executeUserOp recognized");
+    const batch = parseAccountExecution(accountInterface.encodeFunctionData(
+      "executeUserOp", [MODULE_TARGET, 0n, "0x12345678", 1]
+    ));
+    assertEqual(batch.calls[0].operation, 1, "DELEGATECALL");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 3: Factory and paymaster inspection
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 3: Factory and paymaster inspection");
+
+  test("Untrusted factory is HIGH, untrusted paymaster MEDIUM", () => {
+    const factoryOnly = inspectUserOperation({ factory: FACTORY, paymaster: null });
+    assertEqual(factoryOnly.severity, "HIGH", "Untrusted factory");
+    const paymasterOnly = inspectUserOperation({ factory: null, paymaster: { address: PAYMASTER, postOpGasLimit: "50000" } });
+    assertEqual(paymasterOnly.severity, "MEDIUM", "Untrusted paymaster");
+    assertTrue(paymasterOnly.warnings[0].includes("postOp"), "postOp mentioned");
+  });
+
+  test("Trusted factory only adds a note", () => {
+    const inspection = inspectUserOperation({ factory: FACTORY, paymaster: null }, { profile });
+    assertEqual(inspection.severity, "LOW", "Trusted factory");
+    assertEqual(inspection.untrusted.length, 0, "Nothing untrusted");
+    assertTrue(inspection.warnings[0].includes("Account Factory"), "Factory label");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Test Group 4: decode() integration
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\nTest Group 4: decode() integration");
+
+  await asyncTest("handleOps decodes as a batch with nested account calls", async () => {
+    const calldata = handleOps([
+      packedOp({ callData: accountInterface.encodeFunctionData(
+        "executeBatch(address[],bytes[])", [[TOKEN, TOKEN], [transferData, approveData]]
+      ) })
+    ]);
+    const result = await decode(calldata, { offline: true, targetAddress: ENTRY_POINT_V07 });
+    assertTrue(result.isBatch, "Batch detected");
+    assertEqual(result.batchInfo.batchType, "USER_OPERATIONS", "Batch type");
+    const op = result.batchInfo.calls[0];
+    assertEqual(op.analysis.functionName, "executeBatch", "Account execution decoded");
+    assertEqual(op.analysis.batchInfo.batchType, "ACCOUNT_EXECUTION", "Nested account execution");
+    assertEqual(op.analysis.batchInfo.calls[1].analysis.functionName, "approve", "Inner approve decoded");
+    assertEqual(op.analysis.batchInfo.calls[1].to, TOKEN, "Inner call targets the token");
+  });
+
+  await asyncTest("Per-op severity includes factory and paymaster", async () => {
+    const calldata = handleOps([
+      packedOp({ callData: executeCalldata(TOKEN, 0n, transferData) }),
+      packedOp({ initCode: concat([FACTORY, "0x"]), paymasterAndData: concat([PAYMASTER, zeroPadValue("0x01", 32)]) })
+    ]);
+    const result = await decode(calldata, { offline: true, targetAddress: ENTRY_POINT_V07, profile });
+    const [first, second] = result.batchInfo.calls;
+    assertEqual(second.analysis.summary, "Deploys the account, no call", "No-call op summary");
+    assertTrue(second.analysis.noCall, "No call flagged");
+    assertEqual(second.analysis.severity, "MEDIUM", "Untrusted paymaster raises the op");
+    assertEqual(second.analysis.nestedHeaderSeverity, "CRITICAL", "Untrusted paymaster is CRITICAL for the header");
+    assertEqual(first.analysis.userOpWarnings.length, 0, "No factory or paymaster on the first op");
+    assertEqual(result.headerSeverity, "CRITICAL", "Header severity");
+  });
+
+  await asyncTest("Formatted output shows EntryPoint, beneficiary and op fields", async () => {
+    const calldata = handleOps([
+      packedOp({ initCode: concat([FACTORY, "0x01"]), callData: executeCalldata(TOKEN, 0n, transferData) })
+    ]);
+    const text = await decodeAndFormat(calldata, { offline: true, targetAddress: ENTRY_POINT_V07 });
+    assertTrue(text.includes("Type: USER_OPERATIONS"), "Batch type shown");
+    assertTrue(text.includes(`Beneficiary: ${BUNDLER}`), "Beneficiary shown");
+    assertTrue(text.includes(`Factory: ${FACTORY}`), "Factory shown");
+    assertTrue(text.includes("untrusted factory"), "Factory warning shown");
+    assertTrue(text.includes("Nested ACCOUNT_EXECUTION"), "Account execution shown");
+
+    const json = JSON.parse(await decodeAndFormat(calldata, { offline: true, targetAddress: ENTRY_POINT_V07, json: true }));
+    assertEqual(json.batchInfo.entryPoint.version, "v0.7", "EntryPoint in JSON");
+    assertEqual(json.batchInfo.calls[0].userOp.factory, FACTORY, "UserOp in JSON");
+    assertEqual(json.batchInfo.calls[0].analysis.severity, "HIGH", "Op severity in JSON");
+  });
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Summary
+  // ═══════════════════════════════════════════════════════════════════
+  console.log("\n" + "=".repeat(60));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log("=".repeat(60) + "\n");
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+runTests().catch(error => {
+  console.error("Test runner error:", error);
+  process.exit(1);
+});
@@ -12,7 +12,13 @@ export default function App() {
   const [calldata, setCalldata] = useState('')
   const [targetAddress, setTargetAddress] = useState('')
   const [profile, setProfile] = useState(null)
+  const [policy, setPolicy] = useState(null) // Organization policy rules
   const [operation, setOperation] = useState(0) // 0=CALL, 1=DELEGATECALL
+  const [inputMode, setInputMode] = useState('calldata') // 'calldata' | 'rawTx' | 'typedData'
+  const [typedData, setTypedData] = useState('')
+  const [rawTx, setRawTx] = useState('')
+  const [safeTx, setSafeTx] = useState(null) // SafeTx fields from a fetched Safe transaction
+  const [chainId, setChainId] = useState(1)
 
   // AI provider state
   const [aiProvider, setAiProvider] = useState(null)
@@ -43,7 +49,12 @@ export default function App() {
     setCalldata('')
     setTargetAddress('')
     setProfile(null)
+    setPolicy(null)
     setOperation(0)
+    setTypedData('')
+    setRawTx('')
+    setSafeTx(null)
+    setChainId(1)
     reset()
   }
 
@@ -72,6 +83,8 @@ export default function App() {
               setTargetAddress={setTargetAddress}
               profile={profile}
               setProfile={setProfile}
+              policy={policy}
+              setPolicy={setPolicy}
               onAnalyze={handleAnalyze}
               isLoading={isLoading}
               onManageAbis={() => setShowAbiManager(true)}
@@ -82,6 +95,16 @@ export default function App() {
               setAiModel={setAiModel}
               operation={operation}
               setOperation={setOperation}
+              inputMode={inputMode}
+              setInputMode={setInputMode}
+              typedData={typedData}
+              setTypedData={setTypedData}
+              rawTx={rawTx}
+              setRawTx={setRawTx}
+              safeTx={safeTx}
+              setSafeTx={setSafeTx}
+              chainId={chainId}
+              setChainId={setChainId}
             />
           </div>
         </aside>
@@ -0,0 +1,60 @@
+/**
+ * AddressLookalikeCard - Addresses that imitate a known address (address poisoning)
+ *
+ * Each finding is shown next to the address it imitates. The matching first
+ * and last characters are what the attacker copied; every character that
+ * differs is highlighted.
+ */
+function HighlightedAddress({ address, other, prefix, suffix }) {
+  const hex = address.slice(2)
+  return (
+    <code className="lookalike-address">
+      0x
+      {[...hex].map((char, i) => {
+        let className = ''
+        if (char !== other[i + 2]) className = 'lookalike-diff'
+        else if (i < prefix || i >= hex.length - suffix) className = 'lookalike-affix'
+        return <span key={i} className={className}>{char}</span>
+      })}
+    </code>
+  )
+}
+
+export default function AddressLookalikeCard({ lookalikes }) {
+  if (!lookalikes || lookalikes.length === 0) return null
+
+  return (
+    <div className="lookalike-card">
+      <h4 className="card-title">Possible Address Poisoning</h4>
+      <p className="lookalike-intro">
+        These addresses share characters with addresses you know but are different addresses.
+      </p>
+
+      {lookalikes.map((finding, i) => (
+        <div key={i} className="lookalike-finding">
+          <div className="lookalike-location">{finding.location}</div>
+          <div className="lookalike-pair">
+            <div className="lookalike-side">
+              <span className="lookalike-label">In transaction</span>
+              <HighlightedAddress
+                address={finding.address}
+                other={finding.lookalike.address}
+                prefix={finding.prefix}
+                suffix={finding.suffix}
+              />
+            </div>
+            <div className="lookalike-side">
+              <span className="lookalike-label">Known: {finding.description}</span>
+              <HighlightedAddress
+                address={finding.lookalike.address}
+                other={finding.address}
+                prefix={finding.prefix}
+                suffix={finding.suffix}
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
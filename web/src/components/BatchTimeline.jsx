@@ -1,19 +1,50 @@
 import { useState } from 'react'
 import SeverityBadge from './SeverityBadge'
 
-export default function BatchTimeline({ batchInfo }) {
+const BATCH_TITLES = {
+  MULTISEND: 'Batch Transaction',
+  MULTISEND_CALL_ONLY: 'Batch Transaction',
+  MULTICALL: 'Multicall',
+  MULTICALL_AGGREGATE: 'Multicall Aggregate',
+  USER_OPERATIONS: 'ERC-4337 UserOperations',
+  ACCOUNT_EXECUTION: 'Account Execution',
+  TX_BUILDER: 'Transaction Builder Batch'
+}
+
+/**
+ * BatchTimeline - Sub-calls of a MultiSend or multicall in execution order
+ *
+ * Sub-calls that wrap further calls (nested MultiSend, multicall, smart-account
+ * execute or a Safe execTransaction) render their children as an indented tree
+ * below them. An ERC-4337 handleOps bundle shows one item per UserOperation.
+ */
+export default function BatchTimeline({ batchInfo, nested = false }) {
   const [expandedIndex, setExpandedIndex] = useState(null)
 
   if (!batchInfo || !batchInfo.calls) return null
 
-  const { calls, batchSummary, callCount } = batchInfo
+  const { calls, batchSummary, callCount, batchType, entryPoint, beneficiary, warnings } = batchInfo
+
+  if (batchType === 'UNPARSEABLE_BATCH') {
+    return (
+      <div className={`batch-timeline ${nested ? 'batch-timeline-nested' : ''}`}>
+        <div className="batch-header">
+          <h4 className="card-title">Unparseable Batch</h4>
+        </div>
+        <p className="timeline-nested-warning">
+          {batchInfo.error || 'The batch could not be decoded. Manual verification is required.'}
+        </p>
+      </div>
+    )
+  }
 
   return (
-    <div className="batch-timeline">
+    <div className={`batch-timeline ${nested ? 'batch-timeline-nested' : ''}`}>
       {/* Batch header */}
       <div className="batch-header">
         <h4 className="card-title">
-          Batch Transaction
+          {nested && 'Nested '}
+          {BATCH_TITLES[batchType] || 'Batch Transaction'}
           <span className="batch-count">{callCount} calls</span>
         </h4>
         {batchSummary && (
@@ -26,6 +57,24 @@ export default function BatchTimeline({ batchInfo }) {
         )}
       </div>
 
+      {entryPoint && (
+        <div className="batch-meta">
+          <div className="detail-row">
+            <span className="detail-label">EntryPoint</span>
+            <code className="detail-value">
+              {entryPoint.address || 'not provided'} ({entryPoint.version}{entryPoint.known ? '' : ', not canonical'})
+            </code>
+          </div>
+          <div className="detail-row">
+            <span className="detail-label">Beneficiary</span>
+            <code className="detail-value">{beneficiary}</code>
+          </div>
+        </div>
+      )}
+      {warnings?.map((warning, index) => (
+        <p key={index} className="timeline-nested-warning">{warning}</p>
+      ))}
+
       {/* Timeline */}
       <div className="timeline">
         {calls.map((call, index) => (
@@ -53,7 +102,7 @@ function SummaryBadge({ label, count, type }) {
 }
 
 function TimelineItem({ call, index, isExpanded, onToggle }) {
-  const { operationLabel, to, value, analysis } = call
+  const { operationLabel, to, value, analysis, userOp, txBuilder } = call
   const severity = analysis?.severity || 'UNKNOWN'
   const category = analysis?.category || 'UNKNOWN'
   const isDelegateCall = operationLabel === 'DELEGATECALL'
@@ -73,7 +122,7 @@ function TimelineItem({ call, index, isExpanded, onToggle }) {
             <span className="timeline-function">
               {analysis?.functionName || 'Unknown'}
             </span>
-            <code className="timeline-target">{truncateAddress(to)}</code>
+            <code className="timeline-target">{to ? truncateAddress(to) : 'called contract'}</code>
             {value && value !== '0' && (
               <span className="timeline-value">{formatEth(value)} ETH</span>
             )}
@@ -100,7 +149,7 @@ function TimelineItem({ call, index, isExpanded, onToggle }) {
             )}
             <div className="detail-row">
               <span className="detail-label">Target</span>
-              <code className="detail-value">{to}</code>
+              <code className="detail-value">{to || 'called contract (address not provided)'}</code>
             </div>
             {analysis.selector && (
               <div className="detail-row">
@@ -108,6 +157,64 @@ function TimelineItem({ call, index, isExpanded, onToggle }) {
                 <code className="detail-value">{analysis.selector}</code>
               </div>
             )}
+            {txBuilder?.signature && (
+              <div className="detail-row">
+                <span className="detail-label">Declared</span>
+                <code className="detail-value">{txBuilder.signature} (inputs {txBuilder.inputsCheck.status})</code>
+              </div>
+            )}
+            {txBuilder?.inputsCheck.mismatches.map((mismatch) => (
+              <div key={mismatch.name} className="detail-row">
+                <span className="detail-label">{mismatch.name}</span>
+                <code className="detail-value">declared {mismatch.declared}, data has {mismatch.actual}</code>
+              </div>
+            ))}
+            {userOp && (
+              <div className="detail-row">
+                <span className="detail-label">UserOp Nonce</span>
+                <code className="detail-value">{userOp.nonce}</code>
+              </div>
+            )}
+            {userOp?.factory && (
+              <div className="detail-row">
+                <span className="detail-label">Factory</span>
+                <code className="detail-value">{userOp.factory}</code>
+              </div>
+            )}
+            {userOp?.paymaster && (
+              <div className="detail-row">
+                <span className="detail-label">Paymaster</span>
+                <code className="detail-value">{userOp.paymaster.address}</code>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Denylist, allowlist, factory, paymaster, declared-input and parameter constraint findings stay visible on collapsed items */}
+        {[
+          ...(analysis?.counterpartyWarnings || []),
+          ...(analysis?.userOpWarnings || []),
+          ...(analysis?.txBuilderWarnings || []),
+          ...(analysis?.trustContext?.parameterConstraints?.violations || [])
+            .map(violation => `Parameter constraint violated: ${violation.description}`)
+        ].map((warning, index) => (
+          <p key={index} className="timeline-nested-warning">{warning}</p>
+        ))}
+
+        {/* Nested calls are always shown so nothing hides behind a collapsed row */}
+        {analysis?.nestingLimitReached && (
+          <p className="timeline-nested-warning">
+            Nested calls not decoded: depth limit reached. Review manually.
+          </p>
+        )}
+        {analysis?.batchInfo && (
+          <div className="timeline-children">
+            <BatchTimeline batchInfo={analysis.batchInfo} nested />
+          </div>
+        )}
+        {analysis?.innerTransaction && (
+          <div className="timeline-children">
+            <InnerCallNode inner={analysis.innerTransaction} />
           </div>
         )}
       </div>
@@ -115,6 +222,37 @@ function TimelineItem({ call, index, isExpanded, onToggle }) {
   )
 }
 
+function InnerCallNode({ inner }) {
+  const name = inner.functionName || (inner.isEthTransfer ? 'ETH transfer' : inner.selector || 'Unknown')
+  const severity = inner.headerSeverity || inner.effect?.severity || 'UNKNOWN'
+
+  return (
+    <div className="inner-call-node">
+      <div className="timeline-main">
+        {inner.operation === 1 && (
+          <span className="delegatecall-badge">DELEGATECALL</span>
+        )}
+        <span className="timeline-function">Inner: {name}</span>
+        <code className="timeline-target">{truncateAddress(inner.to)}</code>
+        <SeverityBadge severity={severity} size="sm" />
+      </div>
+      {inner.error && (
+        <p className="timeline-nested-warning">{inner.error}</p>
+      )}
+      {inner.isBatch && inner.batchInfo && (
+        <div className="timeline-children">
+          <BatchTimeline batchInfo={inner.batchInfo} nested />
+        </div>
+      )}
+      {inner.innerTransaction && (
+        <div className="timeline-children">
+          <InnerCallNode inner={inner.innerTransaction} />
+        </div>
+      )}
+    </div>
+  )
+}
+
 function truncateAddress(addr) {
   if (!addr || addr.length < 12) return addr
   return `${addr.slice(0, 6)}...${addr.slice(-4)}`
@@ -0,0 +1,34 @@
+// Chains with known-address tables on the backend (src/chains.js)
+const CHAINS = [
+  { id: 1, label: 'Ethereum' },
+  { id: 137, label: 'Polygon' },
+  { id: 42161, label: 'Arbitrum One' },
+  { id: 10, label: 'Optimism' },
+  { id: 8453, label: 'Base' },
+  { id: 100, label: 'Gnosis Chain' },
+  { id: 56, label: 'BNB Smart Chain' },
+  { id: 324, label: 'zkSync Era' },
+  { id: 11155111, label: 'Sepolia' }
+]
+
+export default function ChainSelect({ value, onChange }) {
+  const isListed = CHAINS.some(chain => chain.id === value)
+
+  return (
+    <div className="input-group">
+      <label className="input-label">
+        Chain <span className="input-label-hint">(labels, MultiSend and ABIs)</span>
+      </label>
+      <select
+        className="form-input form-select"
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value, 10))}
+      >
+        {CHAINS.map(chain => (
+          <option key={chain.id} value={chain.id}>{chain.label} ({chain.id})</option>
+        ))}
+        {!isListed && <option value={value}>Chain {value}</option>}
+      </select>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+/**
+ * CodeDelegationCard - EIP-7702 authorizations: which account runs which delegate's code
+ */
+export default function CodeDelegationCard({ codeDelegation }) {
+  if (!codeDelegation) return null
+
+  const critical = codeDelegation.severity === 'CRITICAL'
+
+  return (
+    <div className={`code-delegation-card ${critical ? 'code-delegation-critical' : ''}`}>
+      <h4 className="card-title">Code Delegation (EIP-7702)</h4>
+
+      {codeDelegation.authorizations.map((auth, idx) => (
+        <div key={idx} className="code-delegation-auth">
+          <code className="code-delegation-account">{auth.authority || '(invalid signature)'}</code>
+          <span className="code-delegation-arrow">→</span>
+          <code className="code-delegation-delegate">
+            {auth.revocation ? 'no code (delegation cleared)' : (auth.label ? `${auth.label} (${auth.address})` : auth.address)}
+          </code>
+          <div className="code-delegation-flags">
+            {!auth.revocation && (
+              <span className={`code-delegation-flag ${auth.trusted ? 'flag-ok' : 'flag-bad'}`}>
+                {auth.trusted ? 'Trusted delegate' : 'Not in trustedDelegateCalls'}
+              </span>
+            )}
+            <span className={`code-delegation-flag ${auth.chainAgnostic ? 'flag-bad' : ''}`}>
+              {auth.chainAgnostic ? 'All chains (chainId 0)' : `Chain ${auth.chainId}`}
+            </span>
+            <span className="code-delegation-flag">Nonce {auth.nonce}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+import SeverityBadge from './SeverityBadge'
+import TrustContextCard from './TrustContextCard'
+import EffectCard from './EffectCard'
+import ParametersCard from './ParametersCard'
+import BatchTimeline from './BatchTimeline'
+import AddressLookalikeCard from './AddressLookalikeCard'
+
+/**
+ * InnerTransactionCard - Displays the call a Safe execTransaction will execute
+ *
+ * The inner result has the same shape as a top-level decode result, so nested
+ * execTransaction calls render recursively.
+ */
+export default function InnerTransactionCard({ inner, trustedAssets }) {
+  if (!inner) return null
+
+  const isDelegatecall = inner.operation === 1
+  const title = inner.functionName || (inner.isEthTransfer ? 'ETH Transfer' : 'Unknown Function')
+
+  return (
+    <div className="inner-tx-card">
+      <div className="inner-tx-header">
+        <div className="inner-tx-title">
+          <span className="card-title">Inner Transaction (level {inner.depth})</span>
+          <span className="function-name">{title}</span>
+          {inner.signature && (
+            <span className="function-signature">{inner.signature}</span>
+          )}
+        </div>
+        {inner.headerSeverity && <SeverityBadge severity={inner.headerSeverity} />}
+      </div>
+
+      <div className="inner-tx-meta">
+        <div className="inner-tx-row">
+          <span className="inner-tx-label">Target</span>
+          <code className="inner-tx-value">{inner.to}</code>
+        </div>
+        <div className="inner-tx-row">
+          <span className="inner-tx-label">Operation</span>
+          <span className={`inner-tx-value ${isDelegatecall ? 'inner-tx-delegatecall' : ''}`}>
+            {isDelegatecall ? 'DELEGATECALL' : 'CALL'}
+          </span>
+        </div>
+        {inner.value && inner.value !== '0' && (
+          <div className="inner-tx-row">
+            <span className="inner-tx-label">Value</span>
+            <code className="inner-tx-value">{inner.value} wei</code>
+          </div>
+        )}
+      </div>
+
+      {inner.error && (
+        <p className="inner-tx-error">{inner.error}</p>
+      )}
+
+      <div className="inner-tx-body">
+        {inner.trustContext?.profileLoaded && (
+          <TrustContextCard trustContext={inner.trustContext} />
+        )}
+
+        <AddressLookalikeCard
+          lookalikes={[...(inner.addressLookalikes || []), ...(inner.batchInfo?.addressLookalikes || [])]}
+        />
+
+        {inner.params && Object.keys(inner.params).length > 0 && (
+          <ParametersCard params={inner.params} trustedAssets={trustedAssets} tokenAmounts={inner.tokenAmounts} />
+        )}
+
+        {inner.effect && <EffectCard effect={inner.effect} />}
+
+        {inner.isBatch && inner.batchInfo && (
+          <BatchTimeline batchInfo={inner.batchInfo} />
+        )}
+
+        {inner.innerTransaction && (
+          <InnerTransactionCard inner={inner.innerTransaction} trustedAssets={trustedAssets} />
+        )}
+      </div>
+    </div>
+  )
+}
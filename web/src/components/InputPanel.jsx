@@ -1,7 +1,12 @@
 import CalldataInput from './CalldataInput'
+import TypedDataInput from './TypedDataInput'
+import RawTransactionInput from './RawTransactionInput'
 import AddressInput from './AddressInput'
+import ChainSelect from './ChainSelect'
 import TransactionHashInput from './TransactionHashInput'
 import ProfileUpload from './ProfileUpload'
+import PolicyUpload from './PolicyUpload'
+import TxBuilderUpload from './TxBuilderUpload'
 import AnalyzeButton from './AnalyzeButton'
 import ManagementButtons from './ManagementButtons'
 import AIProviderSelector from './AIProviderSelector'
@@ -13,6 +18,8 @@ export default function InputPanel({
   setTargetAddress,
   profile,
   setProfile,
+  policy,
+  setPolicy,
   onAnalyze,
   isLoading,
   onManageAbis,
@@ -22,13 +29,34 @@ export default function InputPanel({
   aiModel,
   setAiModel,
   operation,
-  setOperation
+  setOperation,
+  inputMode,
+  setInputMode,
+  typedData,
+  setTypedData,
+  rawTx,
+  setRawTx,
+  safeTx,
+  setSafeTx,
+  chainId,
+  setChainId
 }) {
-  const canAnalyze = calldata.trim().length >= 10 // At least selector
+  const isTypedDataMode = inputMode === 'typedData'
+  const isRawTxMode = inputMode === 'rawTx'
+  const canAnalyze = isTypedDataMode
+    ? typedData.trim().length > 0
+    : isRawTxMode
+      ? rawTx.trim().length > 0
+      : calldata.trim().length >= 10 // At least selector
 
   const handleAnalyze = () => {
-    if (canAnalyze) {
-      onAnalyze({ calldata, targetAddress, profile, aiProvider, aiModel, operation })
+    if (!canAnalyze) return
+    if (isTypedDataMode) {
+      onAnalyze({ typedData, profile })
+    } else if (isRawTxMode) {
+      onAnalyze({ rawTx: rawTx.trim(), profile, policy, aiProvider, aiModel })
+    } else {
+      onAnalyze({ calldata, targetAddress, profile, policy, aiProvider, aiModel, operation, safeTx, chainId })
     }
   }
 
@@ -43,76 +71,133 @@ export default function InputPanel({
     if (typeof txData.operation === 'number') {
       setOperation(txData.operation)
     }
+    if (txData.chainId) {
+      setChainId(txData.chainId)
+    }
+    // Keep the SafeTx fields so the safeTxHash can be recomputed
+    setSafeTx(txData.safeTx || null)
   }
 
   return (
     <div className="input-panel">
-      {/* Transaction Hash Input (optional - auto-fills other fields) */}
-      <TransactionHashInput
-        onTransactionFetched={handleTransactionFetched}
-        isLoading={isLoading}
-      />
-
-      <div className="input-divider">
-        <span className="input-divider-text">or enter manually</span>
+      {/* Input mode: transaction calldata or an off-chain EIP-712 signature */}
+      <div className="input-mode-toggle">
+        <button
+          type="button"
+          className={`input-mode-btn ${inputMode === 'calldata' ? 'active' : ''}`}
+          onClick={() => setInputMode('calldata')}
+        >
+          Transaction
+        </button>
+        <button
+          type="button"
+          className={`input-mode-btn ${isRawTxMode ? 'active' : ''}`}
+          onClick={() => setInputMode('rawTx')}
+        >
+          Raw Tx
+        </button>
+        <button
+          type="button"
+          className={`input-mode-btn ${isTypedDataMode ? 'active' : ''}`}
+          onClick={() => setInputMode('typedData')}
+        >
+          Typed Data
+        </button>
       </div>
 
-      <CalldataInput value={calldata} onChange={setCalldata} />
-
-      <AddressInput value={targetAddress} onChange={setTargetAddress} />
-
-      {/* Safe Operation Field */}
-      <div className="input-group">
-        <label className="input-label">
-          Operation <span className="input-label-hint">(Safe execTransaction)</span>
-        </label>
-        <div className="operation-input-row">
-          <div className="operation-input-wrapper">
-            <input
-              type="number"
-              className={`operation-input ${operation === 1 ? 'delegatecall' : ''}`}
-              value={operation}
-              onChange={(e) => {
-                const val = parseInt(e.target.value, 10)
-                if (val === 0 || val === 1) {
-                  setOperation(val)
-                } else if (e.target.value === '') {
-                  setOperation(0)
-                }
-              }}
-              min="0"
-              max="1"
-              placeholder="0"
-            />
-            <span className="operation-type-label">
-              {operation === 0 ? 'CALL' : 'DELEGATECALL'}
-            </span>
+      {isTypedDataMode ? (
+        <>
+          <TypedDataInput value={typedData} onChange={setTypedData} />
+          <p className="typed-data-hint">
+            The signing Safe is taken from the trust profile's safeAddress
+          </p>
+        </>
+      ) : isRawTxMode ? (
+        <>
+          <RawTransactionInput value={rawTx} onChange={setRawTx} />
+          <p className="typed-data-hint">
+            Target, value, chain and signer are read from the transaction itself
+          </p>
+        </>
+      ) : (
+        <>
+          <ChainSelect value={chainId} onChange={setChainId} />
+
+          {/* Transaction Hash Input (optional - auto-fills other fields) */}
+          <TransactionHashInput
+            chainId={chainId}
+            onTransactionFetched={handleTransactionFetched}
+            isLoading={isLoading}
+          />
+
+          {/* Transaction Builder batch file (analyzed as soon as it is loaded) */}
+          <TxBuilderUpload
+            onImport={(txBuilderFile) => onAnalyze({ txBuilderFile, profile, policy })}
+            isLoading={isLoading}
+          />
+
+          <div className="input-divider">
+            <span className="input-divider-text">or enter manually</span>
           </div>
-          <div className="operation-quick-btns">
-            <button
-              type="button"
-              className={`operation-quick-btn ${operation === 0 ? 'active' : ''}`}
-              onClick={() => setOperation(0)}
-              title="CALL"
-            >
-              0
-            </button>
-            <button
-              type="button"
-              className={`operation-quick-btn delegatecall ${operation === 1 ? 'active' : ''}`}
-              onClick={() => setOperation(1)}
-              title="DELEGATECALL"
-            >
-              1
-            </button>
+
+          <CalldataInput value={calldata} onChange={setCalldata} />
+
+          <AddressInput value={targetAddress} onChange={setTargetAddress} />
+
+          {/* Safe Operation Field */}
+          <div className="input-group">
+            <label className="input-label">
+              Operation <span className="input-label-hint">(Safe execTransaction)</span>
+            </label>
+            <div className="operation-input-row">
+              <div className="operation-input-wrapper">
+                <input
+                  type="number"
+                  className={`operation-input ${operation === 1 ? 'delegatecall' : ''}`}
+                  value={operation}
+                  onChange={(e) => {
+                    const val = parseInt(e.target.value, 10)
+                    if (val === 0 || val === 1) {
+                      setOperation(val)
+                    } else if (e.target.value === '') {
+                      setOperation(0)
+                    }
+                  }}
+                  min="0"
+                  max="1"
+                  placeholder="0"
+                />
+                <span className="operation-type-label">
+                  {operation === 0 ? 'CALL' : 'DELEGATECALL'}
+                </span>
+              </div>
+              <div className="operation-quick-btns">
+                <button
+                  type="button"
+                  className={`operation-quick-btn ${operation === 0 ? 'active' : ''}`}
+                  onClick={() => setOperation(0)}
+                  title="CALL"
+                >
+                  0
+                </button>
+                <button
+                  type="button"
+                  className={`operation-quick-btn delegatecall ${operation === 1 ? 'active' : ''}`}
+                  onClick={() => setOperation(1)}
+                  title="DELEGATECALL"
+                >
+                  1
+                </button>
+              </div>
+            </div>
+            {operation === 1 && (
+              <p className="operation-warning">
+                DELEGATECALL (1) executes code with your Safe's full permissions
+              </p>
+            )}
           </div>
-        </div>
-        {operation === 1 && (
-          <p className="operation-warning">
-            DELEGATECALL (1) executes code with your Safe's full permissions
-          </p>
-        )}
-      </div>
+        </>
+      )}
 
       <ProfileUpload
         profile={profile}
@@ -120,6 +205,12 @@ export default function InputPanel({
         onClear={() => setProfile(null)}
       />
 
+      <PolicyUpload
+        policy={policy}
+        onUpload={setPolicy}
+        onClear={() => setPolicy(null)}
+      />
+
       <ManagementButtons
         onManageAbis={onManageAbis}
         onEditProfile={onEditProfile}
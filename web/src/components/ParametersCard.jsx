@@ -4,11 +4,12 @@
  * Features:
  * - Full addresses (no truncation)
  * - Token symbols from trustedAssets (e.g., "LINK — 0x514910...")
- * - Human-readable amounts with decimals (e.g., "100 LINK")
+ * - Human-readable amounts with decimals (e.g., "1,000.00 USDC"), from the
+ *   server's tokenAmounts (trustedAssets or the bundled token list)
  * - Raw value shown as secondary text
  */
 
-export default function ParametersCard({ params, trustedAssets }) {
+export default function ParametersCard({ params, trustedAssets, tokenAmounts }) {
   if (!params || Object.keys(params).length === 0) return null
 
   // Build token context from params (for amount formatting)
@@ -25,6 +26,7 @@ export default function ParametersCard({ params, trustedAssets }) {
             value={value}
             trustedAssets={trustedAssets}
             tokenContext={tokenContext}
+            tokenAmount={tokenAmounts?.[name]}
           />
         ))}
       </div>
@@ -92,7 +94,20 @@ function isNumericString(value) {
 /**
  * Format a single parameter row
  */
-function ParameterRow({ name, value, trustedAssets, tokenContext }) {
+function ParameterRow({ name, value, trustedAssets, tokenContext, tokenAmount }) {
+  // Amount the server tied to a known token
+  if (tokenAmount) {
+    return (
+      <div className="parameter-row parameter-amount">
+        <span className="parameter-name">{name}</span>
+        <div className="parameter-value-compound">
+          <span className="amount-formatted">{tokenAmount.formatted}</span>
+          <span className="amount-raw">raw: {tokenAmount.raw}</span>
+        </div>
+      </div>
+    )
+  }
+
   // Check if this is an address that might be a token
   if (isAddress(value)) {
     return <AddressParameter name={name} value={value} trustedAssets={trustedAssets} />
@@ -0,0 +1,43 @@
+/**
+ * PolicyCard - Organization policy rules that matched the transaction
+ *
+ * Each rule is listed with where it fired (the transaction, a batch call or
+ * the inner Safe transaction) and the conditions that made it match.
+ */
+export default function PolicyCard({ policy }) {
+  if (!policy) return null
+
+  if (policy.fired.length === 0) {
+    return (
+      <div className="policy-card policy-card-clear">
+        <h4 className="card-title">Organization Policy</h4>
+        <p className="policy-intro">{policy.rules} rule(s) evaluated, none matched.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`policy-card ${policy.blocked ? 'policy-card-blocked' : ''}`}>
+      <h4 className="card-title">{policy.blocked ? 'Blocked by Policy' : 'Organization Policy'}</h4>
+      {policy.blocked && (
+        <p className="policy-intro">Your organization's policy does not allow signing this transaction.</p>
+      )}
+
+      {policy.fired.map((rule, i) => (
+        <div key={i} className="policy-rule">
+          <div className="policy-rule-header">
+            <span className={`policy-action policy-action-${rule.action.toLowerCase()}`}>{rule.action}</span>
+            <code className="policy-rule-id">{rule.id}</code>
+            <span className="policy-location">{rule.location}</span>
+          </div>
+          {rule.description && <p className="policy-description">{rule.description}</p>}
+          <ul className="policy-reasons">
+            {rule.reasons.map((reason, j) => (
+              <li key={j}>{reason}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
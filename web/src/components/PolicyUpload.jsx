@@ -0,0 +1,48 @@
+export default function PolicyUpload({ policy, onUpload, onClear }) {
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) => {
+      try {
+        const json = JSON.parse(event.target.result)
+        if (!Array.isArray(json.rules)) {
+          alert('Policy file must have a rules array')
+          return
+        }
+        onUpload(json)
+      } catch (err) {
+        alert('Invalid JSON file')
+      }
+    }
+    reader.readAsText(file)
+    e.target.value = '' // Reset input
+  }
+
+  return (
+    <div className="input-group">
+      <label className="input-label">Organization Policy (Optional)</label>
+      {policy ? (
+        <div className="profile-loaded">
+          <span className="profile-loaded-text">
+            Policy loaded: {policy.rules.length} rule(s)
+          </span>
+          <button className="profile-clear-btn" onClick={onClear}>
+            Clear
+          </button>
+        </div>
+      ) : (
+        <label className="profile-upload-btn">
+          Upload JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+          />
+        </label>
+      )}
+    </div>
+  )
+}
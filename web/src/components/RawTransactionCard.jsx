@@ -0,0 +1,48 @@
+/**
+ * RawTransactionCard - Envelope of a raw signed transaction (who signs, where, with which fees)
+ */
+export default function RawTransactionCard({ rawTransaction: tx }) {
+  if (!tx) return null
+
+  const rows = [
+    ['Type', `${tx.typeName} (type ${tx.type})`],
+    ['From', tx.from || '(unsigned)'],
+    ['To', tx.to],
+    ['Value', `${tx.value} wei`],
+    ['Chain ID', tx.chainId ?? 'none (pre-EIP-155)'],
+    ['Nonce', tx.nonce],
+    ['Gas limit', tx.gasLimit],
+    tx.gasPrice !== null
+      ? ['Gas price', `${tx.gasPrice} wei`]
+      : ['Max fee', `${tx.maxFeePerGas} wei (priority ${tx.maxPriorityFeePerGas})`]
+  ]
+  if (tx.blobVersionedHashes) {
+    rows.push(['Blobs', `${tx.blobVersionedHashes.length} (max ${tx.maxFeePerBlobGas} wei per blob gas)`])
+  }
+  if (tx.authorizationList) {
+    rows.push(['Authorizations', `${tx.authorizationList.length} (EIP-7702)`])
+  }
+  if (tx.accessList?.length > 0) {
+    rows.push(['Access list', `${tx.accessList.length} address(es)`])
+  }
+  if (tx.hash) {
+    rows.push(['Tx hash', tx.hash])
+  }
+
+  return (
+    <div className="raw-tx-card">
+      <h4 className="card-title">Raw Transaction</h4>
+
+      {rows.map(([label, value]) => (
+        <div key={label} className="raw-tx-row">
+          <span className="raw-tx-label">{label}</span>
+          <code className="raw-tx-value">{value}</code>
+        </div>
+      ))}
+
+      {tx.warnings?.map((warning, idx) => (
+        <p key={idx} className="raw-tx-warning">⚠ {warning}</p>
+      ))}
+    </div>
+  )
+}
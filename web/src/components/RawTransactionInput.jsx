@@ -0,0 +1,25 @@
+/**
+ * RawTransactionInput - serialized signed transaction (RLP hex)
+ */
+export default function RawTransactionInput({ value, onChange }) {
+  const trimmed = value.trim()
+  const isValid = !trimmed || /^(0x)?([0-9a-fA-F]{2})+$/.test(trimmed)
+
+  return (
+    <div className="input-group">
+      <label className="input-label">
+        Raw Transaction <span className="input-label-hint">(signed RLP hex)</span>
+      </label>
+      <textarea
+        className="calldata-textarea"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="0x02f8b1..."
+        spellCheck={false}
+      />
+      {!isValid && (
+        <span className="input-error">Invalid hex</span>
+      )}
+    </div>
+  )
+}
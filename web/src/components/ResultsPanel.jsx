@@ -4,6 +4,15 @@ import AIExplanationCard from './AIExplanationCard'
 import EffectCard from './EffectCard'
 import ParametersCard from './ParametersCard'
 import BatchTimeline from './BatchTimeline'
+import InnerTransactionCard from './InnerTransactionCard'
+import SafeTxHashCard from './SafeTxHashCard'
+import SafeSignaturesCard from './SafeSignaturesCard'
+import SimulationCard from './SimulationCard'
+import RawTransactionCard from './RawTransactionCard'
+import CodeDelegationCard from './CodeDelegationCard'
+import TxBuilderCard from './TxBuilderCard'
+import AddressLookalikeCard from './AddressLookalikeCard'
+import PolicyCard from './PolicyCard'
 
 /**
  * Get primary title based on trust profile > verified > abiVerified > unknown priority
@@ -11,6 +20,36 @@ import BatchTimeline from './BatchTimeline'
 function getPrimaryTitle(result) {
   const { trustContext, verified, abiVerified, functionName, signature } = result
 
+  // Off-chain EIP-712 signature: title comes from the recognized protocol
+  if (result.isTypedData) {
+    return {
+      title: `${result.protocol || 'Unrecognized'} — ${result.primaryType}`,
+      subtitle: result.domain?.verifyingContract || null,
+      source: 'EIP712',
+      badge: verified ? 'verified' : null
+    }
+  }
+
+  // Safe Transaction Builder file: a batch of transactions, no single function
+  if (result.isTxBuilder) {
+    return {
+      title: `Transaction Builder — ${result.txBuilder.meta.name || 'Batch'}`,
+      subtitle: `${result.batchInfo?.callCount ?? 0} transaction(s)`,
+      source: 'TX_BUILDER',
+      badge: null
+    }
+  }
+
+  // EIP-7702 transaction without calldata: only the code delegation
+  if (result.codeDelegation && !result.selector) {
+    return {
+      title: 'EIP-7702 Code Delegation',
+      subtitle: `${result.codeDelegation.authorizations.length} authorization(s)`,
+      source: 'EIP7702',
+      badge: null
+    }
+  }
+
   // Priority 1: Trust Profile with TRUSTED contract
   const isTrustProfileTrusted =
     trustContext?.profileLoaded &&
@@ -101,6 +140,9 @@ function getSourceLabel(source) {
     '4byte.directory': '4byte.directory',
     'TRUST_PROFILE': 'Trust Profile',
     'LOCAL_REGISTRY': 'Local ABI',
+    'EIP712': 'Typed Data',
+    'EIP7702': 'Authorization List',
+    'TX_BUILDER': 'Tx Builder File',
     'unverified': 'Unverified'
   }
   return labels[source] || source
@@ -133,7 +175,7 @@ export default function ResultsPanel({ result, error, isLoading }) {
     return (
       <div className="placeholder">
         <p className="placeholder-text">No Results Yet</p>
-        <p className="placeholder-hint">Enter calldata and click Analyze</p>
+        <p className="placeholder-hint">Enter calldata, a raw transaction or typed data and click Analyze</p>
       </div>
     )
   }
@@ -170,10 +212,16 @@ export default function ResultsPanel({ result, error, isLoading }) {
         <SeverityBadge severity={severity} />
       </div>
 
-      {/* Selector info */}
+      {/* Selector info (EIP-712 hash for typed data) */}
       <div className="selector-row">
-        <span className="selector-label">Selector</span>
-        <code className="selector-value">{result.selector}</code>
+        <span className="selector-label">{result.isTypedData ? 'EIP-712 Hash' : result.isTxBuilder ? 'Safe' : 'Selector'}</span>
+        <code className="selector-value">
+          {result.isTypedData
+            ? result.typedDataHash
+            : result.isTxBuilder
+              ? (result.safeAddress || 'not specified')
+              : (result.selector || 'none (no calldata)')}
+        </code>
         <span className={`source-badge source-${titleInfo.source.toLowerCase().replace('_', '-')}`}>
           {getSourceLabel(titleInfo.source)}
         </span>
@@ -204,17 +252,41 @@ export default function ResultsPanel({ result, error, isLoading }) {
         </div>
       )}
 
+      {/* Signed envelope of a raw transaction (sender, chain, nonce, fees) */}
+      {result.rawTransaction && (
+        <RawTransactionCard rawTransaction={result.rawTransaction} />
+      )}
+
+      {/* Imported Transaction Builder file (name, Safe, checksum, input mismatches) */}
+      {result.isTxBuilder && (
+        <TxBuilderCard result={result} />
+      )}
+
+      {/* EIP-7702 authorizations (standing code delegation of the signing accounts) */}
+      {result.codeDelegation && (
+        <CodeDelegationCard codeDelegation={result.codeDelegation} />
+      )}
+
       {/* 1. Trust Profile Context - FIRST (always shown) */}
       <TrustContextCard trustContext={trustContext} />
 
       {/* 2. AI Explanation - SECOND (always shown, with placeholder) */}
       <AIExplanationCard explanation={result.aiExplanation} />
 
+      {/* Organization policy rules that matched, with their conditions */}
+      <PolicyCard policy={result.policy} />
+
+      {/* Addresses imitating known ones, next to the addresses they imitate */}
+      <AddressLookalikeCard
+        lookalikes={[...(result.addressLookalikes || []), ...(batchInfo?.addressLookalikes || [])]}
+      />
+
       {/* 3. Parameters - RIGHT AFTER AI Explanation */}
       {result.params && Object.keys(result.params).length > 0 && (
         <ParametersCard
           params={result.params}
           trustedAssets={result.profile?.trustedAssets}
+          tokenAmounts={result.tokenAmounts}
         />
       )}
 
@@ -226,6 +298,29 @@ export default function ResultsPanel({ result, error, isLoading }) {
         <BatchTimeline batchInfo={batchInfo} />
       )}
 
+      {/* 6. Inner call executed by a Safe execTransaction */}
+      {result.innerTransaction && (
+        <InnerTransactionCard
+          inner={result.innerTransaction}
+          trustedAssets={result.profile?.trustedAssets}
+        />
+      )}
+
+      {/* 7. Recomputed safeTxHash (compare with the hardware wallet) */}
+      {result.safeTxHash && (
+        <SafeTxHashCard safeTxHash={result.safeTxHash} />
+      )}
+
+      {/* Recovered signers of the Safe transaction */}
+      {result.safeSignatures && (
+        <SafeSignaturesCard safeSignatures={result.safeSignatures} />
+      )}
+
+      {/* 8. Fork simulation (balance changes the Safe would see) */}
+      {result.simulation && (
+        <SimulationCard simulation={result.simulation} />
+      )}
+
       {/* Timing info */}
       {result._meta && (
         <div className="meta-row">
@@ -0,0 +1,70 @@
+/**
+ * SafeSignaturesCard - Recovered signers of a Safe transaction, checked against its owners
+ */
+const TYPE_LABELS = {
+  ECDSA: 'ECDSA',
+  ETH_SIGN: 'eth_sign',
+  APPROVED_HASH: 'Approved hash',
+  CONTRACT: 'EIP-1271'
+}
+
+function signatureStatus(signature) {
+  if (signature.valid === false) return { text: '✗ invalid', className: 'safe-signatures-bad' }
+  if (signature.isOwner === false) return { text: '✗ not an owner', className: 'safe-signatures-bad' }
+  if (signature.valid === null) return { text: '? checked on-chain', className: 'safe-signatures-pending' }
+  if (signature.isOwner) return { text: '✓ owner', className: 'safe-signatures-ok' }
+  return { text: '✓ recovered', className: '' }
+}
+
+export default function SafeSignaturesCard({ safeSignatures }) {
+  if (!safeSignatures) return null
+
+  if (safeSignatures.error) {
+    return (
+      <div className="safe-signatures-card">
+        <h4 className="card-title">Signatures</h4>
+        <p className="safe-signatures-bad">{safeSignatures.error}</p>
+      </div>
+    )
+  }
+
+  const flagged = safeSignatures.thresholdMet === false || safeSignatures.nonOwnerSigners.length > 0
+
+  return (
+    <div className={`safe-signatures-card ${flagged ? 'safe-signatures-flagged' : ''}`}>
+      <h4 className="card-title">Signatures</h4>
+
+      {safeSignatures.signatures.map((signature) => {
+        const status = signatureStatus(signature)
+        return (
+          <div key={signature.index} className="safe-signatures-row">
+            <span className="safe-signatures-type">{TYPE_LABELS[signature.type] || signature.type}</span>
+            <code className="safe-signatures-signer">{signature.signer || '(unrecoverable)'}</code>
+            <span className={`safe-signatures-status ${status.className}`}>{status.text}</span>
+          </div>
+        )
+      })}
+
+      {safeSignatures.owners ? (
+        <p className="safe-signatures-summary">
+          {safeSignatures.ownerSignatures} owner signature(s), owners from the {safeSignatures.ownersSource === 'PROFILE' ? 'trust profile' : 'Safe'}
+          {safeSignatures.thresholdMet !== null && (
+            <span className={safeSignatures.thresholdMet ? 'safe-signatures-ok' : 'safe-signatures-bad'}>
+              {' '}- threshold {safeSignatures.threshold} {safeSignatures.thresholdMet ? 'met' : 'NOT met'}
+            </span>
+          )}
+        </p>
+      ) : (
+        <p className="safe-signatures-summary">Owners unknown - add "owners" to the trust profile to check the signers</p>
+      )}
+
+      {safeSignatures.warnings.length > 0 && (
+        <ul className="safe-signatures-warnings">
+          {safeSignatures.warnings.map((warning, i) => (
+            <li key={i}>⚠ {warning}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
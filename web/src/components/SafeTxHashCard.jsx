@@ -0,0 +1,55 @@
+/**
+ * SafeTxHashCard - Recomputed safeTxHash to compare with the hardware wallet
+ */
+export default function SafeTxHashCard({ safeTxHash }) {
+  if (!safeTxHash) return null
+
+  if (safeTxHash.error) {
+    return (
+      <div className="safe-tx-hash-card">
+        <h4 className="card-title">Safe Transaction Hash</h4>
+        <p className="safe-tx-hash-error">{safeTxHash.error}</p>
+      </div>
+    )
+  }
+
+  const mismatch = safeTxHash.matches === false
+
+  return (
+    <div className={`safe-tx-hash-card ${mismatch ? 'safe-tx-hash-mismatch' : ''}`}>
+      <h4 className="card-title">Safe Transaction Hash</h4>
+
+      <div className="safe-tx-hash-row">
+        <span className="safe-tx-hash-label">safeTxHash</span>
+        <code className="safe-tx-hash-value safe-tx-hash-primary">{safeTxHash.safeTxHash}</code>
+      </div>
+      <div className="safe-tx-hash-row">
+        <span className="safe-tx-hash-label">Domain hash</span>
+        <code className="safe-tx-hash-value">{safeTxHash.domainHash}</code>
+      </div>
+      <div className="safe-tx-hash-row">
+        <span className="safe-tx-hash-label">Message hash</span>
+        <code className="safe-tx-hash-value">{safeTxHash.messageHash}</code>
+      </div>
+      <div className="safe-tx-hash-row">
+        <span className="safe-tx-hash-label">Safe</span>
+        <code className="safe-tx-hash-value">
+          {safeTxHash.safeAddress} (v{safeTxHash.safeVersion}
+          {safeTxHash.chainId !== null && `, chain ${safeTxHash.chainId}`}, nonce {safeTxHash.safeTx.nonce})
+        </code>
+      </div>
+
+      {safeTxHash.matches === true && (
+        <p className="safe-tx-hash-status safe-tx-hash-ok">✓ Matches the expected safeTxHash</p>
+      )}
+      {mismatch && (
+        <p className="safe-tx-hash-status safe-tx-hash-bad">
+          ✗ Does not match the expected hash {safeTxHash.expectedSafeTxHash} - do not sign
+        </p>
+      )}
+      {safeTxHash.matches === null && (
+        <p className="safe-tx-hash-status">Compare with the hash shown on your hardware wallet before signing</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,72 @@
+/**
+ * SimulationCard - Balance changes, approvals and storage writes from a fork simulation
+ */
+export default function SimulationCard({ simulation }) {
+  if (!simulation) return null
+
+  if (simulation.error) {
+    return (
+      <div className="simulation-card">
+        <h4 className="card-title">Simulation</h4>
+        <p className="simulation-error">{simulation.error}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`simulation-card ${simulation.success === false ? 'simulation-reverted' : ''}`}>
+      <h4 className="card-title">Simulation</h4>
+      <p className="simulation-note">
+        {simulation.success ? '✓ Succeeds' : '✗ Reverts'} on block {simulation.blockTag}
+        {simulation.gasUsed && ` · gas used ${simulation.gasUsed}`}
+        {' '}(fork node, informational)
+      </p>
+
+      {simulation.balanceChanges?.length > 0 && (
+        <ul className="simulation-list">
+          {simulation.balanceChanges.map((change, i) => (
+            <li key={i} className={`simulation-change simulation-${change.direction.toLowerCase()}`}>
+              {change.direction === 'OUT' ? '−' : '+'}
+              {change.standard !== 'ERC721' && ` ${change.formatted}`} {change.symbol}
+              {change.tokenId !== undefined && ` #${change.tokenId}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {simulation.summary
+        ?.filter(line => !line.startsWith('Safe loses') && !line.startsWith('Safe gains'))
+        .map((line, i) => (
+          <p key={i} className="simulation-summary">{line}</p>
+        ))}
+
+      {simulation.safeStorage?.findings.length > 0 && (
+        <div className="simulation-storage">
+          <span className="simulation-label">
+            Safe state changes{simulation.safeStorage.controlChanged && ' — control of the Safe changes'}
+          </span>
+          {simulation.safeStorage.findings.map((finding, i) => (
+            <p key={i} className={`simulation-finding ${simulation.safeStorage.controlChanged ? 'simulation-control' : ''}`}>
+              {finding}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {!simulation.safeStorage?.findings.length && simulation.storageWrites?.length > 0 && (
+        <div className="simulation-storage">
+          <span className="simulation-label">Storage writes to the Safe</span>
+          {simulation.storageWrites.map((write) => (
+            <code key={write.slot} className="simulation-slot">
+              {write.slot}: {write.before} → {write.after}
+            </code>
+          ))}
+        </div>
+      )}
+
+      {simulation.warnings?.map((warning, i) => (
+        <p key={i} className="simulation-warning">⚠️ {warning}</p>
+      ))}
+    </div>
+  )
+}
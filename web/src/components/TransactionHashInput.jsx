@@ -1,8 +1,8 @@
 import { useState } from 'react'
 
-export default function TransactionHashInput({ onTransactionFetched, isLoading: externalLoading }) {
+export default function TransactionHashInput({ chainId, onTransactionFetched, isLoading: externalLoading }) {
   const [txHash, setTxHash] = useState('')
-  const [rpcUrl, setRpcUrl] = useState('https://eth.llamarpc.com')
+  const [rpcUrl, setRpcUrl] = useState('') // empty: the server's default RPC for the chain
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [showRpcInput, setShowRpcInput] = useState(false)
@@ -19,7 +19,7 @@ export default function TransactionHashInput({ onTransactionFetched, isLoading:
       const response = await fetch('/api/fetch-tx', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ txHash, rpcUrl })
+        body: JSON.stringify({ txHash, chainId, rpcUrl: rpcUrl || undefined })
       })
 
       const data = await response.json()
@@ -67,7 +67,7 @@ export default function TransactionHashInput({ onTransactionFetched, isLoading:
             className="rpc-input"
             value={rpcUrl}
             onChange={(e) => setRpcUrl(e.target.value)}
-            placeholder="https://eth.llamarpc.com"
+            placeholder="Default RPC for the selected chain"
           />
         </div>
       )}
@@ -24,7 +24,8 @@ export default function TrustContextCard({ trustContext }) {
     label,
     selectorLabel,
     warnings = [],
-    notes
+    notes,
+    grantedBy
   } = trustContext
 
   const isTrusted = contractClassification === 'TRUSTED'
@@ -77,8 +78,29 @@ export default function TrustContextCard({ trustContext }) {
             <span className="trust-value">{selectorLabel}</span>
           </div>
         )}
+
+        {/* Layered profiles: which layer granted the trust */}
+        {grantedBy?.trustLevel && (
+          <div className="trust-item">
+            <span className="trust-label">Granted By</span>
+            <span className="trust-value trust-layer-value">{grantedBy.trustLevel}</span>
+          </div>
+        )}
+        {grantedBy?.selector && grantedBy.selector !== grantedBy.trustLevel && (
+          <div className="trust-item">
+            <span className="trust-label">Function Allowed By</span>
+            <span className="trust-value trust-layer-value">{grantedBy.selector}</span>
+          </div>
+        )}
       </div>
 
+      {grantedBy?.layers?.length > 1 && (
+        <div className="trust-notes">
+          <span className="trust-notes-label">Defined in:</span>
+          <span className="trust-notes-text">{grantedBy.layers.join(' → ')}</span>
+        </div>
+      )}
+
       {/* Notes */}
       {notes && (
         <div className="trust-notes">
@@ -12,6 +12,32 @@ const TRUST_LEVEL_DESCRIPTIONS = {
   WATCHED: 'Recognized but not trusted - informational only'
 }
 
+// Entries whose trust lapses within this many days are highlighted
+const EXPIRY_WARNING_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Recipient allowlist and denylist: same entry shape, different third field
+const ADDRESS_SECTIONS = {
+  trustedRecipients: {
+    title: 'Trusted Recipients',
+    singular: 'Recipient',
+    empty: 'No trusted recipients defined. Any recipient is accepted without warning.',
+    labelPlaceholder: 'e.g., Payroll wallet',
+    detailField: 'notes',
+    detailLabel: 'Notes (optional)',
+    detailPlaceholder: 'Why may this address receive funds?'
+  },
+  blockedAddresses: {
+    title: 'Blocked Addresses',
+    singular: 'Blocked Address',
+    empty: 'No blocked addresses defined.',
+    labelPlaceholder: 'e.g., Known drainer',
+    detailField: 'reason',
+    detailLabel: 'Reason (optional)',
+    detailPlaceholder: 'Why must this address never be paid or called?'
+  }
+}
+
 export default function TrustProfileEditor({ isOpen, onClose, currentProfile, onProfileChange }) {
   const [profiles, setProfiles] = useState([])
   const [isLoading, setIsLoading] = useState(false)
@@ -37,9 +63,16 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
     trustLevel: 'PROTOCOL',
     allowedSelectors: '*',
     selectorsText: '',
-    notes: ''
+    notes: '',
+    validFrom: '',
+    expiresAt: ''
   })
 
+  // Recipient/blocked address form state
+  const [addressSection, setAddressSection] = useState(null)
+  const [editingAddress, setEditingAddress] = useState(null)
+  const [addressForm, setAddressForm] = useState({ address: '', label: '', detail: '' })
+
   // Load profiles list
   const loadProfiles = useCallback(async () => {
     setIsLoading(true)
@@ -96,6 +129,33 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
   // Truncate address
   const truncateAddress = (addr) => `${addr.slice(0, 10)}...${addr.slice(-8)}`
 
+  // Where a contract stands in its validFrom/expiresAt windows (selectorValidity included):
+  // { state: 'expired' | 'expiring' | 'pending', date } or null while comfortably valid
+  const getExpiryStatus = (config) => {
+    const now = Date.now()
+    const windows = [config, ...Object.values(config.selectorValidity || {})]
+    const expiries = windows.filter(w => w.expiresAt).map(w => w.expiresAt)
+      .sort((a, b) => Date.parse(a) - Date.parse(b))
+
+    if (config.expiresAt && Date.parse(config.expiresAt) <= now) {
+      return { state: 'expired', date: config.expiresAt }
+    }
+    if (config.validFrom && Date.parse(config.validFrom) > now) {
+      return { state: 'pending', date: config.validFrom }
+    }
+    const soonest = expiries.find(date => Date.parse(date) > now)
+    if (soonest && Date.parse(soonest) - now <= EXPIRY_WARNING_DAYS * DAY_MS) {
+      return { state: 'expiring', date: soonest }
+    }
+    return null
+  }
+
+  const EXPIRY_BADGES = {
+    expired: date => `EXPIRED ${date.slice(0, 10)}`,
+    expiring: date => `EXPIRES ${date.slice(0, 10)}`,
+    pending: date => `FROM ${date.slice(0, 10)}`
+  }
+
   // Create new profile
   const handleCreateProfile = () => {
     setIsCreating(true)
@@ -216,7 +276,9 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
       trustLevel: 'PROTOCOL',
       allowedSelectors: '*',
       selectorsText: '',
-      notes: ''
+      notes: '',
+      validFrom: '',
+      expiresAt: ''
     })
     setFormError(null)
   }
@@ -231,7 +293,9 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
       trustLevel: config.trustLevel || 'PROTOCOL',
       allowedSelectors: config.allowedSelectors,
       selectorsText: config.allowedSelectors === '*' ? '*' : config.allowedSelectors.join(', '),
-      notes: config.notes || ''
+      notes: config.notes || '',
+      validFrom: config.validFrom || '',
+      expiresAt: config.expiresAt || ''
     })
     setFormError(null)
   }
@@ -260,12 +324,28 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
       }
     }
 
+    for (const field of ['validFrom', 'expiresAt']) {
+      if (contractForm[field].trim() && Number.isNaN(Date.parse(contractForm[field].trim()))) {
+        setFormError(`${field} must be a date (YYYY-MM-DD or ISO 8601)`)
+        return
+      }
+    }
+    if (contractForm.validFrom.trim() && contractForm.expiresAt.trim() &&
+        Date.parse(contractForm.validFrom.trim()) >= Date.parse(contractForm.expiresAt.trim())) {
+      setFormError('validFrom must be before expiresAt')
+      return
+    }
+
     const normalizedAddress = contractForm.address.toLowerCase()
     const contractConfig = {
+      // Keep what the form does not edit (selector labels, parameter constraints)
+      ...(editingContract ? selectedProfile.trustedContracts[editingContract.toLowerCase()] : {}),
       label: contractForm.label.trim(),
       trustLevel: contractForm.trustLevel,
       allowedSelectors: selectors,
-      notes: contractForm.notes.trim() || undefined
+      notes: contractForm.notes.trim() || undefined,
+      validFrom: contractForm.validFrom.trim() || undefined,
+      expiresAt: contractForm.expiresAt.trim() || undefined
     }
 
     // Update profile
@@ -300,6 +380,73 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
     })
   }
 
+  // Open recipient/blocked address form for adding
+  const handleAddAddress = (section) => {
+    setAddressSection(section)
+    setEditingAddress(null)
+    setAddressForm({ address: '', label: '', detail: '' })
+    setFormError(null)
+  }
+
+  // Open recipient/blocked address form for editing
+  const handleEditAddress = (section, address, entry) => {
+    setAddressSection(section)
+    setEditingAddress(address)
+    setAddressForm({
+      address,
+      label: entry.label || '',
+      detail: entry[ADDRESS_SECTIONS[section].detailField] || ''
+    })
+    setFormError(null)
+  }
+
+  // Save recipient/blocked address to profile
+  const handleSaveAddress = () => {
+    setFormError(null)
+    const section = ADDRESS_SECTIONS[addressSection]
+
+    if (!isValidAddress(addressForm.address)) {
+      setFormError('Invalid address format')
+      return
+    }
+
+    // The decoder needs a label to name a trusted recipient
+    if (addressSection === 'trustedRecipients' && !addressForm.label.trim()) {
+      setFormError('Label is required')
+      return
+    }
+
+    const normalizedAddress = addressForm.address.toLowerCase()
+    const otherSection = addressSection === 'trustedRecipients' ? 'blockedAddresses' : 'trustedRecipients'
+    if (selectedProfile[otherSection]?.[normalizedAddress]) {
+      setFormError(`Address is already in ${ADDRESS_SECTIONS[otherSection].title}`)
+      return
+    }
+
+    const updated = { ...(selectedProfile[addressSection] || {}) }
+    if (editingAddress && editingAddress !== normalizedAddress) {
+      delete updated[editingAddress]
+    }
+    updated[normalizedAddress] = {
+      label: addressForm.label.trim() || undefined,
+      [section.detailField]: addressForm.detail.trim() || undefined
+    }
+
+    setSelectedProfile({ ...selectedProfile, [addressSection]: updated })
+    setAddressSection(null)
+    setEditingAddress(null)
+  }
+
+  // Delete recipient/blocked address from profile
+  const handleDeleteAddress = (section, address) => {
+    if (!confirm(`Remove ${truncateAddress(address)} from ${ADDRESS_SECTIONS[section].title}?`)) return
+
+    const updated = { ...selectedProfile[section] }
+    delete updated[address]
+
+    setSelectedProfile({ ...selectedProfile, [section]: updated })
+  }
+
   // Load profile into decoder
   const handleLoadProfile = () => {
     if (selectedProfile && onProfileChange) {
@@ -474,6 +621,29 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
         />
       </div>
 
+      <div className="form-row">
+        <label className="form-label">Trusted From (optional)</label>
+        <input
+          type="text"
+          className={`form-input ${contractForm.validFrom && Number.isNaN(Date.parse(contractForm.validFrom)) ? 'invalid' : ''}`}
+          placeholder="YYYY-MM-DD"
+          value={contractForm.validFrom}
+          onChange={e => setContractForm({ ...contractForm, validFrom: e.target.value })}
+        />
+      </div>
+
+      <div className="form-row">
+        <label className="form-label">Trust Expires (optional)</label>
+        <input
+          type="text"
+          className={`form-input ${contractForm.expiresAt && Number.isNaN(Date.parse(contractForm.expiresAt)) ? 'invalid' : ''}`}
+          placeholder="YYYY-MM-DD"
+          value={contractForm.expiresAt}
+          onChange={e => setContractForm({ ...contractForm, expiresAt: e.target.value })}
+        />
+        <span className="form-hint">Outside this window the contract is treated as WATCHED</span>
+      </div>
+
       <div className="form-actions">
         <button className="btn-secondary" onClick={() => {
           setIsAddingContract(false)
@@ -492,6 +662,125 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
     </div>
   )
 
+  // Render recipient/blocked address form
+  const renderAddressForm = () => {
+    const section = ADDRESS_SECTIONS[addressSection]
+    return (
+      <div className="contract-form">
+        <h4 className="form-section-title">
+          {editingAddress ? `Edit ${section.singular}` : `Add ${section.singular}`}
+        </h4>
+
+        {formError && <div className="form-error">{formError}</div>}
+
+        <div className="form-row">
+          <label className="form-label">Address *</label>
+          <input
+            type="text"
+            className={`form-input ${addressForm.address && !isValidAddress(addressForm.address) ? 'invalid' : ''}`}
+            placeholder="0x..."
+            value={addressForm.address}
+            onChange={e => setAddressForm({ ...addressForm, address: e.target.value })}
+            disabled={!!editingAddress}
+          />
+        </div>
+
+        <div className="form-row">
+          <label className="form-label">{addressSection === 'trustedRecipients' ? 'Label *' : 'Label (optional)'}</label>
+          <input
+            type="text"
+            className="form-input"
+            placeholder={section.labelPlaceholder}
+            value={addressForm.label}
+            onChange={e => setAddressForm({ ...addressForm, label: e.target.value })}
+          />
+        </div>
+
+        <div className="form-row">
+          <label className="form-label">{section.detailLabel}</label>
+          <textarea
+            className="form-input form-textarea-sm"
+            placeholder={section.detailPlaceholder}
+            value={addressForm.detail}
+            onChange={e => setAddressForm({ ...addressForm, detail: e.target.value })}
+            rows={2}
+          />
+        </div>
+
+        <div className="form-actions">
+          <button className="btn-secondary" onClick={() => {
+            setAddressSection(null)
+            setEditingAddress(null)
+          }}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary"
+            onClick={handleSaveAddress}
+            disabled={!addressForm.address}
+          >
+            {editingAddress ? `Update ${section.singular}` : `Add ${section.singular}`}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  // Render the entries of trustedRecipients or blockedAddresses
+  const renderAddressSection = (sectionKey) => {
+    const section = ADDRESS_SECTIONS[sectionKey]
+    const entries = Object.entries(selectedProfile[sectionKey] || {})
+    return (
+      <div className="editor-section">
+        <div className="section-header">
+          <h4 className="section-title">{section.title}</h4>
+          <button className="btn-primary btn-sm" onClick={() => handleAddAddress(sectionKey)}>
+            + Add {section.singular}
+          </button>
+        </div>
+
+        <div className="contracts-list">
+          {entries.length === 0 ? (
+            <div className="empty-state-sm">
+              <p>{section.empty}</p>
+            </div>
+          ) : (
+            entries.map(([address, entry]) => (
+              <div key={address} className={sectionKey === 'blockedAddresses' ? 'contract-item contract-item-blocked' : 'contract-item'}>
+                <div className="contract-item-info">
+                  <div className="contract-header">
+                    <span className="contract-label">{entry.label || 'Unlabeled'}</span>
+                    {sectionKey === 'blockedAddresses' && (
+                      <span className="trust-level trust-level-blocked">BLOCKED</span>
+                    )}
+                  </div>
+                  <span className="contract-address">{truncateAddress(address)}</span>
+                  {entry[section.detailField] && (
+                    <span className="contract-selectors">{entry[section.detailField]}</span>
+                  )}
+                </div>
+                <div className="contract-item-actions">
+                  <button
+                    className="btn-secondary btn-sm"
+                    onClick={() => handleEditAddress(sectionKey, address, entry)}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className="btn-danger btn-sm"
+                    onClick={() => handleDeleteAddress(sectionKey, address)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    )
+  }
+
   // Render profile editor
   const renderProfileEditor = () => (
     <div className="profile-editor">
@@ -500,6 +789,7 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
           setIsEditing(false)
           setSelectedProfile(null)
           setIsAddingContract(false)
+          setAddressSection(null)
         }}>
           &larr; Back to List
         </button>
@@ -525,64 +815,78 @@ export default function TrustProfileEditor({ isOpen, onClose, currentProfile, on
         </div>
       </div>
 
-      {/* Contract form or list */}
+      {/* Contract or address form, or the lists */}
       {isAddingContract ? (
         renderContractForm()
+      ) : addressSection ? (
+        renderAddressForm()
       ) : (
-        <div className="editor-section">
-          <div className="section-header">
-            <h4 className="section-title">Trusted Contracts</h4>
-            <button className="btn-primary btn-sm" onClick={handleAddContract}>
-              + Add Contract
-            </button>
-          </div>
+        <>
+          <div className="editor-section">
+            <div className="section-header">
+              <h4 className="section-title">Trusted Contracts</h4>
+              <button className="btn-primary btn-sm" onClick={handleAddContract}>
+                + Add Contract
+              </button>
+            </div>
 
-          <div className="contracts-list">
-            {Object.keys(selectedProfile.trustedContracts || {}).length === 0 ? (
-              <div className="empty-state-sm">
-                <p>No trusted contracts defined.</p>
-              </div>
-            ) : (
-              Object.entries(selectedProfile.trustedContracts).map(([address, config]) => (
-                <div key={address} className="contract-item">
-                  <div className="contract-item-info">
-                    <div className="contract-header">
-                      <span className="contract-label">{config.label}</span>
-                      <span className={`trust-level trust-level-${config.trustLevel.toLowerCase()}`}>
-                        {config.trustLevel}
-                      </span>
-                    </div>
-                    <span className="contract-address">{truncateAddress(address)}</span>
-                    <span className="contract-selectors">
-                      {config.allowedSelectors === '*'
-                        ? 'All selectors allowed'
-                        : `${config.allowedSelectors.length} selectors allowed`
-                      }
-                    </span>
-                  </div>
-                  <div className="contract-item-actions">
-                    <button
-                      className="btn-secondary btn-sm"
-                      onClick={() => handleEditContract(address, config)}
-                    >
-                      Edit
-                    </button>
-                    <button
-                      className="btn-danger btn-sm"
-                      onClick={() => handleDeleteContract(address)}
-                    >
-                      Remove
-                    </button>
-                  </div>
+            <div className="contracts-list">
+              {Object.keys(selectedProfile.trustedContracts || {}).length === 0 ? (
+                <div className="empty-state-sm">
+                  <p>No trusted contracts defined.</p>
                 </div>
-              ))
-            )}
+              ) : (
+                Object.entries(selectedProfile.trustedContracts).map(([address, config]) => {
+                  const expiry = getExpiryStatus(config)
+                  return (
+                    <div key={address} className={expiry ? `contract-item contract-item-${expiry.state}` : 'contract-item'}>
+                      <div className="contract-item-info">
+                        <div className="contract-header">
+                          <span className="contract-label">{config.label}</span>
+                          <span className={`trust-level trust-level-${config.trustLevel.toLowerCase()}`}>
+                            {config.trustLevel}
+                          </span>
+                          {expiry && (
+                            <span className={`trust-level trust-level-${expiry.state}`}>
+                              {EXPIRY_BADGES[expiry.state](expiry.date)}
+                            </span>
+                          )}
+                        </div>
+                        <span className="contract-address">{truncateAddress(address)}</span>
+                        <span className="contract-selectors">
+                          {config.allowedSelectors === '*'
+                            ? 'All selectors allowed'
+                            : `${config.allowedSelectors.length} selectors allowed`
+                          }
+                        </span>
+                      </div>
+                      <div className="contract-item-actions">
+                        <button
+                          className="btn-secondary btn-sm"
+                          onClick={() => handleEditContract(address, config)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn-danger btn-sm"
+                          onClick={() => handleDeleteContract(address)}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  )
+                })
+              )}
+            </div>
           </div>
-        </div>
+          {renderAddressSection('trustedRecipients')}
+          {renderAddressSection('blockedAddresses')}
+        </>
       )}
 
       {/* Actions */}
-      {!isAddingContract && (
+      {!isAddingContract && !addressSection && (
         <div className="editor-actions">
           <button className="btn-secondary" onClick={handleLoadProfile}>
             Load in Decoder
@@ -0,0 +1,39 @@
+/**
+ * TxBuilderCard - Details of an imported Safe Transaction Builder file
+ */
+export default function TxBuilderCard({ result }) {
+  const { txBuilder } = result
+  if (!txBuilder) return null
+
+  const { meta, checksum, mismatchCount } = txBuilder
+  const rows = [
+    ['Name', meta.name || '(unnamed)'],
+    ['Safe', result.safeAddress || 'not specified'],
+    ['Chain ID', result.chainId],
+    ['Transactions', result.batchInfo?.callCount ?? 0],
+    ['Checksum', !checksum.present ? 'none' : checksum.valid ? 'valid' : 'does not match'],
+    ['Input mismatches', mismatchCount]
+  ]
+  if (meta.description) {
+    rows.splice(1, 0, ['Description', meta.description])
+  }
+
+  return (
+    <div className="tx-builder-card">
+      <h4 className="card-title">Transaction Builder File</h4>
+
+      {rows.map(([label, value]) => (
+        <div key={label} className="tx-builder-row">
+          <span className="tx-builder-label">{label}</span>
+          <code className={`tx-builder-value ${label === 'Input mismatches' && value > 0 ? 'tx-builder-bad' : ''}`}>
+            {value}
+          </code>
+        </div>
+      ))}
+
+      {result.warnings?.map((warning, idx) => (
+        <p key={idx} className="tx-builder-warning">⚠ {warning}</p>
+      ))}
+    </div>
+  )
+}
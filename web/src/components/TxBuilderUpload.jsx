@@ -0,0 +1,38 @@
+/**
+ * TxBuilderUpload - Import a batch file exported by the Safe Transaction Builder
+ */
+export default function TxBuilderUpload({ onImport, isLoading }) {
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (event) => {
+      try {
+        onImport(JSON.parse(event.target.result))
+      } catch (err) {
+        alert('Invalid JSON file')
+      }
+    }
+    reader.readAsText(file)
+    e.target.value = '' // Reset input
+  }
+
+  return (
+    <div className="input-group">
+      <label className="input-label">
+        Transaction Builder <span className="input-label-hint">(exported batch JSON)</span>
+      </label>
+      <label className="profile-upload-btn">
+        Import JSON
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileChange}
+          disabled={isLoading}
+          style={{ display: 'none' }}
+        />
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+/**
+ * TypedDataInput - EIP-712 typed-data JSON (eth_signTypedData_v4 payload)
+ */
+export default function TypedDataInput({ value, onChange }) {
+  const isValid = !value.trim() || isJson(value)
+
+  return (
+    <div className="input-group">
+      <label className="input-label">
+        Typed Data <span className="input-label-hint">(EIP-712 JSON)</span>
+      </label>
+      <textarea
+        className="calldata-textarea typed-data-textarea"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder='{"types": {...}, "domain": {...}, "primaryType": "PermitSingle", "message": {...}}'
+        spellCheck={false}
+      />
+      {!isValid && (
+        <span className="input-error">Invalid JSON</span>
+      )}
+    </div>
+  )
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text)
+    return true
+  } catch {
+    return false
+  }
+}
@@ -8,25 +8,70 @@ export default function useDecoder() {
   const [error, setError] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
 
-  const decode = useCallback(async ({ calldata, targetAddress, profile, aiProvider, aiModel, operation }) => {
+  const decode = useCallback(async ({ calldata, rawTx, typedData, txBuilderFile, targetAddress, profile, policy, aiProvider, aiModel, operation, safeTx, chainId }) => {
     setIsLoading(true)
     setError(null)
 
     try {
-      const response = await fetch('/api/decode', {
+      // Typed data (off-chain EIP-712 signatures) has its own endpoint
+      let request
+      if (typedData) {
+        request = {
+          url: '/api/decode-typed-data',
+          body: {
+            typedData,
+            profile: profile || undefined
+          }
+        }
+      } else if (txBuilderFile) {
+        // Safe Transaction Builder file: chain and Safe come from the file
+        request = {
+          url: '/api/import/tx-builder',
+          body: {
+            file: txBuilderFile,
+            profile: profile || undefined,
+            policy: policy || undefined
+          }
+        }
+      } else if (rawTx) {
+        // Target, value, chain and signer come from the signed transaction
+        request = {
+          url: '/api/decode',
+          body: {
+            rawTx,
+            profile: profile || undefined,
+            policy: policy || undefined,
+            offline: true,
+            aiProvider: aiProvider || undefined,
+            aiModel: aiModel || undefined
+          }
+        }
+      } else {
+        request = {
+          url: '/api/decode',
+          body: {
+            calldata,
+            targetAddress: targetAddress || undefined,
+            profile: profile || undefined,
+            policy: policy || undefined,
+            offline: true,
+            aiProvider: aiProvider || undefined,
+            aiModel: aiModel || undefined,
+            operation: operation ?? 0,
+            chainId: chainId || undefined,
+            safeTx: safeTx || undefined,
+            // Whoever submitted the fetched transaction receives zero-address refunds
+            executor: safeTx?.executor || undefined
+          }
+        }
+      }
+
+      const response = await fetch(request.url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          calldata,
-          targetAddress: targetAddress || undefined,
-          profile: profile || undefined,
-          offline: true,
-          aiProvider: aiProvider || undefined,
-          aiModel: aiModel || undefined,
-          operation: operation ?? 0
-        })
+        body: JSON.stringify(request.body)
       })
 
       const data = await response.json()